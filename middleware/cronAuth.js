@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Scheduled-job endpoints are called by the platform's cron (Vercel Cron sends
+// Authorization: Bearer <CRON_SECRET>), not by users. Without CRON_SECRET they are off.
+const cronAuth = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        return res.status(503).json({ message: 'Scheduled jobs are not configured. Set CRON_SECRET.' });
+    }
+
+    const token = req.header('Authorization')?.replace('Bearer ', '') || '';
+    const expected = Buffer.from(secret);
+    const given = Buffer.from(token);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        return res.status(401).json({ message: 'Access denied. Invalid cron secret.' });
+    }
+
+    next();
+};
+
+module.exports = cronAuth;
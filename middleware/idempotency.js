@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A request still marked processing after this long most likely died with its server.
+// It is never run again under the same key: it may have committed before it died.
+const STALE_MS = 2 * 60 * 1000;
+
+// JSON with keys sorted, so the same body always hashes the same
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+
+// Answers that reflect the state of things at the time (conflicts, server errors) are
+// not kept, so a retry with the same key runs again
+const isReplayable = (status) => status < 500 && status !== 409;
+
+// Honour an Idempotency-Key header on a mutating route. Use after auth. The first
+// request with a key runs and its response is stored before it is sent, so a client
+// that drops the connection still finds it; repeats of the same request get that
+// response back (with Idempotent-Replayed: true), a repeat while the first is still
+// running gets 409, and reusing the key for a different request gets 422.
+const idempotency = async (req, res, next) => {
+    const key = req.header('Idempotency-Key');
+    if (!key) {
+        return next();
+    }
+
+    try {
+        if (key.length > 255) {
+            return res.status(400).json({
+                success: false,
+                message: 'Idempotency-Key must be at most 255 characters'
+            });
+        }
+
+        const requestHash = hashRequest(req);
+        const now = new Date();
+
+        let record;
+        try {
+            record = await IdempotencyKey.create({
+                key,
+                userId: req.user.id,
+                method: req.method,
+                path: `${req.baseUrl}${req.path}`,
+                requestHash,
+                lockedAt: now,
+                expiresAt: new Date(now.getTime() + TTL_MS)
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+
+            const existing = await IdempotencyKey.findOne({ userId: req.user.id, key });
+            if (!existing) {
+                // Released between our insert and the lookup; let the client retry
+                return res.status(409).set('Retry-After', '1').json({
+                    success: false,
+                    code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+                    message: 'A request with this Idempotency-Key is being processed. Retry shortly.'
+                });
+            }
+
+            if (existing.requestHash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    code: 'IDEMPOTENCY_KEY_REUSED',
+                    message: 'This Idempotency-Key was already used for a different request'
+                });
+            }
+
+            if (existing.status === 'completed') {
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.responseStatus).json(existing.responseBody);
+            }
+
+            // Still processing. One that has been stuck a while is not run again: it may
+            // have been applied before its server died, so the client must check first.
+            if (existing.lockedAt < new Date(now.getTime() - STALE_MS)) {
+                return res.status(409).json({
+                    success: false,
+                    code: 'IDEMPOTENCY_REQUEST_UNRESOLVED',
+                    message: 'An earlier request with this Idempotency-Key did not finish. Check whether it was applied before retrying with a new key.'
+                });
+            }
+            return res.status(409).set('Retry-After', '1').json({
+                success: false,
+                code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+                message: 'A request with this Idempotency-Key is being processed. Retry shortly.'
+            });
+        }
+
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            res.json = json;
+            // Stored as sent, not as the documents it was built from
+            const responseBody = JSON.parse(JSON.stringify(body ?? null));
+            const saved = isReplayable(res.statusCode)
+                ? IdempotencyKey.updateOne(
+                    { _id: record._id },
+                    { $set: { status: 'completed', responseStatus: res.statusCode, responseBody } }
+                )
+                : IdempotencyKey.deleteOne({ _id: record._id });
+            // A key that could not be saved stays processing, so a retry is refused
+            // rather than run twice
+            saved
+                .catch(error => console.error('Idempotency key save error:', error))
+                .then(() => json(body));
+            return res;
+        };
+
+        next();
+    } catch (error) {
+        console.error('Idempotency middleware error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while checking the Idempotency-Key.',
+            error: error.message
+        });
+    }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,63 @@
+/**
+ * Migration Script: Recompute customer statistics from sales history
+ *
+ * Rebuilds the counters that are now maintained automatically on each sale, payment and refund:
+ * - totalSpent: paid amounts less refunds across the customer's sales
+ * - visitCount: number of sales
+ * - firstPurchaseDate / lastPurchaseDate
+ *
+ * Run once after deploying automatic customer statistics, or any time the counters drift.
+ *
+ * Usage:
+ *   node migrations/recompute-customer-stats.js
+ *
+ * Only one manager's customers:
+ *   MANAGER_ID="<managerId>" node migrations/recompute-customer-stats.js
+ *
+ * Or with MongoDB connection string:
+ *   MONGODB_URI="your-connection-string" node migrations/recompute-customer-stats.js
+ */
+
+const mongoose = require('mongoose');
+const { recomputeCustomerStats } = require('../services/customerStats');
+
+// Get MongoDB connection string from environment or use default
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/smartpoint';
+
+async function migrateCustomerStats() {
+    try {
+        console.log('🔄 Starting customer statistics recompute...');
+        console.log('📡 Connecting to MongoDB...');
+
+        await mongoose.connect(MONGODB_URI);
+
+        console.log('✅ Connected to MongoDB');
+
+        const filter = process.env.MANAGER_ID
+            ? { managerId: new mongoose.Types.ObjectId(process.env.MANAGER_ID) }
+            : {};
+
+        const result = await recomputeCustomerStats(filter);
+
+        console.log('\n✅ Migration completed!');
+        console.log(`📈 Summary:`);
+        console.log(`   - Customers updated: ${result.customers}`);
+        console.log(`   - Customers with sales: ${result.withSales}`);
+
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+        process.exit(1);
+    } finally {
+        // Close MongoDB connection
+        await mongoose.connection.close();
+        console.log('\n🔌 Disconnected from MongoDB');
+        process.exit(0);
+    }
+}
+
+// Run migration
+if (require.main === module) {
+    migrateCustomerStats();
+}
+
+module.exports = migrateCustomerStats;
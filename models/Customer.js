@@ -81,6 +81,17 @@ const customerSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Points ever earned; decides the loyalty tier
+    lifetimePoints: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    loyaltyTier: {
+        type: String,
+        trim: true,
+        maxlength: 50
+    },
     totalSpent: {
         type: Number,
         default: 0,
@@ -89,6 +100,37 @@ const customerSchema = new mongoose.Schema({
     lastPurchaseDate: {
         type: Date
     },
+    firstPurchaseDate: {
+        type: Date
+    },
+    // Number of sales made to the customer
+    visitCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Accounts receivable: sales left unpaid are charged here and payments reduce the balance
+    creditAccount: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        creditLimit: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Amount currently owed; kept in step with the CustomerLedger
+        balance: {
+            type: Number,
+            default: 0
+        },
+        paymentTermsDays: {
+            type: Number,
+            default: 30,
+            min: 0
+        }
+    },
     notes: {
         type: String,
         trim: true,
@@ -117,6 +159,19 @@ const customerSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Device-generated id for customers added offline (see services/sync.js)
+    clientId: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    // clientIds of records pushed from devices that were merged into this one, so
+    // later pushes can still refer to it by them
+    mergedClientIds: [{
+        type: String,
+        trim: true,
+        maxlength: 100
+    }],
     lastSynced: {
         type: Date,
         default: Date.now
@@ -132,7 +187,11 @@ customerSchema.index({ userId: 1, name: 1 });
 customerSchema.index({ managerId: 1, name: 1 });
 customerSchema.index({ phone: 1 });
 customerSchema.index({ lastSynced: 1 });
+customerSchema.index({ managerId: 1, lastSynced: 1, _id: 1 });
+customerSchema.index({ managerId: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+customerSchema.index({ managerId: 1, mergedClientIds: 1 });
 customerSchema.index({ isActive: 1 });
+customerSchema.index({ managerId: 1, 'creditAccount.balance': -1 });
 
 // Virtual for full name
 customerSchema.virtual('fullName').get(function() {
@@ -150,6 +209,14 @@ customerSchema.virtual('displayName').get(function() {
     return this.name;
 });
 
+// Virtual for credit still available to the customer
+customerSchema.virtual('availableCredit').get(function() {
+    if (!this.creditAccount?.enabled) {
+        return 0;
+    }
+    return Math.max(0, this.creditAccount.creditLimit - this.creditAccount.balance);
+});
+
 // Pre-save middleware
 customerSchema.pre('save', function(next) {
     // Update lastSynced timestamp
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+const allocationSchema = new mongoose.Schema({
+    saleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale',
+        required: true
+    },
+    receiptNumber: {
+        type: String
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+const customerLedgerSchema = new mongoose.Schema({
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // charge: sale left unpaid, payment: money received on account,
+    // return: goods returned against an unpaid sale, adjustment: manual correction
+    type: {
+        type: String,
+        enum: ['charge', 'payment', 'return', 'adjustment'],
+        required: true
+    },
+    // Signed change to the balance: positive means the customer owes more
+    amount: {
+        type: Number,
+        required: true
+    },
+    // Customer balance after this entry
+    balanceAfter: {
+        type: Number,
+        required: true
+    },
+    saleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale'
+    },
+    returnId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Return'
+    },
+    // For payments: how the money was spread across open sales
+    allocations: [allocationSchema],
+    method: {
+        type: String,
+        enum: ['cash', 'card', 'mobile', 'other', 'loyalty']
+    },
+    reference: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: String,
+        default: 'mobile-app'
+    },
+    entryDate: {
+        type: Date,
+        default: Date.now
+    },
+    lastSynced: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+customerLedgerSchema.index({ customerId: 1, entryDate: 1 });
+customerLedgerSchema.index({ managerId: 1, entryDate: -1 });
+customerLedgerSchema.index({ saleId: 1 });
+customerLedgerSchema.index({ lastSynced: 1 });
+
+// Pre-save middleware
+customerLedgerSchema.pre('save', function(next) {
+    this.lastSynced = new Date();
+    next();
+});
+
+// Static methods
+customerLedgerSchema.statics.findByCustomer = function(customerId, startDate, endDate) {
+    const query = { customerId };
+    if (startDate || endDate) {
+        query.entryDate = {};
+        if (startDate) query.entryDate.$gte = startDate;
+        if (endDate) query.entryDate.$lte = endDate;
+    }
+    return this.find(query).sort({ entryDate: 1, _id: 1 });
+};
+
+// Balance as of a date: the balanceAfter of the last entry before it
+customerLedgerSchema.statics.balanceAt = async function(customerId, date) {
+    const entry = await this.findOne({ customerId, entryDate: { $lt: date } })
+        .sort({ entryDate: -1, _id: -1 })
+        .select('balanceAfter');
+    return entry ? entry.balanceAfter : 0;
+};
+
+module.exports = mongoose.model('CustomerLedger', customerLedgerSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A request made with an Idempotency-Key header and the response it produced, so a
+// retry of the same request gets the same answer instead of running twice
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        maxlength: 255
+    },
+    // Keys are scoped to the user who sent them
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    // Hash of method, path and body; the same key with a different request is refused
+    requestHash: {
+        type: String,
+        required: true
+    },
+    // processing until the first request has answered
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    responseStatus: {
+        type: Number
+    },
+    responseBody: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    lockedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
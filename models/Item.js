@@ -33,14 +33,28 @@ const itemSchema = new mongoose.Schema({
         trim: true,
         maxlength: 50
     },
+    // Once the item has lots this follows the earliest expiry still in stock;
+    // the lots themselves are in StockLot
     expiryDate: {
         type: Date
     },
+    // Primary barcode; an item can carry more, e.g. old packaging or a supplier's code
     barcode: {
         type: String,
         trim: true,
         maxlength: 50
     },
+    barcodes: [{
+        type: String,
+        trim: true,
+        maxlength: 50
+    }],
+    // Item code weighing scales embed in the barcodes they print (prefixes 21-29)
+    plu: {
+        type: String,
+        trim: true,
+        maxlength: 6
+    },
     sku: {
         type: String,
         trim: true,
@@ -48,16 +62,102 @@ const itemSchema = new mongoose.Schema({
         unique: true,
         sparse: true
     },
+    // Total across all locations; once a manager has locations this always equals
+    // the sum of locationStock. Stock in transit between locations is not included.
     stock: {
         type: Number,
         default: 0,
         min: 0
     },
+    locationStock: [{
+        _id: false,
+        location: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Location',
+            required: true
+        },
+        stock: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    }],
     minStock: {
         type: Number,
         default: 0,
         min: 0
     },
+    // Units of measure: stock, cost, price and minStock are always in the base unit.
+    // Other units are whole multiples of it, e.g. a carton of 24 pieces.
+    baseUnit: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: 30,
+        default: 'piece'
+    },
+    units: [{
+        _id: false,
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true,
+            maxlength: 30
+        },
+        // Base units in one of this unit
+        factor: {
+            type: Number,
+            required: true,
+            min: 1
+        },
+        // Selling price for the whole unit; without it the base price times the factor is charged
+        price: {
+            type: Number,
+            min: 0
+        },
+        barcode: {
+            type: String,
+            trim: true,
+            maxlength: 50
+        },
+        // Units that are only bought, never sold, e.g. a pallet
+        sellable: {
+            type: Boolean,
+            default: true
+        }
+    }],
+    // Unit purchase orders are placed in unless a line says otherwise
+    purchaseUnit: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: 30
+    },
+    // Variants: a parent product groups sellable variants that differ only by
+    // attributes. Parents are not sold and hold no stock themselves.
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Item',
+        default: null
+    },
+    isParent: {
+        type: Boolean,
+        default: false
+    },
+    // On a parent: what its variants vary by, e.g. ['size', 'colour']
+    variantAttributes: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: 50
+    }],
+    // On a variant: its value for each of the parent's attributes, e.g. { size: 'M', colour: 'Red' }
+    attributes: {
+        type: Map,
+        of: String,
+        default: undefined
+    },
     image: {
         type: String, // URL or path to image
         trim: true
@@ -110,6 +210,19 @@ const itemSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Device-generated id for items added offline (see services/sync.js)
+    clientId: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    // clientIds of records pushed from devices that were merged into this one, so
+    // later pushes can still refer to it by them
+    mergedClientIds: [{
+        type: String,
+        trim: true,
+        maxlength: 100
+    }],
     lastSynced: {
         type: Date,
         default: Date.now
@@ -127,14 +240,35 @@ itemSchema.index({ cashierId: 1, isActive: 1 });
 itemSchema.index({ name: 'text', brand: 'text' });
 itemSchema.index({ category: 1 });
 itemSchema.index({ barcode: 1 });
+itemSchema.index({ managerId: 1, barcodes: 1 });
+itemSchema.index({ managerId: 1, 'units.barcode': 1 });
+itemSchema.index({ managerId: 1, plu: 1 });
+itemSchema.index({ 'locationStock.location': 1 });
+itemSchema.index({ parentId: 1, isActive: 1 });
 // Note: sku index is automatically created by unique: true and sparse: true
 itemSchema.index({ lastSynced: 1 });
+itemSchema.index({ managerId: 1, lastSynced: 1, _id: 1 });
+itemSchema.index({ managerId: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+itemSchema.index({ managerId: 1, mergedClientIds: 1 });
 
 // Virtual for low stock warning
 itemSchema.virtual('isLowStock').get(function() {
-    return this.stock <= this.minStock;
+    return !this.isParent && this.stock <= this.minStock;
+});
+
+itemSchema.virtual('isVariant').get(function() {
+    return !!this.parentId;
 });
 
+// Stock held at one location, or the total when no location is given
+itemSchema.methods.stockAt = function(locationId) {
+    if (!locationId) {
+        return this.stock;
+    }
+    const entry = (this.locationStock || []).find(level => level.location.toString() === locationId.toString());
+    return entry ? entry.stock : 0;
+};
+
 // Pre-save middleware
 itemSchema.pre('save', function(next) {
     this.lastSynced = new Date();
@@ -164,6 +298,7 @@ itemSchema.statics.findLowStock = function(userId) {
     return this.find({ 
         userId, 
         isActive: true,
+        isParent: { $ne: true },
         $expr: { $lte: ['$stock', '$minStock'] }
     });
 };
@@ -172,6 +307,7 @@ itemSchema.statics.findLowStockByManager = function(managerId) {
     return this.find({ 
         managerId, 
         isActive: true,
+        isParent: { $ne: true },
         $expr: { $lte: ['$stock', '$minStock'] }
     });
 };
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// A shop, branch or warehouse holding its own stock
+const locationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    // Short code printed on transfers and receipts, e.g. "IKJ"
+    code: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: 10
+    },
+    address: {
+        street: {
+            type: String,
+            trim: true,
+            maxlength: 200
+        },
+        city: {
+            type: String,
+            trim: true,
+            maxlength: 100
+        },
+        state: {
+            type: String,
+            trim: true,
+            maxlength: 100
+        },
+        country: {
+            type: String,
+            trim: true,
+            maxlength: 100,
+            default: 'Nigeria'
+        }
+    },
+    phone: {
+        type: String,
+        trim: true,
+        maxlength: 20
+    },
+    // Stock changes with no location (managers without one assigned, legacy clients) land here
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: String,
+        required: true
+    },
+    lastSynced: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+locationSchema.index({ managerId: 1, isActive: 1 });
+locationSchema.index({ managerId: 1, isDefault: 1 });
+locationSchema.index({ lastSynced: 1 });
+
+// Pre-save middleware
+locationSchema.pre('save', function(next) {
+    this.lastSynced = new Date();
+    next();
+});
+
+// Static methods
+locationSchema.statics.findByManager = function(managerId) {
+    return this.find({ managerId, isActive: true }).sort({ isDefault: -1, name: 1 });
+};
+
+locationSchema.statics.findDefault = function(managerId) {
+    return this.findOne({ managerId, isDefault: true, isActive: true });
+};
+
+module.exports = mongoose.model('Location', locationSchema);
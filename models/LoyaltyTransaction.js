@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const loyaltyTransactionSchema = new mongoose.Schema({
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        required: true
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // earn: points for a completed sale, redeem: points spent as a tender,
+    // reverse: earned points taken back on a return, restore: redeemed points given back on a return,
+    // expire: earned points past their expiry date, adjust: manual correction by a manager
+    type: {
+        type: String,
+        enum: ['earn', 'redeem', 'reverse', 'restore', 'expire', 'adjust'],
+        required: true
+    },
+    // Signed change to the customer's points balance
+    points: {
+        type: Number,
+        required: true
+    },
+    // Customer points balance after this entry
+    balanceAfter: {
+        type: Number,
+        required: true
+    },
+    // Currency value of the points for redeem/restore entries
+    value: {
+        type: Number,
+        default: 0
+    },
+    // Tier multiplier applied to earn entries
+    multiplier: {
+        type: Number,
+        default: 1
+    },
+    // Entries that add points (earn, restore, positive adjust) are spent and expired
+    // oldest first; this is what is left of them
+    remainingPoints: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    expiresAt: {
+        type: Date
+    },
+    saleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale'
+    },
+    returnId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Return'
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    entryDate: {
+        type: Date,
+        default: Date.now
+    },
+    lastSynced: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+loyaltyTransactionSchema.index({ customerId: 1, entryDate: -1 });
+loyaltyTransactionSchema.index({ customerId: 1, remainingPoints: 1, entryDate: 1 });
+loyaltyTransactionSchema.index({ managerId: 1, entryDate: -1 });
+loyaltyTransactionSchema.index({ saleId: 1 });
+loyaltyTransactionSchema.index({ lastSynced: 1 });
+
+// Pre-save middleware
+loyaltyTransactionSchema.pre('save', function(next) {
+    this.lastSynced = new Date();
+    next();
+});
+
+// Static methods
+loyaltyTransactionSchema.statics.findByCustomer = function(customerId, limit = 50) {
+    return this.find({ customerId })
+        .sort({ entryDate: -1 })
+        .limit(limit);
+};
+
+// Points still available to spend, oldest first
+loyaltyTransactionSchema.statics.findOpenLots = function(customerId) {
+    return this.find({ customerId, remainingPoints: { $gt: 0 } })
+        .sort({ entryDate: 1, _id: 1 });
+};
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One entry in a user's in-app inbox. Copies sent by push, email or SMS are queued
+// as OutboxMessages that point back here.
+const notificationSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // See NOTIFICATION_TYPES in services/notifications.js
+    type: {
+        type: String,
+        enum: ['low_stock', 'large_refund', 'daily_report', 'weekly_report', 'monthly_report', 'test'],
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        maxlength: 200
+    },
+    body: {
+        type: String,
+        required: true,
+        maxlength: 2000
+    },
+    // What the notification is about (itemId, saleId, report figures...)
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Channels a copy was queued on besides the inbox
+    channels: [{
+        type: String,
+        enum: ['push', 'email', 'sms']
+    }],
+    // Stops the same alert or report reaching a user twice, e.g. "daily_report:2026-10-18"
+    dedupeKey: {
+        type: String
+    },
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+notificationSchema.index({ userId: 1, dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+// Inbox entries are kept for 180 days
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
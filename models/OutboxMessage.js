@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A notification waiting to go out (or gone out) on one channel to one address.
+// services/notifications.js sends due messages and retries failures with back-off.
+const outboxMessageSchema = new mongoose.Schema({
+    notificationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Notification',
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    channel: {
+        type: String,
+        enum: ['push', 'email', 'sms'],
+        required: true
+    },
+    // Email address, +E.164 phone number or device push token
+    to: {
+        type: String,
+        required: true
+    },
+    subject: String,
+    text: {
+        type: String,
+        required: true
+    },
+    html: String,
+    data: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    // sending while a worker has it; failed once it has run out of attempts
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: Date,
+    lastError: String,
+    provider: String,
+    providerMessageId: String,
+    sentAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes
+outboxMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ managerId: 1, status: 1, nextAttemptAt: 1 });
+outboxMessageSchema.index({ notificationId: 1 });
+// Sent and failed messages are kept for 30 days
+outboxMessageSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: { $in: ['sent', 'failed'] } } });
+
+module.exports = mongoose.model('OutboxMessage', outboxMessageSchema);
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+
+const purchaseOrderLineSchema = new mongoose.Schema({
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Item',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    // Quantities and unitCost are in the line's unit, e.g. cartons and cost per carton
+    quantityOrdered: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    quantityReceived: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    unit: {
+        type: String,
+        default: null
+    },
+    // Base units per ordered unit
+    unitFactor: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    unitCost: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+});
+
+const receiptLineSchema = new mongoose.Schema({
+    lineId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Item',
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    unitCost: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Set when the delivery was booked in as a lot
+    lotNumber: {
+        type: String
+    },
+    expiryDate: {
+        type: Date
+    }
+}, { _id: false });
+
+// One delivery against the order; each creates an expense transaction for its value
+const receiptSchema = new mongoose.Schema({
+    receivedAt: {
+        type: Date,
+        default: Date.now
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lines: [receiptLineSchema],
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    transactionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+    poNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'sent', 'partially_received', 'received', 'cancelled'],
+        default: 'draft'
+    },
+    // Where deliveries are received into
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+    lines: [purchaseOrderLineSchema],
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    tax: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    total: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Value of everything received so far
+    receivedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    receipts: [receiptSchema],
+    expectedDate: {
+        type: Date
+    },
+    sentAt: {
+        type: Date
+    },
+    receivedAt: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    },
+    cancelReason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: String,
+        required: true
+    },
+    lastSynced: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+purchaseOrderSchema.index({ managerId: 1, createdAt: -1 });
+purchaseOrderSchema.index({ managerId: 1, status: 1 });
+purchaseOrderSchema.index({ supplierId: 1, createdAt: -1 });
+// Note: poNumber index is automatically created by unique: true
+purchaseOrderSchema.index({ lastSynced: 1 });
+
+// Virtual for whether every line has been received in full
+purchaseOrderSchema.virtual('isFullyReceived').get(function() {
+    return this.lines.every(line => line.quantityReceived >= line.quantityOrdered);
+});
+
+// Pre-save middleware
+purchaseOrderSchema.pre('save', function(next) {
+    // Totals always follow the lines
+    this.subtotal = this.lines.reduce((sum, line) => sum + line.subtotal, 0);
+    this.total = this.subtotal + this.tax;
+
+    this.lastSynced = new Date();
+    next();
+});
+
+// Static methods
+purchaseOrderSchema.statics.findByManager = function(managerId, filter = {}) {
+    return this.find({ managerId, ...filter }).sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A run of receipt numbers reserved by one device so it can number sales while
+// offline. The device prints template with {seq} replaced by start..end in order.
+const receiptBlockSchema = new mongoose.Schema({
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: String,
+        required: true
+    },
+    deviceCode: {
+        type: String,
+        required: true
+    },
+    series: {
+        type: String,
+        required: true
+    },
+    // Receipt number with the sequence as {seq:N} (N digits, zero-padded)
+    template: {
+        type: String,
+        required: true
+    },
+    start: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    end: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Numbers of this block that synced sales carry
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    status: {
+        type: String,
+        enum: ['active', 'released'],
+        default: 'active'
+    },
+    // On release: numbers from here to end will never be used (voided for audits)
+    voidFrom: {
+        type: Number
+    },
+    releasedAt: {
+        type: Date
+    },
+    reservedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+receiptBlockSchema.index({ managerId: 1, deviceId: 1, status: 1 });
+receiptBlockSchema.index({ managerId: 1, series: 1, start: 1 });
+
+receiptBlockSchema.virtual('size').get(function() {
+    return this.end - this.start + 1;
+});
+
+module.exports = mongoose.model('ReceiptBlock', receiptBlockSchema);
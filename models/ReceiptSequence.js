@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Counter behind a run of receipt numbers. A manager has one per series: the receipt
+// format rendered without its sequence number, e.g. "SHOP1-2026-" (so a format with
+// {year} starts again each year), plus one per device for offline number blocks.
+// Numbers are taken inside the checkout transaction, so a rolled-back sale gives its
+// number back and the series stays gap-free.
+const receiptSequenceSchema = new mongoose.Schema({
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    series: {
+        type: String,
+        required: true,
+        maxlength: 100
+    },
+    // Last number issued; the next sale gets last + 1
+    last: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Device series only: the device and the short code its receipt numbers carry
+    deviceId: {
+        type: String
+    },
+    deviceCode: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+receiptSequenceSchema.index({ managerId: 1, series: 1 }, { unique: true });
+receiptSequenceSchema.index({ managerId: 1, deviceId: 1 });
+
+module.exports = mongoose.model('ReceiptSequence', receiptSequenceSchema);
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+
+const returnLineSchema = new mongoose.Schema({
+    // _id of the line inside Sale.items
+    saleItemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Item',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    // In the unit the sale line was sold in
+    quantity: {
+        type: Number,
+        required: true,
+        validate: {
+            validator: value => value > 0,
+            message: 'Quantity must be greater than zero'
+        }
+    },
+    unit: {
+        type: String,
+        default: null
+    },
+    unitPrice: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Value of the returned goods including the line's share of sale tax and discount
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    restock: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+const returnSchema = new mongoose.Schema({
+    // The sale's receipt number plus -R1, -R2...; unique within the shop
+    returnNumber: {
+        type: String,
+        required: true
+    },
+    saleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale',
+        required: true
+    },
+    receiptNumber: {
+        type: String,
+        required: true
+    },
+    lines: [returnLineSchema],
+    // Value of everything returned
+    totalAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Money handed back; can be less than totalAmount when the sale was not fully paid
+    refundAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Loyalty points given back for the part of the sale paid with points (not included in refundAmount)
+    loyaltyRefund: {
+        points: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        value: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    },
+    refundMethod: {
+        type: String,
+        enum: ['cash', 'card', 'mobile', 'other'],
+        default: 'cash'
+    },
+    refundReference: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer'
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Where restocked goods went back on the shelf
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+    cashierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    deviceId: {
+        type: String,
+        required: true
+    },
+    returnDate: {
+        type: Date,
+        default: Date.now
+    },
+    lastSynced: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+returnSchema.index({ saleId: 1, returnDate: -1 });
+returnSchema.index({ managerId: 1, returnDate: -1 });
+returnSchema.index({ cashierId: 1, returnDate: -1 });
+returnSchema.index({ managerId: 1, locationId: 1, returnDate: -1 });
+returnSchema.index({ managerId: 1, returnNumber: 1 }, { unique: true });
+returnSchema.index({ lastSynced: 1 });
+
+// Pre-save middleware
+returnSchema.pre('save', function(next) {
+    this.lastSynced = new Date();
+    next();
+});
+
+// Static methods
+returnSchema.statics.findBySale = function(saleId) {
+    return this.find({ saleId }).sort({ returnDate: -1 });
+};
+
+module.exports = mongoose.model('Return', returnSchema);
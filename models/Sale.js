@@ -15,23 +15,137 @@ const saleItemSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // In the unit the line was sold in; price is per that unit. Weighed goods
+    // sell in fractions of their base unit, e.g. 1.25 kg
     quantity: {
         type: Number,
         required: true,
+        validate: {
+            validator: value => value > 0,
+            message: 'Quantity must be greater than zero'
+        }
+    },
+    unit: {
+        type: String,
+        default: null
+    },
+    // Base units per unit sold, so stock taken is quantity * unitFactor
+    unitFactor: {
+        type: Number,
+        default: 1,
         min: 1
     },
     subtotal: {
         type: Number,
         required: true,
         min: 0
+    },
+    // Code the line was scanned from, when it was
+    barcode: {
+        type: String
+    },
+    // Set when the line is a variant, so reports can roll it up to the product
+    parentItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Item',
+        default: null
+    },
+    attributes: {
+        type: Map,
+        of: String,
+        default: undefined
+    },
+    // Lots the stock came from, in base units, first taken first
+    lots: [{
+        _id: false,
+        lot: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StockLot'
+        },
+        lotNumber: String,
+        expiryDate: Date,
+        quantity: Number
+    }],
+    // Base units the shop did not have in stock when an offline sale was synced
+    stockShortage: {
+        type: Number,
+        min: 0
+    },
+    // Units of this line already taken back through returns
+    returnedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // List price at the time of sale when the cashier overrode it
+    originalPrice: {
+        type: Number,
+        min: 0
+    },
+    priceOverride: {
+        reasonCode: String,
+        // Percentage below list price (negative for a mark-up)
+        percentOff: Number,
+        overriddenBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        approvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        approvalMethod: {
+            type: String,
+            enum: ['manager', 'within_limit', 'pin', 'token']
+        }
     }
 });
 
+// One tender applied to a sale. A sale can be paid with several (part cash, part card...)
+// and partial sales collect more payments later through complete-payment.
+const paymentSchema = new mongoose.Schema({
+    method: {
+        type: String,
+        enum: ['cash', 'card', 'mobile', 'other', 'loyalty'],
+        required: true
+    },
+    // Amount applied to the sale (cash change already deducted)
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Cash handed over, when more than the amount applied
+    tendered: {
+        type: Number,
+        min: 0
+    },
+    // Loyalty points spent, for loyalty payments
+    points: {
+        type: Number,
+        min: 0
+    },
+    reference: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
+    paidAt: {
+        type: Date,
+        default: Date.now
+    },
+    cashierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    deviceId: String
+});
+
 const saleSchema = new mongoose.Schema({
+    // Unique within the manager's shop; see services/receiptNumbers.js
     receiptNumber: {
         type: String,
-        required: true,
-        unique: true
+        required: true
     },
     items: [saleItemSchema],
     subtotal: {
@@ -54,11 +168,13 @@ const saleSchema = new mongoose.Schema({
         required: true,
         min: 0
     },
+    // Derived from payments: the single method used, or 'split'
     paymentMethod: {
         type: String,
-        enum: ['cash', 'card', 'mobile', 'other'],
+        enum: ['cash', 'card', 'mobile', 'other', 'loyalty', 'split'],
         default: 'cash'
     },
+    payments: [paymentSchema],
     paymentStatus: {
         type: String,
         enum: ['pending', 'completed', 'partial', 'failed', 'refunded'],
@@ -74,6 +190,39 @@ const saleSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Running totals across all Return documents for this sale
+    returnStatus: {
+        type: String,
+        enum: ['none', 'partial', 'full'],
+        default: 'none'
+    },
+    returnedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Set when the client's prices or totals disagreed with the server's and the
+    // checkout was accepted at server prices (pricingMode: 'accept')
+    pricingMismatch: {
+        type: Boolean,
+        default: false
+    },
+    pricingDiff: [{
+        _id: false,
+        scope: {
+            type: String,
+            enum: ['line', 'sale']
+        },
+        field: String,
+        productId: String,
+        client: Number,
+        server: Number
+    }],
     customerName: {
         type: String,
         trim: true,
@@ -93,6 +242,62 @@ const saleSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Customer'
     },
+    // Loyalty points earned on completion and points taken back or given back by returns
+    loyalty: {
+        pointsEarned: {
+            type: Number,
+            default: 0
+        },
+        pointsReversed: {
+            type: Number,
+            default: 0
+        },
+        pointsRedeemed: {
+            type: Number,
+            default: 0
+        },
+        pointsRestored: {
+            type: Number,
+            default: 0
+        },
+        accruedAt: Date
+    },
+    // Receipts sent to the customer by email, SMS or WhatsApp, failed attempts included
+    receiptDeliveries: [{
+        _id: false,
+        channel: {
+            type: String,
+            enum: ['email', 'sms', 'whatsapp'],
+            required: true
+        },
+        to: {
+            type: String,
+            required: true
+        },
+        provider: String,
+        // queued: the provider accepted it but has not confirmed delivery
+        status: {
+            type: String,
+            enum: ['sent', 'queued', 'failed'],
+            required: true
+        },
+        providerMessageId: String,
+        error: String,
+        template: String,
+        sentBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        sentAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Unpaid balance was charged to the customer's credit account
+    onAccount: {
+        type: Boolean,
+        default: false
+    },
     notes: {
         type: String,
         trim: true,
@@ -108,6 +313,11 @@ const saleSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
     cashierId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -132,6 +342,22 @@ const saleSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Checks an offline sale failed when it reached the server (discount or override
+    // permission, loyalty points, credit limit). It had already happened, so it was
+    // recorded anyway and these are left for the manager to review.
+    syncConflicts: [{
+        _id: false,
+        code: String,
+        message: String,
+        details: mongoose.Schema.Types.Mixed
+    }],
+    // Device-generated id of an offline sale; a retried sync finds the sale by it
+    // instead of recording it twice
+    clientId: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    },
     syncStatus: {
         type: String,
         enum: ['synced', 'pending', 'failed'],
@@ -147,10 +373,15 @@ const saleSchema = new mongoose.Schema({
 saleSchema.index({ userId: 1, saleDate: -1 });
 saleSchema.index({ managerId: 1, saleDate: -1 });
 saleSchema.index({ cashierId: 1, saleDate: -1 });
-// Note: receiptNumber index is automatically created by unique: true
+saleSchema.index({ managerId: 1, locationId: 1, saleDate: -1 });
+saleSchema.index({ managerId: 1, receiptNumber: 1 }, { unique: true });
 saleSchema.index({ paymentStatus: 1 });
 saleSchema.index({ syncStatus: 1 });
 saleSchema.index({ lastSynced: 1 });
+saleSchema.index({ managerId: 1, lastSynced: 1, _id: 1 });
+saleSchema.index({ managerId: 1, clientId: 1 }, { unique: true, partialFilterExpression: { clientId: { $type: 'string' } } });
+saleSchema.index({ customerId: 1, onAccount: 1, saleDate: 1 });
+saleSchema.index({ managerId: 1, 'payments.paidAt': -1 });
 
 // Virtual for formatted receipt number
 saleSchema.virtual('formattedReceiptNumber').get(function() {
@@ -170,11 +401,23 @@ saleSchema.pre('save', function(next) {
         this.change = Math.max(0, this.paidAmount - this.total);
     }
     
-    // Update payment status based on paid amount
-    if (this.paidAmount !== undefined) {
+    // Payments are the source of truth for what has been paid and how
+    if (this.payments && this.payments.length > 0) {
+        const paid = this.payments.reduce((sum, payment) => sum + payment.amount, 0);
+        this.paidAmount = Math.round(paid * 100) / 100;
+        
+        const methods = [...new Set(this.payments.map(payment => payment.method))];
+        this.paymentMethod = methods.length === 1 ? methods[0] : 'split';
+    }
+    
+    // Update payment status based on paid amount (a fully returned sale stays refunded).
+    // Returned goods and the money refunded for them are netted out of both sides.
+    if (this.paidAmount !== undefined && this.paymentStatus !== 'refunded') {
+        const netPaid = this.paidAmount - (this.refundedAmount || 0);
+        const netDue = this.total - (this.returnedAmount || 0);
         if (this.paidAmount === 0) {
             this.paymentStatus = 'pending';
-        } else if (this.paidAmount >= this.total) {
+        } else if (Math.round((netPaid - netDue) * 100) >= 0) {
             this.paymentStatus = 'completed';
         } else {
             this.paymentStatus = 'partial';
@@ -256,15 +499,71 @@ saleSchema.statics.getTopItems = function(userId, startDate, endDate, limit = 10
         },
         { $unwind: '$items' },
         {
+            // Variants count towards their parent product
             $group: {
-                _id: '$items.item',
-                totalQuantity: { $sum: '$items.quantity' },
+                _id: { $ifNull: ['$items.parentItem', '$items.item'] },
+                totalQuantity: { $sum: { $multiply: ['$items.quantity', { $ifNull: ['$items.unitFactor', 1] }] } },
                 totalRevenue: { $sum: '$items.subtotal' },
-                itemName: { $first: '$items.name' }
+                itemName: { $first: '$items.name' },
+                isVariant: { $max: { $cond: [{ $ifNull: ['$items.parentItem', false] }, true, false] } }
             }
         },
         { $sort: { totalQuantity: -1 } },
-        { $limit: limit }
+        { $limit: limit },
+        {
+            $lookup: {
+                from: 'items',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'product'
+            }
+        },
+        {
+            $addFields: {
+                itemName: {
+                    $cond: ['$isVariant', { $ifNull: [{ $arrayElemAt: ['$product.name', 0] }, '$itemName'] }, '$itemName']
+                }
+            }
+        },
+        { $project: { product: 0, isVariant: 0 } }
+    ]);
+};
+
+// Revenue by tender. Sales from before split tender have no payments array and
+// count their paidAmount under their single paymentMethod, paid at the saleDate.
+// With paidBetween ({ start, end }) only payments taken in that period count, by
+// when each was paid rather than when its sale was made, so balances collected
+// later land in the period they were taken.
+saleSchema.statics.getTenderBreakdown = function(match, paidBetween) {
+    const range = paidBetween && { $gte: paidBetween.start, $lte: paidBetween.end };
+
+    return this.aggregate([
+        {
+            $match: range
+                ? { ...match, $or: [{ 'payments.paidAt': range }, { saleDate: range }] }
+                : match
+        },
+        {
+            $project: {
+                payments: {
+                    $cond: [
+                        { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+                        '$payments',
+                        [{ method: '$paymentMethod', amount: { $ifNull: ['$paidAmount', 0] }, paidAt: '$saleDate' }]
+                    ]
+                }
+            }
+        },
+        { $unwind: '$payments' },
+        ...(range ? [{ $match: { 'payments.paidAt': range } }] : []),
+        {
+            $group: {
+                _id: '$payments.method',
+                total: { $sum: '$payments.amount' },
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { total: -1 } }
     ]);
 };
 
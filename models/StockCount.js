@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+// One submission from a counter. Several people may count the same item on
+// different shelves, so a line's counted quantity is the sum of its entries.
+const countEntrySchema = new mongoose.Schema({
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Stock on hand at the count's location when this entry was submitted
+    expectedStock: {
+        type: Number,
+        default: null
+    },
+    countedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: String
+    },
+    countedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const countLineSchema = new mongoose.Schema({
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Item',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    sku: {
+        type: String
+    },
+    barcode: {
+        type: String
+    },
+    entries: [countEntrySchema],
+    countedQuantity: {
+        type: Number,
+        default: null
+    },
+    // Stock expected when the line was last counted; fixed when the count is closed
+    expectedStock: {
+        type: Number,
+        default: null
+    },
+    // Filled in when the count is closed
+    variance: {
+        type: Number,
+        default: null
+    },
+    unitCost: {
+        type: Number,
+        default: null
+    },
+    varianceValue: {
+        type: Number,
+        default: null
+    }
+});
+
+const stockCountSchema = new mongoose.Schema({
+    countNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['open', 'closed', 'cancelled'],
+        default: 'open'
+    },
+    // Location being counted; null when the manager has no locations
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+    // Empty for a full count
+    category: {
+        type: String,
+        trim: true
+    },
+    lines: [countLineSchema],
+    // Totals of the variance report, set on close
+    summary: {
+        itemsCounted: { type: Number, default: 0 },
+        itemsUncounted: { type: Number, default: 0 },
+        itemsWithVariance: { type: Number, default: 0 },
+        varianceQuantity: { type: Number, default: 0 },
+        varianceValue: { type: Number, default: 0 },
+        shortageValue: { type: Number, default: 0 },
+        surplusValue: { type: Number, default: 0 }
+    },
+    zeroUncounted: {
+        type: Boolean,
+        default: false
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    openedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    closedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    openedAt: {
+        type: Date,
+        default: Date.now
+    },
+    closedAt: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: String,
+        required: true
+    },
+    lastSynced: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+stockCountSchema.index({ managerId: 1, status: 1 });
+stockCountSchema.index({ managerId: 1, openedAt: -1 });
+// Note: countNumber index is automatically created by unique: true
+stockCountSchema.index({ lastSynced: 1 });
+
+// Virtual for how far the count has got
+stockCountSchema.virtual('progress').get(function() {
+    const counted = this.lines.filter(line => line.countedQuantity !== null).length;
+    return {
+        counted,
+        total: this.lines.length
+    };
+});
+
+// Pre-save middleware
+stockCountSchema.pre('save', function(next) {
+    this.lastSynced = new Date();
+    next();
+});
+
+// Static methods
+stockCountSchema.statics.findOpen = function(managerId, locationId = null) {
+    return this.findOne({ managerId, locationId, status: 'open' });
+};
+
+module.exports = mongoose.model('StockCount', stockCountSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// A batch of one item received together, with its own expiry and cost. Lots are
+// kept per location in the item's base unit; stock that arrived without a lot is
+// untracked, so an item's lots never add up to more than its stock.
+const stockLotSchema = new mongoose.Schema({
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Item',
+        required: true
+    },
+    lotNumber: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    expiryDate: {
+        type: Date,
+        default: null
+    },
+    receivedDate: {
+        type: Date,
+        default: Date.now
+    },
+    // Cost per base unit when the lot was received
+    cost: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Still on hand
+    quantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    initialQuantity: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+    purchaseOrderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder',
+        default: null
+    },
+    // Set when the expired remainder was written off
+    writtenOffAt: {
+        type: Date,
+        default: null
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    lastSynced: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+stockLotSchema.index({ item: 1, locationId: 1, quantity: 1, expiryDate: 1 });
+stockLotSchema.index({ managerId: 1, expiryDate: 1, quantity: 1 });
+stockLotSchema.index({ item: 1, lotNumber: 1 });
+stockLotSchema.index({ lastSynced: 1 });
+
+// Virtual for whether the lot is past its expiry date
+stockLotSchema.virtual('isExpired').get(function() {
+    return !!this.expiryDate && this.expiryDate <= new Date();
+});
+
+// Virtual for whole days until expiry (negative once expired)
+stockLotSchema.virtual('daysToExpiry').get(function() {
+    if (!this.expiryDate) {
+        return null;
+    }
+    return Math.ceil((this.expiryDate - Date.now()) / (24 * 60 * 60 * 1000));
+});
+
+// Pre-save middleware
+stockLotSchema.pre('save', function(next) {
+    this.lastSynced = new Date();
+    next();
+});
+
+// Static methods
+// Lots with stock left at one location, first to expire first; lots without an
+// expiry date go last, then oldest received first. expired: 'exclude' leaves out
+// lots past their expiry date, 'only' returns just those.
+stockLotSchema.statics.findAvailable = function(itemId, locationId = null, { expired } = {}) {
+    const match = {
+        item: new mongoose.Types.ObjectId(itemId),
+        locationId: locationId ? new mongoose.Types.ObjectId(locationId) : null,
+        quantity: { $gt: 0 }
+    };
+    if (expired === 'exclude') {
+        match.expiryDate = { $not: { $lte: new Date() } };
+    } else if (expired === 'only') {
+        match.expiryDate = { $ne: null, $lte: new Date() };
+    }
+
+    return this.aggregate([
+        { $match: match },
+        { $addFields: { noExpiry: { $cond: [{ $ifNull: ['$expiryDate', false] }, 0, 1] } } },
+        { $sort: { noExpiry: 1, expiryDate: 1, receivedDate: 1, _id: 1 } }
+    ]);
+};
+
+stockLotSchema.statics.findExpiring = function(managerId, before, locationId) {
+    const query = { managerId, quantity: { $gt: 0 }, expiryDate: { $ne: null, $lte: before } };
+    if (locationId) {
+        query.locationId = locationId;
+    }
+    return this.find(query).sort({ expiryDate: 1 });
+};
+
+module.exports = mongoose.model('StockLot', stockLotSchema);
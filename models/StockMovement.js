@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+// One change to an item's stock. Movements are append-only: corrections are new
+// movements, never edits, so the history always adds up to the current stock.
+const stockMovementSchema = new mongoose.Schema({
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Item',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['sale', 'refund', 'adjustment', 'receipt', 'transfer', 'count', 'expiry'],
+        required: true
+    },
+    // Signed change: negative when stock leaves
+    quantity: {
+        type: Number,
+        required: true
+    },
+    stockBefore: {
+        type: Number,
+        required: true
+    },
+    stockAfter: {
+        type: Number,
+        required: true
+    },
+    // When the change was entered in another unit, e.g. -2 cartons; quantity
+    // and the stock levels are always in the item's base unit
+    unit: {
+        type: String,
+        default: null
+    },
+    unitQuantity: {
+        type: Number,
+        default: null
+    },
+    // Set once the manager has locations; stockBefore/After stay item totals
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
+    locationStockBefore: {
+        type: Number,
+        default: null
+    },
+    locationStockAfter: {
+        type: Number,
+        default: null
+    },
+    transferId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StockTransfer',
+        default: null
+    },
+    // Lots the stock came out of or went into, signed like quantity. Stock without
+    // a lot is untracked, so these can add up to less than quantity.
+    lots: [{
+        _id: false,
+        lot: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StockLot'
+        },
+        lotNumber: String,
+        expiryDate: Date,
+        quantity: Number
+    }],
+    // Receipt, return, PO or transfer number the movement came from
+    reference: {
+        type: String,
+        trim: true
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    saleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Sale',
+        default: null
+    },
+    returnId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Return',
+        default: null
+    },
+    purchaseOrderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder',
+        default: null
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    deviceId: {
+        type: String,
+        required: true
+    },
+    movementDate: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+stockMovementSchema.index({ item: 1, movementDate: -1 });
+stockMovementSchema.index({ managerId: 1, type: 1, movementDate: -1 });
+stockMovementSchema.index({ saleId: 1 });
+stockMovementSchema.index({ purchaseOrderId: 1 });
+stockMovementSchema.index({ locationId: 1, movementDate: -1 });
+
+// Pre-save middleware
+stockMovementSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return next(new Error('Stock movements cannot be modified'));
+    }
+    next();
+});
+
+stockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+    next(new Error('Stock movements cannot be modified'));
+});
+
+// Static methods
+stockMovementSchema.statics.findByItem = function(itemId, filter = {}) {
+    return this.find({ item: itemId, ...filter }).sort({ movementDate: -1, _id: -1 });
+};
+
+module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+const transferLineSchema = new mongoose.Schema({
+    item: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Item',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // Set on receipt; anything short of quantity was lost in transit
+    quantityReceived: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    // Lots the stock left the origin from; the destination receives into the same lots
+    lots: [{
+        _id: false,
+        lot: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'StockLot'
+        },
+        lotNumber: String,
+        expiryDate: Date,
+        quantity: Number
+    }]
+});
+
+// Stock moving between two of a manager's locations. Stock leaves the origin when
+// the transfer is dispatched and arrives at the destination when it is received;
+// in between it is in transit and counts at neither.
+const stockTransferSchema = new mongoose.Schema({
+    transferNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    fromLocationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true
+    },
+    toLocationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in_transit', 'received', 'cancelled'],
+        default: 'in_transit'
+    },
+    lines: [transferLineSchema],
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    dispatchedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    dispatchedAt: {
+        type: Date,
+        default: Date.now
+    },
+    receivedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    receivedAt: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: String,
+        required: true
+    },
+    lastSynced: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+stockTransferSchema.index({ managerId: 1, status: 1, dispatchedAt: -1 });
+stockTransferSchema.index({ fromLocationId: 1, dispatchedAt: -1 });
+stockTransferSchema.index({ toLocationId: 1, status: 1 });
+// Note: transferNumber index is automatically created by unique: true
+stockTransferSchema.index({ lastSynced: 1 });
+
+// Virtual for total units on the transfer
+stockTransferSchema.virtual('totalQuantity').get(function() {
+    return this.lines.reduce((sum, line) => sum + line.quantity, 0);
+});
+
+// Pre-save middleware
+stockTransferSchema.pre('save', function(next) {
+    this.lastSynced = new Date();
+    next();
+});
+
+// Static methods
+stockTransferSchema.statics.findInTransit = function(managerId, locationId) {
+    const query = { managerId, status: 'in_transit' };
+    if (locationId) {
+        query.toLocationId = locationId;
+    }
+    return this.find(query).sort({ dispatchedAt: -1 });
+};
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+const supplierSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    contactName: {
+        type: String,
+        trim: true,
+        maxlength: 200
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: 200
+    },
+    phone: {
+        type: String,
+        trim: true,
+        maxlength: 20
+    },
+    address: {
+        street: {
+            type: String,
+            trim: true,
+            maxlength: 200
+        },
+        city: {
+            type: String,
+            trim: true,
+            maxlength: 100
+        },
+        state: {
+            type: String,
+            trim: true,
+            maxlength: 100
+        },
+        country: {
+            type: String,
+            trim: true,
+            maxlength: 100,
+            default: 'Nigeria'
+        }
+    },
+    taxId: {
+        type: String,
+        trim: true,
+        maxlength: 50
+    },
+    // Days the shop has to pay the supplier after goods are received
+    paymentTermsDays: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    deviceId: {
+        type: String,
+        required: true
+    },
+    lastSynced: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// Indexes
+supplierSchema.index({ managerId: 1, name: 1 });
+supplierSchema.index({ managerId: 1, isActive: 1 });
+supplierSchema.index({ lastSynced: 1 });
+
+// Pre-save middleware
+supplierSchema.pre('save', function(next) {
+    this.lastSynced = new Date();
+    next();
+});
+
+// Static methods
+supplierSchema.statics.findByManager = function(managerId, options = {}) {
+    return this.find({ managerId, isActive: true }, null, options).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('Supplier', supplierSchema);
@@ -45,6 +45,15 @@ const transactionSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Sale'
     },
+    // Set on expenses created by receiving a purchase order
+    purchaseOrderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PurchaseOrder'
+    },
+    supplierId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Supplier'
+    },
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -88,6 +97,7 @@ transactionSchema.index({ userId: 1, date: -1 });
 transactionSchema.index({ type: 1 });
 transactionSchema.index({ category: 1 });
 transactionSchema.index({ saleId: 1 });
+transactionSchema.index({ purchaseOrderId: 1 });
 transactionSchema.index({ lastSynced: 1 });
 
 // Pre-save middleware
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// An approval token that has been spent. Each token approves one action; its jti is
+// recorded here on use and kept until the token would have expired anyway.
+const usedApprovalTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    managerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+// Note: jti index is automatically created by unique: true
+usedApprovalTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsedApprovalToken', usedApprovalTokenSchema);
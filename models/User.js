@@ -69,6 +69,12 @@ const userSchema = new mongoose.Schema({
             return this.role === 'cashier';
         }
     },
+    // Branch the user sells and takes stock from; unset means the manager's default location
+    locationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Location',
+        default: null
+    },
     address: {
         street: String,
         city: String,
@@ -87,6 +93,142 @@ const userSchema = new mongoose.Schema({
         min: 0,
         max: 1
     },
+    // Tax registration number printed on receipts and invoices
+    taxId: {
+        type: String,
+        trim: true,
+        maxlength: 50
+    },
+    // Manager-level checkout rules that apply to all of the manager's cashiers
+    pricingPolicy: {
+        // Largest price override (% below list price) a cashier may apply without approval
+        maxOverridePercent: {
+            type: Number,
+            default: 0,
+            min: 0,
+            max: 100
+        },
+        overrideReasonCodes: {
+            type: [{
+                type: String,
+                trim: true,
+                maxlength: 50
+            }],
+            default: ['damaged', 'price_match', 'customer_goodwill', 'promotion', 'other']
+        },
+        // Hashed manager PIN used to approve overrides above the limit on a cashier's device
+        approvalPin: String,
+        // Wrong PINs in a row; enough of them lock the PIN for a while
+        approvalPinFailures: {
+            type: Number,
+            default: 0
+        },
+        approvalPinLockedUntil: {
+            type: Date,
+            default: null
+        }
+    },
+    // Layout of the barcodes the manager's scales print: EAN-13 with a two-digit
+    // prefix, the item's PLU, then the weight in grams or the price in minor units
+    scaleBarcodes: {
+        weightPrefixes: {
+            type: [String],
+            default: ['21', '22', '23', '24', '25']
+        },
+        pricePrefixes: {
+            type: [String],
+            default: ['26', '27', '28', '29']
+        },
+        pluLength: {
+            type: Number,
+            default: 5,
+            min: 4,
+            max: 6
+        }
+    },
+    // How the manager's receipts are numbered (see services/receiptNumbers.js).
+    // Unset fields use the defaults there.
+    receiptNumbering: {
+        prefix: {
+            type: String,
+            trim: true,
+            maxlength: 12
+        },
+        format: {
+            type: String,
+            trim: true,
+            maxlength: 60
+        },
+        offlineFormat: {
+            type: String,
+            trim: true,
+            maxlength: 60
+        }
+    },
+    // Loyalty program for the manager's customers
+    loyaltyProgram: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // Amount a customer must spend to earn one point (before tier multipliers)
+        spendPerPoint: {
+            type: Number,
+            default: 100,
+            min: 0.01
+        },
+        // What one point is worth when redeemed as a tender
+        pointValue: {
+            type: Number,
+            default: 1,
+            min: 0
+        },
+        // Smallest number of points that can be redeemed in one sale
+        minRedeemPoints: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        // Days before earned points expire; 0 means they never do
+        pointsExpiryDays: {
+            type: Number,
+            default: 365,
+            min: 0
+        },
+        // Tiers are reached on lifetime points earned
+        tiers: [{
+            _id: false,
+            name: {
+                type: String,
+                required: true,
+                trim: true,
+                maxlength: 50
+            },
+            minPoints: {
+                type: Number,
+                required: true,
+                min: 0
+            },
+            multiplier: {
+                type: Number,
+                default: 1,
+                min: 0
+            }
+        }]
+    },
+    // What a cashier may do at checkout. Managers are not restricted by these flags.
+    permissions: {
+        applyDiscount: {
+            type: Boolean,
+            default: false
+        },
+        maxDiscountPercent: {
+            type: Number,
+            default: 100,
+            min: 0,
+            max: 100
+        }
+    },
     devices: [{
         deviceId: {
             type: String,
@@ -108,6 +250,11 @@ const userSchema = new mongoose.Schema({
         isActive: {
             type: Boolean,
             default: true
+        },
+        // FCM registration token for push notifications
+        pushToken: {
+            type: String,
+            maxlength: 4096
         }
     }],
     preferences: {
@@ -166,6 +313,10 @@ const userSchema = new mongoose.Schema({
                 type: Boolean,
                 default: true
             },
+            sms: {
+                type: Boolean,
+                default: false
+            },
             sound: {
                 type: Boolean,
                 default: true
@@ -185,6 +336,12 @@ const userSchema = new mongoose.Schema({
             monthlyReports: {
                 type: Boolean,
                 default: true
+            },
+            // Refunds of at least this much alert the manager; 0 turns the alert off
+            largeRefundAmount: {
+                type: Number,
+                default: 50000,
+                min: 0
             }
         }
     },
@@ -228,6 +385,10 @@ const userSchema = new mongoose.Schema({
             delete ret.verificationToken;
             delete ret.resetPasswordToken;
             delete ret.resetPasswordExpires;
+            if (ret.pricingPolicy) {
+                delete ret.pricingPolicy.approvalPin;
+                delete ret.pricingPolicy.approvalPinFailures;
+            }
             return ret;
         }
     },
@@ -261,6 +422,20 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.setApprovalPin = async function(pin) {
+    const salt = await bcrypt.genSalt(10);
+    this.pricingPolicy.approvalPin = await bcrypt.hash(pin, salt);
+    this.pricingPolicy.approvalPinFailures = 0;
+    this.pricingPolicy.approvalPinLockedUntil = null;
+};
+
+userSchema.methods.compareApprovalPin = async function(candidatePin) {
+    if (!this.pricingPolicy?.approvalPin) {
+        return false;
+    }
+    return bcrypt.compare(candidatePin, this.pricingPolicy.approvalPin);
+};
+
 userSchema.methods.addDevice = function(deviceInfo) {
     // Remove existing device with same ID
     this.devices = this.devices.filter(device => device.deviceId !== deviceInfo.deviceId);
@@ -1,8 +1,13 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
 const User = require('../models/User');
+const Notification = require('../models/Notification');
 const auth = require('../middleware/auth');
+const { APPROVAL_PURPOSES, APPROVAL_TOKEN_TTL, issueApprovalToken } = require('../services/approvals');
+const { getBusinessInfo } = require('../services/receipts');
+const { DEFAULT_LARGE_REFUND, processOutbox, sendTestNotification, sendScheduledReports } = require('../services/notifications');
 
 const router = express.Router();
 
@@ -153,7 +158,8 @@ router.post('/login', async (req, res) => {
             await user.addDevice({
                 deviceId,
                 deviceName: deviceInfo.deviceName || 'Unknown Device',
-                deviceType: deviceInfo.deviceType || 'mobile'
+                deviceType: deviceInfo.deviceType || 'mobile',
+                pushToken: deviceInfo.pushToken
             });
         }
         
@@ -273,6 +279,7 @@ router.get('/profile', auth, async (req, res) => {
             address: addressData,
             currency: user.currency || 'NGN',
             taxRate: user.taxRate || 0,
+            taxId: user.taxId || '',
             preferences: {
                 theme: user.preferences?.theme || 'light',
                 language: user.preferences?.language || 'en',
@@ -334,7 +341,7 @@ router.put('/profile', auth, async (req, res) => {
         const updates = req.body;
         const allowedUpdates = [
             'firstName', 'lastName', 'businessName', 'businessType',
-            'username', 'phone', 'address', 'currency', 'taxRate', 'preferences'
+            'username', 'phone', 'address', 'currency', 'taxRate', 'taxId', 'preferences'
         ];
         
         // Validate required fields
@@ -463,6 +470,7 @@ router.put('/profile', auth, async (req, res) => {
             address: addressData,
             currency: user.currency || 'NGN',
             taxRate: user.taxRate || 0,
+            taxId: user.taxId || '',
             preferences: {
                 theme: user.preferences?.theme || 'light',
                 language: user.preferences?.language || 'en',
@@ -569,6 +577,47 @@ router.delete('/devices/:deviceId', auth, async (req, res) => {
     }
 });
 
+// PUT /api/auth/devices/:deviceId/push-token - Register or refresh a device's push token
+// Body: { pushToken } - null removes it
+router.put('/devices/:deviceId/push-token', auth, async (req, res) => {
+    try {
+        const { pushToken } = req.body;
+        if (pushToken !== null && (typeof pushToken !== 'string' || !pushToken.trim())) {
+            return res.status(400).json({
+                success: false,
+                message: 'pushToken must be a token or null'
+            });
+        }
+
+        const result = await User.updateOne(
+            { _id: req.user.id, 'devices.deviceId': req.params.deviceId },
+            pushToken
+                ? { $set: { 'devices.$.pushToken': pushToken.trim(), 'devices.$.lastActive': new Date() } }
+                : { $unset: { 'devices.$.pushToken': 1 } }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: pushToken ? 'Push token registered' : 'Push token removed'
+        });
+        
+    } catch (error) {
+        console.error('Update push token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update push token',
+            error: error.message
+        });
+    }
+});
+
 // GET /api/auth/notifications/settings - Get notification settings
 router.get('/notifications/settings', auth, async (req, res) => {
     try {
@@ -588,11 +637,13 @@ router.get('/notifications/settings', auth, async (req, res) => {
             marketing: user.preferences?.notifications?.marketing ?? false,
             push: user.preferences?.notifications?.push ?? true,
             email: user.preferences?.notifications?.email ?? true,
+            sms: user.preferences?.notifications?.sms ?? false,
             sound: user.preferences?.notifications?.sound ?? true,
             lowStock: user.preferences?.notifications?.lowStock ?? true,
             dailyReports: user.preferences?.notifications?.dailyReports ?? false,
             weeklyReports: user.preferences?.notifications?.weeklyReports ?? true,
-            monthlyReports: user.preferences?.notifications?.monthlyReports ?? true
+            monthlyReports: user.preferences?.notifications?.monthlyReports ?? true,
+            largeRefundAmount: user.preferences?.notifications?.largeRefundAmount ?? DEFAULT_LARGE_REFUND
         };
 
         res.json({
@@ -625,7 +676,7 @@ router.put('/notifications/settings', auth, async (req, res) => {
 
         // Define allowed notification settings
         const allowedSettings = [
-            'sales', 'inventory', 'reports', 'marketing', 'push', 'email', 
+            'sales', 'inventory', 'reports', 'marketing', 'push', 'email', 'sms',
             'sound', 'lowStock', 'dailyReports', 'weeklyReports', 'monthlyReports'
         ];
 
@@ -637,6 +688,18 @@ router.put('/notifications/settings', auth, async (req, res) => {
             }
         });
 
+        // Refund alert threshold (0 turns the alert off)
+        if (notificationUpdates.largeRefundAmount !== undefined) {
+            const amount = notificationUpdates.largeRefundAmount;
+            if (typeof amount !== 'number' || amount < 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'largeRefundAmount must be a number of 0 or more'
+                });
+            }
+            filteredSettings.largeRefundAmount = amount;
+        }
+
         if (Object.keys(filteredSettings).length === 0) {
             return res.status(400).json({
                 success: false,
@@ -671,11 +734,13 @@ router.put('/notifications/settings', auth, async (req, res) => {
             marketing: user.preferences?.notifications?.marketing ?? false,
             push: user.preferences?.notifications?.push ?? true,
             email: user.preferences?.notifications?.email ?? true,
+            sms: user.preferences?.notifications?.sms ?? false,
             sound: user.preferences?.notifications?.sound ?? true,
             lowStock: user.preferences?.notifications?.lowStock ?? true,
             dailyReports: user.preferences?.notifications?.dailyReports ?? false,
             weeklyReports: user.preferences?.notifications?.weeklyReports ?? true,
-            monthlyReports: user.preferences?.notifications?.monthlyReports ?? true
+            monthlyReports: user.preferences?.notifications?.monthlyReports ?? true,
+            largeRefundAmount: user.preferences?.notifications?.largeRefundAmount ?? DEFAULT_LARGE_REFUND
         };
 
         res.json({
@@ -725,15 +790,17 @@ router.post('/notifications/test', auth, async (req, res) => {
             });
         }
 
-        // Here you would integrate with your notification service
-        // For now, we'll just return a success message
-        const testMessage = `Test ${type} notification sent successfully to ${user.firstName} ${user.lastName}`;
+        // Goes to the inbox and is sent now on every channel the user has turned on
+        const { notification, deliveries } = await sendTestNotification(user._id, type);
+        const delivered = deliveries.filter(delivery => delivery.status === 'sent').length;
         
         res.json({
             success: true,
-            message: testMessage,
+            message: `Test ${type} notification sent to ${user.firstName} ${user.lastName} (${delivered} of ${deliveries.length} channel deliveries succeeded)`,
             data: {
                 type,
+                notification,
+                deliveries,
                 recipient: {
                     name: `${user.firstName} ${user.lastName}`,
                     phone: user.phone
@@ -752,6 +819,142 @@ router.post('/notifications/test', auth, async (req, res) => {
     }
 });
 
+// GET /api/auth/notifications - The user's notification inbox, newest first
+// Query: unread=true, limit (default 50, max 200), before (ISO date, for paging)
+router.get('/notifications', auth, async (req, res) => {
+    try {
+        const query = { userId: req.user.id };
+        if (req.query.unread === 'true') {
+            query.readAt = null;
+        }
+        if (req.query.before) {
+            const before = new Date(req.query.before);
+            if (isNaN(before.getTime())) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'before must be a date'
+                });
+            }
+            query.createdAt = { $lt: before };
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(query).sort({ createdAt: -1 }).limit(limit),
+            Notification.countDocuments({ userId: req.user.id, readAt: null })
+        ]);
+
+        res.json({
+            success: true,
+            data: notifications,
+            unreadCount
+        });
+        
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get notifications',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/auth/notifications/read-all - Mark every notification read
+router.post('/notifications/read-all', auth, async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { userId: req.user.id, readAt: null },
+            { $set: { readAt: new Date() } }
+        );
+
+        res.json({
+            success: true,
+            data: { updated: result.modifiedCount },
+            message: 'All notifications marked as read'
+        });
+        
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mark notifications as read',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/auth/notifications/run - Send due reports and outbox messages now (Manager only)
+// Long-running servers do this on a schedule; serverless deployments call this instead.
+router.post('/notifications/run', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const reports = await sendScheduledReports({ managerId: req.user.id });
+        const outbox = await processOutbox({ managerId: req.user.id });
+
+        res.json({
+            success: true,
+            data: {
+                reports: reports.reports,
+                outbox
+            },
+            message: `${reports.reports} report(s) queued, ${outbox.sent} message(s) sent`
+        });
+        
+    } catch (error) {
+        console.error('Run notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to run notifications',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/auth/notifications/:id/read - Mark a notification read
+router.post('/notifications/:id/read', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid notification ID format'
+            });
+        }
+
+        const notification = await Notification.findOneAndUpdate(
+            { _id: req.params.id, userId: req.user.id },
+            [{ $set: { readAt: { $ifNull: ['$readAt', '$$NOW'] } } }],
+            { new: true }
+        );
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: notification
+        });
+        
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to mark notification as read',
+            error: error.message
+        });
+    }
+});
+
 // GET /api/auth/manager/business-info - Get manager's business information (for cashiers generating invoices)
 router.get('/manager/business-info', auth, async (req, res) => {
     try {
@@ -782,9 +985,9 @@ router.get('/manager/business-info', auth, async (req, res) => {
         }
         
         // Fetch manager's business information
-        const manager = await User.findById(managerId).select('businessName businessType phone address taxId');
+        const businessInfo = await getBusinessInfo(managerId);
         
-        if (!manager) {
+        if (!businessInfo) {
             return res.status(404).json({
                 success: false,
                 message: 'Manager not found'
@@ -793,13 +996,7 @@ router.get('/manager/business-info', auth, async (req, res) => {
         
         res.json({
             success: true,
-            data: {
-                businessName: manager.businessName,
-                businessType: manager.businessType,
-                phone: manager.phone,
-                address: manager.address,
-                taxId: manager.taxId
-            }
+            data: businessInfo
         });
         
     } catch (error) {
@@ -812,6 +1009,45 @@ router.get('/manager/business-info', auth, async (req, res) => {
     }
 });
 
+// POST /api/auth/manager/approval-token - Issue a short-lived, single-use approval token (Manager only)
+// Lets a manager approve a cashier's price override from their own device.
+router.post('/manager/approval-token', auth, async (req, res) => {
+    try {
+        const { purpose = 'price-override' } = req.body;
+
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only managers can issue approval tokens'
+            });
+        }
+
+        if (!APPROVAL_PURPOSES.includes(purpose)) {
+            return res.status(400).json({
+                success: false,
+                message: `Purpose must be one of: ${APPROVAL_PURPOSES.join(', ')}`
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                approvalToken: issueApprovalToken(req.user._id, purpose),
+                purpose,
+                expiresIn: APPROVAL_TOKEN_TTL
+            }
+        });
+        
+    } catch (error) {
+        console.error('Issue approval token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to issue approval token',
+            error: error.message
+        });
+    }
+});
+
 // DELETE /api/auth/account - Delete user account (soft delete)
 router.delete('/account', auth, async (req, res) => {
     try {
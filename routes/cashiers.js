@@ -1,6 +1,7 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const Location = require('../models/Location');
 const auth = require('../middleware/auth');
 
 const router = express.Router();
@@ -46,6 +47,8 @@ router.get('/', auth, async (req, res) => {
             createdAt: cashier.createdAt,
             emailVerified: cashier.emailVerified,
             loginCode: cashier.loginCode, // Include login code for display
+            permissions: cashier.permissions,
+            locationId: cashier.locationId,
             // Add stats if needed
             totalSales: 0, // This would be calculated from sales collection
             totalTransactions: 0 // This would be calculated from transactions collection
@@ -88,7 +91,8 @@ router.post('/', auth, async (req, res) => {
             lastName,
             username,
             password,
-            businessName
+            businessName,
+            locationId
         } = req.body;
         
         // Validate required fields
@@ -120,6 +124,17 @@ router.post('/', auth, async (req, res) => {
             });
         }
         
+        // Cashiers sell and take stock from their assigned location
+        if (locationId) {
+            const location = await Location.findOne({ _id: locationId, managerId: req.user.id, isActive: true });
+            if (!location) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Location not found'
+                });
+            }
+        }
+        
         // Create new cashier
         const cashier = new User({
             username,
@@ -131,6 +146,7 @@ router.post('/', auth, async (req, res) => {
             phone: '', // Optional phone field
             role: 'cashier',
             managerId: req.user.id, // Link cashier to the creating manager
+            locationId: locationId || null,
             businessName: businessName || req.user.businessName || '',
             businessType: req.user.businessType || 'retail',
             currency: req.user.currency || 'NGN',
@@ -175,6 +191,7 @@ router.post('/', auth, async (req, res) => {
             username: cashier.username,
             businessName: cashier.businessName,
             role: cashier.role,
+            locationId: cashier.locationId,
             isActive: cashier.isActive,
             createdAt: cashier.createdAt,
             emailVerified: cashier.emailVerified,
@@ -235,6 +252,8 @@ router.get('/:id', auth, async (req, res) => {
             email: cashier.email,
             businessName: cashier.businessName,
             role: cashier.role,
+            permissions: cashier.permissions,
+            locationId: cashier.locationId,
             isActive: cashier.isActive,
             lastLogin: cashier.lastLogin,
             createdAt: cashier.createdAt,
@@ -279,7 +298,35 @@ router.put('/:id', auth, async (req, res) => {
             });
         }
 
-        const allowedUpdates = ['firstName', 'lastName', 'username', 'phone', 'businessName'];
+        const allowedUpdates = ['firstName', 'lastName', 'username', 'phone', 'businessName', 'locationId'];
+        
+        // Validate location assignment if provided (null unassigns)
+        if (updates.locationId) {
+            const location = await Location.findOne({ _id: updates.locationId, managerId: req.user.id, isActive: true });
+            if (!location) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Location not found'
+                });
+            }
+        }
+        
+        // Validate checkout permissions if provided
+        if (updates.permissions !== undefined) {
+            const { applyDiscount, maxDiscountPercent } = updates.permissions || {};
+            if (applyDiscount !== undefined && typeof applyDiscount !== 'boolean') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'permissions.applyDiscount must be a boolean'
+                });
+            }
+            if (maxDiscountPercent !== undefined && (typeof maxDiscountPercent !== 'number' || maxDiscountPercent < 0 || maxDiscountPercent > 100)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'permissions.maxDiscountPercent must be a number between 0 and 100'
+                });
+            }
+        }
         
         // Validate username format if username is being updated
         if (updates.username) {
@@ -344,6 +391,15 @@ router.put('/:id', auth, async (req, res) => {
             filteredUpdates.email = filteredUpdates.username;
         }
         
+        // Set individual permission flags so unspecified ones keep their values
+        if (updates.permissions) {
+            ['applyDiscount', 'maxDiscountPercent'].forEach(key => {
+                if (updates.permissions[key] !== undefined) {
+                    filteredUpdates[`permissions.${key}`] = updates.permissions[key];
+                }
+            });
+        }
+        
         const cashier = await User.findOneAndUpdate(
             { _id: id, role: 'cashier', managerId: req.user.id, isActive: true },
             filteredUpdates,
@@ -366,6 +422,8 @@ router.put('/:id', auth, async (req, res) => {
             email: cashier.email,
             businessName: cashier.businessName,
             role: cashier.role,
+            permissions: cashier.permissions,
+            locationId: cashier.locationId,
             isActive: cashier.isActive,
             lastLogin: cashier.lastLogin,
             createdAt: cashier.createdAt,
@@ -0,0 +1,189 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const auth = require('../middleware/auth');
+const { importCatalog, exportCatalog } = require('../services/catalog');
+const { resolveLocationId } = require('../services/locations');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+const FILE_FORMATS = {
+    '.csv': 'csv',
+    '.xlsx': 'xlsx'
+};
+
+// Catalog files are read from memory; nothing is written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: parseInt(process.env.MAX_IMPORT_FILE_SIZE) || 5 * 1024 * 1024, // 5MB
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (FILE_FORMATS[path.extname(file.originalname).toLowerCase()]) {
+            cb(null, true);
+        } else {
+            cb(new Error('Only .csv and .xlsx files are allowed'), false);
+        }
+    }
+});
+
+const requireManager = (req, res) => {
+    if (req.user.role !== 'manager') {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. Manager role required.'
+        });
+        return false;
+    }
+    return true;
+};
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// POST /api/catalog/import - Create and update items from a CSV or XLSX file (Manager only)
+// Multipart form: file, mapping? (JSON: { "File header": "field" }), dryRun?, skipInvalid?,
+// locationId? (where the Stock column applies; defaults as for stock updates)
+// Rows are matched to existing items by SKU, then barcode; unmatched rows create items.
+router.post('/import', auth, upload.single('file'), async (req, res) => {
+    try {
+        if (!requireManager(req, res)) {
+            return;
+        }
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'A .csv or .xlsx file is required'
+            });
+        }
+
+        let mapping;
+        if (req.body.mapping) {
+            try {
+                mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'mapping must be valid JSON'
+                });
+            }
+        }
+
+        const managerId = req.user.id;
+        const locationId = await resolveLocationId(req.user, managerId, req.body.locationId);
+
+        const report = await importCatalog({
+            user: req.user,
+            managerId,
+            locationId,
+            buffer: req.file.buffer,
+            format: FILE_FORMATS[path.extname(req.file.originalname).toLowerCase()],
+            mapping,
+            dryRun: isTrue(req.body.dryRun),
+            skipInvalid: isTrue(req.body.skipInvalid),
+            deviceId: req.body.deviceId || req.header('X-Device-ID') || 'catalog-import'
+        });
+
+        if (!report.dryRun && !report.imported) {
+            return res.status(400).json({
+                success: false,
+                message: `${report.failed} row(s) have errors; nothing was imported. Fix them or import with skipInvalid.`,
+                data: report
+            });
+        }
+
+        res.json({
+            success: true,
+            data: report,
+            message: report.dryRun
+                ? `Dry run: ${report.created} to create, ${report.updated} to update, ${report.failed} with errors`
+                : `Imported: ${report.created} created, ${report.updated} updated, ${report.failed} failed`
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Import catalog error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import catalog',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/catalog/export - Download the catalog in the import format (Manager only)
+// Query: format (csv, xlsx), category, locationId (whose stock to list), template
+// (true for the header row only)
+router.get('/export', auth, async (req, res) => {
+    try {
+        if (!requireManager(req, res)) {
+            return;
+        }
+
+        const format = req.query.format || 'csv';
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'format must be csv or xlsx'
+            });
+        }
+
+        const managerId = req.user.id;
+        const locationId = await resolveLocationId(req.user, managerId, req.query.locationId);
+
+        const file = await exportCatalog(managerId, {
+            format,
+            category: req.query.category,
+            locationId,
+            template: isTrue(req.query.template)
+        });
+
+        const name = isTrue(req.query.template) ? 'catalog-template' : `catalog-${new Date().toISOString().slice(0, 10)}`;
+        res.set('Content-Type', file.contentType);
+        res.set('Content-Disposition', `attachment; filename="${name}.${format}"`);
+        res.set('X-Item-Count', String(file.items));
+        res.send(file.body);
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Export catalog error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export catalog',
+            error: error.message
+        });
+    }
+});
+
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                success: false,
+                message: 'File too large. Maximum size is 5MB.'
+            });
+        }
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.message === 'Only .csv and .xlsx files are allowed') {
+        return res.status(400).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    next(error);
+});
+
+module.exports = router;
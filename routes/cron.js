@@ -0,0 +1,78 @@
+const express = require('express');
+const cronAuth = require('../middleware/cronAuth');
+const { writeOffExpiredLots } = require('../services/expiry');
+const { processOutbox, sendScheduledReports } = require('../services/notifications');
+
+const router = express.Router();
+
+// Scheduled jobs for serverless deployments, where startJobs() never runs. Each runs
+// across every shop; the schedules are in vercel.json.
+
+// GET /api/cron/write-off-expired-lots - Write off expired lots for all shops
+router.get('/write-off-expired-lots', cronAuth, async (req, res) => {
+    try {
+        const result = await writeOffExpiredLots();
+
+        res.json({
+            success: true,
+            data: {
+                writtenOff: result.writtenOff.length,
+                failed: result.failed.length,
+                quantity: result.quantity,
+                value: result.value
+            }
+        });
+
+    } catch (error) {
+        console.error('Cron write-off error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to write off expired lots',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/cron/notification-outbox - Send due push, email and SMS notifications for all shops
+router.get('/notification-outbox', cronAuth, async (req, res) => {
+    try {
+        const result = await processOutbox({ limit: 200 });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        console.error('Cron outbox error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process the notification outbox',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/cron/scheduled-reports - Queue the daily, weekly and monthly reports that are due
+router.get('/scheduled-reports', cronAuth, async (req, res) => {
+    try {
+        const result = await sendScheduledReports();
+
+        res.json({
+            success: true,
+            data: {
+                reports: result.reports
+            }
+        });
+
+    } catch (error) {
+        console.error('Cron scheduled reports error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send scheduled reports',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,12 @@ const router = express.Router();
 const Customer = require('../models/Customer');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const CustomerLedger = require('../models/CustomerLedger');
+const { resolveManagerId, findOpenSales, receiveCustomerPayment, ageOpenSales, buildStatement } = require('../services/receivables');
+const { getLoyaltySummary, adjustCustomerPoints } = require('../services/loyalty');
+const { getCustomerInsights } = require('../services/customerStats');
+const { sendHttpError } = require('../utils/httpError');
 
 // GET /api/customers - Get all customers for the manager
 router.get('/', auth, async (req, res) => {
@@ -448,6 +454,332 @@ router.put('/:id', auth, async (req, res) => {
     }
 });
 
+// GET /api/customers/:id/insights - Lifetime value, basket size, favourite items and visit frequency
+router.get('/:id/insights', auth, async (req, res) => {
+    try {
+        const managerId = await resolveManagerId(req.user);
+
+        const customer = await Customer.findOne({
+            _id: req.params.id,
+            managerId,
+            isActive: true
+        });
+
+        if (!customer) {
+            return res.status(404).json({
+                message: 'Customer not found'
+            });
+        }
+
+        const insights = await getCustomerInsights(customer);
+
+        res.json({
+            success: true,
+            data: {
+                customerId: customer._id,
+                name: customer.displayName,
+                totalSpent: customer.totalSpent,
+                visitCount: customer.visitCount,
+                ...insights
+            }
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get customer insights error:', error);
+        res.status(500).json({
+            message: 'Failed to get customer insights',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/customers/:id/credit - Set up a customer's credit account (Manager only)
+router.put('/:id/credit', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                message: 'Only managers can change credit settings'
+            });
+        }
+
+        const { enabled, creditLimit, paymentTermsDays } = req.body;
+
+        const customer = await Customer.findOne({
+            _id: req.params.id,
+            managerId: req.user.id,
+            isActive: true
+        });
+
+        if (!customer) {
+            return res.status(404).json({
+                message: 'Customer not found'
+            });
+        }
+
+        if (enabled !== undefined) {
+            if (typeof enabled !== 'boolean') {
+                return res.status(400).json({
+                    message: 'enabled must be true or false'
+                });
+            }
+            customer.creditAccount.enabled = enabled;
+        }
+
+        if (creditLimit !== undefined) {
+            const limit = parseFloat(creditLimit);
+            if (isNaN(limit) || limit < 0) {
+                return res.status(400).json({
+                    message: 'Credit limit must be a non-negative number'
+                });
+            }
+            customer.creditAccount.creditLimit = limit;
+        }
+
+        if (paymentTermsDays !== undefined) {
+            const days = parseInt(paymentTermsDays);
+            if (isNaN(days) || days < 0) {
+                return res.status(400).json({
+                    message: 'Payment terms must be a non-negative number of days'
+                });
+            }
+            customer.creditAccount.paymentTermsDays = days;
+        }
+
+        await customer.save();
+
+        res.json({
+            success: true,
+            data: {
+                ...customer.creditAccount.toObject(),
+                availableCredit: customer.availableCredit
+            }
+        });
+
+    } catch (error) {
+        console.error('Update customer credit error:', error);
+        res.status(500).json({
+            message: 'Failed to update credit settings',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/customers/:id/account - Credit account summary with open sales and aging
+router.get('/:id/account', auth, async (req, res) => {
+    try {
+        const managerId = await resolveManagerId(req.user);
+
+        const customer = await Customer.findOne({
+            _id: req.params.id,
+            managerId,
+            isActive: true
+        });
+
+        if (!customer) {
+            return res.status(404).json({
+                message: 'Customer not found'
+            });
+        }
+
+        const [openSales, recentEntries] = await Promise.all([
+            findOpenSales(customer._id, managerId),
+            CustomerLedger.find({ customerId: customer._id }).sort({ entryDate: -1 }).limit(20)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...customer.creditAccount.toObject(),
+                availableCredit: customer.availableCredit,
+                aging: ageOpenSales(openSales),
+                recentEntries
+            }
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get customer account error:', error);
+        res.status(500).json({
+            message: 'Failed to get customer account',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/customers/:id/statement - Account statement for a period (defaults to the last 30 days)
+router.get('/:id/statement', auth, async (req, res) => {
+    try {
+        const managerId = await resolveManagerId(req.user);
+
+        const customer = await Customer.findOne({
+            _id: req.params.id,
+            managerId,
+            isActive: true
+        });
+
+        if (!customer) {
+            return res.status(404).json({
+                message: 'Customer not found'
+            });
+        }
+
+        const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+        const startDate = req.query.startDate
+            ? new Date(req.query.startDate)
+            : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+        if (isNaN(startDate) || isNaN(endDate) || startDate > endDate) {
+            return res.status(400).json({
+                message: 'Invalid statement period'
+            });
+        }
+
+        const statement = await buildStatement(customer, startDate, endDate);
+
+        res.json({
+            success: true,
+            data: statement
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Customer statement error:', error);
+        res.status(500).json({
+            message: 'Failed to generate customer statement',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/customers/:id/payments - Receive a payment on account
+// Body: { amount, method, reference, allocations?: [{ saleId, amount }] }
+// Without allocations the payment settles the oldest open sales first.
+router.post('/:id/payments', auth, idempotency, async (req, res) => {
+    try {
+        const { customer, payment } = await receiveCustomerPayment(req.user, req.params.id, req.body);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                payment,
+                balance: customer.creditAccount.balance,
+                availableCredit: customer.availableCredit
+            },
+            message: `Payment of ${Math.abs(payment.amount).toFixed(2)} received`
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Customer payment error:', error);
+        res.status(500).json({
+            message: 'Failed to record customer payment',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/customers/:id/loyalty - Points balance, tier and recent points activity
+router.get('/:id/loyalty', auth, async (req, res) => {
+    try {
+        const managerId = await resolveManagerId(req.user);
+
+        const customer = await Customer.findOne({
+            _id: req.params.id,
+            managerId,
+            isActive: true
+        });
+
+        if (!customer) {
+            return res.status(404).json({
+                message: 'Customer not found'
+            });
+        }
+
+        const summary = await getLoyaltySummary(customer, req.user);
+
+        res.json({
+            success: true,
+            data: summary
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get customer loyalty error:', error);
+        res.status(500).json({
+            message: 'Failed to get loyalty details',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/customers/:id/loyalty/adjust - Manually add or remove points (Manager only)
+router.post('/:id/loyalty/adjust', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                message: 'Only managers can adjust loyalty points'
+            });
+        }
+
+        const { points, description } = req.body;
+
+        if (!Number.isInteger(points) || points === 0) {
+            return res.status(400).json({
+                message: 'Points must be a non-zero whole number'
+            });
+        }
+
+        if (!description || !description.trim()) {
+            return res.status(400).json({
+                message: 'A description is required for point adjustments'
+            });
+        }
+
+        const customer = await Customer.findOne({
+            _id: req.params.id,
+            managerId: req.user.id,
+            isActive: true
+        });
+
+        if (!customer) {
+            return res.status(404).json({
+                message: 'Customer not found'
+            });
+        }
+
+        const { customer: updated, transaction } = await adjustCustomerPoints(req.user, customer, points, description.trim());
+
+        res.status(201).json({
+            success: true,
+            data: {
+                transaction,
+                points: updated.loyaltyPoints
+            }
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Adjust loyalty points error:', error);
+        res.status(500).json({
+            message: 'Failed to adjust loyalty points',
+            error: error.message
+        });
+    }
+});
+
 // DELETE /api/customers/:id - Soft delete customer
 router.delete('/:id', auth, async (req, res) => {
     try {
@@ -487,6 +819,13 @@ router.delete('/:id', auth, async (req, res) => {
             });
         }
 
+        // Customers who still owe money keep their account open
+        if (customer.creditAccount?.balance > 0) {
+            return res.status(400).json({
+                message: 'Customer has an outstanding balance and cannot be deleted'
+            });
+        }
+
         // Soft delete
         customer.isActive = false;
         await customer.save();
@@ -3,9 +3,21 @@ const mongoose = require('mongoose');
 const Sale = require('../models/Sale');
 const Transaction = require('../models/Transaction');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
 
 const router = express.Router();
 
+// Optional ?locationId= filter for sales and returns in multi-location shops
+const locationFilter = (req) => (
+    req.query.locationId && mongoose.Types.ObjectId.isValid(req.query.locationId)
+        ? { locationId: new mongoose.Types.ObjectId(req.query.locationId) }
+        : {}
+);
+
+// Units of a sale line in the item's base unit, so lines sold by the carton and by
+// the piece add up
+const baseQuantity = { $multiply: ['$items.quantity', { $ifNull: ['$items.unitFactor', 1] }] };
+
 // GET /api/finance/dashboard - Get financial dashboard data
 router.get('/dashboard', auth, async (req, res) => {
     try {
@@ -157,6 +169,8 @@ router.get('/dashboard/home', auth, async (req, res) => {
             }
         }
         
+        Object.assign(userFilter, locationFilter(req));
+        
         // TODAY'S SALES AGGREGATION - Simple and direct
         // This is the core calculation that sums ALL paidAmount values
         const todaySalesMatch = {
@@ -339,8 +353,8 @@ router.get('/dashboard/home', auth, async (req, res) => {
         
         // Get pending orders (sales with pending payment) - for managers, include all sales under their management; for cashiers, only their own sales
         const pendingOrdersMatch = req.user.role === 'manager' 
-            ? { managerId: req.user.id }
-            : { userId: req.user.id };
+            ? { managerId: req.user.id, ...locationFilter(req) }
+            : { userId: req.user.id, ...locationFilter(req) };
             
         const pendingOrders = await Sale.countDocuments({
             ...pendingOrdersMatch,
@@ -631,6 +645,7 @@ router.get('/reports/comprehensive', auth, async (req, res) => {
                 saleDate: { $gte: start, $lte: end }
             };
         }
+        Object.assign(salesMatch, locationFilter(req));
 
         // Get sales summary - use paidAmount for actual revenue
         const salesSummary = await Sale.aggregate([
@@ -649,27 +664,38 @@ router.get('/reports/comprehensive', auth, async (req, res) => {
             }
         ]);
         
-        // Get top products
+        // Revenue by tender (cash, card, mobile, ...)
+        const tenderBreakdown = await Sale.getTenderBreakdown(salesMatch);
+        
+        // Get top products - variants roll up to their parent product
         const topProducts = await Sale.aggregate([
             {
                 $match: salesMatch
             },
             { $unwind: '$items' },
+            {
+                $group: {
+                    _id: { $ifNull: ['$items.parentItem', '$items.item'] },
+                    quantity: { $sum: baseQuantity },
+                    revenue: { $sum: '$items.subtotal' },
+                    variants: { $addToSet: { $cond: [{ $ifNull: ['$items.parentItem', false] }, '$items.item', '$$REMOVE'] } }
+                }
+            },
             {
                 $lookup: {
                     from: 'items',
-                    localField: 'items.item',
+                    localField: '_id',
                     foreignField: '_id',
                     as: 'itemDetails'
                 }
             },
             { $unwind: '$itemDetails' },
             {
-                $group: {
-                    _id: '$itemDetails._id',
-                    name: { $first: '$itemDetails.name' },
-                    quantity: { $sum: '$items.quantity' },
-                    revenue: { $sum: '$items.subtotal' }
+                $project: {
+                    name: '$itemDetails.name',
+                    quantity: 1,
+                    revenue: 1,
+                    variantCount: { $size: '$variants' }
                 }
             },
             { $sort: { revenue: -1 } },
@@ -695,7 +721,7 @@ router.get('/reports/comprehensive', auth, async (req, res) => {
                 $group: {
                     _id: '$itemDetails.category',
                     amount: { $sum: '$items.subtotal' },
-                    quantity: { $sum: '$items.quantity' }
+                    quantity: { $sum: baseQuantity }
                 }
             },
             { $sort: { amount: -1 } }
@@ -979,7 +1005,12 @@ router.get('/reports/comprehensive', auth, async (req, res) => {
                 stockHealth: inventoryData.totalProducts > 0 ? 
                     ((inventoryData.totalProducts - inventoryData.lowStockItems - inventoryData.outOfStockItems) / inventoryData.totalProducts * 100) : 0
             },
-            cashierActivities
+            cashierActivities,
+            tenders: tenderBreakdown.map(tender => ({
+                method: tender._id,
+                amount: tender.total,
+                count: tender.count
+            }))
         };
         
         res.json({
@@ -1051,6 +1082,7 @@ router.get('/reports/cashier-daily-sales', auth, async (req, res) => {
         if (cashierId) {
             matchQuery.cashierId = new mongoose.Types.ObjectId(cashierId);
         }
+        Object.assign(matchQuery, locationFilter(req));
         
         // Get all transactions for the date range
         const transactions = await Sale.find(matchQuery)
@@ -1187,6 +1219,414 @@ router.get('/reports/cashier-daily-sales', auth, async (req, res) => {
     }
 });
 
+// GET /api/finance/reports/price-overrides - Price overrides grouped by cashier (Manager only)
+router.get('/reports/price-overrides', auth, async (req, res) => {
+    try {
+        const { startDate, endDate, cashierId } = req.query;
+        
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only managers can access price override reports'
+            });
+        }
+        
+        // Default to the last 30 days
+        const end = endDate ? new Date(endDate) : new Date();
+        const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+        
+        const matchQuery = {
+            managerId: new mongoose.Types.ObjectId(req.user.id),
+            saleDate: { $gte: start, $lte: end },
+            'items.priceOverride.reasonCode': { $exists: true },
+            ...locationFilter(req)
+        };
+        
+        if (cashierId) {
+            matchQuery.cashierId = new mongoose.Types.ObjectId(cashierId);
+        }
+        
+        const overrides = await Sale.aggregate([
+            { $match: matchQuery },
+            { $unwind: '$items' },
+            { $match: { 'items.priceOverride.reasonCode': { $exists: true } } },
+            {
+                $project: {
+                    // Sales rung up by the manager have no cashierId
+                    cashierId: { $ifNull: ['$cashierId', '$userId'] },
+                    receiptNumber: 1,
+                    saleDate: 1,
+                    itemName: '$items.name',
+                    quantity: '$items.quantity',
+                    originalPrice: '$items.originalPrice',
+                    price: '$items.price',
+                    reasonCode: '$items.priceOverride.reasonCode',
+                    percentOff: '$items.priceOverride.percentOff',
+                    approvalMethod: '$items.priceOverride.approvalMethod',
+                    approvedBy: '$items.priceOverride.approvedBy',
+                    amountOff: {
+                        $multiply: [
+                            { $subtract: ['$items.originalPrice', '$items.price'] },
+                            '$items.quantity'
+                        ]
+                    }
+                }
+            },
+            {
+                $group: {
+                    _id: '$cashierId',
+                    overrideCount: { $sum: 1 },
+                    totalAmountOff: { $sum: '$amountOff' },
+                    averagePercentOff: { $avg: '$percentOff' },
+                    approvedOverrides: {
+                        $sum: { $cond: [{ $in: ['$approvalMethod', ['pin', 'token']] }, 1, 0] }
+                    },
+                    overrides: {
+                        $push: {
+                            receiptNumber: '$receiptNumber',
+                            saleDate: '$saleDate',
+                            itemName: '$itemName',
+                            quantity: '$quantity',
+                            originalPrice: '$originalPrice',
+                            price: '$price',
+                            reasonCode: '$reasonCode',
+                            percentOff: '$percentOff',
+                            approvalMethod: '$approvalMethod',
+                            approvedBy: '$approvedBy'
+                        }
+                    }
+                }
+            },
+            {
+                $lookup: {
+                    from: 'users',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'cashier'
+                }
+            },
+            {
+                $unwind: { path: '$cashier', preserveNullAndEmptyArrays: true }
+            },
+            {
+                $project: {
+                    cashierId: '$_id',
+                    cashierName: { $concat: [{ $ifNull: ['$cashier.firstName', 'Unknown'] }, ' ', { $ifNull: ['$cashier.lastName', ''] }] },
+                    role: '$cashier.role',
+                    overrideCount: 1,
+                    totalAmountOff: { $round: ['$totalAmountOff', 2] },
+                    averagePercentOff: { $round: ['$averagePercentOff', 2] },
+                    approvedOverrides: 1,
+                    overrides: 1
+                }
+            },
+            { $sort: { totalAmountOff: -1 } }
+        ]);
+        
+        // Reason code breakdown across all cashiers
+        const byReason = {};
+        overrides.forEach(cashier => {
+            cashier.overrides.forEach(override => {
+                if (!byReason[override.reasonCode]) {
+                    byReason[override.reasonCode] = { reasonCode: override.reasonCode, count: 0, amountOff: 0 };
+                }
+                byReason[override.reasonCode].count += 1;
+                byReason[override.reasonCode].amountOff += (override.originalPrice - override.price) * override.quantity;
+            });
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                startDate: start,
+                endDate: end,
+                cashiers: overrides,
+                byReason: Object.values(byReason).sort((a, b) => b.amountOff - a.amountOff),
+                summary: {
+                    overrideCount: overrides.reduce((sum, cashier) => sum + cashier.overrideCount, 0),
+                    totalAmountOff: overrides.reduce((sum, cashier) => sum + cashier.totalAmountOff, 0)
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Price overrides report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate price overrides report',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/finance/reports/tenders - Takings by payment method, net of refunds
+router.get('/reports/tenders', auth, async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+        
+        // Default to today
+        const now = new Date();
+        const start = startDate ? new Date(startDate) : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const end = endDate ? new Date(endDate) : now;
+        
+        let scope;
+        if (req.user.role === 'manager') {
+            scope = { managerId: new mongoose.Types.ObjectId(req.user.id) };
+        } else if (req.user.role === 'cashier') {
+            scope = { cashierId: new mongoose.Types.ObjectId(req.user.id) };
+        } else {
+            scope = { userId: new mongoose.Types.ObjectId(req.user.id) };
+        }
+        Object.assign(scope, locationFilter(req));
+        
+        const Return = require('../models/Return');
+        
+        const [takings, refunds] = await Promise.all([
+            Sale.getTenderBreakdown(scope, { start, end }),
+            Return.aggregate([
+                { $match: { ...scope, returnDate: { $gte: start, $lte: end }, refundAmount: { $gt: 0 } } },
+                {
+                    $group: {
+                        _id: '$refundMethod',
+                        total: { $sum: '$refundAmount' },
+                        count: { $sum: 1 }
+                    }
+                }
+            ])
+        ]);
+        
+        // Points redeemed are a discount the shop gives, not money taken, so they are
+        // reported on their own and left out of the takings
+        const loyalty = takings.find(tender => tender._id === 'loyalty');
+        
+        const tenders = {};
+        takings.filter(tender => tender._id !== 'loyalty').forEach(tender => {
+            tenders[tender._id] = { method: tender._id, taken: tender.total, payments: tender.count, refunded: 0, refunds: 0 };
+        });
+        refunds.forEach(refund => {
+            if (!tenders[refund._id]) {
+                tenders[refund._id] = { method: refund._id, taken: 0, payments: 0, refunded: 0, refunds: 0 };
+            }
+            tenders[refund._id].refunded = refund.total;
+            tenders[refund._id].refunds = refund.count;
+        });
+        
+        const breakdown = Object.values(tenders)
+            .map(tender => ({ ...tender, net: tender.taken - tender.refunded }))
+            .sort((a, b) => b.net - a.net);
+        
+        res.json({
+            success: true,
+            data: {
+                startDate: start,
+                endDate: end,
+                tenders: breakdown,
+                loyaltyRedeemed: {
+                    amount: loyalty ? loyalty.total : 0,
+                    payments: loyalty ? loyalty.count : 0
+                },
+                summary: {
+                    taken: breakdown.reduce((sum, tender) => sum + tender.taken, 0),
+                    refunded: breakdown.reduce((sum, tender) => sum + tender.refunded, 0),
+                    net: breakdown.reduce((sum, tender) => sum + tender.net, 0)
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Tender report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate tender report',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/finance/reports/receivables - Outstanding customer balances with aging (Manager only)
+router.get('/reports/receivables', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only managers can access receivables reports'
+            });
+        }
+        
+        const Customer = require('../models/Customer');
+        const { AGING_BUCKETS, ageOpenSales } = require('../services/receivables');
+        
+        const openSales = await Sale.find({
+            managerId: req.user.id,
+            onAccount: true,
+            paymentStatus: { $in: ['pending', 'partial'] }
+        })
+            .select('customerId receiptNumber saleDate total paidAmount returnedAmount refundedAmount')
+            .sort({ saleDate: 1 });
+        
+        const salesByCustomer = {};
+        openSales.forEach(sale => {
+            const key = sale.customerId.toString();
+            (salesByCustomer[key] = salesByCustomer[key] || []).push(sale);
+        });
+        
+        const customers = await Customer.find({ _id: { $in: Object.keys(salesByCustomer) } })
+            .select('name businessName customerType phone creditAccount');
+        
+        const totals = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+        const accounts = customers.map(customer => {
+            const aging = ageOpenSales(salesByCustomer[customer._id.toString()]);
+            AGING_BUCKETS.forEach(bucket => {
+                totals[bucket.key] += aging.buckets[bucket.key];
+            });
+            return {
+                customerId: customer._id,
+                name: customer.fullName,
+                phone: customer.phone,
+                creditLimit: customer.creditAccount.creditLimit,
+                balance: customer.creditAccount.balance,
+                totalOutstanding: aging.totalOutstanding,
+                buckets: aging.buckets,
+                openSales: aging.sales.length
+            };
+        }).sort((a, b) => b.totalOutstanding - a.totalOutstanding);
+        
+        res.json({
+            success: true,
+            data: {
+                asOf: new Date(),
+                customers: accounts,
+                summary: {
+                    customerCount: accounts.length,
+                    totalOutstanding: accounts.reduce((sum, account) => sum + account.totalOutstanding, 0),
+                    buckets: totals
+                }
+            }
+        });
+        
+    } catch (error) {
+        console.error('Receivables report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate receivables report',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/finance/reports/products - Sales by product with a per-variant breakdown (Manager only)
+// Query: startDate, endDate (default last 30 days), locationId, limit
+router.get('/reports/products', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only managers can access product reports'
+            });
+        }
+        
+        const { startDate, endDate, limit = 50 } = req.query;
+        const end = endDate ? new Date(endDate) : new Date();
+        const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+        
+        const products = await Sale.aggregate([
+            {
+                $match: {
+                    managerId: new mongoose.Types.ObjectId(req.user.id),
+                    saleDate: { $gte: start, $lte: end },
+                    paymentStatus: { $ne: 'failed' },
+                    ...locationFilter(req)
+                }
+            },
+            { $unwind: '$items' },
+            {
+                $project: {
+                    product: { $ifNull: ['$items.parentItem', '$items.item'] },
+                    item: '$items.item',
+                    name: '$items.name',
+                    attributes: '$items.attributes',
+                    quantity: baseQuantity,
+                    revenue: '$items.subtotal'
+                }
+            },
+            // One row per variant first...
+            {
+                $group: {
+                    _id: { product: '$product', item: '$item' },
+                    name: { $first: '$name' },
+                    attributes: { $first: '$attributes' },
+                    quantity: { $sum: '$quantity' },
+                    revenue: { $sum: '$revenue' }
+                }
+            },
+            // ...then rolled up to the product
+            {
+                $group: {
+                    _id: '$_id.product',
+                    quantity: { $sum: '$quantity' },
+                    revenue: { $sum: '$revenue' },
+                    variants: {
+                        $push: {
+                            item: '$_id.item',
+                            name: '$name',
+                            attributes: '$attributes',
+                            quantity: '$quantity',
+                            revenue: '$revenue'
+                        }
+                    }
+                }
+            },
+            { $sort: { revenue: -1 } },
+            { $limit: parseInt(limit) },
+            {
+                $lookup: {
+                    from: 'items',
+                    localField: '_id',
+                    foreignField: '_id',
+                    as: 'product'
+                }
+            },
+            {
+                $project: {
+                    _id: 0,
+                    productId: '$_id',
+                    name: { $ifNull: [{ $arrayElemAt: ['$product.name', 0] }, { $arrayElemAt: ['$variants.name', 0] }] },
+                    category: { $arrayElemAt: ['$product.category', 0] },
+                    isParent: { $ifNull: [{ $arrayElemAt: ['$product.isParent', 0] }, false] },
+                    quantity: 1,
+                    revenue: 1,
+                    variants: 1
+                }
+            }
+        ]);
+        
+        // Plain items have a single "variant" that is the item itself
+        products.forEach(product => {
+            if (!product.isParent) {
+                delete product.variants;
+            } else {
+                product.variants.sort((a, b) => b.revenue - a.revenue);
+            }
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                period: { start, end },
+                products
+            }
+        });
+        
+    } catch (error) {
+        console.error('Product report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get product report',
+            error: error.message
+        });
+    }
+});
+
 // GET /api/finance/reports/sales - Get detailed sales report
 router.get('/reports/sales', auth, async (req, res) => {
     try {
@@ -1222,7 +1662,8 @@ router.get('/reports/sales', auth, async (req, res) => {
             {
                 $match: {
                     userId: new mongoose.Types.ObjectId(req.user.id),
-                    saleDate: { $gte: start, $lte: end }
+                    saleDate: { $gte: start, $lte: end },
+                    ...locationFilter(req)
                 }
             },
             {
@@ -1242,32 +1683,20 @@ router.get('/reports/sales', auth, async (req, res) => {
             }
         ]);
         
-        // Get payment method breakdown - use paidAmount for actual revenue
-        const paymentMethodBreakdown = await Sale.aggregate([
-            {
-                $match: {
-                    userId: new mongoose.Types.ObjectId(req.user.id),
-                    saleDate: { $gte: start, $lte: end }
-                }
-            },
-            {
-                $group: {
-                    _id: '$paymentMethod',
-                    total: { $sum: '$paidAmount' }, // Actual revenue
-                    count: { $sum: 1 }
-                }
-            },
-            {
-                $sort: { total: -1 }
-            }
-        ]);
+        // Get payment method breakdown from the tenders actually taken
+        const paymentMethodBreakdown = await Sale.getTenderBreakdown({
+            userId: new mongoose.Types.ObjectId(req.user.id),
+            saleDate: { $gte: start, $lte: end },
+            ...locationFilter(req)
+        });
         
         // Get category breakdown - use paidAmount for actual revenue
         const categoryBreakdown = await Sale.aggregate([
             {
                 $match: {
                     userId: new mongoose.Types.ObjectId(req.user.id),
-                    saleDate: { $gte: start, $lte: end }
+                    saleDate: { $gte: start, $lte: end },
+                    ...locationFilter(req)
                 }
             },
             { $unwind: '$items' },
@@ -1284,7 +1713,7 @@ router.get('/reports/sales', auth, async (req, res) => {
                 $group: {
                     _id: '$itemDetails.category',
                     total: { $sum: '$items.subtotal' },
-                    quantity: { $sum: '$items.quantity' },
+                    quantity: { $sum: baseQuantity },
                     count: { $sum: 1 }
                 }
             },
@@ -1322,7 +1751,7 @@ router.get('/reports/sales', auth, async (req, res) => {
 });
 
 // POST /api/finance/transactions - Create new transaction (expense/income)
-router.post('/transactions', auth, async (req, res) => {
+router.post('/transactions', auth, idempotency, async (req, res) => {
     try {
         const {
             type,
@@ -1506,7 +1935,7 @@ router.get('/trends', auth, async (req, res) => {
 });
 
 // DELETE /api/finance/transactions/:id - Delete transaction
-router.delete('/transactions/:id', auth, async (req, res) => {
+router.delete('/transactions/:id', auth, idempotency, async (req, res) => {
     try {
         const transaction = await Transaction.findOneAndUpdate(
             { _id: req.params.id, userId: req.user.id, isActive: true },
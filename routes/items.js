@@ -1,13 +1,29 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Item = require('../models/Item');
+const StockMovement = require('../models/StockMovement');
+const StockLot = require('../models/StockLot');
 const auth = require('../middleware/auth');
+const { recordMovement, setStock } = require('../services/stockLedger');
+const { resolveLocationId } = require('../services/locations');
+const { resolveUnit, parseQuantity, toBaseQuantity, normalizeUnits } = require('../services/units');
+const { normalizeLot, putIntoLots } = require('../services/lots');
+const { buildExpiringReport, writeOffExpiredLots } = require('../services/expiry');
+const { lookupBarcode, checkItemCodes } = require('../services/barcodes');
+const { createVariants, groupVariants } = require('../services/variants');
+const { resolveManagerId } = require('../services/receivables');
+const { publishItemUpdate } = require('../services/events');
+const { createHttpError, sendHttpError } = require('../utils/httpError');
 
 const router = express.Router();
 
+const UNIT_FIELDS = ['baseUnit', 'units', 'purchaseUnit'];
+
 // GET /api/items - Get all items for user (role-based)
+// Query: groupVariants=true nests variants under their parent product; parentId lists one product's variants
 router.get('/', auth, async (req, res) => {
     try {
-        const { page = 1, limit = 50, category, search, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
+        const { page = 1, limit = 50, category, search, parentId, groupVariants: group, sortBy = 'createdAt', sortOrder = 'desc' } = req.query;
         
         // Build query based on user role
         let query;
@@ -39,6 +55,10 @@ router.get('/', auth, async (req, res) => {
             ];
         }
         
+        if (parentId && mongoose.Types.ObjectId.isValid(parentId)) {
+            query.parentId = parentId;
+        }
+        
         // Execute query with pagination
         console.log('Items query:', JSON.stringify(query, null, 2));
         console.log('User info:', { id: req.user.id, role: req.user.role });
@@ -82,7 +102,7 @@ router.get('/', auth, async (req, res) => {
         
         res.json({
             success: true,
-            data: validItems, // Return only validated items
+            data: group === 'true' ? await groupVariants(validItems) : validItems, // Return only validated items
             pagination: {
                 page: parseInt(page),
                 limit: parseInt(limit),
@@ -176,6 +196,116 @@ router.get('/low-stock', auth, async (req, res) => {
     }
 });
 
+// GET /api/items/barcode/:code - Look up a scanned barcode (role-based)
+// Matches primary, extra and pack barcodes (UPC-A and EAN-13 forms alike) and reads
+// scale labels. Responds with the item and, where the code says so, unit and quantity.
+// NOTE: This route must come BEFORE /:id to avoid being matched as an ID
+router.get('/barcode/:code', auth, async (req, res) => {
+    try {
+        const managerId = await resolveManagerId(req.user);
+        const scan = await lookupBarcode(managerId, req.params.code);
+        const unit = resolveUnit(scan.item, scan.unit);
+
+        res.json({
+            success: true,
+            data: {
+                item: scan.item,
+                barcode: scan.code,
+                format: scan.format,
+                match: scan.match,
+                unit: unit.name,
+                unitFactor: unit.factor,
+                price: unit.price,
+                quantity: scan.scale ? scan.scale.quantity : 1,
+                amount: scan.scale?.amount,
+                scale: scan.scale
+            }
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Barcode lookup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to look up barcode',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/items/expiring - Lots expiring soon or already expired (role-based)
+// Query: days (default 30), locationId. Cashiers see their own location.
+// NOTE: This route must come BEFORE /:id to avoid being matched as an ID
+router.get('/expiring', auth, async (req, res) => {
+    try {
+        const days = req.query.days !== undefined ? parseInt(req.query.days) : 30;
+        if (isNaN(days) || days < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'days must be a non-negative whole number'
+            });
+        }
+
+        const managerId = await resolveManagerId(req.user);
+        const locationId = (req.query.locationId || req.user.role === 'cashier')
+            ? await resolveLocationId(req.user, managerId, req.query.locationId)
+            : undefined;
+
+        const report = await buildExpiringReport(managerId, { days, locationId });
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get expiring items error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get expiring items',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/items/expiring/write-off - Write off expired lots now (Manager only)
+// The same write-off also runs on a schedule for every shop (services/jobs.js, /api/cron).
+router.post('/expiring/write-off', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const result = await writeOffExpiredLots({
+            managerId: req.user.id,
+            userId: req.user.id,
+            deviceId: req.body.deviceId || req.header('X-Device-ID') || 'mobile-app'
+        });
+
+        res.json({
+            success: true,
+            data: result,
+            message: `${result.writtenOff.length} expired lot(s) written off`
+        });
+
+    } catch (error) {
+        console.error('Write off expired lots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to write off expired lots',
+            error: error.message
+        });
+    }
+});
+
 // GET /api/items/:id - Get single item (role-based)
 router.get('/:id', auth, async (req, res) => {
     try {
@@ -302,10 +432,18 @@ router.post('/', auth, async (req, res) => {
             brand,
             size,
             barcode,
+            barcodes, // Extra barcodes the item also scans as
+            plu, // Item code for scale-printed barcodes
             sku,
             stock,
             minStock,
-            deviceId
+            baseUnit,
+            units, // [{ name, factor, price?, barcode?, sellable? }] - factor is base units per unit
+            purchaseUnit,
+            lotNumber, // With expiryDate, holds the opening stock as a lot
+            expiryDate,
+            deviceId,
+            locationId // Where opening stock is held; defaults to the user's location
         } = req.body;
         
         // Validate required fields
@@ -372,6 +510,18 @@ router.post('/', auth, async (req, res) => {
             cashierId = null;
         }
 
+        const unitSetup = normalizeUnits({ baseUnit, units, purchaseUnit });
+        const codes = await checkItemCodes(managerId, { barcode, barcodes, units: unitSetup.units, plu });
+        const openingLot = lotNumber || expiryDate ? normalizeLot({ lotNumber, expiryDate, cost }) : null;
+        const stockLocationId = await resolveLocationId(req.user, managerId, locationId);
+        // Weighed items may open with part units, e.g. 2.5 kg
+        const openingStock = stock ? parseQuantity(stock, unitSetup) : 0;
+        if (isNaN(openingStock) || openingStock < 0) {
+            return res.status(400).json({
+                message: 'Stock must be a non-negative number'
+            });
+        }
+
         // Create new item
         const item = new Item({
             name: name.trim(),
@@ -380,17 +530,38 @@ router.post('/', auth, async (req, res) => {
             category: category.trim(),
             brand: brand?.trim(),
             size: size?.trim(),
-            barcode: barcode?.trim(),
+            barcode: codes.barcode,
+            barcodes: codes.barcodes,
+            plu: codes.plu,
             sku: sku?.trim(),
-            stock: stock ? parseInt(stock) : 0,
+            stock: openingStock,
+            locationStock: stockLocationId ? [{ location: stockLocationId, stock: openingStock }] : [],
             minStock: minStock ? parseInt(minStock) : 0,
+            expiryDate: openingLot?.expiryDate,
+            ...unitSetup,
             userId: req.user.id,
             managerId,
             cashierId,
             deviceId: deviceId || 'manual-entry'
         });
         
-        await item.save();
+        // The item, its opening lot and the opening movement are written together
+        await mongoose.connection.transaction(async (session) => {
+            await item.save({ session });
+
+            if (item.stock > 0) {
+                const lots = openingLot ? await putIntoLots(item, stockLocationId, [openingLot], item.stock, {}, session) : [];
+                await recordMovement(item, item.stock, 'adjustment', {
+                    lots,
+                    locationId: stockLocationId,
+                    reason: 'Opening stock',
+                    userId: req.user.id,
+                    deviceId: item.deviceId
+                }, session);
+            }
+
+            publishItemUpdate(item, 'created', session);
+        });
         
         res.status(201).json({
             success: true,
@@ -399,6 +570,9 @@ router.post('/', auth, async (req, res) => {
         });
         
     } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
         console.error('Create item error:', error);
         console.error('Error details:', {
             message: error.message,
@@ -419,7 +593,8 @@ router.put('/:id', auth, async (req, res) => {
         const updates = req.body;
         const allowedUpdates = [
             'name', 'price', 'cost', 'category', 'brand',
-            'size', 'barcode', 'sku', 'stock', 'minStock'
+            'size', 'barcode', 'barcodes', 'plu', 'sku', 'stock', 'minStock',
+            'baseUnit', 'units', 'purchaseUnit'
         ];
         
         // Filter allowed updates
@@ -487,13 +662,12 @@ router.put('/:id', auth, async (req, res) => {
             query = { _id: req.params.id, userId: req.user.id, isActive: true };
         }
 
-        const item = await Item.findOneAndUpdate(
-            query,
-            filteredUpdates,
-            { new: true, runValidators: true }
-        );
-        
-        if (!item) {
+        // Stock changes go through the ledger so they show up in the item's movements
+        const { stock, ...fieldUpdates } = filteredUpdates;
+
+        // Everything is checked against the item as it stands before anything is written
+        const current = await Item.findOne(query).select('baseUnit units purchaseUnit isParent managerId');
+        if (!current) {
             console.log('❌ [Update Item] Item not found:', {
                 itemId: req.params.id,
                 userId: req.user.id,
@@ -504,6 +678,72 @@ router.put('/:id', auth, async (req, res) => {
                 message: 'Item not found'
             });
         }
+
+        // Weighed items may hold part units
+        const newStock = stock !== undefined ? parseQuantity(stock, current) : undefined;
+        if (newStock !== undefined && (isNaN(newStock) || newStock < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Stock must be a non-negative number'
+            });
+        }
+
+        if (newStock !== undefined && current.isParent) {
+            return res.status(400).json({
+                success: false,
+                message: 'Products with variants hold no stock. Update the variants instead.'
+            });
+        }
+        const stockLocationId = newStock !== undefined
+            ? await resolveLocationId(req.user, current.managerId, updates.locationId)
+            : null;
+
+        // Units are checked as a whole, so fill in whatever the request left out.
+        // Renaming the base unit only relabels it; stock is not converted.
+        if (UNIT_FIELDS.some(field => fieldUpdates[field] !== undefined)) {
+            Object.assign(fieldUpdates, normalizeUnits({
+                baseUnit: fieldUpdates.baseUnit ?? current.baseUnit,
+                units: fieldUpdates.units ?? current.units,
+                purchaseUnit: fieldUpdates.purchaseUnit !== undefined ? fieldUpdates.purchaseUnit : current.purchaseUnit
+            }));
+        }
+
+        // Barcodes and PLU must stay unique across the manager's items
+        if (['barcode', 'barcodes', 'plu', 'units'].some(field => fieldUpdates[field] !== undefined)) {
+            Object.assign(fieldUpdates, await checkItemCodes(query.managerId || req.user.id, {
+                barcode: fieldUpdates.barcode,
+                barcodes: fieldUpdates.barcodes,
+                units: fieldUpdates.units,
+                plu: fieldUpdates.plu
+            }, req.params.id));
+        }
+
+        // The fields and the stock change are written together or not at all
+        const item = await mongoose.connection.transaction(async (session) => {
+            let updated = await Item.findOneAndUpdate(
+                query,
+                fieldUpdates,
+                { new: true, runValidators: true, session }
+            );
+            if (!updated) {
+                throw createHttpError(404, 'Item not found');
+            }
+
+            if (newStock !== undefined) {
+                updated = await setStock(updated, newStock, 'adjustment', {
+                    locationId: stockLocationId,
+                    reason: updates.stockReason || 'Item edit',
+                    userId: req.user.id,
+                    deviceId: updates.deviceId || req.header('X-Device-ID')
+                }, session);
+                if (!updated) {
+                    throw createHttpError(409, 'Stock changed while the item was being updated. Reload and try again.');
+                }
+            }
+
+            publishItemUpdate(updated, 'updated', session);
+            return updated;
+        });
         
         console.log('✅ [Update Item] Item updated successfully:', item._id);
         res.json({
@@ -513,6 +753,9 @@ router.put('/:id', auth, async (req, res) => {
         });
         
     } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
         console.error('Update item error:', error);
         res.status(500).json({
             success: false,
@@ -546,7 +789,7 @@ router.delete('/:id', auth, async (req, res) => {
 
         const item = await Item.findOneAndUpdate(
             query,
-            { isActive: false },
+            { isActive: false, lastSynced: new Date() },
             { new: true }
         );
         
@@ -556,6 +799,13 @@ router.delete('/:id', auth, async (req, res) => {
             });
         }
         
+        // Removing a product removes its variants with it
+        if (item.isParent) {
+            await Item.updateMany({ parentId: item._id, isActive: true }, { isActive: false, lastSynced: new Date() });
+        }
+
+        publishItemUpdate(item, 'deleted');
+        
         res.json({
             success: true,
             message: 'Item deleted successfully'
@@ -573,7 +823,8 @@ router.delete('/:id', auth, async (req, res) => {
 // POST /api/items/:id/stock - Update stock quantity
 router.post('/:id/stock', auth, async (req, res) => {
     try {
-        const { quantity, operation = 'set' } = req.body; // operation: 'set', 'add', 'subtract'
+        const { quantity, operation = 'set', reason, deviceId, locationId, unit: unitName } = req.body; // operation: 'set', 'add', 'subtract'
+        const { lotNumber, expiryDate, cost } = req.body; // Stock added with these is held as a lot
         
         if (quantity === undefined || quantity < 0) {
             return res.status(400).json({
@@ -608,29 +859,71 @@ router.post('/:id/stock', auth, async (req, res) => {
             });
         }
         
+        if (item.isParent) {
+            return res.status(400).json({
+                success: false,
+                message: 'Products with variants hold no stock. Update the variants instead.'
+            });
+        }
+        
+        // In a multi-location shop the operation applies to one location's level
+        const stockLocationId = await resolveLocationId(req.user, item.managerId, locationId);
+        const currentStock = item.stockAt(stockLocationId);
+
+        // Quantity may be given in any of the item's units, e.g. 2 cartons
+        const unit = resolveUnit(item, unitName);
+        const baseQuantity = toBaseQuantity(parseQuantity(quantity, item), unit);
+        if (isNaN(baseQuantity)) {
+            return res.status(400).json({
+                message: 'Valid quantity is required'
+            });
+        }
+
         // Update stock based on operation
+        let newStock;
         switch (operation) {
             case 'add':
-                item.stock += parseInt(quantity);
+                newStock = currentStock + baseQuantity;
                 break;
             case 'subtract':
-                item.stock = Math.max(0, item.stock - parseInt(quantity));
+                newStock = Math.max(0, currentStock - baseQuantity);
                 break;
             case 'set':
             default:
-                item.stock = parseInt(quantity);
+                newStock = baseQuantity;
                 break;
         }
         
-        await item.save();
+        const lot = lotNumber || expiryDate ? normalizeLot({ lotNumber, expiryDate, cost }) : undefined;
+        // Stock, lots and the movement commit together or not at all
+        const updated = await mongoose.connection.transaction((session) => setStock(item, newStock, 'adjustment', {
+            // A count set in cartons rarely moves stock by whole cartons, so only
+            // additions and removals are recorded in the unit they were entered in
+            unit: operation === 'add' || operation === 'subtract' ? unit : undefined,
+            lot,
+            locationId: stockLocationId,
+            reason,
+            userId: req.user.id,
+            deviceId: deviceId || req.header('X-Device-ID')
+        }, session));
+
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                message: 'Stock changed while it was being updated. Reload and try again.'
+            });
+        }
         
         res.json({
             success: true,
-            data: item,
+            data: updated,
             message: 'Stock updated successfully'
         });
         
     } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
         console.error('Update stock error:', error);
         res.status(500).json({
             message: 'Failed to update stock',
@@ -639,11 +932,243 @@ router.post('/:id/stock', auth, async (req, res) => {
     }
 });
 
+// GET /api/items/:id/movements - Stock movement history for an item (Manager only)
+// Query: type, locationId, startDate, endDate, page, limit
+router.get('/:id/movements', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { type, locationId, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+        const item = await Item.findOne({
+            _id: req.params.id,
+            $or: [{ managerId: req.user.id }, { userId: req.user.id }]
+        }).select('name sku stock locationStock');
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found'
+            });
+        }
+
+        const filter = {};
+        if (type) {
+            filter.type = type;
+        }
+        if (locationId && mongoose.Types.ObjectId.isValid(locationId)) {
+            filter.locationId = new mongoose.Types.ObjectId(locationId);
+        }
+        if (startDate || endDate) {
+            filter.movementDate = {};
+            if (startDate) filter.movementDate.$gte = new Date(startDate);
+            if (endDate) filter.movementDate.$lte = new Date(endDate);
+        }
+
+        const movements = await StockMovement.findByItem(item._id, filter)
+            .populate('userId', 'firstName lastName role')
+            .populate('locationId', 'name code')
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await StockMovement.countDocuments({ item: item._id, ...filter });
+
+        // Net change per movement type over the same period, e.g. adjustments show shrinkage
+        const summary = await StockMovement.aggregate([
+            { $match: { item: item._id, ...filter } },
+            {
+                $group: {
+                    _id: '$type',
+                    count: { $sum: 1 },
+                    quantity: { $sum: '$quantity' }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                item,
+                movements,
+                summary: summary.map(entry => ({
+                    type: entry._id,
+                    count: entry.count,
+                    quantity: entry.quantity
+                }))
+            },
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stock movements error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get stock movements',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/items/:id/lots - Lots of an item, first to expire first (role-based)
+// Query: locationId, includeEmpty=true to list used-up and written-off lots as well
+router.get('/:id/lots', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid item ID format'
+            });
+        }
+
+        const managerId = await resolveManagerId(req.user);
+        const item = await Item.findOne({ _id: req.params.id, managerId, isActive: true })
+            .select('name sku stock locationStock baseUnit expiryDate');
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found'
+            });
+        }
+
+        const query = { item: item._id };
+        if (req.query.locationId) {
+            if (!mongoose.Types.ObjectId.isValid(req.query.locationId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid location ID format'
+                });
+            }
+            query.locationId = req.query.locationId;
+        }
+        if (req.query.includeEmpty !== 'true') {
+            query.quantity = { $gt: 0 };
+        }
+
+        const lots = await StockLot.find(query)
+            .populate('locationId', 'name code')
+            .sort({ expiryDate: 1, receivedDate: 1 });
+
+        const inLots = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+        const stock = item.stockAt(req.query.locationId);
+
+        res.json({
+            success: true,
+            data: {
+                item,
+                lots,
+                stock,
+                inLots,
+                // Stock received without a lot number or expiry date
+                untracked: Math.max(0, stock - inLots)
+            }
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get item lots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get item lots',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/items/:id/variants - Get a product with its variants (role-based)
+router.get('/:id/variants', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid item ID format'
+            });
+        }
+
+        const managerId = await resolveManagerId(req.user);
+        const item = await Item.findOne({ _id: req.params.id, managerId, isActive: true });
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found'
+            });
+        }
+
+        // Asking for a variant returns its whole product
+        const [product] = await groupVariants([item]);
+
+        res.json({
+            success: true,
+            data: product
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get variants error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get variants',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/items/:id/variants - Add variants to a product (role-based)
+// Body: { variantAttributes: ['size', 'colour'] (first time only),
+//         variants: [{ attributes: { size, colour }, sku, barcode, price, cost, stock, minStock }],
+//         locationId, deviceId }
+router.post('/:id/variants', auth, async (req, res) => {
+    try {
+        const { parent, variants } = await createVariants(req.user, req.params.id, {
+            ...req.body,
+            deviceId: req.body.deviceId || req.header('X-Device-ID')
+        });
+
+        variants.forEach(variant => publishItemUpdate(variant, 'created'));
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...parent.toJSON(),
+                variants
+            },
+            message: `${variants.length} variant(s) created successfully`
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Create variants error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create variants',
+            error: error.message
+        });
+    }
+});
+
 // GET /api/items/search/:query - Search items
 router.get('/search/:query', auth, async (req, res) => {
     try {
         const { query } = req.params;
-        const { limit = 20 } = req.query;
+        const { limit = 20, groupVariants: group } = req.query;
         
         if (!query || query.trim().length < 2) {
             return res.status(400).json({
@@ -674,10 +1199,13 @@ router.get('/search/:query', auth, async (req, res) => {
         
         console.log('Search results:', items.map(item => ({ id: item._id, name: item.name })));
         
+        // With groupVariants=true a match on any variant returns the whole product
+        const data = group === 'true' ? await groupVariants(items) : items;
+        
         res.json({
             success: true,
-            data: items,
-            count: items.length
+            data,
+            count: data.length
         });
         
     } catch (error) {
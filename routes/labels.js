@@ -0,0 +1,140 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { renderBarcode, ensureBarcodes, buildLabelSheet } = require('../services/labels');
+const { resolveManagerId } = require('../services/receivables');
+const { normalizeBarcode } = require('../utils/barcode');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+const sendBarcode = (res, output, body) => {
+    res.set('Content-Type', output === 'svg' ? 'image/svg+xml' : 'image/png');
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.send(body);
+};
+
+// Query: format (ean13, ean8, upca, code128, qrcode), output (png, svg), scale, height
+const barcodeOptions = (query) => ({
+    symbology: query.format,
+    output: query.output === 'svg' ? 'svg' : 'png',
+    scale: query.scale ? Math.min(Math.max(parseInt(query.scale) || 3, 1), 10) : undefined,
+    height: query.height ? Math.min(Math.max(parseInt(query.height) || 12, 5), 50) : undefined,
+    includeText: query.text !== 'false'
+});
+
+// GET /api/labels/barcode - Render any code as a barcode image (role-based)
+// Query: code (required), plus the barcode options above
+router.get('/barcode', auth, async (req, res) => {
+    try {
+        const code = normalizeBarcode(req.query.code);
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'code is required'
+            });
+        }
+
+        const options = barcodeOptions(req.query);
+        const body = await renderBarcode(code, options);
+        sendBarcode(res, options.output, body);
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Render barcode error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to render barcode',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/labels/items/:id/barcode - Render an item's barcode (role-based)
+// Items without a barcode are given an internal EAN-13 (prefix 20) first.
+router.get('/items/:id/barcode', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid item ID format'
+            });
+        }
+
+        const managerId = await resolveManagerId(req.user);
+        const item = await Item.findOne({ _id: req.params.id, managerId, isActive: true });
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found'
+            });
+        }
+
+        await ensureBarcodes([item]);
+
+        const options = barcodeOptions(req.query);
+        const body = await renderBarcode(item.barcode, options);
+        res.set('X-Barcode', item.barcode);
+        sendBarcode(res, options.output, body);
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Render item barcode error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to render item barcode',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/labels/sheet - Printable shelf labels (role-based)
+// Body: { itemIds? | category?, format: 'pdf' | 'svg', symbology?, copies?, showPrice?,
+//         layout?: { pageSize: 'A4' | 'LETTER', columns, rows, margin, gap } }
+// Without itemIds or category every active item is labelled. Items without a
+// barcode are given an internal EAN-13 first; X-Barcodes-Assigned says how many.
+router.post('/sheet', auth, async (req, res) => {
+    try {
+        const { itemIds } = req.body;
+        if (itemIds !== undefined && (!Array.isArray(itemIds) || itemIds.some(id => !mongoose.Types.ObjectId.isValid(id)))) {
+            return res.status(400).json({
+                success: false,
+                message: 'itemIds must be an array of item IDs'
+            });
+        }
+
+        const managerId = await resolveManagerId(req.user);
+        const manager = await User.findById(managerId).select('currency preferences');
+
+        const sheet = await buildLabelSheet(managerId, {
+            ...req.body,
+            currency: manager?.preferences?.currency || manager?.currency || 'NGN'
+        });
+
+        res.set('Content-Type', sheet.contentType);
+        res.set('Content-Disposition', `inline; filename="labels.${req.body.format === 'svg' ? 'svg' : 'pdf'}"`);
+        res.set('X-Label-Count', String(sheet.labels));
+        res.set('X-Barcodes-Assigned', String(sheet.assigned.length));
+        res.send(sheet.body);
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Build label sheet error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build label sheet',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,278 @@
+const express = require('express');
+const Location = require('../models/Location');
+const Item = require('../models/Item');
+const User = require('../models/User');
+const StockTransfer = require('../models/StockTransfer');
+const auth = require('../middleware/auth');
+const { createLocation, setDefaultLocation, findLocation } = require('../services/locations');
+const { resolveManagerId } = require('../services/receivables');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// GET /api/locations - Get all locations (role-based)
+router.get('/', auth, async (req, res) => {
+    try {
+        const managerId = await resolveManagerId(req.user);
+        const locations = await Location.findByManager(managerId).select('-__v');
+
+        res.json({
+            success: true,
+            data: locations
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get locations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get locations',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/locations/:id/stock - Stock held at a location (Manager only)
+// Query: lowStock=true to list only items at or below minStock
+router.get('/:id/stock', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const location = await findLocation(req.params.id, req.user.id);
+
+        const items = await Item.find({
+            managerId: req.user.id,
+            isActive: true,
+            'locationStock.location': location._id
+        }).select('name sku barcode category cost minStock stock locationStock').sort({ name: 1 });
+
+        let levels = items.map(item => ({
+            item: item._id,
+            name: item.name,
+            sku: item.sku,
+            category: item.category,
+            stock: item.stockAt(location._id),
+            totalStock: item.stock,
+            minStock: item.minStock,
+            value: item.stockAt(location._id) * (item.cost || 0)
+        }));
+
+        if (req.query.lowStock === 'true') {
+            levels = levels.filter(level => level.stock <= level.minStock);
+        }
+
+        const incoming = await StockTransfer.countDocuments({
+            managerId: req.user.id,
+            toLocationId: location._id,
+            status: 'in_transit'
+        });
+
+        res.json({
+            success: true,
+            data: {
+                location,
+                items: levels,
+                totalUnits: levels.reduce((sum, level) => sum + level.stock, 0),
+                totalValue: levels.reduce((sum, level) => sum + level.value, 0),
+                incomingTransfers: incoming
+            }
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get location stock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get location stock',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/locations - Create location (Manager only)
+// The first location becomes the default and takes over all existing stock.
+router.post('/', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const location = await createLocation(req.user, {
+            ...req.body,
+            deviceId: req.body.deviceId || req.header('X-Device-ID')
+        });
+
+        res.status(201).json({
+            success: true,
+            data: location,
+            message: 'Location created successfully'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Create location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create location',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/locations/:id - Update location (Manager only)
+router.put('/:id', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { name, code, address, phone } = req.body;
+
+        const location = await findLocation(req.params.id, req.user.id);
+
+        if (name !== undefined && !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location name cannot be empty'
+            });
+        }
+
+        location.name = name ? name.trim() : location.name;
+        location.code = code !== undefined ? code?.trim() : location.code;
+        location.address = address || location.address;
+        location.phone = phone !== undefined ? phone?.trim() : location.phone;
+
+        await location.save();
+
+        res.json({
+            success: true,
+            data: location,
+            message: 'Location updated successfully'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Update location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update location',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/locations/:id/default - Make a location the default (Manager only)
+router.post('/:id/default', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const location = await setDefaultLocation(req.user, req.params.id);
+
+        res.json({
+            success: true,
+            data: location,
+            message: `${location.name} is now the default location`
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Set default location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to set default location',
+            error: error.message
+        });
+    }
+});
+
+// DELETE /api/locations/:id - Soft delete location (Manager only)
+// Only an empty location with no cashiers and no transfers in transit can be removed.
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const location = await findLocation(req.params.id, req.user.id);
+
+        if (location.isDefault) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot delete the default location. Make another location the default first.'
+            });
+        }
+
+        const locationId = location._id;
+        const [stocked, cashiers, transfers] = await Promise.all([
+            Item.countDocuments({
+                managerId: req.user.id,
+                locationStock: { $elemMatch: { location: locationId, stock: { $gt: 0 } } }
+            }),
+            User.countDocuments({ managerId: req.user.id, locationId, isActive: true }),
+            StockTransfer.countDocuments({
+                status: 'in_transit',
+                $or: [{ fromLocationId: locationId }, { toLocationId: locationId }]
+            })
+        ]);
+
+        if (stocked > 0 || cashiers > 0 || transfers > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Location still holds stock, has cashiers assigned or has transfers in transit',
+                stockedItems: stocked,
+                cashiers,
+                transfersInTransit: transfers
+            });
+        }
+
+        location.isActive = false;
+        await location.save();
+
+        res.json({
+            success: true,
+            message: 'Location deleted successfully'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Delete location error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete location',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,290 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const auth = require('../middleware/auth');
+const {
+    createPurchaseOrder,
+    updatePurchaseOrder,
+    sendPurchaseOrder,
+    cancelPurchaseOrder,
+    receivePurchaseOrder
+} = require('../services/purchasing');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+
+// GET /api/purchase-orders - List purchase orders (Manager only)
+// Query: status, supplierId, page, limit
+router.get('/', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { status, supplierId, page = 1, limit = 50 } = req.query;
+
+        const query = { managerId: req.user.id };
+
+        if (status) {
+            if (!PURCHASE_ORDER_STATUSES.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Status must be one of: ${PURCHASE_ORDER_STATUSES.join(', ')}`
+                });
+            }
+            query.status = status;
+        }
+
+        if (supplierId) {
+            if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid supplier ID format'
+                });
+            }
+            query.supplierId = supplierId;
+        }
+
+        const orders = await PurchaseOrder.find(query)
+            .populate('supplierId', 'name phone')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await PurchaseOrder.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: orders,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get purchase orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get purchase orders',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/purchase-orders/:id - Get single purchase order (Manager only)
+router.get('/:id', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid purchase order ID format'
+            });
+        }
+
+        const order = await PurchaseOrder.findOne({ _id: req.params.id, managerId: req.user.id })
+            .populate('supplierId', 'name contactName phone email paymentTermsDays')
+            .populate('lines.item', 'name sku stock cost')
+            .populate('receipts.receivedBy', 'firstName lastName');
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Purchase order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: order
+        });
+
+    } catch (error) {
+        console.error('Get purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get purchase order',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/purchase-orders - Create a draft purchase order (Manager only)
+// Body: { supplierId, lines: [{ itemId, quantity, unitCost }], tax, expectedDate, notes }
+router.post('/', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const order = await createPurchaseOrder(req.user, req.body);
+
+        res.status(201).json({
+            success: true,
+            data: order,
+            message: 'Purchase order created successfully'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Create purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create purchase order',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/purchase-orders/:id - Edit a draft purchase order (Manager only)
+router.put('/:id', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const order = await updatePurchaseOrder(req.user, req.params.id, req.body);
+
+        res.json({
+            success: true,
+            data: order,
+            message: 'Purchase order updated successfully'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Update purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update purchase order',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/purchase-orders/:id/send - Mark a draft as sent to the supplier (Manager only)
+router.post('/:id/send', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const order = await sendPurchaseOrder(req.user, req.params.id);
+
+        res.json({
+            success: true,
+            data: order,
+            message: 'Purchase order marked as sent'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Send purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send purchase order',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/purchase-orders/:id/receive - Receive a delivery (Manager only)
+// Body: { lines?: [{ lineId | itemId, quantity, unitCost?, lotNumber?, expiryDate? }], paymentMethod, notes }
+// Without lines everything still outstanding is received.
+router.post('/:id/receive', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { order, expense } = await receivePurchaseOrder(req.user, req.params.id, {
+            ...req.body,
+            deviceId: req.body.deviceId || req.header('X-Device-ID')
+        });
+
+        res.json({
+            success: true,
+            data: order,
+            expense,
+            message: order.status === 'received'
+                ? 'Purchase order received in full'
+                : 'Delivery received. Purchase order is partially received.'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Receive purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to receive purchase order',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/purchase-orders/:id/cancel - Cancel an open purchase order (Manager only)
+router.post('/:id/cancel', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const order = await cancelPurchaseOrder(req.user, req.params.id, req.body.reason);
+
+        res.json({
+            success: true,
+            data: order,
+            message: 'Purchase order cancelled'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Cancel purchase order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel purchase order',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
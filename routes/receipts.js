@@ -0,0 +1,138 @@
+const express = require('express');
+const ReceiptBlock = require('../models/ReceiptBlock');
+const ReceiptSequence = require('../models/ReceiptSequence');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { reserveBlock, releaseBlock, renderSequence } = require('../services/receiptNumbers');
+const { resolveManagerId } = require('../services/receivables');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// A block with its first and last receipt numbers written out
+const formatBlock = (block) => ({
+    ...block.toJSON(),
+    firstNumber: renderSequence(block.template, block.start),
+    lastNumber: renderSequence(block.template, block.end)
+});
+
+// POST /api/receipts/blocks - Reserve receipt numbers for a device to use offline (role-based)
+// Body: { deviceId, size? (default 100, max 1000) }
+// The device numbers its offline sales from the block's template with {seq} = start,
+// start + 1... end, in order, and asks for a new block before it runs out.
+router.post('/blocks', auth, idempotency, async (req, res) => {
+    try {
+        const block = await reserveBlock(req.user, {
+            deviceId: req.body.deviceId || req.header('X-Device-ID'),
+            size: req.body.size
+        });
+
+        res.status(201).json({
+            success: true,
+            data: formatBlock(block),
+            message: `Reserved ${block.size} receipt numbers`
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Reserve receipt block error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reserve receipt numbers',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/receipts/blocks - List reserved blocks (role-based)
+// Query: deviceId, status (active, released)
+router.get('/blocks', auth, async (req, res) => {
+    try {
+        const managerId = await resolveManagerId(req.user);
+        const query = { managerId };
+        if (req.query.deviceId) {
+            query.deviceId = req.query.deviceId;
+        }
+        if (req.query.status) {
+            query.status = req.query.status;
+        }
+
+        const blocks = await ReceiptBlock.find(query).sort({ createdAt: -1 }).limit(200);
+
+        res.json({
+            success: true,
+            data: blocks.map(formatBlock)
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get receipt blocks error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get receipt blocks',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/receipts/blocks/:id/release - Give up the rest of a block (role-based)
+// Body: { lastUsed? } - the last sequence number the device used; later ones are voided
+router.post('/blocks/:id/release', auth, async (req, res) => {
+    try {
+        const block = await releaseBlock(req.user, req.params.id, req.body);
+
+        res.json({
+            success: true,
+            data: formatBlock(block),
+            message: 'Receipt block released'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Release receipt block error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to release receipt block',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/receipts/sequences - Receipt number series and how far each has got (Manager only)
+// For audits: store series are gap-free up to last; device series are accounted for
+// by their blocks (used, still active, or voided on release).
+router.get('/sequences', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const sequences = await ReceiptSequence.find({ managerId: req.user.id, series: { $ne: 'devices' } })
+            .select('series last deviceId deviceCode updatedAt')
+            .sort({ series: 1 });
+
+        res.json({
+            success: true,
+            data: sequences
+        });
+
+    } catch (error) {
+        console.error('Get receipt sequences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get receipt sequences',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -2,18 +2,19 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const mongoose = require('mongoose');
 const Sale = require('../models/Sale');
-const Item = require('../models/Item');
+const Return = require('../models/Return');
 const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { checkout } = require('../services/checkout');
+const { processReturn, refundSale, saleScope } = require('../services/returns');
+const { normalizePayments } = require('../services/payments');
+const { saleOutstanding, takeSalePayment, markSaleCompleted } = require('../services/receivables');
+const { pushChanges } = require('../services/sync');
+const { buildReceipt, renderReceipt, sendReceipt } = require('../services/receipts');
+const { sendHttpError } = require('../utils/httpError');
 
 const router = express.Router();
 
-// Generate unique receipt number
-const generateReceiptNumber = () => {
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
-    return `${timestamp}${random}`;
-};
-
 // GET /api/sales - Get all sales/transactions
 router.get('/', auth, async (req, res) => {
     try {
@@ -313,6 +314,9 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // GET /api/sales/receipt/:receiptNumber - Get sale by receipt number
+// Query: format (json by default; html, pdf, text or escpos renders the receipt),
+//        template (basic, detailed, minimal; the manager's preference by default),
+//        paper (58 or 80 mm, default 80)
 router.get('/receipt/:receiptNumber', auth, async (req, res) => {
     try {
         const { receiptNumber } = req.params;
@@ -339,12 +343,23 @@ router.get('/receipt/:receiptNumber', auth, async (req, res) => {
             });
         }
         
+        const { format = 'json', template, paper } = req.query;
+        if (format !== 'json') {
+            const rendered = await renderReceipt(await buildReceipt(sale), { format, template, paper });
+            res.set('Content-Type', rendered.contentType);
+            res.set('Content-Disposition', `${format === 'escpos' ? 'attachment' : 'inline'}; filename="${rendered.filename}"`);
+            return res.send(rendered.body);
+        }
+        
         res.json({
             success: true,
             data: sale
         });
         
     } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
         console.error('Get sale by receipt error:', error);
         res.status(500).json({
             success: false,
@@ -415,281 +430,27 @@ router.get('/daily/:date', auth, async (req, res) => {
 });
 
 // POST /api/sales/checkout - Create new sale (checkout)
-router.post('/checkout', auth, async (req, res) => {
+// Runs in a single MongoDB transaction: either every line's stock is taken and the sale is
+// stored, or nothing changes.
+router.post('/checkout', auth, idempotency, async (req, res) => {
     try {
-        const {
-            items,
-            total,
-            paidAmount,
-            change,
-            paymentMethod = 'cash',
-            cashierId,
-            receiptNumber,
-            // Legacy fields for backward compatibility
-            tax = 0,
-            discount = 0,
-            customerName,
-            customerPhone,
-            customerEmail,
-            customerId, // Customer ID for linking to customer record
-            notes,
-            deviceId
-        } = req.body;
-        
-        // Validate items
-        if (!items || !Array.isArray(items) || items.length === 0) {
-            return res.status(400).json({
-                message: 'At least one item is required'
-            });
-        }
-        
-        // Validate required fields
-        if (total === undefined || paidAmount === undefined) {
-            return res.status(400).json({
-                message: 'Total and paidAmount are required'
-            });
-        }
-        
-        // Validate and process each item
-        const saleItems = [];
-        let calculatedSubtotal = 0;
-        
-        console.log('Processing items:', items);
-        console.log('User ID:', req.user.id);
-        
-        for (const saleItem of items) {
-            const { productId, name, price, quantity, subtotal } = saleItem;
-            
-            console.log('Processing item:', { productId, name, price, quantity, subtotal });
-            console.log('ProductId type:', typeof productId);
-            console.log('ProductId length:', productId?.length);
-            console.log('Is valid ObjectId?', mongoose.Types.ObjectId.isValid(productId));
-            
-            if (!productId || !quantity || quantity <= 0) {
-                console.log('Validation failed: missing productId or invalid quantity');
-                return res.status(400).json({
-                    message: 'Each item must have valid productId and quantity'
-                });
-            }
-            
-            // Validate productId is a valid MongoDB ObjectId
-            if (!mongoose.Types.ObjectId.isValid(productId)) {
-                console.log('Invalid ObjectId:', productId);
-                return res.status(400).json({
-                    message: `Invalid product ID format: ${productId}`
-                });
-            }
-            
-            // CRITICAL FIX: Find item by ID first, then check access
-            // DO NOT filter by userId in the query - we need to check manager-cashier relationship
-            const item = await Item.findOne({
-                _id: productId,
-                isActive: true
-            });
-            
-            console.log('Found item:', item ? { id: item._id, name: item.name, userId: item.userId, managerId: item.managerId } : 'null');
-            
-            if (!item) {
-                console.log('Item not found in database:', productId);
-                return res.status(400).json({
-                    success: false,
-                    message: `Item with ID ${productId} not found`,
-                    productId: productId
-                });
-            }
-            
-            // Verify access based on manager-cashier relationship
-            const User = require('../models/User');
-            let hasAccess = false;
-            
-            if (req.user.role === 'manager') {
-                // Manager can access:
-                // 1. Items they created (item.userId === userId)
-                // 2. Items created by their cashiers (item.userId in cashierIds)
-                // 3. Items with managerId matching their id (item.managerId === userId)
-                const cashiers = await User.find({ managerId: req.user.id }).select('_id');
-                const cashierIds = cashiers.map(c => c._id.toString());
-                
-                hasAccess = 
-                    item.userId.toString() === req.user.id ||
-                    item.managerId.toString() === req.user.id ||
-                    cashierIds.includes(item.userId.toString());
-                    
-                console.log('Manager access check:', {
-                    itemName: item.name,
-                    itemUserId: item.userId.toString(),
-                    itemManagerId: item.managerId.toString(),
-                    userId: req.user.id,
-                    cashierIds,
-                    hasAccess
-                });
-            } else if (req.user.role === 'cashier') {
-                // CRITICAL FIX: Cashier can access:
-                // 1. Items they created (item.userId === userId)
-                // 2. Items created by their manager (item.userId === managerId)
-                // 3. Items with managerId matching their manager (item.managerId === managerId)
-                const cashier = await User.findById(req.user.id);
-                if (!cashier || !cashier.managerId) {
-                    console.error('Cashier not properly linked to manager:', {
-                        cashierId: req.user.id,
-                        hasCashier: !!cashier,
-                        managerId: cashier?.managerId
-                    });
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Cashier not properly linked to a manager. Please contact support.',
-                        productId: productId
-                    });
-                }
-                const managerId = cashier.managerId.toString();
-                
-                hasAccess = 
-                    item.userId.toString() === req.user.id ||
-                    item.userId.toString() === managerId ||
-                    item.managerId.toString() === managerId;
-                    
-                console.log('Cashier access check:', {
-                    itemName: item.name,
-                    itemUserId: item.userId.toString(),
-                    itemManagerId: item.managerId.toString(),
-                    userId: req.user.id,
-                    managerId,
-                    hasAccess,
-                    check1: item.userId.toString() === req.user.id,
-                    check2: item.userId.toString() === managerId,
-                    check3: item.managerId.toString() === managerId
-                });
-            } else {
-                // Fallback: only own items
-                hasAccess = item.userId.toString() === req.user.id;
-            }
-            
-            if (!hasAccess) {
-                console.error('Access denied to item:', {
-                    productId,
-                    itemName: item.name,
-                    userId: req.user.id,
-                    userRole: req.user.role,
-                    itemUserId: item.userId.toString(),
-                    itemManagerId: item.managerId.toString()
-                });
-                return res.status(403).json({
-                    success: false,
-                    message: `Access denied to item: ${item.name}`,
-                    productId: productId
-                });
-            }
-            
-            // Check stock availability
-            if (item.stock < quantity) {
-                return res.status(400).json({
-                    message: `Insufficient stock for item "${item.name}". Available: ${item.stock}, Requested: ${quantity}`
-                });
-            }
-            
-            // Use provided price or item price
-            const itemPrice = price || item.price;
-            const itemSubtotal = subtotal || (itemPrice * quantity);
-            
-            saleItems.push({
-                item: item._id,
-                name: name || item.name,
-                price: itemPrice,
-                quantity,
-                subtotal: itemSubtotal
-            });
-            
-            calculatedSubtotal += itemSubtotal;
-            
-            // Update item stock
-            item.stock -= quantity;
-            await item.save();
-        }
-        
-        // Determine managerId and cashierId based on user role
-        let managerId, finalCashierId;
-        if (req.user.role === 'manager') {
-            managerId = req.user.id;
-            finalCashierId = cashierId || null;
-        } else if (req.user.role === 'cashier') {
-            // For cashiers, get their managerId from their user record
-            const User = require('../models/User');
-            const cashier = await User.findById(req.user.id);
-            if (!cashier || !cashier.managerId) {
-                return res.status(400).json({
-                    message: 'Cashier not properly linked to a manager'
-                });
-            }
-            managerId = cashier.managerId;
-            finalCashierId = req.user.id;
-        }
-
-        // Calculate totals
-        const finalTotal = total || calculatedSubtotal;
-        const finalPaidAmount = paidAmount || 0;
-        const finalChange = change || Math.max(0, finalPaidAmount - finalTotal);
-        
-        // Determine payment status
-        let paymentStatus = 'completed';
-        if (finalPaidAmount < finalTotal) {
-            paymentStatus = 'partial';
-        } else if (finalPaidAmount === 0) {
-            paymentStatus = 'pending';
-        }
-
-        // Validate customerId if provided
-        let finalCustomerId = null;
-        if (customerId) {
-            if (!mongoose.Types.ObjectId.isValid(customerId)) {
-                return res.status(400).json({
-                    message: 'Invalid customer ID format'
-                });
-            }
-            finalCustomerId = new mongoose.Types.ObjectId(customerId);
-        }
-
-        // Create sale record
-        const sale = new Sale({
-            receiptNumber: receiptNumber || generateReceiptNumber(),
-            items: saleItems,
-            subtotal: calculatedSubtotal,
-            total: finalTotal,
-            tax: parseFloat(tax) || 0,
-            discount: parseFloat(discount) || 0,
-            paymentMethod,
-            paidAmount: finalPaidAmount,
-            change: finalChange,
-            paymentStatus,
-            customerName: customerName?.trim(),
-            customerPhone: customerPhone?.trim(),
-            customerEmail: customerEmail?.trim(),
-            customerId: finalCustomerId, // Link to customer record
-            notes: notes?.trim(),
-            userId: req.user.id,
-            managerId,
-            cashierId: finalCashierId,
-            deviceId: deviceId || 'mobile-app',
-            saleDate: new Date()
-        });
-        
-        await sale.save();
+        const sale = await checkout(req.user, req.body);
         
         // Populate item details for response
         await sale.populate('items.item', 'name category brand');
         await sale.populate('cashierId', 'firstName lastName role');
         await sale.populate('managerId', 'firstName lastName role');
         
-        const response = {
+        res.status(201).json({
             success: true,
             data: sale,
             message: 'Transaction completed successfully'
-        };
-        
-        console.log('Sending checkout response:', response);
-        
-        res.status(201).json(response);
+        });
         
     } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
         console.error('Checkout error:', error);
         res.status(500).json({
             message: 'Checkout failed',
@@ -699,62 +460,116 @@ router.post('/checkout', auth, async (req, res) => {
 });
 
 // PUT /api/sales/:id/refund - Refund a sale
-router.put('/:id/refund', auth, async (req, res) => {
+// Returns every line not yet returned and restocks it; partial returns use POST /:id/returns.
+router.put('/:id/refund', auth, idempotency, async (req, res) => {
     try {
-        const { reason } = req.body;
+        const { reason, refundMethod, refundReference, deviceId, locationId } = req.body;
+        
+        const { sale, saleReturn } = await refundSale(req.user, req.params.id, {
+            reason,
+            refundMethod,
+            refundReference,
+            deviceId,
+            locationId
+        });
         
-        // Build query based on user role
-        let query = { 
-            _id: req.params.id,
-            paymentStatus: 'completed'
-        };
-        if (req.user.role === 'manager') {
-            query.managerId = req.user.id;
-        } else if (req.user.role === 'cashier') {
-            query.cashierId = req.user.id;
-        } else {
-            query.userId = req.user.id;
+        res.json({
+            success: true,
+            data: sale,
+            return: saleReturn,
+            message: 'Sale refunded successfully'
+        });
+        
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Refund sale error:', error);
+        res.status(500).json({
+            message: 'Failed to refund sale',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/sales/:id/returns - Return selected lines and quantities of a sale
+// Body: { lines: [{ saleItemId | productId, quantity, restock }], refundMethod, refundReference, reason, deviceId, locationId }
+router.post('/:id/returns', auth, idempotency, async (req, res) => {
+    try {
+        const { sale, saleReturn } = await processReturn(req.user, req.params.id, req.body);
+        
+        res.status(201).json({
+            success: true,
+            data: saleReturn,
+            sale,
+            message: sale.returnStatus === 'full'
+                ? 'Sale fully returned'
+                : 'Return recorded successfully'
+        });
+        
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
         }
+        console.error('Create return error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process return',
+            error: error.message
+        });
+    }
+});
 
-        const sale = await Sale.findOne(query);
+// GET /api/sales/:id/returns - List returns recorded against a sale
+router.get('/:id/returns', auth, async (req, res) => {
+    try {
+        const sale = await Sale.findOne({ _id: req.params.id, ...saleScope(req.user) })
+            .select('receiptNumber items returnStatus returnedAmount refundedAmount');
         
         if (!sale) {
             return res.status(404).json({
-                message: 'Sale not found or cannot be refunded'
+                success: false,
+                message: 'Sale not found'
             });
         }
         
-        // Update sale status
-        sale.paymentStatus = 'refunded';
-        sale.notes = sale.notes ? `${sale.notes}\nRefund Reason: ${reason}` : `Refund Reason: ${reason}`;
-        await sale.save();
-        
-        // Restore item stock
-        for (const saleItem of sale.items) {
-            const item = await Item.findById(saleItem.item);
-            if (item) {
-                item.stock += saleItem.quantity;
-                await item.save();
-            }
-        }
+        const returns = await Return.findBySale(sale._id)
+            .populate('userId', 'firstName lastName role');
         
         res.json({
             success: true,
-            data: sale,
-            message: 'Sale refunded successfully'
+            data: returns,
+            summary: {
+                receiptNumber: sale.receiptNumber,
+                returnStatus: sale.returnStatus,
+                returnedAmount: sale.returnedAmount,
+                refundedAmount: sale.refundedAmount,
+                lines: sale.items.map(line => ({
+                    saleItemId: line._id,
+                    item: line.item,
+                    name: line.name,
+                    quantity: line.quantity,
+                    returnedQuantity: line.returnedQuantity,
+                    returnable: line.quantity - line.returnedQuantity
+                }))
+            }
         });
         
     } catch (error) {
-        console.error('Refund sale error:', error);
+        console.error('Get returns error:', error);
         res.status(500).json({
-            message: 'Failed to refund sale',
+            success: false,
+            message: 'Failed to get returns',
             error: error.message
         });
     }
 });
 
-// POST /api/sales/bulk-sync - Sync offline sales
-router.post('/bulk-sync', auth, async (req, res) => {
+// POST /api/sales/bulk-sync - Sync offline sales (deprecated: use POST /api/sync/push)
+// Kept for older app versions. Each sale goes through the sync protocol with its
+// receipt number as the clientId when it has none, so it is validated like a checkout,
+// takes stock, and can be retried safely.
+router.post('/bulk-sync', auth, idempotency, async (req, res) => {
     try {
         const { sales } = req.body;
         
@@ -764,46 +579,41 @@ router.post('/bulk-sync', auth, async (req, res) => {
             });
         }
         
+        const { results } = await pushChanges(req.user, {
+            deviceId: req.body.deviceId || req.header('X-Device-ID'),
+            sales: sales.map(saleData => ({
+                ...saleData,
+                clientId: saleData.clientId || saleData.receiptNumber,
+                saleDate: saleData.saleDate || saleData.createdAt,
+                items: (saleData.items || []).map(line => ({
+                    ...line,
+                    productId: line.productId || line.item
+                }))
+            }))
+        });
+        
         const syncResults = {
             success: [],
             failed: [],
             duplicates: []
         };
         
-        for (const saleData of sales) {
-            try {
-                // Check if sale already exists
-                const existingSale = await Sale.findOne({
-                    receiptNumber: saleData.receiptNumber,
-                    userId: req.user.id
-                });
-                
-                if (existingSale) {
-                    syncResults.duplicates.push({
-                        receiptNumber: saleData.receiptNumber,
-                        reason: 'Sale already exists'
-                    });
-                    continue;
-                }
-                
-                // Create new sale
-                const sale = new Sale({
-                    ...saleData,
-                    userId: req.user.id,
-                    syncStatus: 'synced',
-                    isOffline: false
+        results.sales.forEach((result, index) => {
+            const receiptNumber = sales[index].receiptNumber;
+            if (result.status === 'created') {
+                syncResults.success.push(result.receiptNumber);
+            } else if (result.status === 'duplicate') {
+                syncResults.duplicates.push({
+                    receiptNumber,
+                    reason: 'Sale already exists'
                 });
-                
-                await sale.save();
-                syncResults.success.push(sale.receiptNumber);
-                
-            } catch (error) {
+            } else {
                 syncResults.failed.push({
-                    receiptNumber: saleData.receiptNumber,
-                    error: error.message
+                    receiptNumber,
+                    error: result.error.message
                 });
             }
-        }
+        });
         
         res.json({
             success: true,
@@ -812,6 +622,9 @@ router.post('/bulk-sync', auth, async (req, res) => {
         });
         
     } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
         console.error('Bulk sync error:', error);
         res.status(500).json({
             message: 'Failed to sync sales',
@@ -820,71 +633,61 @@ router.post('/bulk-sync', auth, async (req, res) => {
     }
 });
 
-// POST /api/sales/:id/complete-payment - Complete a partial payment
-router.post('/:id/complete-payment', auth, async (req, res) => {
+// POST /api/sales/:id/send-receipt - Send the receipt to the customer (role-based)
+// Body: { channel: 'email' | 'sms' | 'whatsapp', to?, template? }
+// Without `to` the sale's customerEmail or customerPhone is used. Every attempt is
+// recorded in the sale's receiptDeliveries; a refused message answers 502.
+router.post('/:id/send-receipt', auth, idempotency, async (req, res) => {
     try {
-        const { id } = req.params;
-        const { additionalPayment, paymentMethod } = req.body;
+        const delivery = await sendReceipt(req.user, req.params.id, req.body);
         
-        // Validate input
-        if (!additionalPayment || additionalPayment <= 0) {
-            return res.status(400).json({
+        if (delivery.status === 'failed') {
+            return res.status(502).json({
                 success: false,
-                message: 'Additional payment amount is required and must be greater than 0'
+                data: delivery,
+                message: `Receipt could not be sent: ${delivery.error}`
             });
         }
         
-        // Find the sale
-        const sale = await Sale.findById(id);
-        
-        if (!sale) {
-            return res.status(404).json({
-                success: false,
-                message: 'Sale not found'
-            });
-        }
+        res.json({
+            success: true,
+            data: delivery,
+            message: `Receipt sent to ${delivery.to}`
+        });
         
-        // Verify user has permission to update this sale
-        if (req.user.role === 'cashier' && sale.cashierId.toString() !== req.user.id) {
-            return res.status(403).json({
-                success: false,
-                message: 'You do not have permission to update this sale'
-            });
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
         }
+        console.error('Send receipt error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send receipt',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/sales/:id/complete-payment - Complete a partial payment
+// Body: { additionalPayment, paymentMethod, reference } or { payments: [{ method, amount, reference }] }
+router.post('/:id/complete-payment', auth, idempotency, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { additionalPayment, paymentMethod = 'cash', reference, payments, deviceId } = req.body;
         
-        if (req.user.role === 'manager' && sale.managerId.toString() !== req.user.id) {
-            return res.status(403).json({
-                success: false,
-                message: 'You do not have permission to update this sale'
-            });
-        }
+        // Validate input
+        const tenders = normalizePayments(payments !== undefined
+            ? { payments }
+            : { paidAmount: additionalPayment ?? 0, paymentMethod, paymentReference: reference });
         
-        // Check if sale is already completed
-        if (sale.paymentStatus === 'completed') {
+        if (tenders.length === 0) {
             return res.status(400).json({
                 success: false,
-                message: 'This sale is already fully paid'
+                message: 'Additional payment amount is required and must be greater than 0'
             });
         }
         
-        // Calculate remaining amount
-        const remainingAmount = sale.total - sale.paidAmount;
-        
-        // Update paid amount
-        sale.paidAmount += additionalPayment;
-        
-        // Update payment method if provided
-        if (paymentMethod) {
-            sale.paymentMethod = paymentMethod;
-        }
-        
-        // Calculate change (if overpaid)
-        if (sale.paidAmount >= sale.total) {
-            sale.change = sale.paidAmount - sale.total;
-        }
-        
-        // The pre-save middleware will automatically update paymentStatus
-        await sale.save();
+        const sale = await takeSalePayment(req.user, id, tenders, deviceId || req.header('X-Device-ID'));
         
         // Populate the sale with item details
         await sale.populate('items.item', 'name category');
@@ -895,10 +698,13 @@ router.post('/:id/complete-payment', auth, async (req, res) => {
             data: sale,
             message: sale.paymentStatus === 'completed' 
                 ? 'Payment completed successfully' 
-                : `Payment updated. Remaining: ₦${(sale.total - sale.paidAmount).toFixed(2)}`
+                : `Payment updated. Remaining: ₦${saleOutstanding(sale).toFixed(2)}`
         });
         
     } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
         console.error('Complete payment error:', error);
         res.status(500).json({
             success: false,
@@ -909,54 +715,11 @@ router.post('/:id/complete-payment', auth, async (req, res) => {
 });
 
 // PUT /api/sales/:id/mark-completed - Mark transaction as completed (for outstanding payments)
-router.put('/:id/mark-completed', auth, async (req, res) => {
+router.put('/:id/mark-completed', auth, idempotency, async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Find the sale
-        const sale = await Sale.findById(id);
-        
-        if (!sale) {
-            return res.status(404).json({
-                success: false,
-                message: 'Sale not found'
-            });
-        }
-        
-        // Verify user has permission to update this sale
-        if (req.user.role === 'cashier' && sale.cashierId && sale.cashierId.toString() !== req.user.id) {
-            return res.status(403).json({
-                success: false,
-                message: 'You do not have permission to update this sale'
-            });
-        }
-        
-        if (req.user.role === 'manager' && sale.managerId && sale.managerId.toString() !== req.user.id) {
-            return res.status(403).json({
-                success: false,
-                message: 'You do not have permission to update this sale'
-            });
-        }
-        
-        // Check if sale is already completed
-        if (sale.paymentStatus === 'completed') {
-            return res.status(400).json({
-                success: false,
-                message: 'This sale is already marked as completed'
-            });
-        }
-        
-        // Mark as completed - set paidAmount to total if not already
-        if (sale.paidAmount < sale.total) {
-            sale.paidAmount = sale.total;
-        }
-        
-        // Update payment status to completed
-        sale.paymentStatus = 'completed';
-        sale.change = 0; // No change if marking as completed
-        
-        // Update the sale
-        await sale.save();
+        const sale = await markSaleCompleted(req.user, id, req.header('X-Device-ID'));
         
         // Populate the sale with item details
         await sale.populate('items.item', 'name category');
@@ -970,6 +733,9 @@ router.put('/:id/mark-completed', auth, async (req, res) => {
         });
         
     } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
         console.error('Mark as completed error:', error);
         res.status(500).json({
             success: false,
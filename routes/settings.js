@@ -1,6 +1,9 @@
 const express = require('express');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
+const { DEFAULT_SCALE_LAYOUT } = require('../utils/barcode');
+const { numberingFor, normalizeNumbering, renderTemplate, renderSequence } = require('../services/receiptNumbers');
+const { sendHttpError } = require('../utils/httpError');
 
 const router = express.Router();
 
@@ -474,4 +477,480 @@ router.put('/advanced', auth, async (req, res) => {
     }
 });
 
+// Shape pricing policy for responses (never expose the PIN hash)
+const formatPricingSettings = (user) => ({
+    maxOverridePercent: user.pricingPolicy?.maxOverridePercent || 0,
+    overrideReasonCodes: user.pricingPolicy?.overrideReasonCodes || [],
+    hasApprovalPin: !!user.pricingPolicy?.approvalPin
+});
+
+// GET /api/settings/pricing - Get price override policy (Manager only)
+router.get('/pricing', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const user = await User.findById(req.user.id).select('pricingPolicy');
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatPricingSettings(user)
+        });
+        
+    } catch (error) {
+        console.error('Get pricing settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get pricing settings',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/settings/pricing - Update price override policy and approval PIN (Manager only)
+router.put('/pricing', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { maxOverridePercent, overrideReasonCodes, approvalPin } = req.body;
+
+        if (maxOverridePercent === undefined && overrideReasonCodes === undefined && approvalPin === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'No update data provided'
+            });
+        }
+
+        if (maxOverridePercent !== undefined && (typeof maxOverridePercent !== 'number' || maxOverridePercent < 0 || maxOverridePercent > 100)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Max override percent must be a number between 0 and 100'
+            });
+        }
+
+        if (overrideReasonCodes !== undefined && (!Array.isArray(overrideReasonCodes) || overrideReasonCodes.some(code => typeof code !== 'string' || !code.trim()))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Override reason codes must be an array of non-empty strings'
+            });
+        }
+
+        // null clears the PIN; otherwise 4-8 digits
+        if (approvalPin !== undefined && approvalPin !== null && !/^\d{4,8}$/.test(String(approvalPin))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Approval PIN must be 4 to 8 digits'
+            });
+        }
+
+        const user = await User.findById(req.user.id);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (maxOverridePercent !== undefined) {
+            user.pricingPolicy.maxOverridePercent = maxOverridePercent;
+        }
+        if (overrideReasonCodes !== undefined) {
+            user.pricingPolicy.overrideReasonCodes = overrideReasonCodes.map(code => code.trim());
+        }
+        if (approvalPin === null) {
+            user.pricingPolicy.approvalPin = undefined;
+        } else if (approvalPin !== undefined) {
+            await user.setApprovalPin(String(approvalPin));
+        }
+
+        await user.save();
+
+        res.json({
+            success: true,
+            data: formatPricingSettings(user),
+            message: 'Pricing settings updated successfully'
+        });
+        
+    } catch (error) {
+        console.error('Update pricing settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update pricing settings',
+            error: error.message
+        });
+    }
+});
+
+// Shape scale barcode layout for responses
+const formatBarcodeSettings = (user) => ({
+    weightPrefixes: user.scaleBarcodes?.weightPrefixes || DEFAULT_SCALE_LAYOUT.weightPrefixes,
+    pricePrefixes: user.scaleBarcodes?.pricePrefixes || DEFAULT_SCALE_LAYOUT.pricePrefixes,
+    pluLength: user.scaleBarcodes?.pluLength || DEFAULT_SCALE_LAYOUT.pluLength
+});
+
+// GET /api/settings/barcodes - Get scale barcode layout (Manager only)
+router.get('/barcodes', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const user = await User.findById(req.user.id).select('scaleBarcodes');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatBarcodeSettings(user)
+        });
+
+    } catch (error) {
+        console.error('Get barcode settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get barcode settings',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/settings/barcodes - Update scale barcode layout (Manager only)
+// Body: { weightPrefixes?, pricePrefixes?, pluLength? } - prefixes are in-store GS1 prefixes 21-29
+router.put('/barcodes', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { weightPrefixes, pricePrefixes, pluLength } = req.body;
+
+        if (weightPrefixes === undefined && pricePrefixes === undefined && pluLength === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'No update data provided'
+            });
+        }
+
+        const isPrefixList = (prefixes) => Array.isArray(prefixes) && prefixes.every(prefix => /^2[1-9]$/.test(String(prefix)));
+        if ((weightPrefixes !== undefined && !isPrefixList(weightPrefixes)) || (pricePrefixes !== undefined && !isPrefixList(pricePrefixes))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Prefixes must be lists of two-digit codes from 21 to 29'
+            });
+        }
+
+        if (pluLength !== undefined && (!Number.isInteger(pluLength) || pluLength < 4 || pluLength > 6)) {
+            return res.status(400).json({
+                success: false,
+                message: 'PLU length must be 4, 5 or 6 digits'
+            });
+        }
+
+        const user = await User.findById(req.user.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const current = formatBarcodeSettings(user);
+        const weight = (weightPrefixes ?? current.weightPrefixes).map(String);
+        const price = (pricePrefixes ?? current.pricePrefixes).map(String);
+        if (weight.some(prefix => price.includes(prefix))) {
+            return res.status(400).json({
+                success: false,
+                message: 'A prefix cannot be used for both weight and price labels'
+            });
+        }
+
+        user.scaleBarcodes = {
+            weightPrefixes: weight,
+            pricePrefixes: price,
+            pluLength: pluLength ?? current.pluLength
+        };
+
+        await user.save();
+
+        res.json({
+            success: true,
+            data: formatBarcodeSettings(user),
+            message: 'Barcode settings updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update barcode settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update barcode settings',
+            error: error.message
+        });
+    }
+});
+
+// Receipt numbering with an example of each format, so the app can preview changes
+const formatReceiptNumbering = (numbering) => ({
+    ...numbering,
+    example: renderSequence(renderTemplate(numbering.format, { prefix: numbering.prefix }), 123),
+    offlineExample: renderSequence(renderTemplate(numbering.offlineFormat, { prefix: numbering.prefix, device: 'D01' }), 123)
+});
+
+// GET /api/settings/receipt-numbering - Get receipt numbering (Manager only)
+router.get('/receipt-numbering', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatReceiptNumbering(await numberingFor(req.user.id))
+        });
+
+    } catch (error) {
+        console.error('Get receipt numbering error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get receipt numbering',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/settings/receipt-numbering - Update receipt numbering (Manager only)
+// Body: { prefix?, format?, offlineFormat? } e.g. { prefix: 'SHOP1', format: '{prefix}-{year}-{seq:6}' }
+// A new format starts its own sequence at 1; numbers already issued are unchanged.
+router.put('/receipt-numbering', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { prefix, format, offlineFormat } = req.body;
+
+        if (prefix === undefined && format === undefined && offlineFormat === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'No update data provided'
+            });
+        }
+
+        const numbering = normalizeNumbering(await numberingFor(req.user.id), { prefix, format, offlineFormat });
+
+        const user = await User.findByIdAndUpdate(
+            req.user.id,
+            { $set: { receiptNumbering: numbering } },
+            { new: true }
+        ).select('receiptNumbering');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatReceiptNumbering(numbering),
+            message: 'Receipt numbering updated successfully'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Update receipt numbering error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update receipt numbering',
+            error: error.message
+        });
+    }
+});
+
+// Shape loyalty program for responses
+const formatLoyaltySettings = (user) => {
+    const program = user.loyaltyProgram || {};
+    return {
+        enabled: !!program.enabled,
+        spendPerPoint: program.spendPerPoint ?? 100,
+        pointValue: program.pointValue ?? 1,
+        minRedeemPoints: program.minRedeemPoints || 0,
+        pointsExpiryDays: program.pointsExpiryDays ?? 365,
+        tiers: (program.tiers || []).map(tier => ({
+            name: tier.name,
+            minPoints: tier.minPoints,
+            multiplier: tier.multiplier
+        }))
+    };
+};
+
+// GET /api/settings/loyalty - Get loyalty program (Manager only)
+router.get('/loyalty', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const user = await User.findById(req.user.id).select('loyaltyProgram');
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatLoyaltySettings(user)
+        });
+        
+    } catch (error) {
+        console.error('Get loyalty settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get loyalty settings',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/settings/loyalty - Update loyalty program (Manager only)
+router.put('/loyalty', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { enabled, spendPerPoint, pointValue, minRedeemPoints, pointsExpiryDays, tiers } = req.body;
+        const isNonNegative = (value) => typeof value === 'number' && value >= 0;
+        const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'enabled must be true or false'
+            });
+        }
+
+        if (spendPerPoint !== undefined && !(typeof spendPerPoint === 'number' && spendPerPoint > 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Spend per point must be a number greater than 0'
+            });
+        }
+
+        if (pointValue !== undefined && !isNonNegative(pointValue)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Point value must be a non-negative number'
+            });
+        }
+
+        if ((minRedeemPoints !== undefined && !isWholeNumber(minRedeemPoints)) ||
+            (pointsExpiryDays !== undefined && !isWholeNumber(pointsExpiryDays))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Minimum redeem points and expiry days must be whole numbers of 0 or more'
+            });
+        }
+
+        if (tiers !== undefined) {
+            const validTiers = Array.isArray(tiers) && tiers.every(tier =>
+                tier && typeof tier.name === 'string' && tier.name.trim() &&
+                isNonNegative(tier.minPoints) &&
+                (tier.multiplier === undefined || isNonNegative(tier.multiplier))
+            );
+            const names = validTiers ? tiers.map(tier => tier.name.trim().toLowerCase()) : [];
+
+            if (!validTiers || new Set(names).size !== names.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Tiers must be an array of { name, minPoints, multiplier } with unique names'
+                });
+            }
+        }
+
+        const user = await User.findById(req.user.id);
+        
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const program = user.loyaltyProgram;
+        if (enabled !== undefined) program.enabled = enabled;
+        if (spendPerPoint !== undefined) program.spendPerPoint = spendPerPoint;
+        if (pointValue !== undefined) program.pointValue = pointValue;
+        if (minRedeemPoints !== undefined) program.minRedeemPoints = minRedeemPoints;
+        if (pointsExpiryDays !== undefined) program.pointsExpiryDays = pointsExpiryDays;
+        if (tiers !== undefined) {
+            program.tiers = tiers
+                .map(tier => ({ name: tier.name.trim(), minPoints: tier.minPoints, multiplier: tier.multiplier ?? 1 }))
+                .sort((a, b) => a.minPoints - b.minPoints);
+        }
+
+        await user.save();
+
+        res.json({
+            success: true,
+            data: formatLoyaltySettings(user),
+            message: 'Loyalty settings updated successfully'
+        });
+        
+    } catch (error) {
+        console.error('Update loyalty settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update loyalty settings',
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,305 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const StockCount = require('../models/StockCount');
+const auth = require('../middleware/auth');
+const {
+    openStockCount,
+    submitCounts,
+    closeStockCount,
+    cancelStockCount,
+    buildVarianceReport
+} = require('../services/stockCount');
+const { resolveManagerId } = require('../services/receivables');
+const { resolveLocationId } = require('../services/locations');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// GET /api/stock-counts - List stock counts (Manager only)
+// Query: status, page, limit
+router.get('/', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { status, page = 1, limit = 20 } = req.query;
+
+        const query = { managerId: req.user.id };
+        if (status) {
+            query.status = status;
+        }
+
+        const counts = await StockCount.find(query)
+            .select('-lines')
+            .populate('openedBy', 'firstName lastName')
+            .populate('closedBy', 'firstName lastName')
+            .sort({ openedAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await StockCount.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: counts,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get stock counts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get stock counts',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/stock-counts/open - The count currently open at a location (role-based)
+// Query: locationId (defaults to the user's location). Cashiers use this to find the
+// count sheet on their device.
+router.get('/open', auth, async (req, res) => {
+    try {
+        const managerId = await resolveManagerId(req.user);
+        const locationId = await resolveLocationId(req.user, managerId, req.query.locationId);
+        const count = await StockCount.findOpen(managerId, locationId);
+
+        res.json({
+            success: true,
+            data: count
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get open stock count error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get open stock count',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/stock-counts/:id - Get a single stock count (role-based)
+// Cashiers may only see open counts.
+router.get('/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid stock count ID format'
+            });
+        }
+
+        const managerId = await resolveManagerId(req.user);
+        const query = { _id: req.params.id, managerId };
+        if (req.user.role === 'cashier') {
+            query.status = 'open';
+        }
+
+        const count = await StockCount.findOne(query)
+            .populate('openedBy', 'firstName lastName')
+            .populate('closedBy', 'firstName lastName');
+
+        if (!count) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stock count not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: count
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get stock count error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get stock count',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/stock-counts - Open a stock count (Manager only)
+// Body: { category?, locationId?, notes, deviceId } - without a category every active item is counted
+router.post('/', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const count = await openStockCount(req.user, {
+            ...req.body,
+            deviceId: req.body.deviceId || req.header('X-Device-ID')
+        });
+
+        res.status(201).json({
+            success: true,
+            data: count,
+            message: `Stock count opened for ${count.lines.length} item(s)`
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Open stock count error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to open stock count',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/stock-counts/:id/counts - Submit counted quantities (Manager or cashier)
+// Body: { lines: [{ itemId | barcode, quantity }], replace, deviceId }
+router.post('/:id/counts', auth, async (req, res) => {
+    try {
+        const count = await submitCounts(req.user, req.params.id, {
+            ...req.body,
+            deviceId: req.body.deviceId || req.header('X-Device-ID')
+        });
+
+        res.json({
+            success: true,
+            data: {
+                stockCountId: count._id,
+                countNumber: count.countNumber,
+                progress: count.progress
+            },
+            message: 'Counts recorded'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Submit stock counts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record counts',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/stock-counts/:id/close - Close the count and apply adjustments (Manager only)
+// Body: { zeroUncounted } - set stock of items nobody counted to zero
+router.post('/:id/close', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const count = await closeStockCount(req.user, req.params.id, {
+            zeroUncounted: req.body.zeroUncounted === true,
+            deviceId: req.body.deviceId || req.header('X-Device-ID')
+        });
+        const report = await buildVarianceReport(req.user, count._id);
+
+        res.json({
+            success: true,
+            data: report,
+            message: 'Stock count closed and stock adjusted'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Close stock count error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to close stock count',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/stock-counts/:id/cancel - Cancel an open count without adjusting stock (Manager only)
+router.post('/:id/cancel', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const count = await cancelStockCount(req.user, req.params.id);
+
+        res.json({
+            success: true,
+            data: count,
+            message: 'Stock count cancelled'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Cancel stock count error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel stock count',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/stock-counts/:id/report - Variance report (Manager only)
+// Open counts return a preview against current stock.
+router.get('/:id/report', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const report = await buildVarianceReport(req.user, req.params.id);
+
+        res.json({
+            success: true,
+            data: report
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Stock count report error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to build variance report',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
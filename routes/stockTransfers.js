@@ -0,0 +1,205 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const StockTransfer = require('../models/StockTransfer');
+const auth = require('../middleware/auth');
+const { createTransfer, receiveTransfer, cancelTransfer } = require('../services/stockTransfers');
+const { resolveManagerId } = require('../services/receivables');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// Cashiers assigned to a location only see transfers in and out of it
+const transferScope = async (user) => {
+    const scope = { managerId: await resolveManagerId(user) };
+    if (user.role === 'cashier' && user.locationId) {
+        scope.$or = [{ fromLocationId: user.locationId }, { toLocationId: user.locationId }];
+    }
+    return scope;
+};
+
+// GET /api/stock-transfers - List stock transfers (role-based)
+// Query: status, locationId, page, limit
+router.get('/', auth, async (req, res) => {
+    try {
+        const { status, locationId, page = 1, limit = 50 } = req.query;
+
+        const query = await transferScope(req.user);
+        if (status) {
+            query.status = status;
+        }
+        if (locationId) {
+            if (!mongoose.Types.ObjectId.isValid(locationId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid location ID format'
+                });
+            }
+            query.$and = [{ $or: [{ fromLocationId: locationId }, { toLocationId: locationId }] }];
+        }
+
+        const transfers = await StockTransfer.find(query)
+            .populate('fromLocationId', 'name code')
+            .populate('toLocationId', 'name code')
+            .sort({ dispatchedAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await StockTransfer.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: transfers,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get stock transfers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get stock transfers',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/stock-transfers/:id - Get single stock transfer (role-based)
+router.get('/:id', auth, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid transfer ID format'
+            });
+        }
+
+        const transfer = await StockTransfer.findOne({ _id: req.params.id, ...await transferScope(req.user) })
+            .populate('fromLocationId', 'name code')
+            .populate('toLocationId', 'name code')
+            .populate('dispatchedBy', 'firstName lastName')
+            .populate('receivedBy', 'firstName lastName');
+
+        if (!transfer) {
+            return res.status(404).json({
+                success: false,
+                message: 'Stock transfer not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: transfer
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Get stock transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get stock transfer',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/stock-transfers - Dispatch stock to another location (role-based)
+// Body: { fromLocationId?, toLocationId, lines: [{ itemId, quantity }], notes, deviceId }
+// Cashiers can only send stock from their own location.
+router.post('/', auth, async (req, res) => {
+    try {
+        const transfer = await createTransfer(req.user, {
+            ...req.body,
+            deviceId: req.body.deviceId || req.header('X-Device-ID')
+        });
+
+        res.status(201).json({
+            success: true,
+            data: transfer,
+            message: 'Stock dispatched and in transit'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Create stock transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create stock transfer',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/stock-transfers/:id/receive - Book a transfer in at the destination (role-based)
+// Body: { lines?: [{ lineId | itemId, quantityReceived }], deviceId } - omitted lines arrive in full
+router.post('/:id/receive', auth, async (req, res) => {
+    try {
+        const transfer = await receiveTransfer(req.user, req.params.id, {
+            ...req.body,
+            deviceId: req.body.deviceId || req.header('X-Device-ID')
+        });
+
+        res.json({
+            success: true,
+            data: transfer,
+            message: 'Stock transfer received'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Receive stock transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to receive stock transfer',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/stock-transfers/:id/cancel - Cancel a transfer in transit (Manager only)
+// Stock goes back to the origin location.
+router.post('/:id/cancel', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const transfer = await cancelTransfer(req.user, req.params.id, {
+            deviceId: req.body.deviceId || req.header('X-Device-ID')
+        });
+
+        res.json({
+            success: true,
+            data: transfer,
+            message: 'Stock transfer cancelled'
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Cancel stock transfer error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel stock transfer',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
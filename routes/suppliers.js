@@ -0,0 +1,311 @@
+const express = require('express');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// GET /api/suppliers - Get all suppliers
+router.get('/', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { search } = req.query;
+
+        const query = { managerId: req.user.id, isActive: true };
+
+        if (search) {
+            const searchRegex = new RegExp(search, 'i');
+            query.$or = [
+                { name: searchRegex },
+                { contactName: searchRegex },
+                { email: searchRegex },
+                { phone: searchRegex }
+            ];
+        }
+
+        const suppliers = await Supplier.find(query).sort({ name: 1 }).select('-__v');
+
+        res.json({
+            success: true,
+            data: suppliers
+        });
+
+    } catch (error) {
+        console.error('Get suppliers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get suppliers',
+            error: error.message
+        });
+    }
+});
+
+// GET /api/suppliers/:id - Get single supplier with purchase order summary
+router.get('/:id', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const supplier = await Supplier.findOne({
+            _id: req.params.id,
+            managerId: req.user.id,
+            isActive: true
+        }).select('-__v');
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        const orders = await PurchaseOrder.aggregate([
+            { $match: { supplierId: supplier._id } },
+            {
+                $group: {
+                    _id: '$status',
+                    count: { $sum: 1 },
+                    total: { $sum: '$total' },
+                    received: { $sum: '$receivedAmount' }
+                }
+            }
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                ...supplier.toJSON(),
+                purchaseOrders: orders.map(order => ({
+                    status: order._id,
+                    count: order.count,
+                    total: order.total,
+                    received: order.received
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Get supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get supplier',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/suppliers - Create supplier
+router.post('/', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { name, contactName, email, phone, address, taxId, paymentTermsDays, notes, deviceId } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier name is required'
+            });
+        }
+
+        if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid email format'
+            });
+        }
+
+        if (paymentTermsDays !== undefined && (!Number.isInteger(paymentTermsDays) || paymentTermsDays < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment terms must be a whole number of days'
+            });
+        }
+
+        const existingSupplier = await Supplier.findOne({
+            managerId: req.user.id,
+            name: new RegExp(`^${name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i'),
+            isActive: true
+        });
+
+        if (existingSupplier) {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier with this name already exists'
+            });
+        }
+
+        const supplier = new Supplier({
+            name: name.trim(),
+            contactName: contactName?.trim(),
+            email: email?.trim().toLowerCase(),
+            phone: phone?.trim(),
+            address: address || {},
+            taxId: taxId?.trim(),
+            paymentTermsDays: paymentTermsDays || 0,
+            notes: notes?.trim(),
+            userId: req.user.id,
+            managerId: req.user.id,
+            deviceId: deviceId || 'mobile-app'
+        });
+
+        await supplier.save();
+
+        res.status(201).json({
+            success: true,
+            data: supplier,
+            message: 'Supplier created successfully'
+        });
+
+    } catch (error) {
+        console.error('Create supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create supplier',
+            error: error.message
+        });
+    }
+});
+
+// PUT /api/suppliers/:id - Update supplier
+router.put('/:id', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const { name, contactName, email, phone, address, taxId, paymentTermsDays, notes } = req.body;
+
+        const supplier = await Supplier.findOne({
+            _id: req.params.id,
+            managerId: req.user.id,
+            isActive: true
+        });
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid email format'
+            });
+        }
+
+        if (paymentTermsDays !== undefined && (!Number.isInteger(paymentTermsDays) || paymentTermsDays < 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment terms must be a whole number of days'
+            });
+        }
+
+        if (name !== undefined && !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Supplier name cannot be empty'
+            });
+        }
+
+        supplier.name = name ? name.trim() : supplier.name;
+        supplier.contactName = contactName !== undefined ? contactName?.trim() : supplier.contactName;
+        supplier.email = email !== undefined ? email?.trim().toLowerCase() : supplier.email;
+        supplier.phone = phone !== undefined ? phone?.trim() : supplier.phone;
+        supplier.address = address || supplier.address;
+        supplier.taxId = taxId !== undefined ? taxId?.trim() : supplier.taxId;
+        supplier.paymentTermsDays = paymentTermsDays ?? supplier.paymentTermsDays;
+        supplier.notes = notes !== undefined ? notes?.trim() : supplier.notes;
+
+        await supplier.save();
+
+        res.json({
+            success: true,
+            data: supplier,
+            message: 'Supplier updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update supplier',
+            error: error.message
+        });
+    }
+});
+
+// DELETE /api/suppliers/:id - Soft delete supplier
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        if (req.user.role !== 'manager') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Manager role required.'
+            });
+        }
+
+        const supplier = await Supplier.findOne({
+            _id: req.params.id,
+            managerId: req.user.id,
+            isActive: true
+        });
+
+        if (!supplier) {
+            return res.status(404).json({
+                success: false,
+                message: 'Supplier not found'
+            });
+        }
+
+        const openOrders = await PurchaseOrder.countDocuments({
+            supplierId: supplier._id,
+            status: { $in: ['sent', 'partially_received'] }
+        });
+
+        if (openOrders > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Supplier has ${openOrders} open purchase order(s). Receive or cancel them first.`
+            });
+        }
+
+        supplier.isActive = false;
+        await supplier.save();
+
+        res.json({
+            success: true,
+            message: 'Supplier deleted successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete supplier error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete supplier',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const auth = require('../middleware/auth');
+const { pullChanges, pushChanges } = require('../services/sync');
+const { sendHttpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// GET /api/sync/pull - Changes since a cursor (role-based)
+// Query: cursor (from the previous pull; leave out for a full sync), entities
+// (items,customers,sales), limit (per entity, max 1000)
+router.get('/pull', auth, async (req, res) => {
+    try {
+        const result = await pullChanges(req.user, req.query);
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Sync pull error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to pull changes',
+            error: error.message
+        });
+    }
+});
+
+// POST /api/sync/push - Send records created offline (role-based)
+// Body: { deviceId, locationId?, items: [{ clientId, ...item }], customers: [{ clientId, ...customer }],
+//         sales: [{ clientId, items: [{ productId | itemClientId, quantity, unit? }],
+//                   customerId | customerClientId, payments, saleDate, receiptNumber, ... }] }
+// Each record comes back with a status: created, duplicate (already synced), merged
+// (matched an existing record; its clientId keeps pointing there), rejected (fix before retrying) or failed (retry).
+router.post('/push', auth, async (req, res) => {
+    try {
+        const result = await pushChanges(req.user, {
+            ...req.body,
+            deviceId: req.body.deviceId || req.header('X-Device-ID')
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        if (sendHttpError(res, error)) {
+            return;
+        }
+        console.error('Sync push error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to push changes',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
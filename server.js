@@ -10,6 +10,26 @@ require('./models/Item');
 require('./models/Sale');
 require('./models/Transaction');
 require('./models/Customer');
+require('./models/Return');
+require('./models/CustomerLedger');
+require('./models/LoyaltyTransaction');
+require('./models/Supplier');
+require('./models/PurchaseOrder');
+require('./models/StockMovement');
+require('./models/StockCount');
+require('./models/Location');
+require('./models/StockTransfer');
+require('./models/StockLot');
+require('./models/IdempotencyKey');
+require('./models/ReceiptSequence');
+require('./models/ReceiptBlock');
+require('./models/Notification');
+require('./models/OutboxMessage');
+require('./models/UsedApprovalToken');
+
+const { startJobs, stopJobs } = require('./services/jobs');
+const { attachRealtime, closeRealtime, isRealtimeAttached } = require('./services/realtime');
+const { startNotificationTriggers, stopNotificationTriggers } = require('./services/notifications');
 
 // Set default JWT secret if not provided
 if (!process.env.JWT_SECRET) {
@@ -22,10 +42,11 @@ const PORT = process.env.PORT || 3000;
 
 // Security middleware
 app.use(helmet());
+const allowedOrigins = process.env.NODE_ENV === 'production' 
+    ? ['https://your-production-domain.com'] 
+    : ['http://localhost:3000', 'http://192.168.1.243:3000', 'http://localhost:8081', 'http://192.168.1.243:8081']; // Allow specific origins in development
 app.use(cors({
-    origin: process.env.NODE_ENV === 'production' 
-        ? ['https://your-production-domain.com'] 
-        : ['http://localhost:3000', 'http://192.168.1.243:3000', 'http://localhost:8081', 'http://192.168.1.243:8081'], // Allow specific origins in development
+    origin: allowedOrigins,
     credentials: true
 }));
 
@@ -151,6 +172,19 @@ app.use('/api/ai', require('./routes/ai'));
 app.use('/api/settings', require('./routes/settings'));
 app.use('/api/cashiers', require('./routes/cashiers'));
 app.use('/api/customers', require('./routes/customers'));
+app.use('/api/suppliers', require('./routes/suppliers'));
+app.use('/api/purchase-orders', require('./routes/purchaseOrders'));
+app.use('/api/stock-counts', require('./routes/stockCounts'));
+app.use('/api/locations', require('./routes/locations'));
+app.use('/api/stock-transfers', require('./routes/stockTransfers'));
+app.use('/api/labels', require('./routes/labels'));
+app.use('/api/catalog', require('./routes/catalog'));
+app.use('/api/sync', require('./routes/sync'));
+app.use('/api/receipts', require('./routes/receipts'));
+app.use('/api/cron', require('./routes/cron'));
+
+// Low-stock and refund alerts; serverless instances raise them for their own requests
+startNotificationTriggers();
 
 // Health check endpoint
 app.get('/health', async (req, res) => {
@@ -161,6 +195,8 @@ app.get('/health', async (req, res) => {
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
         mongodb: mongoStatus,
+        // false on serverless deployments: clients poll /api/sync/pull instead
+        realtime: isRealtimeAttached(),
         environment: process.env.NODE_ENV || 'development'
     });
 });
@@ -179,19 +215,29 @@ app.use('*', (req, res) => {
     res.status(404).json({ message: 'Route not found' });
 });
 
-// For local development
-if (process.env.NODE_ENV !== 'production') {
+// Long-running servers (local development, cPanel, a VPS) listen here in any
+// environment; on Vercel the exported app is invoked per request instead, with no
+// server to hold sockets or timers
+if (process.env.VERCEL) {
+    console.warn('Serverless deployment: real-time updates (Socket.io) are not available. Clients should poll /api/sync/pull.');
+} else {
     connectDB().then(() => {
-        app.listen(PORT, () => {
+        const server = app.listen(PORT, () => {
             console.log(`SmartPOS Server running on port ${PORT}`);
             console.log(`Environment: ${process.env.NODE_ENV}`);
             console.log(`Health check: http://localhost:${PORT}/health`);
         });
+        // Real-time sale and stock events for dashboards and tablets (Socket.io)
+        attachRealtime(server, { origins: allowedOrigins });
+        startJobs();
     });
     
     // Graceful shutdown
     process.on('SIGTERM', () => {
         console.log('SIGTERM received, shutting down gracefully');
+        stopJobs();
+        stopNotificationTriggers();
+        closeRealtime();
         mongoose.connection.close(() => {
             console.log('MongoDB connection closed');
             process.exit(0);
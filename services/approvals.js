@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const UsedApprovalToken = require('../models/UsedApprovalToken');
+const { createHttpError } = require('../utils/httpError');
+
+// Short-lived approval tokens let a manager approve a cashier action (e.g. a price
+// override above the limit) from their own device instead of typing a PIN on the till.
+// Each token approves one action.
+const APPROVAL_TOKEN_TTL = '10m';
+const APPROVAL_PURPOSES = ['price-override'];
+
+// Wrong PINs in a row before the PIN is locked, and for how long
+const MAX_PIN_FAILURES = 5;
+const PIN_LOCK_MS = 15 * 60 * 1000;
+
+// The payload deliberately has no `id` claim so an approval token can never be
+// used as a login token by the auth middleware.
+const issueApprovalToken = (managerId, purpose) =>
+    jwt.sign({ managerId: managerId.toString(), purpose, type: 'approval' }, process.env.JWT_SECRET, {
+        expiresIn: APPROVAL_TOKEN_TTL,
+        jwtid: crypto.randomUUID()
+    });
+
+// Check the manager PIN, counting wrong ones. The count is written outside any
+// checkout transaction so a failed checkout cannot roll it back.
+const checkPin = async (manager, pin) => {
+    const lockedUntil = manager.pricingPolicy?.approvalPinLockedUntil;
+    if (lockedUntil && lockedUntil > new Date()) {
+        throw createHttpError(429, `Too many wrong PINs. The manager PIN is locked until ${lockedUntil.toISOString()}; use an approval token instead.`, {
+            code: 'APPROVAL_PIN_LOCKED',
+            lockedUntil
+        });
+    }
+
+    if (await manager.compareApprovalPin(pin)) {
+        if (manager.pricingPolicy.approvalPinFailures > 0) {
+            await User.updateOne({ _id: manager._id }, { $set: { 'pricingPolicy.approvalPinFailures': 0 } });
+        }
+        return true;
+    }
+
+    const updated = await User.findOneAndUpdate(
+        { _id: manager._id },
+        { $inc: { 'pricingPolicy.approvalPinFailures': 1 } },
+        { new: true }
+    ).select('pricingPolicy.approvalPinFailures');
+    if (updated && updated.pricingPolicy.approvalPinFailures >= MAX_PIN_FAILURES) {
+        await User.updateOne({ _id: manager._id }, {
+            $set: {
+                'pricingPolicy.approvalPinFailures': 0,
+                'pricingPolicy.approvalPinLockedUntil': new Date(Date.now() + PIN_LOCK_MS)
+            }
+        });
+    }
+    return false;
+};
+
+// Spend an approval token. With a session the spend is part of the caller's
+// transaction, so an approval whose action rolls back can be used again.
+const useToken = async (manager, approvalToken, purpose, session) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(approvalToken, process.env.JWT_SECRET);
+    } catch (error) {
+        return false;
+    }
+    if (decoded.type !== 'approval' || decoded.purpose !== purpose ||
+        decoded.managerId !== manager._id.toString() || !decoded.jti) {
+        return false;
+    }
+
+    try {
+        await UsedApprovalToken.create([{
+            jti: decoded.jti,
+            managerId: manager._id,
+            purpose,
+            expiresAt: new Date(decoded.exp * 1000)
+        }], { session });
+    } catch (error) {
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+    return true;
+};
+
+// Check a manager PIN or approval token for the given purpose.
+// Resolves to the approval method used ('pin' or 'token'), or null when neither is
+// valid. Throws 429 while the PIN is locked after too many wrong attempts.
+const verifyApproval = async (manager, { managerPin, approvalToken } = {}, purpose, session) => {
+    if (!manager) {
+        return null;
+    }
+
+    if (approvalToken && await useToken(manager, approvalToken, purpose, session)) {
+        return 'token';
+    }
+
+    if (managerPin && await checkPin(manager, String(managerPin))) {
+        return 'pin';
+    }
+
+    return null;
+};
+
+module.exports = {
+    APPROVAL_PURPOSES,
+    APPROVAL_TOKEN_TTL,
+    issueApprovalToken,
+    verifyApproval
+};
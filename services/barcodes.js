@@ -0,0 +1,169 @@
+const Item = require('../models/Item');
+const User = require('../models/User');
+const { createHttpError } = require('../utils/httpError');
+const {
+    normalizeBarcode,
+    barcodeVariants,
+    barcodeError,
+    parseScaleBarcode,
+    barcodeFormat
+} = require('../utils/barcode');
+const { GRAMS_PER_UNIT, roundQuantity } = require('./units');
+
+// Active items of a manager that answer to any of the codes, on their primary
+// barcode, an extra barcode or one of their units
+const barcodeQuery = (managerId, codes) => ({
+    managerId,
+    isActive: true,
+    $or: [
+        { barcode: { $in: codes } },
+        { barcodes: { $in: codes } },
+        { 'units.barcode': { $in: codes } }
+    ]
+});
+
+// Quantity (in the item's base unit) and, for price labels, the amount printed
+const scaleQuantity = (item, scale) => {
+    if (scale.type === 'weight') {
+        const gramsPerUnit = GRAMS_PER_UNIT[item.baseUnit];
+        if (!gramsPerUnit) {
+            throw createHttpError(400, `"${item.name}" is not sold by weight (base unit: ${item.baseUnit})`, {
+                code: 'NOT_SOLD_BY_WEIGHT'
+            });
+        }
+        return { quantity: roundQuantity(scale.grams / gramsPerUnit) };
+    }
+
+    if (!item.price) {
+        throw createHttpError(400, `"${item.name}" has no price to work out the quantity on its label`);
+    }
+    return { quantity: roundQuantity(scale.amount / item.price), amount: scale.amount };
+};
+
+// Find the item behind a scanned code. Returns { code, format, item, unit, match }
+// where match is 'item', 'unit' (a pack barcode; unit names the pack) or 'scale'
+// (a weighed label; quantity and, for price labels, amount are set). Numeric codes
+// of a GTIN length must have a valid check digit.
+const lookupBarcode = async (managerId, rawCode, session) => {
+    const code = normalizeBarcode(rawCode);
+    const problem = barcodeError(code);
+    if (problem) {
+        throw createHttpError(400, problem, { code: 'INVALID_BARCODE', barcode: code });
+    }
+
+    const codes = barcodeVariants(code);
+    const item = await Item.findOne(barcodeQuery(managerId, codes)).session(session);
+
+    if (item) {
+        const onItem = codes.includes(item.barcode) || (item.barcodes || []).some(barcode => codes.includes(barcode));
+        const unit = onItem ? null : (item.units || []).find(candidate => candidate.barcode && codes.includes(candidate.barcode));
+        return {
+            code,
+            format: barcodeFormat(code),
+            item,
+            unit: unit ? unit.name : null,
+            match: unit ? 'unit' : 'item'
+        };
+    }
+
+    const manager = await User.findById(managerId).select('scaleBarcodes').session(session);
+    const scale = parseScaleBarcode(code, manager?.scaleBarcodes ? {
+        weightPrefixes: manager.scaleBarcodes.weightPrefixes,
+        pricePrefixes: manager.scaleBarcodes.pricePrefixes,
+        pluLength: manager.scaleBarcodes.pluLength
+    } : undefined);
+
+    if (scale) {
+        // PLUs are often keyed in without their leading zeros
+        const scaleItem = await Item.findOne({
+            managerId,
+            isActive: true,
+            plu: { $in: [scale.plu, String(Number(scale.plu))] }
+        }).session(session);
+
+        if (scaleItem) {
+            return {
+                code,
+                format: 'ean13',
+                item: scaleItem,
+                unit: null,
+                match: 'scale',
+                scale: { ...scale, ...scaleQuantity(scaleItem, scale) }
+            };
+        }
+    }
+
+    throw createHttpError(404, `No item found for barcode ${code}`, { code: 'BARCODE_NOT_FOUND', barcode: code });
+};
+
+// Check the barcodes and PLU an item is being saved with: each must be valid and not
+// used by another of the manager's items. Returns the barcodes cleaned up.
+const checkItemCodes = async (managerId, { barcode, barcodes, units, plu }, excludeItemId, session) => {
+    const cleaned = {};
+    const codes = [];
+
+    if (barcode !== undefined && barcode !== null && barcode !== '') {
+        cleaned.barcode = normalizeBarcode(barcode);
+        codes.push(cleaned.barcode);
+    }
+    if (barcodes !== undefined) {
+        if (!Array.isArray(barcodes)) {
+            throw createHttpError(400, 'barcodes must be an array');
+        }
+        cleaned.barcodes = [...new Set(barcodes.map(normalizeBarcode).filter(Boolean))];
+        codes.push(...cleaned.barcodes);
+    }
+    (units || []).forEach(unit => {
+        if (unit.barcode) {
+            codes.push(normalizeBarcode(unit.barcode));
+        }
+    });
+
+    for (const code of codes) {
+        const problem = barcodeError(code);
+        if (problem) {
+            throw createHttpError(400, problem, { code: 'INVALID_BARCODE', barcode: code });
+        }
+    }
+    if (new Set(codes).size !== codes.length) {
+        throw createHttpError(400, 'The same barcode is used more than once on this item');
+    }
+
+    const excluded = excludeItemId ? { _id: { $ne: excludeItemId } } : {};
+
+    if (codes.length > 0) {
+        const variants = [...new Set(codes.flatMap(barcodeVariants))];
+        const taken = await Item.findOne({ ...barcodeQuery(managerId, variants), ...excluded })
+            .select('name barcode barcodes units')
+            .session(session);
+        if (taken) {
+            throw createHttpError(400, `A barcode is already used by "${taken.name}"`, {
+                code: 'BARCODE_IN_USE',
+                itemId: taken._id.toString()
+            });
+        }
+    }
+
+    if (plu !== undefined && plu !== null && plu !== '') {
+        cleaned.plu = String(plu).trim();
+        if (!/^\d{1,6}$/.test(cleaned.plu)) {
+            throw createHttpError(400, 'PLU must be up to 6 digits');
+        }
+        const taken = await Item.findOne({ managerId, isActive: true, plu: cleaned.plu, ...excluded })
+            .select('name')
+            .session(session);
+        if (taken) {
+            throw createHttpError(400, `PLU ${cleaned.plu} is already used by "${taken.name}"`, {
+                code: 'PLU_IN_USE',
+                itemId: taken._id.toString()
+            });
+        }
+    }
+
+    return cleaned;
+};
+
+module.exports = {
+    lookupBarcode,
+    checkItemCodes
+};
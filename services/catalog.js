@@ -0,0 +1,571 @@
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Item = require('../models/Item');
+const { recordMovement, setStock } = require('./stockLedger');
+const { normalizeUnits } = require('./units');
+const { checkItemCodes } = require('./barcodes');
+const { publishItemUpdate } = require('./events');
+const { createHttpError } = require('../utils/httpError');
+const { normalizeBarcode, barcodeVariants, barcodeError } = require('../utils/barcode');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Columns of the catalog file, in export order. Imports match headers against the
+// label and the aliases (case, spaces and punctuation are ignored) unless a mapping
+// says otherwise.
+const CATALOG_COLUMNS = [
+    { field: 'name', header: 'Name', aliases: ['itemname', 'productname', 'product', 'item'] },
+    { field: 'sku', header: 'SKU', aliases: ['itemcode', 'productcode'] },
+    { field: 'barcode', header: 'Barcode', aliases: ['ean', 'upc', 'gtin'] },
+    { field: 'barcodes', header: 'Extra Barcodes', aliases: ['barcodes', 'otherbarcodes'] },
+    { field: 'plu', header: 'PLU', aliases: [] },
+    { field: 'category', header: 'Category', aliases: ['department', 'dept'] },
+    { field: 'brand', header: 'Brand', aliases: [] },
+    { field: 'size', header: 'Size', aliases: [] },
+    { field: 'price', header: 'Price', aliases: ['sellingprice', 'retailprice', 'saleprice'] },
+    { field: 'cost', header: 'Cost', aliases: ['costprice', 'unitcost', 'purchaseprice'] },
+    { field: 'stock', header: 'Stock', aliases: ['quantity', 'qty', 'onhand', 'stocklevel'] },
+    { field: 'minStock', header: 'Min Stock', aliases: ['reorderlevel', 'reorderpoint', 'minimumstock'] },
+    { field: 'baseUnit', header: 'Base Unit', aliases: ['unit', 'uom'] },
+    { field: 'units', header: 'Units', aliases: ['packunits'] },
+    { field: 'purchaseUnit', header: 'Purchase Unit', aliases: [] }
+];
+
+const FIELDS = CATALOG_COLUMNS.map(column => column.field);
+
+const headerKey = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const HEADER_FIELDS = new Map(CATALOG_COLUMNS.flatMap(column =>
+    [column.header, column.field, ...column.aliases].map(name => [headerKey(name), column.field])
+));
+
+// Extra barcodes and units are lists inside one cell
+const splitList = (text) => String(text || '').split(/[;|]/).map(entry => entry.trim()).filter(Boolean);
+
+// Text of a spreadsheet cell. Formulas give their result, rich text its plain text.
+const cellText = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString().slice(0, 10);
+    }
+    if (typeof value === 'object') {
+        if (Array.isArray(value.richText)) {
+            return value.richText.map(part => part.text).join('').trim();
+        }
+        if (value.text !== undefined) {
+            return cellText(value.text);
+        }
+        if (value.result !== undefined) {
+            return cellText(value.result);
+        }
+        return '';
+    }
+    return String(value).trim();
+};
+
+// Amounts may carry thousands separators; anything else that is not a number is rejected
+const parseNumber = (text) => {
+    const cleaned = text.replace(/[,\s]/g, '');
+    return /^-?\d+(\.\d+)?$/.test(cleaned) ? Number(cleaned) : NaN;
+};
+
+// "carton:24:2200:6001234567890; pack:6" -> [{ name, factor, price?, barcode? }]
+const parseUnits = (text) => splitList(text).map(entry => {
+    const [name, factor, price, barcode] = entry.split(':').map(part => part.trim());
+    return { name, factor, price: price || undefined, barcode: barcode || undefined };
+});
+
+const formatUnits = (units = []) => units
+    .map(unit => [unit.name, unit.factor, unit.price ?? '', unit.barcode || ''].join(':').replace(/:+$/, ''))
+    .join('; ');
+
+// Which field each column of the file holds. `mapping` ({ "File header": "field" })
+// overrides the automatic match; map a header to null or '' to ignore that column.
+const resolveColumns = (headers, mapping = {}) => {
+    if (typeof mapping !== 'object' || Array.isArray(mapping) || mapping === null) {
+        throw createHttpError(400, 'mapping must be an object of file header to field');
+    }
+
+    const overrides = new Map(Object.entries(mapping).map(([header, field]) => {
+        if (field && !FIELDS.includes(field)) {
+            throw createHttpError(400, `Unknown field "${field}" in mapping. Fields: ${FIELDS.join(', ')}`);
+        }
+        return [headerKey(header), field || null];
+    }));
+
+    const columns = new Map();
+    headers.forEach((header, index) => {
+        const key = headerKey(header);
+        const field = overrides.has(key) ? overrides.get(key) : HEADER_FIELDS.get(key);
+        if (!field) {
+            return;
+        }
+        if ([...columns.values()].includes(field)) {
+            throw createHttpError(400, `More than one column maps to "${field}"`);
+        }
+        columns.set(index, field);
+    });
+
+    if (![...columns.values()].some(field => field === 'sku' || field === 'barcode' || field === 'name')) {
+        throw createHttpError(400, 'The file needs a Name, SKU or Barcode column. Check the header row or the mapping.');
+    }
+
+    return columns;
+};
+
+// Read the first worksheet of a CSV or XLSX file. Returns { columns, rows } where each
+// row is { row, values } keyed by field; row is the line number in the file.
+const parseCatalogFile = async (buffer, format, mapping) => {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    try {
+        if (format === 'csv') {
+            // Keep every value as text so barcodes keep their leading zeros
+            worksheet = await workbook.csv.read(Readable.from([buffer]), { map: value => value });
+        } else {
+            await workbook.xlsx.load(buffer);
+            worksheet = workbook.worksheets[0];
+        }
+    } catch (error) {
+        throw createHttpError(400, `Could not read the ${format.toUpperCase()} file: ${error.message}`);
+    }
+
+    if (!worksheet || worksheet.rowCount < 1) {
+        throw createHttpError(400, 'The file is empty');
+    }
+
+    const headerValues = worksheet.getRow(1).values.slice(1).map(cellText);
+    const columns = resolveColumns(headerValues, mapping);
+    const rows = [];
+
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) {
+            return;
+        }
+        const values = {};
+        columns.forEach((field, index) => {
+            values[field] = cellText(row.getCell(index + 1).value);
+        });
+        if (Object.values(values).some(Boolean)) {
+            rows.push({ row: rowNumber, values });
+        }
+    });
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw createHttpError(400, `Files are limited to ${MAX_IMPORT_ROWS} rows; this one has ${rows.length}`);
+    }
+
+    return { columns: [...columns.values()], rows };
+};
+
+// Turn one row's text into item fields. Blank cells are left out, so an update only
+// touches what the file fills in. Problems are pushed onto `errors`.
+const readRow = ({ row, values }, errors) => {
+    const fields = {};
+    const fail = (field, code, message) => errors.push({ row, field, value: values[field], code, message });
+
+    ['name', 'category', 'brand', 'size', 'sku', 'plu'].forEach(field => {
+        if (values[field]) {
+            fields[field] = values[field];
+        }
+    });
+
+    [['price', 'INVALID_PRICE'], ['cost', 'INVALID_COST'], ['stock', 'INVALID_STOCK'], ['minStock', 'INVALID_MIN_STOCK']]
+        .forEach(([field, code]) => {
+            if (!values[field]) {
+                return;
+            }
+            const number = parseNumber(values[field]);
+            if (isNaN(number) || number < 0) {
+                fail(field, code, `${field} must be a number of 0 or more, not "${values[field]}"`);
+            } else {
+                fields[field] = number;
+            }
+        });
+
+    if (values.barcode) {
+        fields.barcode = normalizeBarcode(values.barcode);
+    }
+    if (values.barcodes) {
+        fields.barcodes = splitList(values.barcodes).map(normalizeBarcode);
+    }
+    [fields.barcode, ...(fields.barcodes || [])].filter(Boolean).forEach(code => {
+        const problem = barcodeError(code);
+        if (problem) {
+            fail(code === fields.barcode ? 'barcode' : 'barcodes', 'INVALID_BARCODE', problem);
+        }
+    });
+
+    if (values.baseUnit || values.units || values.purchaseUnit) {
+        fields.unitSetup = {
+            baseUnit: values.baseUnit,
+            units: values.units ? parseUnits(values.units) : undefined,
+            purchaseUnit: values.purchaseUnit
+        };
+    }
+
+    return fields;
+};
+
+// Every code a row puts on its item
+const rowCodes = (fields) => [
+    fields.barcode,
+    ...(fields.barcodes || []),
+    ...(fields.units || []).map(unit => unit.barcode)
+].filter(Boolean);
+
+// The manager's item a row updates: by SKU first, then by barcode. Returns
+// { item } or { error }.
+const findMatch = async (managerId, fields) => {
+    let bySku = null;
+    if (fields.sku) {
+        // SKUs are unique across the whole database, not just per manager
+        bySku = await Item.findOne({ sku: fields.sku });
+        if (bySku && (bySku.managerId.toString() !== managerId.toString() || !bySku.isActive)) {
+            return { error: ['sku', 'SKU_IN_USE', `SKU ${fields.sku} is already used by another item`] };
+        }
+    }
+
+    let byBarcode = null;
+    if (fields.barcode) {
+        const codes = barcodeVariants(fields.barcode);
+        byBarcode = await Item.findOne({
+            managerId,
+            isActive: true,
+            $or: [{ barcode: { $in: codes } }, { barcodes: { $in: codes } }]
+        });
+    }
+
+    if (bySku && byBarcode && !bySku._id.equals(byBarcode._id)) {
+        return {
+            error: ['barcode', 'MATCH_CONFLICT', `SKU ${fields.sku} is "${bySku.name}" but barcode ${fields.barcode} is "${byBarcode.name}"`]
+        };
+    }
+    if (!bySku && byBarcode && fields.sku && byBarcode.sku) {
+        return {
+            error: ['sku', 'MATCH_CONFLICT', `Barcode ${fields.barcode} is "${byBarcode.name}", which has SKU ${byBarcode.sku}`]
+        };
+    }
+
+    return { item: bySku || byBarcode };
+};
+
+// Fields of an existing item that the row would change
+const changedFields = (item, fields) => {
+    const changes = {};
+    ['name', 'category', 'brand', 'size', 'sku', 'plu', 'price', 'cost', 'minStock', 'barcode', 'baseUnit', 'purchaseUnit']
+        .forEach(field => {
+            if (fields[field] !== undefined && fields[field] !== (item[field] ?? null)) {
+                changes[field] = fields[field];
+            }
+        });
+    if (fields.barcodes && fields.barcodes.join() !== (item.barcodes || []).join()) {
+        changes.barcodes = fields.barcodes;
+    }
+    if (fields.units && formatUnits(fields.units) !== formatUnits(item.units)) {
+        changes.units = fields.units;
+    }
+    return changes;
+};
+
+// Check every row and work out what it would do, without writing anything.
+// Returns { plan, errors } where each plan entry is { row, action, item?, fields, changes? }.
+const planImport = async (managerId, rows, locationId) => {
+    const errors = [];
+    const plan = [];
+    const skus = new Map();
+    const codes = new Map();
+    const matched = new Map();
+
+    for (const entry of rows) {
+        const { row } = entry;
+        const rowErrors = [];
+        const fail = (field, code, message) => rowErrors.push({ row, field, value: entry.values[field], code, message });
+        const fields = readRow(entry, rowErrors);
+
+        if (fields.sku) {
+            if (skus.has(fields.sku)) {
+                fail('sku', 'DUPLICATE_SKU', `SKU ${fields.sku} is also on row ${skus.get(fields.sku)}`);
+            } else {
+                skus.set(fields.sku, row);
+            }
+        }
+
+        let match = {};
+        if (rowErrors.length === 0) {
+            match = await findMatch(managerId, fields);
+            if (match.error) {
+                fail(...match.error);
+            }
+        }
+        const item = match.item;
+
+        if (item?.isParent) {
+            fail('sku', 'VARIANT_PARENT', `"${item.name}" is a product with variants; import its variants instead`);
+        }
+        if (item && matched.has(item._id.toString())) {
+            fail('sku', 'DUPLICATE_ITEM', `Row ${matched.get(item._id.toString())} already updates "${item.name}"`);
+        }
+
+        if (!item) {
+            if (!fields.name) {
+                fail('name', 'MISSING_NAME', 'Name is required for a new item');
+            }
+            if (!fields.category) {
+                fail('category', 'MISSING_CATEGORY', 'Category is required for a new item');
+            }
+            if (fields.price === undefined && !rowErrors.some(error => error.field === 'price')) {
+                fail('price', 'MISSING_PRICE', 'Price is required for a new item');
+            }
+        }
+
+        if (fields.unitSetup) {
+            try {
+                const existing = item ? { baseUnit: item.baseUnit, units: item.units, purchaseUnit: item.purchaseUnit } : {};
+                const setup = normalizeUnits({
+                    baseUnit: fields.unitSetup.baseUnit || existing.baseUnit,
+                    // Unit text carries no sellable flag; keep the one already on the item
+                    units: (fields.unitSetup.units || existing.units || []).map(unit => ({
+                        ...(unit.toObject ? unit.toObject() : unit),
+                        sellable: (existing.units || []).find(current => current.name === String(unit.name).toLowerCase())?.sellable
+                    })),
+                    purchaseUnit: fields.unitSetup.purchaseUnit ?? existing.purchaseUnit
+                });
+                Object.assign(fields, setup);
+            } catch (error) {
+                fail('units', 'INVALID_UNITS', error.message);
+            }
+            delete fields.unitSetup;
+        }
+
+        rowCodes(fields).forEach(code => {
+            barcodeVariants(code).forEach(variant => {
+                if (codes.has(variant) && codes.get(variant) !== row) {
+                    fail('barcode', 'DUPLICATE_BARCODE', `Barcode ${code} is also on row ${codes.get(variant)}`);
+                }
+            });
+            barcodeVariants(code).forEach(variant => codes.set(variant, row));
+        });
+
+        if (rowErrors.length === 0) {
+            try {
+                await checkItemCodes(managerId, {
+                    barcode: fields.barcode,
+                    barcodes: fields.barcodes,
+                    units: fields.units,
+                    plu: fields.plu
+                }, item?._id);
+            } catch (error) {
+                if (!error.status) {
+                    throw error;
+                }
+                fail(error.details?.code === 'PLU_IN_USE' ? 'plu' : 'barcode', error.details?.code || 'INVALID_BARCODE', error.message);
+            }
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+            continue;
+        }
+
+        if (!item) {
+            plan.push({ row, action: 'create', fields });
+            continue;
+        }
+
+        matched.set(item._id.toString(), row);
+        const changes = changedFields(item, fields);
+        const stockChanged = fields.stock !== undefined && fields.stock !== item.stockAt(locationId);
+        plan.push({
+            row,
+            action: Object.keys(changes).length > 0 || stockChanged ? 'update' : 'unchanged',
+            item,
+            fields,
+            changes
+        });
+    }
+
+    return { plan, errors };
+};
+
+const createItem = (entry, { user, managerId, locationId, deviceId }) =>
+    mongoose.connection.transaction(async (session) => {
+        const { fields } = entry;
+        const stock = fields.stock || 0;
+        const [item] = await Item.create([{
+            name: fields.name,
+            price: fields.price,
+            cost: fields.cost || 0,
+            category: fields.category,
+            brand: fields.brand,
+            size: fields.size,
+            sku: fields.sku,
+            barcode: fields.barcode,
+            barcodes: fields.barcodes,
+            plu: fields.plu,
+            stock,
+            locationStock: locationId ? [{ location: locationId, stock }] : [],
+            minStock: fields.minStock || 0,
+            baseUnit: fields.baseUnit,
+            units: fields.units,
+            purchaseUnit: fields.purchaseUnit,
+            userId: user.id,
+            managerId,
+            deviceId
+        }], { session });
+
+        if (stock > 0) {
+            await recordMovement(item, stock, 'adjustment', {
+                locationId,
+                reason: 'Opening stock (import)',
+                userId: user.id,
+                deviceId
+            }, session);
+        }
+        publishItemUpdate(item, 'created', session);
+        return item;
+    });
+
+const updateItem = (entry, { user, locationId, deviceId }) =>
+    mongoose.connection.transaction(async (session) => {
+        const { fields, changes } = entry;
+        let item = await Item.findById(entry.item._id).session(session);
+
+        if (Object.keys(changes).length > 0) {
+            item.set(changes);
+            await item.save({ session });
+        }
+
+        if (fields.stock !== undefined && fields.stock !== item.stockAt(locationId)) {
+            item = await setStock(item, fields.stock, 'adjustment', {
+                locationId,
+                reason: 'Catalog import',
+                userId: user.id,
+                deviceId
+            }, session);
+            if (!item) {
+                throw createHttpError(409, 'Stock changed while the import was running');
+            }
+        }
+        if (Object.keys(changes).length > 0) {
+            publishItemUpdate(item, 'updated', session);
+        }
+        return item;
+    });
+
+// Import a catalog file: create items that are new, update the ones matched by SKU or
+// barcode. With dryRun nothing is written and the report says what would happen. Rows
+// with errors stop the whole import unless skipInvalid is set, in which case only the
+// valid rows are imported. Each row is written in its own transaction.
+const importCatalog = async ({ user, managerId, locationId, buffer, format, mapping, dryRun = false, skipInvalid = false, deviceId = 'catalog-import' }) => {
+    const { columns, rows } = await parseCatalogFile(buffer, format, mapping);
+    const { plan, errors } = await planImport(managerId, rows, locationId);
+
+    const report = {
+        dryRun,
+        columns,
+        rows: rows.length,
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        failed: new Set(errors.map(error => error.row)).size,
+        errors,
+        results: []
+    };
+
+    const applying = !dryRun && (errors.length === 0 || skipInvalid);
+
+    for (const entry of plan) {
+        const result = {
+            row: entry.row,
+            action: entry.action,
+            itemId: entry.item?._id,
+            sku: entry.fields.sku || entry.item?.sku,
+            name: entry.fields.name || entry.item?.name
+        };
+
+        if (applying && entry.action !== 'unchanged') {
+            try {
+                const context = { user, managerId, locationId, deviceId };
+                const item = entry.action === 'create' ? await createItem(entry, context) : await updateItem(entry, context);
+                result.itemId = item._id;
+            } catch (error) {
+                report.errors.push({ row: entry.row, code: 'WRITE_FAILED', message: error.message });
+                report.failed += 1;
+                continue;
+            }
+        }
+
+        report[entry.action === 'create' ? 'created' : entry.action === 'update' ? 'updated' : 'unchanged'] += 1;
+        report.results.push(result);
+    }
+
+    report.imported = applying;
+    return report;
+};
+
+// The catalog as a CSV or XLSX file in the import format. Parents of variants are left
+// out (their variants are listed); stock is the level at locationId, or the total
+// while the manager has no locations.
+const exportCatalog = async (managerId, { format = 'csv', category, locationId, template = false } = {}) => {
+    const query = { managerId, isActive: true, isParent: { $ne: true } };
+    if (category) {
+        query.category = category;
+    }
+    const items = template ? [] : await Item.find(query).sort({ category: 1, name: 1 });
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Catalog');
+    worksheet.columns = CATALOG_COLUMNS.map(column => ({
+        header: column.header,
+        key: column.field,
+        width: Math.max(column.header.length + 2, 12),
+        // Text columns stop Excel turning barcodes into numbers
+        style: ['sku', 'barcode', 'barcodes', 'plu'].includes(column.field) ? { numFmt: '@' } : undefined
+    }));
+    worksheet.getRow(1).font = { bold: true };
+
+    items.forEach(item => {
+        worksheet.addRow({
+            name: item.name,
+            sku: item.sku || '',
+            barcode: item.barcode || '',
+            barcodes: (item.barcodes || []).join('; '),
+            plu: item.plu || '',
+            category: item.category,
+            brand: item.brand || '',
+            size: item.size || '',
+            price: item.price,
+            cost: item.cost || 0,
+            stock: item.stockAt(locationId),
+            minStock: item.minStock || 0,
+            baseUnit: item.baseUnit || 'piece',
+            units: formatUnits(item.units),
+            purchaseUnit: item.purchaseUnit || ''
+        });
+    });
+
+    if (format === 'xlsx') {
+        return {
+            body: Buffer.from(await workbook.xlsx.writeBuffer()),
+            contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            items: items.length
+        };
+    }
+    return {
+        body: Buffer.from(await workbook.csv.writeBuffer()),
+        contentType: 'text/csv; charset=utf-8',
+        items: items.length
+    };
+};
+
+module.exports = {
+    CATALOG_COLUMNS,
+    MAX_IMPORT_ROWS,
+    parseCatalogFile,
+    importCatalog,
+    exportCatalog
+};
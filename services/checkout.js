@@ -0,0 +1,497 @@
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale');
+const Item = require('../models/Item');
+const User = require('../models/User');
+const { createHttpError } = require('../utils/httpError');
+const { priceLine, overridePercent, calculateTotals, validateDiscount, diffPricing } = require('./pricing');
+const { verifyApproval } = require('./approvals');
+const { normalizePayments, totalTendered, allocateTender } = require('./payments');
+const { chargeSaleToAccount } = require('./receivables');
+const { priceLoyaltyTenders, recordRedemption, accrueSalePoints } = require('./loyalty');
+const { recordCustomerSale } = require('./customerStats');
+const { adjustStock } = require('./stockLedger');
+const { resolveLocationId } = require('./locations');
+const { resolveUnit, toBaseQuantity } = require('./units');
+const { lookupBarcode } = require('./barcodes');
+const { publish } = require('./events');
+const { nextReceiptNumber, claimBlockNumber } = require('./receiptNumbers');
+
+// Resolve who owns the sale and which items the user may sell.
+// Managers can sell their own items, items under their managerId and items created by their cashiers;
+// cashiers can sell their own items and anything in their manager's inventory.
+const resolveSaleContext = async (user, requestedCashierId, session) => {
+    if (user.role === 'manager') {
+        const cashiers = await User.find({ managerId: user.id }).select('_id').session(session);
+        const cashierIds = cashiers.map(c => c._id.toString());
+
+        return {
+            managerId: user.id,
+            manager: user,
+            cashierId: requestedCashierId || null,
+            canAccessItem: (item) =>
+                item.userId.toString() === user.id ||
+                item.managerId.toString() === user.id ||
+                cashierIds.includes(item.userId.toString())
+        };
+    }
+
+    if (user.role === 'cashier') {
+        const cashier = await User.findById(user.id).session(session);
+        if (!cashier || !cashier.managerId) {
+            throw createHttpError(400, 'Cashier not properly linked to a manager. Please contact support.');
+        }
+        const managerId = cashier.managerId.toString();
+        const manager = await User.findById(managerId).select('taxRate currency pricingPolicy').session(session);
+
+        return {
+            managerId,
+            manager,
+            cashierId: user.id,
+            canAccessItem: (item) =>
+                item.userId.toString() === user.id ||
+                item.userId.toString() === managerId ||
+                item.managerId.toString() === managerId
+        };
+    }
+
+    return {
+        managerId: user.id,
+        manager: user,
+        cashierId: null,
+        canAccessItem: (item) => item.userId.toString() === user.id
+    };
+};
+
+// How to treat client totals that disagree with the server:
+// 'strict' rejects the checkout with a diff, 'accept' charges server prices and flags the sale
+const PRICING_MODES = ['strict', 'accept'];
+
+// When an offline sale happened, as the device recorded it. Dates that cannot be
+// read or lie in the future are replaced by the time it reached the server.
+const offlineSaleDate = (value) => {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date.getTime()) || date > new Date()) {
+        return new Date();
+    }
+    return date;
+};
+
+// Validate the shape of the checkout payload before touching the database
+const validateCheckoutPayload = ({ items, customerId, pricingMode }) => {
+    if (!items || !Array.isArray(items) || items.length === 0) {
+        throw createHttpError(400, 'At least one item is required');
+    }
+
+    if (pricingMode && !PRICING_MODES.includes(pricingMode)) {
+        throw createHttpError(400, `pricingMode must be one of: ${PRICING_MODES.join(', ')}`);
+    }
+
+    for (const { productId, barcode, quantity, priceOverride } of items) {
+        // Scanned lines may leave quantity out: one, or what a scale label says
+        const quantityMissing = quantity === undefined || quantity === null;
+        if ((!productId && !barcode) || (quantityMissing && !barcode) || (!quantityMissing && !(quantity > 0))) {
+            throw createHttpError(400, 'Each item must have valid productId (or barcode) and quantity');
+        }
+
+        if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+            throw createHttpError(400, `Invalid product ID format: ${productId}`, { productId });
+        }
+
+        if (priceOverride) {
+            const price = parseFloat(priceOverride.price);
+            if (isNaN(price) || price < 0) {
+                throw createHttpError(400, `Invalid override price for product ${productId}`, { productId });
+            }
+            if (!priceOverride.reasonCode) {
+                throw createHttpError(400, `A reason code is required to override the price of product ${productId}`, { productId });
+            }
+        }
+    }
+
+    if (customerId && !mongoose.Types.ObjectId.isValid(customerId)) {
+        throw createHttpError(400, 'Invalid customer ID format');
+    }
+};
+
+// Atomically take stock for one sale line. The stock guard in the filter means two
+// cashiers selling the last unit cannot both succeed, and stock never goes below zero.
+// In a multi-location shop the stock must be at the sale's location.
+// Offline sales have already happened, so with allowShortage a line takes what stock
+// there is instead of failing; updated.$locals.shortage says how much was missing.
+// Expired lots are never sold online; offline they are drawn on as a last resort.
+const reserveStock = async (item, quantity, movement, session, { allowShortage = false } = {}) => {
+    const take = (amount) => adjustStock(item._id, -amount, 'sale', {
+        ...movement,
+        guard: { isActive: true, stock: { $gte: amount } },
+        takeExpired: allowShortage
+    }, session).catch((error) => {
+        if (error.details?.code === 'EXPIRED_STOCK') {
+            error.message = `Only expired stock is left for "${item.name}". Write off the expired lots or sell less.`;
+            error.details.productId = item._id.toString();
+        }
+        throw error;
+    });
+
+    const updated = await take(quantity);
+    if (updated) {
+        updated.$locals.shortage = 0;
+        return updated;
+    }
+
+    const current = await Item.findById(item._id).session(session);
+    const available = current ? current.stockAt(movement.locationId) : 0;
+
+    if (allowShortage && current && available < quantity) {
+        const partial = available > 0 ? await take(available) : current;
+        if (partial) {
+            if (available <= 0) {
+                partial.$locals.lots = [];
+            }
+            partial.$locals.shortage = quantity - Math.max(available, 0);
+            return partial;
+        }
+    }
+
+    throw createHttpError(400, `Insufficient stock for item "${item.name}". Available: ${available}, Requested: ${quantity}`, {
+        productId: item._id.toString(),
+        available,
+        requested: quantity
+    });
+};
+
+// Check a line's price override against the manager's pricing policy. Returns the
+// override details to store on the sale line; needsApproval is set when the override
+// goes beyond what the user may do alone.
+const reviewPriceOverride = (user, context, item, priceOverride) => {
+    const policy = context.manager?.pricingPolicy || {};
+    const reasonCodes = policy.overrideReasonCodes || [];
+    const price = parseFloat(priceOverride.price);
+
+    if (reasonCodes.length > 0 && !reasonCodes.includes(priceOverride.reasonCode)) {
+        throw createHttpError(400, `Unknown override reason code: ${priceOverride.reasonCode}`, {
+            code: 'INVALID_REASON_CODE',
+            reasonCodes
+        });
+    }
+
+    const percentOff = overridePercent(item.price, price);
+    const details = {
+        originalPrice: item.price,
+        overridePrice: price,
+        priceOverride: {
+            reasonCode: priceOverride.reasonCode,
+            percentOff,
+            overriddenBy: user.id
+        }
+    };
+
+    if (user.role !== 'cashier') {
+        details.priceOverride.approvedBy = user.id;
+        details.priceOverride.approvalMethod = 'manager';
+    } else if (percentOff <= (policy.maxOverridePercent || 0)) {
+        details.priceOverride.approvalMethod = 'within_limit';
+    } else {
+        details.needsApproval = true;
+    }
+
+    return details;
+};
+
+// Create a sale and take its stock. Must be called inside a transaction: every write
+// uses the given session so a failure on any line rolls back the whole checkout.
+// Prices, tax and totals are always calculated here; client figures are only compared.
+// With offline (sales rung up while the device had no connection) the sale keeps its
+// clientId, saleDate and block receipt number, lines short of stock are recorded
+// with stockShortage, and failed permission, loyalty and credit checks go into
+// syncConflicts, instead of failing the sale.
+const createSale = async (user, payload, session, { offline = false } = {}) => {
+    validateCheckoutPayload(payload);
+    // Either payments: [{ method, amount, reference }] or the legacy paidAmount + paymentMethod
+    let tenders = normalizePayments(payload);
+
+    const syncConflicts = [];
+    const keepOffline = (error) => {
+        if (!offline) {
+            throw error;
+        }
+        const { code, ...details } = error.details || {};
+        syncConflicts.push({ code, message: error.message, details });
+    };
+
+    const {
+        items,
+        cashierId,
+        receiptNumber,
+        discount = 0,
+        pricingMode = 'strict',
+        customerName,
+        customerPhone,
+        customerEmail,
+        customerId, // Customer ID for linking to customer record
+        notes,
+        deviceId,
+        locationId, // Managers may sell from any of their locations; cashiers sell from their own
+        overrideApproval // { managerPin } or { approvalToken } for overrides above the limit
+    } = payload;
+
+    const context = await resolveSaleContext(user, cashierId, session);
+    const saleLocationId = await resolveLocationId(user, context.managerId, locationId, session);
+
+    // Stock movements point at the sale, so its id and receipt number are fixed up front.
+    // Numbers come from the shop's sequence; an offline sale keeps the one it was
+    // printed with when that came from a block reserved by its device.
+    const saleId = new mongoose.Types.ObjectId();
+    const saleDate = offline ? offlineSaleDate(payload.saleDate) : new Date();
+    const saleReceiptNumber = offline && receiptNumber && await claimBlockNumber(context.managerId, deviceId, receiptNumber, session)
+        ? receiptNumber
+        : await nextReceiptNumber(context.managerId, { date: saleDate, locationId: saleLocationId }, session);
+    const stockMovement = {
+        saleId,
+        locationId: saleLocationId,
+        reference: saleReceiptNumber,
+        userId: user.id,
+        deviceId: deviceId || 'mobile-app'
+    };
+
+    const saleItems = [];
+    const linesNeedingApproval = [];
+
+    for (const saleItem of items) {
+        let { productId, quantity } = saleItem;
+
+        // Barcode-first lines: the scan decides the item, and may decide the unit
+        // (pack barcodes) or the quantity and amount (scale labels)
+        const scan = saleItem.barcode && !productId
+            ? await lookupBarcode(context.managerId, saleItem.barcode, session)
+            : null;
+        if (scan) {
+            productId = scan.item._id.toString();
+            quantity = scan.scale ? scan.scale.quantity : quantity || 1;
+        }
+
+        const item = scan ? scan.item : await Item.findOne({ _id: productId, isActive: true }).session(session);
+
+        if (!item) {
+            throw createHttpError(400, `Item with ID ${productId} not found`, { productId });
+        }
+
+        if (!context.canAccessItem(item)) {
+            console.error('Access denied to item:', {
+                productId,
+                itemName: item.name,
+                userId: user.id,
+                userRole: user.role
+            });
+            throw createHttpError(403, `Access denied to item: ${item.name}`, { productId });
+        }
+
+        if (item.isParent) {
+            throw createHttpError(400, `Choose a variant of "${item.name}" to sell`, {
+                code: 'VARIANT_REQUIRED',
+                productId
+            });
+        }
+
+        // Lines may be sold in any sellable unit; stock is taken in the base unit
+        const unit = resolveUnit(item, saleItem.unit || scan?.unit, { forSale: true });
+        const baseQuantity = toBaseQuantity(quantity, unit);
+
+        const reserved = await reserveStock(item, baseQuantity, { ...stockMovement, unit }, session, {
+            allowShortage: offline
+        });
+
+        const line = {
+            item: item._id,
+            name: item.name,
+            quantity,
+            unit: unit.name,
+            unitFactor: unit.factor
+        };
+        if (scan) {
+            line.barcode = scan.code;
+        }
+        if (reserved.$locals.shortage > 0) {
+            line.stockShortage = reserved.$locals.shortage;
+        }
+        const expiredSold = reserved.$locals.lots
+            .filter(lot => lot.expiryDate && lot.expiryDate <= new Date())
+            .reduce((sum, lot) => sum - lot.quantity, 0);
+        if (expiredSold > 0) {
+            syncConflicts.push({
+                code: 'EXPIRED_STOCK_SOLD',
+                message: `${expiredSold} of "${item.name}" came out of expired lots`,
+                details: { productId: item._id.toString(), quantity: expiredSold }
+            });
+        }
+        if (item.parentId) {
+            line.parentItem = item.parentId;
+            line.attributes = item.attributes;
+        }
+        // Lots the stock was taken from, so returns and recalls can trace them
+        if (reserved.$locals.lots.length > 0) {
+            line.lots = reserved.$locals.lots.map(lot => ({ ...lot, quantity: -lot.quantity }));
+        }
+
+        // List price is per unit sold, e.g. the carton price for a carton
+        const listed = { price: unit.price };
+        if (saleItem.priceOverride) {
+            const { overridePrice, needsApproval, ...override } = reviewPriceOverride(user, context, listed, saleItem.priceOverride);
+            Object.assign(line, override, priceLine(listed, quantity, overridePrice));
+            if (needsApproval) {
+                linesNeedingApproval.push(line);
+            }
+        } else if (scan?.scale?.amount !== undefined) {
+            // Price labels charge what is printed; the weight is worked back from it
+            Object.assign(line, { price: listed.price, subtotal: scan.scale.amount });
+        } else {
+            Object.assign(line, priceLine(listed, quantity));
+        }
+
+        saleItems.push(line);
+    }
+
+    // One manager PIN or approval token covers every override in the sale
+    if (linesNeedingApproval.length > 0) {
+        // Offline, a locked PIN is one more approval to review rather than a refusal
+        const approvalMethod = await verifyApproval(context.manager, overrideApproval || {}, 'price-override', session)
+            .catch((error) => {
+                if (!offline || !error.status) {
+                    throw error;
+                }
+                return null;
+            });
+        if (!approvalMethod) {
+            keepOffline(createHttpError(403, 'Manager approval is required for price overrides above the allowed limit', {
+                code: 'OVERRIDE_APPROVAL_REQUIRED',
+                maxOverridePercent: context.manager?.pricingPolicy?.maxOverridePercent || 0,
+                lines: linesNeedingApproval.map(line => ({
+                    productId: line.item.toString(),
+                    name: line.name,
+                    originalPrice: line.originalPrice,
+                    price: line.price,
+                    percentOff: line.priceOverride.percentOff
+                }))
+            }));
+        } else {
+            linesNeedingApproval.forEach(line => {
+                line.priceOverride.approvedBy = context.managerId;
+                line.priceOverride.approvalMethod = approvalMethod;
+            });
+        }
+    }
+
+    // Loyalty tenders carry points; price them before anything is added up. Offline,
+    // points the customer no longer has are not taken and that part stays unpaid.
+    try {
+        await priceLoyaltyTenders(tenders, { customerId, managerId: context.managerId, user }, session);
+    } catch (error) {
+        if (!error.status) {
+            throw error;
+        }
+        keepOffline(error);
+        tenders = tenders.filter(tender => tender.method !== 'loyalty');
+    }
+
+    const requestedDiscount = parseFloat(discount) || 0;
+    const linesSubtotal = saleItems.reduce((sum, line) => sum + line.subtotal, 0);
+    const discountError = validateDiscount(user, requestedDiscount, linesSubtotal);
+    if (discountError) {
+        keepOffline(createHttpError(403, discountError, { code: 'DISCOUNT_NOT_PERMITTED' }));
+    }
+
+    const totals = calculateTotals({
+        lines: saleItems,
+        discount: requestedDiscount,
+        taxRate: context.manager?.taxRate || 0,
+        paidAmount: totalTendered(tenders)
+    });
+
+    const pricingDiff = diffPricing(items, saleItems, payload, totals);
+    if (pricingDiff.length > 0 && pricingMode === 'strict') {
+        throw createHttpError(409, 'Prices or totals differ from the server. Review the changes and retry.', {
+            code: 'PRICE_MISMATCH',
+            diff: pricingDiff,
+            serverTotals: totals,
+            serverItems: saleItems.map(line => ({
+                productId: line.item.toString(),
+                name: line.name,
+                price: line.price,
+                quantity: line.quantity,
+                unit: line.unit,
+                subtotal: line.subtotal
+            }))
+        });
+    }
+
+    // paidAmount, paymentMethod and paymentStatus are derived from payments on save
+    const { payments, change } = allocateTender(tenders, totals.total, {
+        cashierId: user.id,
+        deviceId: deviceId || 'mobile-app'
+    });
+
+    const sale = new Sale({
+        _id: saleId,
+        receiptNumber: saleReceiptNumber,
+        items: saleItems,
+        subtotal: totals.subtotal,
+        total: totals.total,
+        tax: totals.tax,
+        discount: totals.discount,
+        payments,
+        paidAmount: totalTendered(payments),
+        change,
+        pricingMismatch: pricingDiff.length > 0,
+        pricingDiff,
+        customerName: customerName?.trim(),
+        customerPhone: customerPhone?.trim(),
+        customerEmail: customerEmail?.trim(),
+        customerId: customerId ? new mongoose.Types.ObjectId(customerId) : null, // Link to customer record
+        notes: notes?.trim(),
+        userId: user.id,
+        managerId: context.managerId,
+        cashierId: context.cashierId,
+        locationId: saleLocationId,
+        deviceId: deviceId || 'mobile-app',
+        saleDate,
+        clientId: payload.clientId,
+        isOffline: offline,
+        syncConflicts
+    });
+
+    await sale.save({ session });
+    await recordCustomerSale(sale, session);
+
+    await recordRedemption(sale, payments, user, session);
+
+    // Anything left unpaid on a customer sale goes on their credit account
+    await chargeSaleToAccount(sale, user, session, { allowOverLimit: offline });
+
+    await accrueSalePoints(sale, user, session);
+
+    publish(sale.managerId, 'sale.created', {
+        saleId: sale._id.toString(),
+        receiptNumber: sale.receiptNumber,
+        total: sale.total,
+        paidAmount: sale.paidAmount,
+        paymentMethod: sale.paymentMethod,
+        paymentStatus: sale.paymentStatus,
+        itemCount: sale.items.length,
+        cashierId: sale.cashierId ? sale.cashierId.toString() : null,
+        locationId: sale.locationId ? sale.locationId.toString() : null,
+        saleDate: sale.saleDate
+    }, session);
+
+    return sale;
+};
+
+// Run a checkout as a single transaction: stock reservations, the sale insert and
+// any credit account charge either all commit or all roll back.
+const checkout = (user, payload) =>
+    mongoose.connection.transaction((session) => createSale(user, payload, session));
+
+module.exports = {
+    PRICING_MODES,
+    checkout,
+    createSale,
+    resolveSaleContext
+};
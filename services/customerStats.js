@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale');
+const Customer = require('../models/Customer');
+const { roundMoney } = require('./pricing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Customer totals are kept as running counters updated with each sale, payment and
+// refund. totalSpent is money actually received: paid amounts less refunds.
+
+// A new sale for the customer: one more visit and whatever was paid up front
+const recordCustomerSale = async (sale, session) => {
+    if (!sale.customerId) {
+        return;
+    }
+
+    await Customer.updateOne(
+        { _id: sale.customerId },
+        {
+            $inc: { totalSpent: roundMoney(sale.paidAmount || 0), visitCount: 1 },
+            $max: { lastPurchaseDate: sale.saleDate },
+            $min: { firstPurchaseDate: sale.saleDate },
+            $set: { lastSynced: new Date() }
+        },
+        { session }
+    );
+};
+
+// Money received on, or handed back from, an earlier sale (negative for refunds)
+const recordCustomerSpend = async (customerId, amount, session) => {
+    if (!customerId || !amount) {
+        return;
+    }
+
+    await Customer.updateOne(
+        { _id: customerId },
+        { $inc: { totalSpent: roundMoney(amount) }, $set: { lastSynced: new Date() } },
+        { session }
+    );
+};
+
+// Rebuild the counters from sales history for the customers matching filter.
+// Used by migrations/recompute-customer-stats.js; safe to run repeatedly.
+const recomputeCustomerStats = async (filter = {}) => {
+    const customers = await Customer.find(filter).select('_id');
+    const customerIds = customers.map(customer => customer._id);
+
+    const stats = await Sale.aggregate([
+        { $match: { customerId: { $in: customerIds }, paymentStatus: { $ne: 'failed' } } },
+        {
+            $group: {
+                _id: '$customerId',
+                totalSpent: {
+                    $sum: { $subtract: [{ $ifNull: ['$paidAmount', 0] }, { $ifNull: ['$refundedAmount', 0] }] }
+                },
+                visitCount: { $sum: 1 },
+                firstPurchaseDate: { $min: '$saleDate' },
+                lastPurchaseDate: { $max: '$saleDate' }
+            }
+        }
+    ]);
+
+    const statsById = new Map(stats.map(stat => [stat._id.toString(), stat]));
+
+    const operations = customerIds.map(customerId => {
+        const stat = statsById.get(customerId.toString());
+        const update = stat
+            ? {
+                $set: {
+                    totalSpent: roundMoney(Math.max(0, stat.totalSpent)),
+                    visitCount: stat.visitCount,
+                    firstPurchaseDate: stat.firstPurchaseDate,
+                    lastPurchaseDate: stat.lastPurchaseDate
+                }
+            }
+            : {
+                $set: { totalSpent: 0, visitCount: 0 },
+                $unset: { firstPurchaseDate: '', lastPurchaseDate: '' }
+            };
+        return { updateOne: { filter: { _id: customerId }, update } };
+    });
+
+    if (operations.length > 0) {
+        await Customer.bulkWrite(operations);
+    }
+
+    return { customers: customerIds.length, withSales: stats.length };
+};
+
+// Lifetime value, basket size, favourite items and purchase frequency from sales history
+const getCustomerInsights = async (customer) => {
+    const match = {
+        customerId: new mongoose.Types.ObjectId(customer._id),
+        paymentStatus: { $ne: 'failed' }
+    };
+
+    const [summary, favouriteItems, monthly] = await Promise.all([
+        Sale.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: null,
+                    visits: { $sum: 1 },
+                    grossSales: { $sum: '$total' },
+                    returns: { $sum: { $ifNull: ['$returnedAmount', 0] } },
+                    paid: { $sum: { $subtract: [{ $ifNull: ['$paidAmount', 0] }, { $ifNull: ['$refundedAmount', 0] }] } },
+                    itemsBought: { $sum: { $sum: '$items.quantity' } },
+                    firstPurchaseDate: { $min: '$saleDate' },
+                    lastPurchaseDate: { $max: '$saleDate' }
+                }
+            }
+        ]),
+        Sale.aggregate([
+            { $match: match },
+            { $unwind: '$items' },
+            {
+                $group: {
+                    _id: '$items.item',
+                    name: { $last: '$items.name' },
+                    // Net of returns, in the item's base unit
+                    quantity: {
+                        $sum: {
+                            $multiply: [
+                                { $subtract: ['$items.quantity', { $ifNull: ['$items.returnedQuantity', 0] }] },
+                                { $ifNull: ['$items.unitFactor', 1] }
+                            ]
+                        }
+                    },
+                    amount: { $sum: '$items.subtotal' },
+                    purchases: { $sum: 1 }
+                }
+            },
+            { $match: { quantity: { $gt: 0 } } },
+            { $sort: { quantity: -1, amount: -1 } },
+            { $limit: 5 }
+        ]),
+        Sale.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: { year: { $year: '$saleDate' }, month: { $month: '$saleDate' } },
+                    amount: { $sum: { $subtract: ['$total', { $ifNull: ['$returnedAmount', 0] }] } },
+                    visits: { $sum: 1 }
+                }
+            },
+            { $sort: { '_id.year': 1, '_id.month': 1 } }
+        ])
+    ]);
+
+    const stats = summary[0];
+    if (!stats) {
+        return {
+            lifetimeValue: 0,
+            amountPaid: 0,
+            outstanding: 0,
+            visits: 0,
+            averageBasket: 0,
+            averageItemsPerVisit: 0,
+            averageDaysBetweenVisits: null,
+            visitsPerMonth: 0,
+            daysSinceLastPurchase: null,
+            firstPurchaseDate: null,
+            lastPurchaseDate: null,
+            favouriteItems: [],
+            monthly: []
+        };
+    }
+
+    const netSales = stats.grossSales - stats.returns;
+    const spanDays = (stats.lastPurchaseDate - stats.firstPurchaseDate) / DAY_MS;
+    // Months the customer has been shopping, counting the current one
+    const activeMonths = Math.max(1, (Date.now() - stats.firstPurchaseDate) / (30 * DAY_MS));
+
+    return {
+        lifetimeValue: roundMoney(netSales),
+        amountPaid: roundMoney(stats.paid),
+        outstanding: roundMoney(Math.max(0, netSales - stats.paid)),
+        visits: stats.visits,
+        averageBasket: roundMoney(netSales / stats.visits),
+        averageItemsPerVisit: roundMoney(stats.itemsBought / stats.visits),
+        averageDaysBetweenVisits: stats.visits > 1 ? roundMoney(spanDays / (stats.visits - 1)) : null,
+        visitsPerMonth: roundMoney(stats.visits / activeMonths),
+        daysSinceLastPurchase: Math.floor((Date.now() - stats.lastPurchaseDate) / DAY_MS),
+        firstPurchaseDate: stats.firstPurchaseDate,
+        lastPurchaseDate: stats.lastPurchaseDate,
+        favouriteItems: favouriteItems.map(item => ({
+            itemId: item._id,
+            name: item.name,
+            quantity: item.quantity,
+            amount: roundMoney(item.amount),
+            purchases: item.purchases
+        })),
+        monthly: monthly.map(month => ({
+            month: `${month._id.year}-${month._id.month.toString().padStart(2, '0')}`,
+            amount: roundMoney(month.amount),
+            visits: month.visits
+        }))
+    };
+};
+
+module.exports = {
+    recordCustomerSale,
+    recordCustomerSpend,
+    recomputeCustomerStats,
+    getCustomerInsights
+};
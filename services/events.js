@@ -0,0 +1,112 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for things clients want to hear about as they happen. Every event
+// belongs to one manager's shop; services/realtime.js forwards them to that shop's
+// connected sockets.
+const EVENT_TYPES = ['sale.created', 'sale.refunded', 'stock.changed', 'item.updated', 'lowstock'];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+// Events raised inside a transaction wait on the session until it has committed, so
+// a rolled-back sale never reaches a screen. A retried transaction starts a new
+// session.transaction, which drops what the failed attempt queued.
+const PENDING = Symbol('pendingEvents');
+
+const emitNow = (event) => {
+    try {
+        bus.emit('event', event);
+    } catch (error) {
+        // Listeners must not be able to break the write that raised the event
+        console.error('Event listener error:', error);
+    }
+};
+
+const flushPending = (session) => {
+    const pending = session[PENDING] || [];
+    delete session[PENDING];
+
+    if (!session.transaction.isCommitted) {
+        return;
+    }
+    pending
+        .filter(entry => entry.transaction === session.transaction)
+        .forEach(entry => emitNow(entry.event));
+};
+
+// Raise an event for a manager's shop. Pass the session when inside a transaction.
+const publish = (managerId, type, data = {}, session) => {
+    if (!managerId) {
+        return;
+    }
+
+    const event = {
+        type,
+        managerId: managerId.toString(),
+        data,
+        at: new Date().toISOString()
+    };
+
+    if (session && session.inTransaction()) {
+        if (!session[PENDING]) {
+            session[PENDING] = [];
+            session.once('ended', flushPending);
+        }
+        session[PENDING].push({ transaction: session.transaction, event });
+        return;
+    }
+
+    emitNow(event);
+};
+
+const subscribe = (listener) => {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+};
+
+// A stock change as clients see it, plus a lowstock event when the change took the
+// item down to its reorder level
+const publishStockChange = (item, quantity, type, locationId, session) => {
+    const stockBefore = item.stock - quantity;
+
+    publish(item.managerId, 'stock.changed', {
+        itemId: item._id.toString(),
+        name: item.name,
+        type,
+        quantity,
+        stock: item.stock,
+        locationId: locationId ? locationId.toString() : null,
+        locationStock: locationId ? item.stockAt(locationId) : null
+    }, session);
+
+    if (quantity < 0 && stockBefore > item.minStock && item.stock <= item.minStock) {
+        publish(item.managerId, 'lowstock', {
+            itemId: item._id.toString(),
+            name: item.name,
+            stock: item.stock,
+            minStock: item.minStock
+        }, session);
+    }
+};
+
+// Catalog changes: action is 'created', 'updated' or 'deleted'
+const publishItemUpdate = (item, action, session) => {
+    publish(item.managerId, 'item.updated', {
+        itemId: item._id.toString(),
+        action,
+        name: item.name,
+        sku: item.sku || null,
+        barcode: item.barcode || null,
+        price: item.price,
+        category: item.category,
+        isActive: item.isActive
+    }, session);
+};
+
+module.exports = {
+    EVENT_TYPES,
+    publish,
+    subscribe,
+    publishStockChange,
+    publishItemUpdate
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const StockLot = require('../models/StockLot');
+const { roundMoney } = require('./pricing');
+const { adjustStock } = require('./stockLedger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lots with stock that expire within `days` (already expired ones included),
+// soonest first, with their value at lot cost and totals per item
+const buildExpiringReport = async (managerId, { days = 30, locationId } = {}) => {
+    const before = new Date(Date.now() + days * DAY_MS);
+
+    const lots = await StockLot.findExpiring(managerId, before, locationId)
+        .populate('item', 'name sku barcode category price baseUnit isActive')
+        .populate('locationId', 'name code');
+
+    const now = new Date();
+    const entries = lots
+        .filter(lot => lot.item && lot.item.isActive)
+        .map(lot => ({
+            lotId: lot._id,
+            lotNumber: lot.lotNumber,
+            expiryDate: lot.expiryDate,
+            daysToExpiry: lot.daysToExpiry,
+            isExpired: lot.expiryDate <= now,
+            item: {
+                _id: lot.item._id,
+                name: lot.item.name,
+                sku: lot.item.sku,
+                barcode: lot.item.barcode,
+                category: lot.item.category,
+                unit: lot.item.baseUnit
+            },
+            location: lot.locationId,
+            quantity: lot.quantity,
+            cost: lot.cost,
+            value: roundMoney(lot.quantity * lot.cost)
+        }));
+
+    const expired = entries.filter(entry => entry.isExpired);
+
+    return {
+        days,
+        generatedAt: now,
+        lots: entries,
+        summary: {
+            lots: entries.length,
+            items: new Set(entries.map(entry => entry.item._id.toString())).size,
+            quantity: entries.reduce((sum, entry) => sum + entry.quantity, 0),
+            value: roundMoney(entries.reduce((sum, entry) => sum + entry.value, 0)),
+            expiredLots: expired.length,
+            expiredValue: roundMoney(expired.reduce((sum, entry) => sum + entry.value, 0))
+        }
+    };
+};
+
+// Take expired lots out of stock with an 'expiry' movement each. Runs for one manager
+// or, without managerId, for everyone (the scheduled job). Each lot is written off in
+// its own transaction so one failure does not hold up the rest.
+const writeOffExpiredLots = async ({ managerId, userId, deviceId = 'system' } = {}) => {
+    const query = { quantity: { $gt: 0 }, expiryDate: { $ne: null, $lte: new Date() } };
+    if (managerId) {
+        query.managerId = managerId;
+    }
+
+    const expired = await StockLot.find(query).select('_id');
+    const writtenOff = [];
+    const failed = [];
+
+    for (const { _id } of expired) {
+        try {
+            const entry = await mongoose.connection.transaction(async (session) => {
+                const lot = await StockLot.findOne({ _id, quantity: { $gt: 0 } }).session(session);
+                if (!lot) {
+                    return null;
+                }
+
+                const item = await adjustStock(lot.item, -lot.quantity, 'expiry', {
+                    guard: { stock: { $gte: lot.quantity } },
+                    lots: [{ lot: lot._id, quantity: lot.quantity }],
+                    locationId: lot.locationId,
+                    reference: lot.lotNumber,
+                    reason: `Expired ${lot.expiryDate.toISOString().slice(0, 10)}`,
+                    userId: userId || lot.managerId,
+                    deviceId
+                }, session);
+
+                if (!item) {
+                    throw new Error(`Item stock is below lot ${lot.lotNumber}`);
+                }
+
+                await StockLot.updateOne({ _id: lot._id }, { $set: { writtenOffAt: new Date() } }, { session });
+
+                return {
+                    lotId: lot._id,
+                    lotNumber: lot.lotNumber,
+                    item: item._id,
+                    name: item.name,
+                    quantity: lot.quantity,
+                    value: roundMoney(lot.quantity * lot.cost)
+                };
+            });
+            if (entry) {
+                writtenOff.push(entry);
+            }
+        } catch (error) {
+            console.error('Write off expired lot error:', { lotId: _id.toString(), error: error.message });
+            failed.push({ lotId: _id, error: error.message });
+        }
+    }
+
+    return {
+        writtenOff,
+        failed,
+        quantity: writtenOff.reduce((sum, entry) => sum + entry.quantity, 0),
+        value: roundMoney(writtenOff.reduce((sum, entry) => sum + entry.value, 0))
+    };
+};
+
+module.exports = {
+    buildExpiringReport,
+    writeOffExpiredLots
+};
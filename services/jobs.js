@@ -0,0 +1,79 @@
+const { writeOffExpiredLots } = require('./expiry');
+const { processOutbox, sendScheduledReports } = require('./notifications');
+
+// Background jobs for long-running servers (server.js starts them whenever it listens).
+// Serverless deployments never keep a process alive between requests; there the
+// platform's cron calls the matching /api/cron endpoint instead (see vercel.json).
+const HOUR_MS = 60 * 60 * 1000;
+
+const JOBS = [
+    {
+        name: 'write-off-expired-lots',
+        intervalMs: (parseFloat(process.env.EXPIRY_WRITE_OFF_HOURS) || 6) * HOUR_MS,
+        run: async () => {
+            const result = await writeOffExpiredLots();
+            if (result.writtenOff.length > 0 || result.failed.length > 0) {
+                console.log(`Expired lots written off: ${result.writtenOff.length}, failed: ${result.failed.length}`);
+            }
+        }
+    },
+    {
+        name: 'notification-outbox',
+        intervalMs: (parseFloat(process.env.OUTBOX_INTERVAL_SECONDS) || 60) * 1000,
+        run: async () => {
+            const result = await processOutbox({ limit: 200 });
+            if (result.failed > 0) {
+                console.log(`Notification messages sent: ${result.sent}, retrying: ${result.retrying}, given up: ${result.failed}`);
+            }
+        }
+    },
+    {
+        name: 'scheduled-reports',
+        intervalMs: HOUR_MS,
+        run: async () => {
+            const result = await sendScheduledReports();
+            if (result.reports > 0) {
+                console.log(`Scheduled reports queued: ${result.reports}`);
+            }
+        }
+    }
+];
+
+const timers = [];
+
+// Run a job, never two copies of the same one at once
+const runJob = async (job) => {
+    if (job.running) {
+        return;
+    }
+    job.running = true;
+    try {
+        await job.run();
+    } catch (error) {
+        console.error(`Job ${job.name} error:`, error);
+    } finally {
+        job.running = false;
+    }
+};
+
+// Start every job: once straight away, then on its interval
+const startJobs = () => {
+    if (timers.length > 0) {
+        return;
+    }
+    JOBS.forEach(job => {
+        runJob(job);
+        const timer = setInterval(() => runJob(job), job.intervalMs);
+        timer.unref();
+        timers.push(timer);
+    });
+};
+
+const stopJobs = () => {
+    timers.splice(0).forEach(timer => clearInterval(timer));
+};
+
+module.exports = {
+    startJobs,
+    stopJobs
+};
@@ -0,0 +1,325 @@
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+const Item = require('../models/Item');
+const { createHttpError } = require('../utils/httpError');
+const { withCheckDigit, barcodeVariants, barcodeFormat } = require('../utils/barcode');
+
+// GS1 prefix 20 is for in-store use; scales use 21-29 (see scaleBarcodes)
+const INTERNAL_PREFIX = '20';
+
+const SYMBOLOGIES = {
+    ean13: 'ean13',
+    ean8: 'ean8',
+    upca: 'upca',
+    code128: 'code128',
+    qrcode: 'qrcode'
+};
+
+// Label sheets in points (1/72 inch). The default fits 24 labels on A4.
+const PAGE_SIZES = {
+    A4: [595.28, 841.89],
+    LETTER: [612, 792]
+};
+const DEFAULT_LAYOUT = {
+    pageSize: 'A4',
+    columns: 3,
+    rows: 8,
+    margin: 18,
+    gap: 6
+};
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1)}...` : text);
+
+const formatPrice = (amount, currency) =>
+    new Intl.NumberFormat('en', { style: 'currency', currency, currencyDisplay: 'code' })
+        .format(amount)
+        .replace(/\u00a0/g, ' ');
+
+// Symbology for a code: what was asked for, else what the digits are, else Code 128
+const resolveSymbology = (code, requested) => {
+    if (requested) {
+        const bcid = SYMBOLOGIES[String(requested).toLowerCase()];
+        if (!bcid) {
+            throw createHttpError(400, `Unsupported barcode format "${requested}". Use one of: ${Object.keys(SYMBOLOGIES).join(', ')}`);
+        }
+        return bcid;
+    }
+    const format = barcodeFormat(code);
+    return SYMBOLOGIES[format] || 'code128';
+};
+
+const barcodeOptions = (code, symbology, { scale = 3, height = 12, includeText = true } = {}) => {
+    const options = { bcid: symbology, text: code, scale };
+    if (symbology !== 'qrcode') {
+        options.height = height;
+        options.includetext = includeText;
+        options.textxalign = 'center';
+    }
+    return options;
+};
+
+// Render one barcode as PNG (a Buffer) or SVG (a string). bwip-js rejects codes the
+// symbology cannot carry, e.g. a bad EAN-13 check digit; those become 400s.
+const renderBarcode = async (code, { symbology, output = 'png', ...options } = {}) => {
+    const bcid = resolveSymbology(code, symbology);
+    try {
+        if (output === 'svg') {
+            return bwipjs.toSVG(barcodeOptions(code, bcid, options));
+        }
+        return await bwipjs.toBuffer(barcodeOptions(code, bcid, options));
+    } catch (error) {
+        throw createHttpError(400, `Cannot render ${code} as ${bcid}: ${String(error.message || error).replace(/^bwipp\.\w+#\d+: /, '')}`);
+    }
+};
+
+// A fresh in-store EAN-13 (prefix 20) that none of the manager's items use yet
+const generateInternalBarcode = async (managerId) => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const body = `${INTERNAL_PREFIX}${Date.now().toString().slice(-6)}${Math.floor(Math.random() * 10000).toString().padStart(4, '0')}`;
+        const code = withCheckDigit(body);
+        const taken = await Item.exists({
+            managerId,
+            $or: [
+                { barcode: { $in: barcodeVariants(code) } },
+                { barcodes: code },
+                { 'units.barcode': code }
+            ]
+        });
+        if (!taken) {
+            return code;
+        }
+    }
+    throw createHttpError(503, 'Could not generate a free internal barcode. Try again.');
+};
+
+// Give items without a barcode an internal EAN-13. The update only applies while the
+// item still has none, so two label runs cannot hand out different codes.
+const ensureBarcodes = async (items) => {
+    const assigned = [];
+
+    for (const item of items) {
+        if (item.barcode) {
+            continue;
+        }
+        const code = await generateInternalBarcode(item.managerId);
+        const updated = await Item.findOneAndUpdate(
+            { _id: item._id, $or: [{ barcode: null }, { barcode: '' }] },
+            { $set: { barcode: code, lastSynced: new Date() } },
+            { new: true }
+        );
+        if (updated) {
+            item.barcode = code;
+            assigned.push({ itemId: item._id, name: item.name, barcode: code });
+        } else {
+            // Someone else labelled it first; use their code
+            item.barcode = (await Item.findById(item._id).select('barcode')).barcode;
+        }
+    }
+
+    return assigned;
+};
+
+// What goes on a label: name, price per base unit (per kg etc. for loose goods), code
+const labelContent = (item, currency) => ({
+    name: item.name,
+    price: formatPrice(item.price, currency) + (item.baseUnit && item.baseUnit !== 'piece' ? ` / ${item.baseUnit}` : ''),
+    code: item.barcode,
+    sku: item.sku
+});
+
+const resolveLayout = (layout = {}) => {
+    const merged = { ...DEFAULT_LAYOUT };
+    ['columns', 'rows', 'margin', 'gap'].forEach(key => {
+        if (layout[key] !== undefined) {
+            const value = Number(layout[key]);
+            if (!Number.isFinite(value) || value < 0 || ((key === 'columns' || key === 'rows') && (value < 1 || value > 20))) {
+                throw createHttpError(400, `Invalid label layout ${key}: ${layout[key]}`);
+            }
+            merged[key] = value;
+        }
+    });
+    if (layout.pageSize) {
+        merged.pageSize = String(layout.pageSize).toUpperCase();
+        if (!PAGE_SIZES[merged.pageSize]) {
+            throw createHttpError(400, `Page size must be one of: ${Object.keys(PAGE_SIZES).join(', ')}`);
+        }
+    }
+
+    const [pageWidth, pageHeight] = PAGE_SIZES[merged.pageSize];
+    merged.pageWidth = pageWidth;
+    merged.pageHeight = pageHeight;
+    merged.labelWidth = (pageWidth - merged.margin * 2 - merged.gap * (merged.columns - 1)) / merged.columns;
+    merged.labelHeight = (pageHeight - merged.margin * 2 - merged.gap * (merged.rows - 1)) / merged.rows;
+    merged.perPage = merged.columns * merged.rows;
+    return merged;
+};
+
+// Top-left corner of the nth label on its page
+const labelPosition = (index, layout) => {
+    const slot = index % layout.perPage;
+    const column = slot % layout.columns;
+    const row = Math.floor(slot / layout.columns);
+    return {
+        x: layout.margin + column * (layout.labelWidth + layout.gap),
+        y: layout.margin + row * (layout.labelHeight + layout.gap)
+    };
+};
+
+// Label sheet as a PDF Buffer, one label per entry in `labels`
+const renderPdfSheet = async (labels, layout, { symbology, showPrice = true }) => {
+    const doc = new PDFDocument({ size: [layout.pageWidth, layout.pageHeight], margin: 0, autoFirstPage: false });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const images = new Map();
+    const padding = 4;
+
+    for (let index = 0; index < labels.length; index++) {
+        if (index % layout.perPage === 0) {
+            doc.addPage();
+        }
+        const label = labels[index];
+        const { x, y } = labelPosition(index, layout);
+        const width = layout.labelWidth - padding * 2;
+
+        doc.font('Helvetica-Bold').fontSize(9)
+            .text(label.name, x + padding, y + padding, { width, height: 22, ellipsis: true });
+
+        let barcodeTop = y + padding + 24;
+        if (showPrice) {
+            doc.font('Helvetica-Bold').fontSize(12)
+                .text(label.price, x + padding, barcodeTop, { width, height: 14, ellipsis: true });
+            barcodeTop += 16;
+        }
+
+        if (!images.has(label.code)) {
+            images.set(label.code, await renderBarcode(label.code, { symbology, output: 'png', scale: 3 }));
+        }
+        const barcodeHeight = y + layout.labelHeight - padding - barcodeTop;
+        if (barcodeHeight > 10) {
+            doc.image(images.get(label.code), x + padding, barcodeTop, {
+                fit: [width, barcodeHeight],
+                align: 'center',
+                valign: 'center'
+            });
+        }
+    }
+
+    if (labels.length === 0) {
+        doc.addPage();
+    }
+    doc.end();
+    return finished;
+};
+
+// Label sheet as one SVG document; pages are stacked top to bottom
+const renderSvgSheet = (labels, layout, { symbology, showPrice = true }) => {
+    const pages = Math.max(1, Math.ceil(labels.length / layout.perPage));
+    const height = layout.pageHeight * pages;
+    const padding = 4;
+    // Roughly what fits on one line at 9pt
+    const maxChars = Math.floor((layout.labelWidth - padding * 2) / 5);
+    const parts = [];
+
+    labels.forEach((label, index) => {
+        const page = Math.floor(index / layout.perPage);
+        const { x, y: pageY } = labelPosition(index, layout);
+        const y = pageY + page * layout.pageHeight;
+        const barcodeTop = y + padding + (showPrice ? 40 : 24);
+        const barcodeHeight = y + layout.labelHeight - padding - barcodeTop;
+
+        const svg = bwipjs.toSVG(barcodeOptions(label.code, resolveSymbology(label.code, symbology)))
+            .replace('<svg ', `<svg x="${x + padding}" y="${barcodeTop}" width="${layout.labelWidth - padding * 2}" height="${Math.max(0, barcodeHeight)}" `);
+
+        parts.push(
+            '<g>',
+            `<rect x="${x}" y="${y}" width="${layout.labelWidth}" height="${layout.labelHeight}" fill="none" stroke="#cccccc" stroke-width="0.5"/>`,
+            `<text x="${x + padding}" y="${y + padding + 9}" font-family="Helvetica, Arial, sans-serif" font-size="9" font-weight="bold">${escapeXml(truncate(label.name, maxChars))}</text>`,
+            showPrice ? `<text x="${x + padding}" y="${y + padding + 36}" font-family="Helvetica, Arial, sans-serif" font-size="12" font-weight="bold">${escapeXml(label.price)}</text>` : '',
+            svg,
+            '</g>'
+        );
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${layout.pageWidth}" height="${height}" viewBox="0 0 ${layout.pageWidth} ${height}">`,
+        ...parts,
+        '</svg>'
+    ].join('\n');
+};
+
+// Build a printable label sheet. Items are chosen by itemIds or by category (all active
+// items otherwise), variants' parents are skipped, and items without a barcode are
+// given an internal one first. copies repeats every label.
+const buildLabelSheet = async (managerId, options = {}) => {
+    const {
+        itemIds,
+        category,
+        format = 'pdf',
+        symbology,
+        copies = 1,
+        showPrice = true,
+        currency = 'NGN',
+        layout: requestedLayout
+    } = options;
+
+    if (!['pdf', 'svg'].includes(format)) {
+        throw createHttpError(400, 'format must be pdf or svg');
+    }
+    const copyCount = parseInt(copies);
+    if (!copyCount || copyCount < 1 || copyCount > 100) {
+        throw createHttpError(400, 'copies must be between 1 and 100');
+    }
+    const layout = resolveLayout(requestedLayout);
+
+    const query = { managerId, isActive: true, isParent: { $ne: true } };
+    if (Array.isArray(itemIds) && itemIds.length > 0) {
+        query._id = { $in: itemIds };
+    } else if (category) {
+        query.category = category;
+    }
+
+    const items = await Item.find(query).sort({ category: 1, name: 1 }).limit(1000);
+    if (items.length === 0) {
+        throw createHttpError(404, 'No items found to label');
+    }
+
+    const assigned = await ensureBarcodes(items);
+
+    const labels = [];
+    items.forEach(item => {
+        const content = labelContent(item, currency);
+        for (let copy = 0; copy < copyCount; copy++) {
+            labels.push(content);
+        }
+    });
+
+    const renderOptions = { symbology, showPrice: showPrice !== false && showPrice !== 'false' };
+    const body = format === 'svg'
+        ? renderSvgSheet(labels, layout, renderOptions)
+        : await renderPdfSheet(labels, layout, renderOptions);
+
+    return {
+        body,
+        contentType: format === 'svg' ? 'image/svg+xml' : 'application/pdf',
+        labels: labels.length,
+        assigned
+    };
+};
+
+module.exports = {
+    INTERNAL_PREFIX,
+    renderBarcode,
+    ensureBarcodes,
+    buildLabelSheet
+};
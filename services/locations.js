@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Location = require('../models/Location');
+const StockLot = require('../models/StockLot');
+const { createHttpError } = require('../utils/httpError');
+
+// Location a stock change applies to: the one asked for, else the user's own, else the
+// manager's default. Null while the manager has not set up any locations, in which
+// case stock is tracked as a single number per item as before.
+// Cashiers assigned to a location cannot move stock anywhere else.
+const resolveLocationId = async (user, managerId, requested, session) => {
+    if (requested) {
+        if (!mongoose.Types.ObjectId.isValid(requested)) {
+            throw createHttpError(400, 'Invalid location ID format');
+        }
+        if (user.role === 'cashier' && user.locationId && user.locationId.toString() !== requested.toString()) {
+            throw createHttpError(403, 'Cashiers can only use their assigned location');
+        }
+        const location = await Location.findOne({ _id: requested, managerId, isActive: true }).session(session);
+        if (!location) {
+            throw createHttpError(404, 'Location not found');
+        }
+        return location._id;
+    }
+
+    if (user.locationId) {
+        return user.locationId;
+    }
+
+    const fallback = await Location.findDefault(managerId).session(session);
+    return fallback ? fallback._id : null;
+};
+
+const findLocation = async (id, managerId, session) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw createHttpError(400, 'Invalid location ID format');
+    }
+    const location = await Location.findOne({ _id: id, managerId, isActive: true }).session(session);
+    if (!location) {
+        throw createHttpError(404, 'Location not found');
+    }
+    return location;
+};
+
+// The first location becomes the default and takes over all existing stock and lots, so
+// item totals and location levels agree from the start.
+const createLocation = (user, payload) =>
+    mongoose.connection.transaction(async (session) => {
+        const { name, code, address, phone, deviceId } = payload;
+
+        if (!name || !name.trim()) {
+            throw createHttpError(400, 'Location name is required');
+        }
+
+        const existingCount = await Location.countDocuments({ managerId: user.id, isActive: true }).session(session);
+
+        const [location] = await Location.create([{
+            name: name.trim(),
+            code: code?.trim(),
+            address: address || {},
+            phone: phone?.trim(),
+            isDefault: existingCount === 0,
+            managerId: user.id,
+            deviceId: deviceId || 'mobile-app'
+        }], { session });
+
+        if (existingCount === 0) {
+            await Item.updateMany(
+                { managerId: user.id, $or: [{ locationStock: { $exists: false } }, { locationStock: { $size: 0 } }] },
+                [{ $set: { locationStock: [{ location: location._id, stock: '$stock' }], lastSynced: new Date() } }],
+                { session }
+            );
+            await StockLot.updateMany(
+                { managerId: user.id, locationId: null },
+                { $set: { locationId: location._id, lastSynced: new Date() } },
+                { session }
+            );
+        }
+
+        return location;
+    });
+
+const setDefaultLocation = (user, id) =>
+    mongoose.connection.transaction(async (session) => {
+        const location = await findLocation(id, user.id, session);
+
+        await Location.updateMany(
+            { managerId: user.id, _id: { $ne: location._id } },
+            { $set: { isDefault: false, lastSynced: new Date() } },
+            { session }
+        );
+        location.isDefault = true;
+        await location.save({ session });
+        return location;
+    });
+
+module.exports = {
+    resolveLocationId,
+    createLocation,
+    setDefaultLocation,
+    findLocation
+};
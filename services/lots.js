@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const StockLot = require('../models/StockLot');
+const { createHttpError } = require('../utils/httpError');
+
+const generateLotNumber = () => {
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    return `LOT-${timestamp}${random}`;
+};
+
+// What a stock movement records about a lot it touched; quantity is signed like the movement
+const lotMove = (lot, quantity) => ({
+    lot: lot._id,
+    lotNumber: lot.lotNumber,
+    expiryDate: lot.expiryDate,
+    quantity
+});
+
+// Check a lot given with incoming stock and return it cleaned up
+const normalizeLot = ({ lotNumber, expiryDate, cost, receivedDate } = {}) => {
+    const lot = { lotNumber: lotNumber ? String(lotNumber).trim() : '' };
+
+    if (expiryDate) {
+        const expiry = new Date(expiryDate);
+        if (isNaN(expiry.getTime())) {
+            throw createHttpError(400, `Invalid expiry date: ${expiryDate}`);
+        }
+        lot.expiryDate = expiry;
+    }
+    if (cost !== undefined && cost !== null && cost !== '') {
+        const unitCost = parseFloat(cost);
+        if (isNaN(unitCost) || unitCost < 0) {
+            throw createHttpError(400, 'Invalid lot cost');
+        }
+        lot.cost = unitCost;
+    }
+    if (receivedDate) {
+        lot.receivedDate = new Date(receivedDate);
+    }
+
+    return lot;
+};
+
+// Draw `quantity` from the given lots in order. Returns the moves and what is left.
+const drawFromLots = async (candidates, quantity, session) => {
+    const moves = [];
+    let remaining = quantity;
+
+    for (const candidate of candidates) {
+        if (remaining <= 0) {
+            break;
+        }
+        const take = Math.min(candidate.quantity, remaining);
+        const lot = await StockLot.findOneAndUpdate(
+            { _id: candidate._id, quantity: { $gte: take } },
+            { $inc: { quantity: -take }, $set: { lastSynced: new Date() } },
+            { new: true, session }
+        );
+        if (!lot) {
+            throw createHttpError(409, 'Lot stock changed while it was being updated. Try again.', { lot: candidate._id });
+        }
+        moves.push(lotMove(lot, -take));
+        remaining -= take;
+    }
+
+    return { moves, remaining };
+};
+
+// Take stock out of an item's lots at a location. Without `lots` the earliest expiry
+// goes first (FEFO) and, once the lots run out, the rest comes from untracked stock.
+// With `lots: [{ lot, quantity }]` exactly those lots are drawn down.
+// For sales (sellable), expired lots are passed over. When the untracked stock
+// cannot cover the rest either, only expired stock is left: that is refused with 409
+// EXPIRED_STOCK, or with takeExpired (an offline sale that already happened) drawn
+// from the expired lots. stockAfter is the item's stock at the location after the
+// change.
+const takeFromLots = async (itemId, locationId, quantity, lots, session, { sellable = false, takeExpired = false, stockAfter } = {}) => {
+    if (lots) {
+        const moves = [];
+        for (const { lot: lotId, quantity: lotQuantity } of lots) {
+            const lot = await StockLot.findOneAndUpdate(
+                { _id: lotId, item: itemId, quantity: { $gte: lotQuantity } },
+                { $inc: { quantity: -lotQuantity }, $set: { lastSynced: new Date() } },
+                { new: true, session }
+            );
+            if (!lot) {
+                throw createHttpError(409, 'Lot stock changed while it was being updated. Reload and try again.', { lot: lotId });
+            }
+            moves.push(lotMove(lot, -lotQuantity));
+        }
+        return moves;
+    }
+
+    const available = await StockLot.findAvailable(itemId, locationId, { expired: sellable ? 'exclude' : undefined }).session(session);
+    const { moves, remaining } = await drawFromLots(available, quantity, session);
+    if (!sellable || remaining <= 0) {
+        return moves;
+    }
+
+    // Untracked stock covers the rest only if what is left on hand still covers
+    // every lot; any gap would have to come out of expired lots
+    const [held] = await StockLot.aggregate([
+        {
+            $match: {
+                item: new mongoose.Types.ObjectId(itemId),
+                locationId: locationId ? new mongoose.Types.ObjectId(locationId) : null,
+                quantity: { $gt: 0 }
+            }
+        },
+        { $group: { _id: null, quantity: { $sum: '$quantity' } } }
+    ]).session(session);
+    const expiredShortfall = Math.round(((held?.quantity || 0) - stockAfter) * 1000) / 1000;
+    if (expiredShortfall <= 0) {
+        return moves;
+    }
+
+    if (!takeExpired) {
+        throw createHttpError(409, 'Only expired stock is left for this quantity. Write off the expired lots or sell less.', {
+            code: 'EXPIRED_STOCK',
+            itemId: itemId.toString(),
+            expired: expiredShortfall
+        });
+    }
+    const expired = await StockLot.findAvailable(itemId, locationId, { expired: 'only' }).session(session);
+    const drawn = await drawFromLots(expired, expiredShortfall, session);
+    return [...moves, ...drawn.moves];
+};
+
+// Put incoming stock into lots at a location. Each entry is either an existing lot
+// ({ lot }, e.g. goods coming back from a sale) or a lot description ({ lotNumber,
+// expiryDate, cost }); a matching lot at the location is topped up, otherwise a new
+// lot is opened. Entries with a quantity take that much, the last one without takes
+// the rest, and anything left over stays untracked.
+const putIntoLots = async (item, locationId, entries, quantity, details = {}, session) => {
+    const moves = [];
+    let remaining = quantity;
+
+    for (const entry of entries) {
+        if (remaining <= 0) {
+            break;
+        }
+        const put = Math.min(entry.quantity !== undefined ? entry.quantity : remaining, remaining);
+        if (put <= 0) {
+            continue;
+        }
+
+        let source = entry;
+        if (entry.lot) {
+            source = await StockLot.findById(entry.lot).session(session);
+            if (!source) {
+                continue;
+            }
+            if (String(source.locationId || '') === String(locationId || '')) {
+                source.quantity += put;
+                await source.save({ session });
+                moves.push(lotMove(source, put));
+                remaining -= put;
+                continue;
+            }
+        }
+
+        const lotNumber = source.lotNumber || generateLotNumber();
+        const expiryDate = source.expiryDate || null;
+        const lot = await StockLot.findOneAndUpdate(
+            { item: item._id, locationId: locationId || null, lotNumber, expiryDate },
+            {
+                $inc: { quantity: put, initialQuantity: put },
+                $set: { writtenOffAt: null, lastSynced: new Date() },
+                $setOnInsert: {
+                    cost: source.cost !== undefined ? source.cost : item.cost || 0,
+                    receivedDate: source.receivedDate || new Date(),
+                    purchaseOrderId: details.purchaseOrderId || null,
+                    managerId: item.managerId
+                }
+            },
+            { new: true, upsert: true, session }
+        );
+        moves.push(lotMove(lot, put));
+        remaining -= put;
+    }
+
+    return moves;
+};
+
+// Keep Item.expiryDate on the earliest expiry still in stock, for lists and alerts
+// that only look at the item. Items without lots keep whatever was entered.
+const refreshItemExpiry = async (itemId, session) => {
+    const [earliest] = await StockLot.find({ item: itemId, quantity: { $gt: 0 }, expiryDate: { $ne: null } })
+        .sort({ expiryDate: 1 })
+        .limit(1)
+        .session(session);
+
+    const hasLots = earliest || await StockLot.exists({ item: itemId }).session(session);
+    if (!hasLots) {
+        return undefined;
+    }
+
+    const expiryDate = earliest ? earliest.expiryDate : null;
+    await Item.updateOne({ _id: itemId }, { $set: { expiryDate } }, { session });
+    return expiryDate;
+};
+
+// Which of a sale line's lots a return goes back to. Lots are handed back in the
+// order they were taken, skipping what earlier returns already put back.
+const lotsForReturn = (saleLots, alreadyReturned, quantity) => {
+    const entries = [];
+    let skip = alreadyReturned;
+    let remaining = quantity;
+
+    for (const taken of saleLots || []) {
+        if (remaining <= 0) {
+            break;
+        }
+        const left = taken.quantity - Math.min(skip, taken.quantity);
+        skip = Math.max(0, skip - taken.quantity);
+        if (left > 0) {
+            const put = Math.min(left, remaining);
+            entries.push({ lot: taken.lot, quantity: put });
+            remaining -= put;
+        }
+    }
+
+    return entries;
+};
+
+module.exports = {
+    normalizeLot,
+    takeFromLots,
+    putIntoLots,
+    refreshItemExpiry,
+    lotsForReturn
+};
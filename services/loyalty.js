@@ -0,0 +1,369 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const User = require('../models/User');
+const { createHttpError } = require('../utils/httpError');
+const { roundMoney } = require('./pricing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The manager's loyalty program, or null when it is switched off
+const getProgram = async (managerId, session) => {
+    const manager = await User.findById(managerId).select('loyaltyProgram').session(session);
+    const program = manager?.loyaltyProgram;
+    return program?.enabled ? program : null;
+};
+
+// Highest tier the customer has reached on lifetime points
+const tierFor = (program, lifetimePoints = 0) =>
+    [...(program.tiers || [])]
+        .sort((a, b) => b.minPoints - a.minPoints)
+        .find(tier => lifetimePoints >= tier.minPoints) || null;
+
+const loyaltyPaid = (sale) =>
+    roundMoney(sale.payments
+        .filter(payment => payment.method === 'loyalty')
+        .reduce((sum, payment) => sum + payment.amount, 0));
+
+// Move the customer's points balance and write the matching ledger entry.
+// Entries that add points become lots that later redemptions and expiry draw on.
+const postPoints = async (customerId, entry, session) => {
+    const inc = { loyaltyPoints: entry.points };
+    if (entry.type === 'earn') {
+        inc.lifetimePoints = entry.points;
+    }
+
+    const customer = await Customer.findOneAndUpdate(
+        { _id: customerId },
+        { $inc: inc, $set: { lastSynced: new Date() } },
+        { new: true, session }
+    );
+
+    if (!customer) {
+        throw createHttpError(404, 'Customer not found');
+    }
+
+    const [transaction] = await LoyaltyTransaction.create([{
+        remainingPoints: entry.points > 0 ? entry.points : 0,
+        ...entry,
+        customerId: customer._id,
+        managerId: customer.managerId,
+        balanceAfter: customer.loyaltyPoints,
+        entryDate: new Date()
+    }], { session });
+
+    return { customer, transaction };
+};
+
+// Take points out of open lots, oldest first. A sale's own earn lot is used first when given.
+const consumeLots = async (customerId, points, session, saleId) => {
+    const lots = await LoyaltyTransaction.findOpenLots(customerId).session(session);
+    if (saleId) {
+        lots.sort((a, b) => (String(b.saleId) === String(saleId)) - (String(a.saleId) === String(saleId)));
+    }
+
+    let left = points;
+    for (const lot of lots) {
+        if (left <= 0) {
+            break;
+        }
+        const taken = Math.min(lot.remainingPoints, left);
+        lot.remainingPoints -= taken;
+        left -= taken;
+        await lot.save({ session });
+    }
+};
+
+const expiryDate = (program) =>
+    program.pointsExpiryDays > 0 ? new Date(Date.now() + program.pointsExpiryDays * DAY_MS) : undefined;
+
+// Expire lots past their date. Runs before points are read or spent, so balances never include expired points.
+const expirePoints = async (customerId, user, session) => {
+    const lots = await LoyaltyTransaction.find({
+        customerId,
+        remainingPoints: { $gt: 0 },
+        expiresAt: { $lte: new Date() }
+    }).session(session);
+
+    const expired = lots.reduce((sum, lot) => sum + lot.remainingPoints, 0);
+    if (expired <= 0) {
+        return 0;
+    }
+
+    for (const lot of lots) {
+        lot.remainingPoints = 0;
+        await lot.save({ session });
+    }
+
+    await postPoints(customerId, {
+        type: 'expire',
+        points: -expired,
+        description: `${expired} points expired`,
+        userId: user.id
+    }, session);
+
+    return expired;
+};
+
+// Price loyalty tenders at the program's point value and check the customer can cover them.
+// Must run before the tenders are allocated against the amount due.
+const priceLoyaltyTenders = async (tenders, { customerId, managerId, user }, session) => {
+    const loyaltyTenders = tenders.filter(tender => tender.method === 'loyalty');
+    if (loyaltyTenders.length === 0) {
+        return 0;
+    }
+
+    if (!customerId) {
+        throw createHttpError(400, 'A customer is required to pay with loyalty points');
+    }
+
+    const program = await getProgram(managerId, session);
+    if (!program) {
+        throw createHttpError(400, 'The loyalty program is not enabled', { code: 'LOYALTY_DISABLED' });
+    }
+
+    const points = loyaltyTenders.reduce((sum, tender) => sum + tender.points, 0);
+    if (points < program.minRedeemPoints) {
+        throw createHttpError(400, `At least ${program.minRedeemPoints} points must be redeemed at a time`, {
+            code: 'LOYALTY_MIN_REDEEM',
+            minRedeemPoints: program.minRedeemPoints
+        });
+    }
+
+    const customer = await Customer.findOne({ _id: customerId, managerId, isActive: true }).session(session);
+    if (!customer) {
+        throw createHttpError(404, 'Customer not found');
+    }
+
+    await expirePoints(customer._id, user, session);
+    const { loyaltyPoints } = await Customer.findById(customer._id).select('loyaltyPoints').session(session);
+
+    if (points > loyaltyPoints) {
+        throw createHttpError(400, `Customer only has ${loyaltyPoints} points`, {
+            code: 'INSUFFICIENT_POINTS',
+            available: loyaltyPoints,
+            requested: points
+        });
+    }
+
+    loyaltyTenders.forEach(tender => {
+        tender.amount = roundMoney(tender.points * program.pointValue);
+    });
+
+    return points;
+};
+
+// Deduct the points behind a sale's new loyalty payments
+const recordRedemption = async (sale, payments, user, session) => {
+    const redeemed = payments.filter(payment => payment.method === 'loyalty');
+    const points = redeemed.reduce((sum, payment) => sum + payment.points, 0);
+    if (points <= 0) {
+        return null;
+    }
+
+    await consumeLots(sale.customerId, points, session);
+    const { transaction } = await postPoints(sale.customerId, {
+        type: 'redeem',
+        points: -points,
+        value: roundMoney(redeemed.reduce((sum, payment) => sum + payment.amount, 0)),
+        saleId: sale._id,
+        description: `Redeemed on sale ${sale.receiptNumber}`,
+        userId: user.id
+    }, session);
+
+    sale.loyalty.pointsRedeemed += points;
+    await sale.save({ session });
+
+    return transaction;
+};
+
+// Award points once a customer sale is fully paid. Points are earned on what was
+// paid with money, not on the part covered by points.
+const accrueSalePoints = async (sale, user, session) => {
+    if (!sale.customerId || sale.paymentStatus !== 'completed' || sale.loyalty?.accruedAt) {
+        return null;
+    }
+
+    const program = await getProgram(sale.managerId, session);
+    if (!program) {
+        return null;
+    }
+
+    const customer = await Customer.findById(sale.customerId).session(session);
+    if (!customer) {
+        return null;
+    }
+
+    const tier = tierFor(program, customer.lifetimePoints);
+    const multiplier = tier ? tier.multiplier : 1;
+    const basis = Math.max(0, sale.total - (sale.returnedAmount || 0) - loyaltyPaid(sale));
+    const points = Math.floor((basis / program.spendPerPoint) * multiplier + 1e-9);
+
+    sale.loyalty.accruedAt = new Date();
+    sale.loyalty.pointsEarned = points;
+    await sale.save({ session });
+
+    if (points <= 0) {
+        return null;
+    }
+
+    const { customer: updated, transaction } = await postPoints(customer._id, {
+        type: 'earn',
+        points,
+        multiplier,
+        expiresAt: expiryDate(program),
+        saleId: sale._id,
+        description: `Earned on sale ${sale.receiptNumber}`,
+        userId: user.id
+    }, session);
+
+    const newTier = tierFor(program, updated.lifetimePoints);
+    if ((newTier?.name || undefined) !== updated.loyaltyTier) {
+        updated.loyaltyTier = newTier?.name;
+        await updated.save({ session });
+    }
+
+    return transaction;
+};
+
+// Split a return's refund between money and redeemed points in the same
+// proportion the sale was paid. Pure: the points move in settleReturnPoints.
+const loyaltyRefundFor = (sale, refundAmount, fullyReturned) => {
+    const paidWithPoints = loyaltyPaid(sale);
+    const redeemedLeft = (sale.loyalty?.pointsRedeemed || 0) - (sale.loyalty?.pointsRestored || 0);
+    if (paidWithPoints <= 0 || redeemedLeft <= 0 || refundAmount <= 0) {
+        return { points: 0, value: 0 };
+    }
+
+    const value = roundMoney(refundAmount * paidWithPoints / sale.paidAmount);
+    const points = fullyReturned
+        ? redeemedLeft
+        : Math.min(redeemedLeft, Math.round(value * sale.loyalty.pointsRedeemed / paidWithPoints));
+
+    return { points, value };
+};
+
+// Take back points earned on returned goods and give back points that paid for them
+const settleReturnPoints = async (sale, saleReturn, fullyReturned, user, session) => {
+    if (!sale.customerId) {
+        return;
+    }
+
+    const earnedLeft = sale.loyalty.pointsEarned - sale.loyalty.pointsReversed;
+    if (earnedLeft > 0) {
+        let points = fullyReturned
+            ? earnedLeft
+            : Math.min(earnedLeft, Math.floor(sale.loyalty.pointsEarned * saleReturn.totalAmount / sale.total));
+
+        // Points already spent cannot be taken back
+        const customer = await Customer.findById(sale.customerId).select('loyaltyPoints').session(session);
+        points = Math.min(points, customer ? customer.loyaltyPoints : 0);
+
+        if (points > 0) {
+            await consumeLots(sale.customerId, points, session, sale._id);
+            await postPoints(sale.customerId, {
+                type: 'reverse',
+                points: -points,
+                saleId: sale._id,
+                returnId: saleReturn._id,
+                description: `Reversed for return ${saleReturn.returnNumber}`,
+                userId: user.id
+            }, session);
+            sale.loyalty.pointsReversed += points;
+        }
+    }
+
+    const restored = saleReturn.loyaltyRefund?.points || 0;
+    if (restored > 0) {
+        const program = await getProgram(sale.managerId, session);
+        await postPoints(sale.customerId, {
+            type: 'restore',
+            points: restored,
+            value: saleReturn.loyaltyRefund.value,
+            expiresAt: program ? expiryDate(program) : undefined,
+            saleId: sale._id,
+            returnId: saleReturn._id,
+            description: `Restored for return ${saleReturn.returnNumber}`,
+            userId: user.id
+        }, session);
+        sale.loyalty.pointsRestored += restored;
+    }
+
+    await sale.save({ session });
+};
+
+// Manual correction by a manager. Negative adjustments draw on open lots like a redemption.
+const adjustPoints = async (customer, points, description, user, session) => {
+    if (points < 0) {
+        await expirePoints(customer._id, user, session);
+        const { loyaltyPoints } = await Customer.findById(customer._id).select('loyaltyPoints').session(session);
+        if (-points > loyaltyPoints) {
+            throw createHttpError(400, `Customer only has ${loyaltyPoints} points`, {
+                code: 'INSUFFICIENT_POINTS',
+                available: loyaltyPoints
+            });
+        }
+        await consumeLots(customer._id, -points, session);
+    }
+
+    const program = await getProgram(customer.managerId, session);
+    return postPoints(customer._id, {
+        type: 'adjust',
+        points,
+        expiresAt: points > 0 && program ? expiryDate(program) : undefined,
+        description,
+        userId: user.id
+    }, session);
+};
+
+// Points balance, tier progress and recent activity for a customer (expires stale points first)
+const getLoyaltySummary = async (customer, user) => {
+    await mongoose.connection.transaction((session) => expirePoints(customer._id, user, session));
+
+    const [fresh, program, transactions] = await Promise.all([
+        Customer.findById(customer._id).select('loyaltyPoints lifetimePoints loyaltyTier'),
+        getProgram(customer.managerId),
+        LoyaltyTransaction.findByCustomer(customer._id, 20)
+    ]);
+
+    const tiers = [...(program?.tiers || [])].sort((a, b) => a.minPoints - b.minPoints);
+    const nextTier = tiers.find(tier => tier.minPoints > fresh.lifetimePoints);
+
+    const expiring = await LoyaltyTransaction.aggregate([
+        { $match: { customerId: customer._id, remainingPoints: { $gt: 0 }, expiresAt: { $ne: null } } },
+        { $sort: { expiresAt: 1 } },
+        { $limit: 1 },
+        { $project: { _id: 0, points: '$remainingPoints', expiresAt: 1 } }
+    ]);
+
+    return {
+        programEnabled: !!program,
+        points: fresh.loyaltyPoints,
+        value: program ? roundMoney(fresh.loyaltyPoints * program.pointValue) : 0,
+        lifetimePoints: fresh.lifetimePoints,
+        tier: fresh.loyaltyTier || null,
+        nextTier: nextTier
+            ? { name: nextTier.name, minPoints: nextTier.minPoints, pointsNeeded: nextTier.minPoints - fresh.lifetimePoints }
+            : null,
+        nextExpiry: expiring[0] || null,
+        transactions
+    };
+};
+
+// Manager adjustment as a single transaction
+const adjustCustomerPoints = (user, customer, points, description) =>
+    mongoose.connection.transaction((session) => adjustPoints(customer, points, description, user, session));
+
+module.exports = {
+    getProgram,
+    tierFor,
+    expirePoints,
+    priceLoyaltyTenders,
+    recordRedemption,
+    accrueSalePoints,
+    loyaltyRefundFor,
+    settleReturnPoints,
+    adjustPoints,
+    getLoyaltySummary,
+    adjustCustomerPoints
+};
@@ -0,0 +1,228 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const nodemailer = require('nodemailer');
+const { createHttpError } = require('../utils/httpError');
+
+const CHANNELS = ['email', 'sms', 'whatsapp', 'push'];
+
+// Providers deliver messages on a channel. A provider is { send(message, channel) }
+// where message is { to, subject?, text, html?, attachments?: [{ filename, content, contentType }],
+// data? } (for push, `to` is the device's push token and data travels with it);
+// send resolves to { id, status } (status 'sent', or 'queued' when the provider only
+// accepted it) and throws when the message was not accepted.
+const providers = { email: {}, sms: {}, whatsapp: {}, push: {} };
+
+const registerProvider = (channel, name, provider) => {
+    if (!providers[channel]) {
+        throw new Error(`Unknown message channel: ${channel}`);
+    }
+    providers[channel][name] = provider;
+};
+
+// The provider configured for a channel: EMAIL_PROVIDER, SMS_PROVIDER,
+// WHATSAPP_PROVIDER or PUSH_PROVIDER. When unset, the local outbox outside
+// production and null in production, where the channel is not configured.
+const providerName = (channel) => process.env[`${channel.toUpperCase()}_PROVIDER`] ||
+    (process.env.NODE_ENV === 'production' ? null : 'local');
+
+// Writes each message to MESSAGE_OUTBOX_DIR (the system temp directory by default)
+// and logs it, for development and tests
+const localProvider = {
+    async send(message, channel) {
+        const dir = process.env.MESSAGE_OUTBOX_DIR || path.join(os.tmpdir(), 'smartpoint-outbox');
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        await fs.mkdir(dir, { recursive: true });
+
+        const attachments = [];
+        for (const attachment of message.attachments || []) {
+            const file = `${id}-${attachment.filename}`;
+            await fs.writeFile(path.join(dir, file), attachment.content);
+            attachments.push(file);
+        }
+        await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify({
+            channel,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            attachments
+        }, null, 2));
+
+        console.log(`[outbox] ${channel} to ${message.to}: ${message.subject || message.text.split('\n')[0]} (${path.join(dir, `${id}.json`)})`);
+        return { id, status: 'sent' };
+    }
+};
+
+let smtpTransport = null;
+
+// SMTP_HOST, SMTP_PORT (587), SMTP_SECURE, SMTP_USER, SMTP_PASS; mail comes from SMTP_FROM
+const smtpProvider = {
+    async send(message) {
+        if (!process.env.SMTP_HOST || !process.env.SMTP_FROM) {
+            throw createHttpError(503, 'Email is not configured. Set SMTP_HOST and SMTP_FROM.');
+        }
+        if (!smtpTransport) {
+            smtpTransport = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+            });
+        }
+
+        const info = await smtpTransport.sendMail({
+            from: process.env.SMTP_FROM,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            attachments: message.attachments
+        });
+        return { id: info.messageId, status: 'sent' };
+    }
+};
+
+// Twilio's Messages API for SMS and WhatsApp: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN,
+// and TWILIO_FROM (SMS) or TWILIO_WHATSAPP_FROM (WhatsApp) as +E.164 numbers
+const twilioProvider = {
+    async send(message, channel) {
+        const from = channel === 'whatsapp' ? process.env.TWILIO_WHATSAPP_FROM : process.env.TWILIO_FROM;
+        if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !from) {
+            throw createHttpError(503, `${channel === 'whatsapp' ? 'WhatsApp' : 'SMS'} is not configured. Set the TWILIO_* settings.`);
+        }
+        const address = (number) => (channel === 'whatsapp' ? `whatsapp:${number}` : number);
+
+        try {
+            const response = await axios.post(
+                `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`,
+                new URLSearchParams({ To: address(message.to), From: address(from), Body: message.text }).toString(),
+                {
+                    auth: { username: process.env.TWILIO_ACCOUNT_SID, password: process.env.TWILIO_AUTH_TOKEN },
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                    timeout: 15000
+                }
+            );
+            return { id: response.data.sid, status: response.data.status === 'sent' ? 'sent' : 'queued' };
+        } catch (error) {
+            // Twilio explains refusals in the body (bad number, unverified sender...)
+            throw new Error(error.response?.data?.message || error.message);
+        }
+    }
+};
+
+let fcmAccess = null;
+
+// Access token for the FCM HTTP v1 API, from a service account's signed assertion
+const fcmAccessToken = async () => {
+    if (fcmAccess && fcmAccess.expiresAt > Date.now() + 60 * 1000) {
+        return fcmAccess.token;
+    }
+    // Keys pasted into environment variables usually have their newlines escaped
+    const privateKey = process.env.FCM_PRIVATE_KEY.replace(/\\n/g, '\n');
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign({
+        iss: process.env.FCM_CLIENT_EMAIL,
+        scope: 'https://www.googleapis.com/auth/firebase.messaging',
+        aud: 'https://oauth2.googleapis.com/token',
+        iat: now,
+        exp: now + 3600
+    }, privateKey, { algorithm: 'RS256' });
+
+    const response = await axios.post('https://oauth2.googleapis.com/token', new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+    }).toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: 15000 });
+
+    fcmAccess = {
+        token: response.data.access_token,
+        expiresAt: Date.now() + response.data.expires_in * 1000
+    };
+    return fcmAccess.token;
+};
+
+// Firebase Cloud Messaging (HTTP v1) with a service account: FCM_PROJECT_ID,
+// FCM_CLIENT_EMAIL and FCM_PRIVATE_KEY
+const fcmProvider = {
+    async send(message) {
+        if (!process.env.FCM_PROJECT_ID || !process.env.FCM_CLIENT_EMAIL || !process.env.FCM_PRIVATE_KEY) {
+            throw createHttpError(503, 'Push is not configured. Set FCM_PROJECT_ID, FCM_CLIENT_EMAIL and FCM_PRIVATE_KEY.');
+        }
+
+        try {
+            const token = await fcmAccessToken();
+            const response = await axios.post(
+                `https://fcm.googleapis.com/v1/projects/${process.env.FCM_PROJECT_ID}/messages:send`,
+                {
+                    message: {
+                        token: message.to,
+                        notification: { title: message.subject, body: message.text },
+                        // FCM data values must be strings
+                        data: Object.fromEntries(Object.entries(message.data || {}).map(([key, value]) => [key, String(value)]))
+                    }
+                },
+                { headers: { Authorization: `Bearer ${token}` }, timeout: 15000 }
+            );
+            return { id: response.data.name, status: 'sent' };
+        } catch (error) {
+            throw new Error(error.response?.data?.error?.message || error.message);
+        }
+    }
+};
+
+registerProvider('email', 'local', localProvider);
+registerProvider('email', 'smtp', smtpProvider);
+registerProvider('sms', 'local', localProvider);
+registerProvider('sms', 'twilio', twilioProvider);
+registerProvider('whatsapp', 'local', localProvider);
+registerProvider('whatsapp', 'twilio', twilioProvider);
+registerProvider('push', 'local', localProvider);
+registerProvider('push', 'fcm', fcmProvider);
+
+// Send a message on a channel with its configured provider. Returns
+// { provider, id, status }. A provider that is missing or not set up is a 503;
+// a provider refusing the message throws its own error.
+const sendMessage = async (channel, message) => {
+    if (!CHANNELS.includes(channel)) {
+        throw createHttpError(400, `channel must be one of: ${CHANNELS.join(', ')}`);
+    }
+    const name = providerName(channel);
+    if (!name) {
+        throw createHttpError(503, `The ${channel} channel is not configured. Set ${channel.toUpperCase()}_PROVIDER.`);
+    }
+    const provider = providers[channel][name];
+    if (!provider) {
+        throw createHttpError(503, `Unknown ${channel} provider "${name}". Available: ${Object.keys(providers[channel]).join(', ')}`);
+    }
+
+    const result = await provider.send(message, channel);
+    return { provider: name, id: result.id, status: result.status };
+};
+
+// A phone number in +E.164 form. Local numbers (leading 0) take the country code
+// in SMS_DEFAULT_COUNTRY_CODE (234 by default). Returns null when it is not a number.
+const normalizePhone = (phone) => {
+    let number = String(phone || '').replace(/[\s\-().]/g, '');
+    if (number.startsWith('00')) {
+        number = `+${number.slice(2)}`;
+    } else if (number.startsWith('0')) {
+        number = `+${process.env.SMS_DEFAULT_COUNTRY_CODE || '234'}${number.slice(1)}`;
+    } else if (!number.startsWith('+')) {
+        number = `+${number}`;
+    }
+    return /^\+[1-9]\d{7,14}$/.test(number) ? number : null;
+};
+
+const isEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || ''));
+
+module.exports = {
+    CHANNELS,
+    registerProvider,
+    providerName,
+    sendMessage,
+    normalizePhone,
+    isEmail
+};
@@ -0,0 +1,490 @@
+const Notification = require('../models/Notification');
+const OutboxMessage = require('../models/OutboxMessage');
+const User = require('../models/User');
+const Sale = require('../models/Sale');
+const Return = require('../models/Return');
+const Item = require('../models/Item');
+const { subscribe } = require('./events');
+const { sendMessage, providerName, normalizePhone, isEmail } = require('./messaging');
+const { roundMoney } = require('./pricing');
+const { escapeHtml } = require('../utils/html');
+
+// What can be notified, and the preferences.notifications flags that must all be on
+// for a user to get it
+const NOTIFICATION_TYPES = {
+    low_stock: { flags: ['inventory', 'lowStock'] },
+    large_refund: { flags: ['sales'] },
+    daily_report: { flags: ['reports', 'dailyReports'] },
+    weekly_report: { flags: ['reports', 'weeklyReports'] },
+    monthly_report: { flags: ['reports', 'monthlyReports'] },
+    test: { flags: [] }
+};
+
+// The schema defaults, for users saved before a flag existed
+const FLAG_DEFAULTS = {
+    sales: true,
+    inventory: true,
+    reports: true,
+    push: true,
+    email: true,
+    sms: false,
+    lowStock: true,
+    dailyReports: false,
+    weeklyReports: true,
+    monthlyReports: true
+};
+const DEFAULT_LARGE_REFUND = 50000;
+
+const MAX_ATTEMPTS = 5;
+// Wait before each retry of a failed message, in minutes
+const RETRY_MINUTES = [1, 5, 15, 60];
+// A message still marked sending after this long is taken to have died with its worker
+const STALE_MS = 5 * 60 * 1000;
+
+const parsedHour = parseInt(process.env.REPORT_SEND_HOUR);
+const REPORT_SEND_HOUR = Number.isNaN(parsedHour) ? 7 : parsedHour;
+
+const flagOn = (user, flag) => user.preferences?.notifications?.[flag] ?? FLAG_DEFAULTS[flag];
+
+const wantsType = (user, type) => NOTIFICATION_TYPES[type].flags.every(flag => flagOn(user, flag));
+
+const formatAmount = (amount, currency = 'NGN') =>
+    `${currency} ${(Number(amount) || 0).toLocaleString('en', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const reportTemplate = (period) => (report) => ({
+    title: `${period} sales report: ${report.label}`,
+    body: [
+        `Sales: ${report.salesCount}`,
+        `Revenue (after returns): ${formatAmount(report.revenue, report.currency)}`,
+        `Collected: ${formatAmount(report.collected, report.currency)}`,
+        `Refunds: ${formatAmount(report.refunded, report.currency)} (${report.returnsCount} returns)`,
+        report.topItems.length > 0
+            ? `Top items: ${report.topItems.map(item => `${item.name} (${formatAmount(item.revenue, report.currency)})`).join(', ')}`
+            : null,
+        `Items at or below their reorder level: ${report.lowStockCount}`
+    ].filter(Boolean).join('\n')
+});
+
+// Title and body of each type of notification, from its data
+const TEMPLATES = {
+    low_stock: ({ name, stock, minStock }) => ({
+        title: `Low stock: ${name}`,
+        body: `${name} is down to ${stock} in stock (reorder level ${minStock}).`
+    }),
+    large_refund: ({ receiptNumber, refundAmount, refundMethod, currency }) => ({
+        title: `Large refund on receipt ${receiptNumber}`,
+        body: `${formatAmount(refundAmount, currency)} was refunded${refundMethod ? ` (${refundMethod})` : ''} on receipt ${receiptNumber}.`
+    }),
+    daily_report: reportTemplate('Daily'),
+    weekly_report: reportTemplate('Weekly'),
+    monthly_report: reportTemplate('Monthly'),
+    test: ({ topic }) => ({
+        title: 'Test notification',
+        body: `This is a test${topic ? ` ${topic}` : ''} notification. Your notifications are working.`
+    })
+};
+
+const emailHtml = (title, body) => [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<body style="font-family: Arial, Helvetica, sans-serif; color: #222;">',
+    `<h2>${escapeHtml(title)}</h2>`,
+    ...body.split('\n').map(line => `<p>${escapeHtml(line)}</p>`),
+    '</body>',
+    '</html>'
+].join('\n');
+
+// A channel gets copies only while its flag is on and a provider is configured;
+// otherwise the outbox would fill with messages that can never be sent
+const channelOn = (user, channel) => flagOn(user, channel) && providerName(channel) !== null;
+
+// Where a user gets copies of their notifications: their active devices' push
+// tokens, email and phone. Push needs at least one device with a push token.
+const destinations = (user) => {
+    const targets = [];
+    if (channelOn(user, 'push')) {
+        (user.devices || [])
+            .filter(device => device.isActive && device.pushToken)
+            .forEach(device => targets.push({ channel: 'push', to: device.pushToken }));
+    }
+    if (channelOn(user, 'email') && isEmail(user.email)) {
+        targets.push({ channel: 'email', to: user.email });
+    }
+    const phone = channelOn(user, 'sms') ? normalizePhone(user.phone) : null;
+    if (phone) {
+        targets.push({ channel: 'sms', to: phone });
+    }
+    return targets;
+};
+
+// Notify users of something. Users whose flags turn the type off are skipped, as are
+// users who already had a notification with the same dedupeKey; the rest get an
+// inbox entry and copies queued in the outbox. Returns { notifications, messages }.
+const notify = async (userIds, type, data = {}, { dedupeKey } = {}) => {
+    const users = await User.find({ _id: { $in: userIds }, isActive: true })
+        .select('role managerId email phone devices preferences.notifications');
+    const { title, body } = TEMPLATES[type](data);
+    const notifications = [];
+    const messages = [];
+
+    for (const user of users) {
+        if (!wantsType(user, type)) {
+            continue;
+        }
+
+        const targets = destinations(user);
+        const managerId = user.role === 'manager' ? user._id : user.managerId;
+        let notification;
+        try {
+            notification = await Notification.create({
+                userId: user._id,
+                managerId,
+                type,
+                title,
+                body,
+                data,
+                channels: [...new Set(targets.map(target => target.channel))],
+                dedupeKey
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                continue;
+            }
+            throw error;
+        }
+        notifications.push(notification);
+
+        if (targets.length > 0) {
+            messages.push(...await OutboxMessage.insertMany(targets.map(target => ({
+                notificationId: notification._id,
+                userId: user._id,
+                managerId,
+                channel: target.channel,
+                to: target.to,
+                subject: title,
+                text: body,
+                html: target.channel === 'email' ? emailHtml(title, body) : undefined,
+                data: { notificationId: notification._id.toString(), type }
+            }))));
+        }
+    }
+
+    return { notifications, messages };
+};
+
+// Take the next due message so no other worker sends it too
+const claimMessage = (filter) => {
+    const now = new Date();
+    return OutboxMessage.findOneAndUpdate(
+        {
+            ...filter,
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - STALE_MS) } }
+            ]
+        },
+        { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+};
+
+const deliverMessage = async (message) => {
+    try {
+        const result = await sendMessage(message.channel, {
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            data: message.data
+        });
+        message.status = 'sent';
+        message.provider = result.provider;
+        message.providerMessageId = result.id;
+        message.sentAt = new Date();
+        message.lastError = undefined;
+    } catch (error) {
+        message.lastError = error.message;
+        if (message.attempts >= MAX_ATTEMPTS) {
+            message.status = 'failed';
+        } else {
+            const wait = RETRY_MINUTES[Math.min(message.attempts, RETRY_MINUTES.length) - 1];
+            message.status = 'pending';
+            message.nextAttemptAt = new Date(Date.now() + wait * 60 * 1000);
+        }
+    }
+    message.lockedAt = undefined;
+    await message.save();
+    return message;
+};
+
+// Send due outbox messages, oldest first: all of them, one shop's (managerId) or
+// particular ones (ids). Returns how many were sent, will be retried, or gave up.
+const processOutbox = async ({ managerId, ids, limit = 50 } = {}) => {
+    const filter = {};
+    if (managerId) {
+        filter.managerId = managerId;
+    }
+    if (ids) {
+        filter._id = { $in: ids };
+    }
+
+    const result = { sent: 0, retrying: 0, failed: 0 };
+    for (let count = 0; count < limit; count++) {
+        const message = await claimMessage(filter);
+        if (!message) {
+            break;
+        }
+        const { status } = await deliverMessage(message);
+        if (status === 'sent') {
+            result.sent++;
+        } else if (status === 'failed') {
+            result.failed++;
+        } else {
+            result.retrying++;
+        }
+    }
+    return result;
+};
+
+// Send a user a test notification on every channel they have turned on, straight
+// away. Returns the inbox entry and how each copy went.
+const sendTestNotification = async (userId, topic) => {
+    const { notifications, messages } = await notify([userId], 'test', { topic });
+    const ids = messages.map(message => message._id);
+    await processOutbox({ ids });
+
+    return {
+        notification: notifications[0] || null,
+        deliveries: await OutboxMessage.find({ _id: { $in: ids } })
+            .select('channel to status attempts lastError provider sentAt')
+    };
+};
+
+// The shop's manager and active cashiers
+const shopUserIds = async (managerId) => {
+    const cashiers = await User.find({ managerId, role: 'cashier', isActive: true }).select('_id');
+    return [managerId, ...cashiers.map(cashier => cashier._id)];
+};
+
+const onLowStock = async (event) => notify(await shopUserIds(event.managerId), 'low_stock', event.data, {
+    // At most one alert per item a day, however often it dips below its level
+    dedupeKey: `low_stock:${event.data.itemId}:${event.at.slice(0, 10)}`
+});
+
+// Refunds of at least the manager's largeRefundAmount (0 turns the alert off)
+const onRefund = async (event) => {
+    const manager = await User.findById(event.managerId).select('currency preferences');
+    const threshold = manager?.preferences?.notifications?.largeRefundAmount ?? DEFAULT_LARGE_REFUND;
+    if (!manager || threshold <= 0 || event.data.refundAmount < threshold) {
+        return null;
+    }
+    return notify([manager._id], 'large_refund', {
+        ...event.data,
+        currency: manager.preferences?.currency || manager.currency
+    }, { dedupeKey: `large_refund:${event.data.returnId}` });
+};
+
+const TRIGGERS = {
+    lowstock: onLowStock,
+    'sale.refunded': onRefund
+};
+
+let unsubscribe = null;
+
+// Turn shop events into notifications and send what they queue straight away (the
+// outbox job retries anything that fails)
+const startNotificationTriggers = () => {
+    if (unsubscribe) {
+        return;
+    }
+    unsubscribe = subscribe((event) => {
+        const trigger = TRIGGERS[event.type];
+        if (!trigger) {
+            return;
+        }
+        trigger(event)
+            .then(result => (result && result.messages.length > 0
+                ? processOutbox({ ids: result.messages.map(message => message._id) })
+                : null))
+            .catch(error => console.error('Notification trigger error:', error));
+    });
+};
+
+const stopNotificationTriggers = () => {
+    if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+    }
+};
+
+const safeTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en', { timeZone });
+        return timeZone;
+    } catch (error) {
+        return 'UTC';
+    }
+};
+
+// Local calendar date and time of an instant in a time zone
+const zonedParts = (date, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second)
+    };
+};
+
+// The instant a local calendar day starts. month and day may run over, as with Date.UTC.
+const zonedMidnight = (year, month, day, timeZone) => {
+    const utc = Date.UTC(year, month - 1, day);
+    const local = zonedParts(new Date(utc), timeZone);
+    const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - utc;
+    return new Date(utc - offset);
+};
+
+// The last full day, week (Monday to Sunday) and month before `now` in a time zone,
+// as { from, to, key, label }, and the local hour
+const reportPeriods = (now, timeZone) => {
+    const today = zonedParts(now, timeZone);
+    // Calendar dates are held as UTC midnights so they can be shifted by whole days
+    const date = (offset) => new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const start = (calendarDate) => zonedMidnight(
+        calendarDate.getUTCFullYear(),
+        calendarDate.getUTCMonth() + 1,
+        calendarDate.getUTCDate(),
+        timeZone
+    );
+    const isoDate = (calendarDate) => calendarDate.toISOString().slice(0, 10);
+
+    const sinceMonday = (date(0).getUTCDay() + 6) % 7;
+    const lastMonth = new Date(Date.UTC(today.year, today.month - 2, 1));
+
+    return {
+        hour: today.hour,
+        daily_report: {
+            from: start(date(-1)),
+            to: start(date(0)),
+            key: isoDate(date(-1)),
+            label: isoDate(date(-1))
+        },
+        weekly_report: {
+            from: start(date(-sinceMonday - 7)),
+            to: start(date(-sinceMonday)),
+            key: isoDate(date(-sinceMonday - 7)),
+            label: `week of ${isoDate(date(-sinceMonday - 7))}`
+        },
+        monthly_report: {
+            from: start(lastMonth),
+            to: zonedMidnight(today.year, today.month, 1, timeZone),
+            key: isoDate(lastMonth).slice(0, 7),
+            label: lastMonth.toLocaleString('en', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+        }
+    };
+};
+
+// Sales, refunds and best sellers of a shop between from and to
+const buildSalesReport = async (managerId, { from, to }) => {
+    // Sales that count towards revenue, as in the finance reports. Fully returned
+    // sales are marked refunded; they stay in so their returns can be taken off.
+    const saleMatch = {
+        managerId,
+        saleDate: { $gte: from, $lt: to },
+        paymentStatus: { $in: ['completed', 'partial', 'refunded'] }
+    };
+    const [sales, returns, topItems, lowStockCount] = await Promise.all([
+        Sale.aggregate([
+            { $match: saleMatch },
+            { $group: { _id: null, count: { $sum: 1 }, revenue: { $sum: '$total' }, collected: { $sum: '$paidAmount' } } }
+        ]),
+        Return.aggregate([
+            { $match: { managerId, returnDate: { $gte: from, $lt: to } } },
+            { $group: { _id: null, count: { $sum: 1 }, returned: { $sum: '$totalAmount' }, refunded: { $sum: '$refundAmount' } } }
+        ]),
+        Sale.aggregate([
+            { $match: saleMatch },
+            { $unwind: '$items' },
+            { $group: { _id: '$items.item', name: { $first: '$items.name' }, revenue: { $sum: '$items.subtotal' } } },
+            { $sort: { revenue: -1 } },
+            { $limit: 3 }
+        ]),
+        Item.countDocuments({ managerId, isActive: true, $expr: { $lte: ['$stock', '$minStock'] } })
+    ]);
+
+    return {
+        from,
+        to,
+        salesCount: sales[0]?.count || 0,
+        // Net of goods returned in the period
+        revenue: roundMoney((sales[0]?.revenue || 0) - (returns[0]?.returned || 0)),
+        collected: roundMoney(sales[0]?.collected || 0),
+        returnsCount: returns[0]?.count || 0,
+        returned: roundMoney(returns[0]?.returned || 0),
+        refunded: roundMoney(returns[0]?.refunded || 0),
+        topItems: topItems.map(item => ({ itemId: item._id, name: item.name, revenue: roundMoney(item.revenue) })),
+        lowStockCount
+    };
+};
+
+// Send managers the daily, weekly and monthly reports they have turned on, once the
+// period is over and it is past REPORT_SEND_HOUR (7 by default) in their time zone.
+// Each report goes out once, so running this often is harmless.
+const sendScheduledReports = async ({ managerId, now = new Date() } = {}) => {
+    const query = { role: 'manager', isActive: true };
+    if (managerId) {
+        query._id = managerId;
+    }
+    const managers = await User.find(query).select('currency preferences');
+    const result = { reports: 0, messageIds: [] };
+
+    for (const manager of managers) {
+        const timeZone = safeTimeZone(manager.preferences?.timezone || 'Africa/Lagos');
+        const periods = reportPeriods(now, timeZone);
+        if (periods.hour < REPORT_SEND_HOUR) {
+            continue;
+        }
+
+        for (const type of ['daily_report', 'weekly_report', 'monthly_report']) {
+            const period = periods[type];
+            const dedupeKey = `${type}:${period.key}`;
+            if (!wantsType(manager, type) || await Notification.exists({ userId: manager._id, dedupeKey })) {
+                continue;
+            }
+
+            const report = await buildSalesReport(manager._id, period);
+            const sent = await notify([manager._id], type, {
+                ...report,
+                label: period.label,
+                currency: manager.preferences?.currency || manager.currency
+            }, { dedupeKey });
+            result.reports += sent.notifications.length;
+            result.messageIds.push(...sent.messages.map(message => message._id));
+        }
+    }
+
+    return result;
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    DEFAULT_LARGE_REFUND,
+    notify,
+    processOutbox,
+    sendTestNotification,
+    startNotificationTriggers,
+    stopNotificationTriggers,
+    sendScheduledReports
+};
@@ -0,0 +1,112 @@
+const { createHttpError } = require('../utils/httpError');
+const { roundMoney, PRICE_TOLERANCE } = require('./pricing');
+
+const PAYMENT_METHODS = ['cash', 'card', 'mobile', 'other'];
+// Loyalty points can be tendered at checkout alongside money; they are priced by the loyalty service
+const TENDER_METHODS = [...PAYMENT_METHODS, 'loyalty'];
+
+// Accept either a payments array or the legacy single { paidAmount, paymentMethod } pair
+const normalizePayments = ({ payments, paidAmount, paymentMethod = 'cash', paymentReference }) => {
+    if (payments !== undefined) {
+        if (!Array.isArray(payments)) {
+            throw createHttpError(400, 'payments must be an array');
+        }
+
+        return payments.map(payment => {
+            const amount = parseFloat(payment.amount);
+            if (!TENDER_METHODS.includes(payment.method)) {
+                throw createHttpError(400, `Payment method must be one of: ${TENDER_METHODS.join(', ')}`);
+            }
+            if (payment.method === 'loyalty') {
+                const points = parseInt(payment.points);
+                if (!points || points <= 0) {
+                    throw createHttpError(400, 'Loyalty payments need a positive number of points');
+                }
+                return { method: 'loyalty', points, amount: 0, reference: payment.reference?.trim() };
+            }
+            if (isNaN(amount) || amount <= 0) {
+                throw createHttpError(400, 'Each payment needs a positive amount');
+            }
+            return {
+                method: payment.method,
+                amount: roundMoney(amount),
+                reference: payment.reference?.trim()
+            };
+        });
+    }
+
+    const amount = parseFloat(paidAmount);
+    if (paidAmount === undefined || isNaN(amount) || amount < 0) {
+        throw createHttpError(400, 'A valid paidAmount or payments array is required');
+    }
+
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+        throw createHttpError(400, `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`);
+    }
+
+    return amount > 0
+        ? [{ method: paymentMethod, amount: roundMoney(amount), reference: paymentReference?.trim() }]
+        : [];
+};
+
+const totalTendered = (payments) => roundMoney(payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+// Apply tendered payments to an amount due. Over-payment is only possible in cash and is
+// returned as change, so each stored payment amount is what actually went to the sale.
+const allocateTender = (payments, amountDue, { cashierId, deviceId } = {}) => {
+    const tendered = totalTendered(payments);
+    const change = roundMoney(Math.max(0, tendered - amountDue));
+    const cashTendered = totalTendered(payments.filter(payment => payment.method === 'cash'));
+
+    if (change - cashTendered > PRICE_TOLERANCE) {
+        throw createHttpError(400, 'Only cash payments can exceed the amount due', {
+            code: 'OVERPAYMENT',
+            amountDue: roundMoney(amountDue),
+            tendered
+        });
+    }
+
+    // Take change back from the cash payments, last one first
+    let changeLeft = change;
+    const applied = payments.map(payment => ({ ...payment }));
+    for (let i = applied.length - 1; i >= 0 && changeLeft > 0; i--) {
+        if (applied[i].method !== 'cash') {
+            continue;
+        }
+        const taken = Math.min(applied[i].amount, changeLeft);
+        applied[i].tendered = applied[i].amount;
+        applied[i].amount = roundMoney(applied[i].amount - taken);
+        changeLeft = roundMoney(changeLeft - taken);
+    }
+
+    const paidAt = new Date();
+    return {
+        change,
+        payments: applied
+            .filter(payment => payment.amount > 0)
+            .map(payment => ({ ...payment, paidAt, cashierId, deviceId }))
+    };
+};
+
+// Sales recorded before split tender only have paidAmount; turn that into a payment
+// entry before adding more so the derived paidAmount keeps the earlier money.
+const ensurePaymentHistory = (sale) => {
+    if (sale.payments.length === 0 && sale.paidAmount > 0) {
+        sale.payments.push({
+            method: PAYMENT_METHODS.includes(sale.paymentMethod) ? sale.paymentMethod : 'other',
+            amount: roundMoney(Math.min(sale.paidAmount, sale.total)),
+            paidAt: sale.saleDate,
+            cashierId: sale.cashierId || sale.userId,
+            deviceId: sale.deviceId
+        });
+    }
+};
+
+module.exports = {
+    PAYMENT_METHODS,
+    TENDER_METHODS,
+    normalizePayments,
+    totalTendered,
+    allocateTender,
+    ensurePaymentHistory
+};
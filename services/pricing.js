@@ -0,0 +1,118 @@
+// Server-side pricing for checkout. Everything here is pure so the same rules can be
+// applied to online checkouts and to sales replayed from offline devices.
+
+// Differences smaller than this are treated as rounding noise
+const PRICE_TOLERANCE = 0.01;
+
+const roundMoney = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const differs = (clientValue, serverValue) =>
+    clientValue !== undefined &&
+    clientValue !== null &&
+    clientValue !== '' &&
+    Math.abs(Number(clientValue) - serverValue) > PRICE_TOLERANCE;
+
+// Price a single checkout line from the item record, or from an approved override price
+const priceLine = (item, quantity, overridePrice) => {
+    const price = roundMoney(overridePrice !== undefined ? overridePrice : item.price);
+    return {
+        price,
+        subtotal: roundMoney(price * quantity)
+    };
+};
+
+// How far below list price an override goes, as a percentage (negative for a mark-up)
+const overridePercent = (listPrice, overridePrice) => {
+    if (!listPrice) {
+        return 0;
+    }
+    return roundMoney(((listPrice - overridePrice) / listPrice) * 100);
+};
+
+// Calculate sale totals. Tax is charged on the discounted subtotal using the
+// manager's taxRate (a fraction between 0 and 1).
+const calculateTotals = ({ lines, discount = 0, taxRate = 0, paidAmount = 0 }) => {
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+    const finalDiscount = roundMoney(discount);
+    const tax = roundMoney((subtotal - finalDiscount) * (taxRate || 0));
+    const total = roundMoney(subtotal - finalDiscount + tax);
+    const change = roundMoney(Math.max(0, paidAmount - total));
+
+    return { subtotal, discount: finalDiscount, tax, total, change };
+};
+
+// Check a requested discount against the user's permission. Managers may discount
+// freely; cashiers need permissions.applyDiscount and stay within maxDiscountPercent.
+const validateDiscount = (user, discount, subtotal) => {
+    if (!discount) {
+        return null;
+    }
+
+    if (discount < 0) {
+        return 'Discount cannot be negative';
+    }
+
+    if (discount > subtotal) {
+        return 'Discount cannot exceed the sale subtotal';
+    }
+
+    if (user.role !== 'cashier') {
+        return null;
+    }
+
+    if (!user.permissions?.applyDiscount) {
+        return 'You do not have permission to apply discounts';
+    }
+
+    const maxPercent = user.permissions.maxDiscountPercent ?? 100;
+    const percent = subtotal > 0 ? (discount / subtotal) * 100 : 0;
+    if (percent - maxPercent > PRICE_TOLERANCE) {
+        return `Discount of ${percent.toFixed(2)}% exceeds your limit of ${maxPercent}%`;
+    }
+
+    return null;
+};
+
+// Compare what the client sent against what the server calculated.
+// Returns a flat list of { scope, field, productId?, client, server } entries.
+const diffPricing = (clientLines, serverLines, clientTotals, serverTotals) => {
+    const diff = [];
+
+    clientLines.forEach((clientLine, index) => {
+        const serverLine = serverLines[index];
+        ['price', 'subtotal'].forEach(field => {
+            if (differs(clientLine[field], serverLine[field])) {
+                diff.push({
+                    scope: 'line',
+                    field,
+                    productId: String(clientLine.productId || serverLine.item),
+                    client: Number(clientLine[field]),
+                    server: serverLine[field]
+                });
+            }
+        });
+    });
+
+    ['subtotal', 'tax', 'total', 'change'].forEach(field => {
+        if (differs(clientTotals[field], serverTotals[field])) {
+            diff.push({
+                scope: 'sale',
+                field,
+                client: Number(clientTotals[field]),
+                server: serverTotals[field]
+            });
+        }
+    });
+
+    return diff;
+};
+
+module.exports = {
+    PRICE_TOLERANCE,
+    roundMoney,
+    priceLine,
+    overridePercent,
+    calculateTotals,
+    validateDiscount,
+    diffPricing
+};
@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Supplier = require('../models/Supplier');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Transaction = require('../models/Transaction');
+const { createHttpError } = require('../utils/httpError');
+const { roundMoney } = require('./pricing');
+const { adjustStock } = require('./stockLedger');
+const { resolveLocationId } = require('./locations');
+const { resolveUnit, parseQuantity, roundQuantity } = require('./units');
+const { normalizeLot } = require('./lots');
+
+const EXPENSE_PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'mobile', 'other'];
+
+// Orders that can still take deliveries
+const RECEIVABLE_STATUSES = ['draft', 'sent', 'partially_received'];
+
+const generatePoNumber = () => {
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    return `PO-${timestamp}${random}`;
+};
+
+// New unit cost after receiving stock, averaged over what is already on hand.
+// Stock at or below zero has no meaningful cost, so the incoming cost is used as-is.
+const weightedAverageCost = (currentStock, currentCost, quantity, unitCost) => {
+    if (currentStock <= 0) {
+        return roundMoney(unitCost);
+    }
+    return roundMoney(((currentStock * (currentCost || 0)) + (quantity * unitCost)) / (currentStock + quantity));
+};
+
+const findSupplier = async (supplierId, managerId, session) => {
+    if (!mongoose.Types.ObjectId.isValid(supplierId)) {
+        throw createHttpError(400, 'Invalid supplier ID format');
+    }
+    const supplier = await Supplier.findOne({ _id: supplierId, managerId, isActive: true }).session(session);
+    if (!supplier) {
+        throw createHttpError(404, 'Supplier not found');
+    }
+    return supplier;
+};
+
+// Turn requested lines into order lines priced at the given cost (or the item's current cost)
+const buildOrderLines = async (lines, managerId, session) => {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw createHttpError(400, 'At least one line is required');
+    }
+
+    const orderLines = [];
+    for (const { itemId, quantity, unit: unitName, unitCost } of lines) {
+        if (!itemId || !mongoose.Types.ObjectId.isValid(itemId)) {
+            throw createHttpError(400, 'Each line must have a valid itemId and quantity');
+        }
+
+        const item = await Item.findOne({ _id: itemId, managerId, isActive: true }).session(session);
+        if (!item) {
+            throw createHttpError(404, `Item with ID ${itemId} not found`, { itemId });
+        }
+
+        const qty = parseQuantity(quantity, item);
+        if (!qty || qty <= 0) {
+            throw createHttpError(400, 'Each line must have a valid itemId and quantity');
+        }
+
+        // Ordered in the line's unit, else the item's purchase unit, else its base unit
+        const unit = resolveUnit(item, unitName || item.purchaseUnit);
+
+        const cost = unitCost !== undefined ? parseFloat(unitCost) : (item.cost || 0) * unit.factor;
+        if (isNaN(cost) || cost < 0) {
+            throw createHttpError(400, `Invalid unit cost for item "${item.name}"`, { itemId });
+        }
+
+        orderLines.push({
+            item: item._id,
+            name: item.name,
+            quantityOrdered: qty,
+            unit: unit.name,
+            unitFactor: unit.factor,
+            unitCost: roundMoney(cost),
+            subtotal: roundMoney(cost * qty)
+        });
+    }
+
+    return orderLines;
+};
+
+const findOrder = async (id, managerId, session) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw createHttpError(400, 'Invalid purchase order ID format');
+    }
+    const order = await PurchaseOrder.findOne({ _id: id, managerId }).session(session);
+    if (!order) {
+        throw createHttpError(404, 'Purchase order not found');
+    }
+    return order;
+};
+
+const createPurchaseOrder = async (user, payload) => {
+    const { supplierId, lines, tax = 0, expectedDate, notes, deviceId, locationId } = payload;
+
+    await findSupplier(supplierId, user.id);
+    const orderLines = await buildOrderLines(lines, user.id);
+    const deliveryLocationId = await resolveLocationId(user, user.id, locationId);
+
+    const taxAmount = parseFloat(tax) || 0;
+    if (taxAmount < 0) {
+        throw createHttpError(400, 'Tax cannot be negative');
+    }
+
+    const order = new PurchaseOrder({
+        poNumber: generatePoNumber(),
+        supplierId,
+        locationId: deliveryLocationId,
+        lines: orderLines,
+        subtotal: 0, // Calculated on save
+        tax: roundMoney(taxAmount),
+        total: 0,
+        expectedDate: expectedDate ? new Date(expectedDate) : undefined,
+        notes: notes?.trim(),
+        userId: user.id,
+        managerId: user.id,
+        deviceId: deviceId || 'mobile-app'
+    });
+
+    await order.save();
+    return order;
+};
+
+// Only drafts can be edited; once sent the order is what the supplier has seen
+const updatePurchaseOrder = async (user, id, payload) => {
+    const order = await findOrder(id, user.id);
+    if (order.status !== 'draft') {
+        throw createHttpError(400, 'Only draft purchase orders can be edited');
+    }
+
+    const { supplierId, lines, tax, expectedDate, notes, locationId } = payload;
+
+    if (supplierId !== undefined) {
+        await findSupplier(supplierId, user.id);
+        order.supplierId = supplierId;
+    }
+    if (locationId !== undefined) {
+        order.locationId = await resolveLocationId(user, user.id, locationId);
+    }
+    if (lines !== undefined) {
+        order.lines = await buildOrderLines(lines, user.id);
+    }
+    if (tax !== undefined) {
+        const taxAmount = parseFloat(tax);
+        if (isNaN(taxAmount) || taxAmount < 0) {
+            throw createHttpError(400, 'Tax cannot be negative');
+        }
+        order.tax = roundMoney(taxAmount);
+    }
+    if (expectedDate !== undefined) {
+        order.expectedDate = expectedDate ? new Date(expectedDate) : undefined;
+    }
+    if (notes !== undefined) {
+        order.notes = notes?.trim();
+    }
+
+    await order.save();
+    return order;
+};
+
+const sendPurchaseOrder = async (user, id) => {
+    const order = await findOrder(id, user.id);
+    if (order.status !== 'draft') {
+        throw createHttpError(400, `Cannot send a purchase order that is ${order.status.replace('_', ' ')}`);
+    }
+
+    order.status = 'sent';
+    order.sentAt = new Date();
+    await order.save();
+    return order;
+};
+
+const cancelPurchaseOrder = async (user, id, reason) => {
+    const order = await findOrder(id, user.id);
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+        throw createHttpError(400, `Cannot cancel a purchase order that is ${order.status.replace('_', ' ')}`);
+    }
+
+    // Stock already received stays; the rest of the order is dropped
+    order.status = 'cancelled';
+    order.cancelledAt = new Date();
+    order.cancelReason = reason?.trim();
+    await order.save();
+    return order;
+};
+
+// Receive a delivery: add stock, re-average item cost and book the expense, all in one transaction.
+// Without lines everything still outstanding is received.
+const receivePurchaseOrder = (user, id, payload = {}) =>
+    mongoose.connection.transaction(async (session) => {
+        const { lines, notes, paymentMethod = 'other', deviceId } = payload;
+
+        if (!EXPENSE_PAYMENT_METHODS.includes(paymentMethod)) {
+            throw createHttpError(400, `Payment method must be one of: ${EXPENSE_PAYMENT_METHODS.join(', ')}`);
+        }
+
+        const order = await findOrder(id, user.id, session);
+        if (!RECEIVABLE_STATUSES.includes(order.status)) {
+            throw createHttpError(400, `Cannot receive against a purchase order that is ${order.status.replace('_', ' ')}`);
+        }
+
+        // Orders raised before locations were set up are received at the default location
+        const locationId = order.locationId || await resolveLocationId(user, user.id, null, session);
+
+        const requested = lines !== undefined
+            ? lines
+            : order.lines
+                .filter(line => line.quantityReceived < line.quantityOrdered)
+                .map(line => ({ lineId: line._id, quantity: line.quantityOrdered - line.quantityReceived }));
+
+        if (!Array.isArray(requested) || requested.length === 0) {
+            throw createHttpError(400, 'Nothing to receive on this purchase order');
+        }
+
+        const receiptLines = [];
+        for (const { lineId, itemId, quantity, unitCost, lotNumber, expiryDate } of requested) {
+            const line = lineId
+                ? order.lines.id(lineId)
+                : order.lines.find(orderLine => orderLine.item.toString() === String(itemId));
+
+            if (!line) {
+                throw createHttpError(400, `Line ${lineId || itemId} is not on this purchase order`);
+            }
+
+            const item = await Item.findById(line.item).session(session);
+            if (!item) {
+                throw createHttpError(404, `Item "${line.name}" no longer exists`);
+            }
+
+            const qty = parseQuantity(quantity, item);
+            const outstanding = roundQuantity(line.quantityOrdered - line.quantityReceived);
+            if (!qty || qty <= 0) {
+                throw createHttpError(400, 'Each received line needs a positive quantity');
+            }
+            if (qty > outstanding) {
+                throw createHttpError(400, `Cannot receive ${qty} of "${line.name}". Outstanding: ${outstanding}`, {
+                    lineId: line._id.toString(),
+                    outstanding
+                });
+            }
+
+            // The supplier may invoice at a different cost than ordered
+            const cost = unitCost !== undefined ? parseFloat(unitCost) : line.unitCost;
+            if (isNaN(cost) || cost < 0) {
+                throw createHttpError(400, `Invalid unit cost for "${line.name}"`);
+            }
+
+            // Stock and item cost are kept per base unit
+            const factor = line.unitFactor || 1;
+            // Deliveries with a lot number or expiry date are held as a lot
+            const lot = lotNumber || expiryDate
+                ? { ...normalizeLot({ lotNumber, expiryDate }), cost: roundMoney(cost / factor) }
+                : undefined;
+            const received = await adjustStock(item._id, qty * factor, 'receipt', {
+                set: { cost: weightedAverageCost(item.stock, item.cost, qty * factor, cost / factor) },
+                unit: { name: line.unit, factor, isBase: factor === 1 },
+                lot,
+                purchaseOrderId: order._id,
+                locationId,
+                reference: order.poNumber,
+                userId: user.id,
+                deviceId
+            }, session);
+
+            line.quantityReceived = roundQuantity(line.quantityReceived + qty);
+            receiptLines.push({
+                lineId: line._id,
+                item: line.item,
+                quantity: qty,
+                unitCost: roundMoney(cost),
+                lotNumber: received.$locals.lots[0]?.lotNumber,
+                expiryDate: lot?.expiryDate
+            });
+        }
+
+        // Order tax is spread over deliveries in proportion to their value
+        const receiptSubtotal = receiptLines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+        const taxShare = order.subtotal > 0 ? order.tax * (receiptSubtotal / order.subtotal) : 0;
+        const amount = roundMoney(receiptSubtotal + taxShare);
+
+        const [expense] = await Transaction.create([{
+            type: 'expense',
+            category: 'Inventory Purchase',
+            amount,
+            date: new Date(),
+            paymentMethod,
+            reference: order.poNumber,
+            tags: ['purchase-order', 'payable'],
+            purchaseOrderId: order._id,
+            supplierId: order.supplierId,
+            userId: order.managerId,
+            deviceId: deviceId || 'mobile-app'
+        }], { session });
+
+        order.receipts.push({
+            receivedAt: new Date(),
+            receivedBy: user.id,
+            lines: receiptLines,
+            amount,
+            transactionId: expense._id,
+            notes: notes?.trim()
+        });
+        order.receivedAmount = roundMoney(order.receivedAmount + amount);
+        order.status = order.isFullyReceived ? 'received' : 'partially_received';
+        if (order.status === 'received') {
+            order.receivedAt = new Date();
+        }
+
+        await order.save({ session });
+
+        return { order, expense };
+    });
+
+module.exports = {
+    RECEIVABLE_STATUSES,
+    weightedAverageCost,
+    createPurchaseOrder,
+    updatePurchaseOrder,
+    sendPurchaseOrder,
+    cancelPurchaseOrder,
+    receivePurchaseOrder
+};
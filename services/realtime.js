@@ -0,0 +1,89 @@
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { resolveManagerId } = require('./receivables');
+const { EVENT_TYPES, subscribe } = require('./events');
+
+// Everyone in a shop (the manager and their cashiers) shares one room
+const managerRoom = (managerId) => `manager:${managerId}`;
+
+let io = null;
+let unsubscribe = null;
+
+// Sockets authenticate with the same JWT as the REST API, sent as auth.token in the
+// handshake or as a Bearer Authorization header
+const authenticateSocket = async (socket, next) => {
+    try {
+        const token = socket.handshake.auth?.token
+            || socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+        if (!token) {
+            return next(new Error('Access denied. No token provided.'));
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const user = await User.findById(decoded.id).select('-password');
+
+        if (!user || !user.isActive) {
+            return next(new Error('Invalid token or user not found.'));
+        }
+
+        socket.data.user = { id: user.id, role: user.role };
+        socket.data.managerId = (await resolveManagerId(user)).toString();
+        next();
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+            return next(new Error(error.name === 'TokenExpiredError' ? 'Token expired.' : 'Invalid token.'));
+        }
+        console.error('Socket auth error:', error);
+        next(new Error(error.status ? error.message : 'Server error during authentication.'));
+    }
+};
+
+// Start the real-time channel on the HTTP server. Clients receive each event type
+// in EVENT_TYPES as a socket event of that name with { type, data, at }.
+const attachRealtime = (httpServer, { origins } = {}) => {
+    io = new Server(httpServer, {
+        cors: { origin: origins, credentials: true }
+    });
+
+    io.use(authenticateSocket);
+
+    io.on('connection', (socket) => {
+        socket.join(managerRoom(socket.data.managerId));
+        socket.emit('ready', {
+            managerId: socket.data.managerId,
+            events: EVENT_TYPES
+        });
+    });
+
+    unsubscribe = subscribe((event) => {
+        io.to(managerRoom(event.managerId)).emit(event.type, {
+            type: event.type,
+            data: event.data,
+            at: event.at
+        });
+    });
+
+    return io;
+};
+
+const closeRealtime = () => {
+    if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+    }
+    if (io) {
+        io.close();
+        io = null;
+    }
+};
+
+// Whether this process serves Socket.io; serverless deployments never do
+const isRealtimeAttached = () => io !== null;
+
+module.exports = {
+    attachRealtime,
+    closeRealtime,
+    isRealtimeAttached
+};
@@ -0,0 +1,283 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Sale = require('../models/Sale');
+const Location = require('../models/Location');
+const ReceiptSequence = require('../models/ReceiptSequence');
+const ReceiptBlock = require('../models/ReceiptBlock');
+const { createHttpError } = require('../utils/httpError');
+const { resolveManagerId } = require('./receivables');
+
+// Receipt formats are text with tokens: {prefix}, {year}, {yy}, {month}, {location}
+// (the location's code), {device} (offline formats only) and {seq:N}, the sequence
+// number zero-padded to N digits
+const TOKEN = /\{(\w+)(?::(\d+))?\}/g;
+const TOKENS = ['prefix', 'year', 'yy', 'month', 'location', 'device', 'seq'];
+
+const DEFAULT_NUMBERING = {
+    prefix: 'R',
+    format: '{prefix}-{year}-{seq:6}',
+    offlineFormat: '{prefix}-{device}-{seq:6}'
+};
+
+const MAX_BLOCK_SIZE = 1000;
+
+// Check a format: known tokens only, exactly one {seq}, and {device} in offline
+// formats only, so numbers from device blocks can never equal store numbers
+const checkFormat = (format, { offline = false } = {}) => {
+    const label = offline ? 'offlineFormat' : 'format';
+    if (typeof format !== 'string' || !format.trim() || format.length > 60) {
+        throw createHttpError(400, `${label} must be text of up to 60 characters`);
+    }
+
+    const used = [...format.matchAll(TOKEN)].map(match => match[1]);
+    const unknown = used.filter(token => !TOKENS.includes(token));
+    if (unknown.length > 0) {
+        throw createHttpError(400, `Unknown token {${unknown[0]}} in ${label}. Tokens: ${TOKENS.map(token => `{${token}}`).join(', ')}`);
+    }
+    if (used.filter(token => token === 'seq').length !== 1) {
+        throw createHttpError(400, `${label} must contain {seq} (or {seq:N} for N digits) exactly once`);
+    }
+    if (offline && !used.includes('device')) {
+        throw createHttpError(400, 'offlineFormat must contain {device}');
+    }
+    if (offline && used.includes('location')) {
+        throw createHttpError(400, 'offlineFormat cannot contain {location}');
+    }
+    if (!offline && used.includes('device')) {
+        throw createHttpError(400, 'format cannot contain {device}; use offlineFormat for device numbers');
+    }
+    if (!/^[A-Za-z0-9\-_/#{}:.]+$/.test(format)) {
+        throw createHttpError(400, `${label} may only use letters, digits and - _ / # . around its tokens`);
+    }
+    return format;
+};
+
+// Validate a numbering update and merge it over the current settings
+const normalizeNumbering = (current, { prefix, format, offlineFormat }) => {
+    const merged = { ...current };
+    if (prefix !== undefined) {
+        if (!/^[A-Za-z0-9_-]{0,12}$/.test(String(prefix))) {
+            throw createHttpError(400, 'Prefix must be up to 12 letters, digits, - or _');
+        }
+        merged.prefix = String(prefix);
+    }
+    if (format !== undefined) {
+        merged.format = checkFormat(format);
+    }
+    if (offlineFormat !== undefined) {
+        merged.offlineFormat = checkFormat(offlineFormat, { offline: true });
+    }
+    return merged;
+};
+
+// The manager's numbering settings with defaults filled in
+const numberingFor = async (managerId, session) => {
+    const manager = await User.findById(managerId).select('receiptNumbering').session(session);
+    const settings = manager?.receiptNumbering || {};
+    return {
+        prefix: settings.prefix ?? DEFAULT_NUMBERING.prefix,
+        format: settings.format || DEFAULT_NUMBERING.format,
+        offlineFormat: settings.offlineFormat || DEFAULT_NUMBERING.offlineFormat
+    };
+};
+
+// Fill in every token but {seq}, which is left for renderSequence
+const renderTemplate = (format, { prefix = '', date = new Date(), location, device } = {}) =>
+    format.replace(TOKEN, (match, name) => {
+        switch (name) {
+            case 'prefix': return prefix;
+            case 'year': return String(date.getFullYear());
+            case 'yy': return String(date.getFullYear()).slice(-2);
+            case 'month': return String(date.getMonth() + 1).padStart(2, '0');
+            case 'location': return location || 'MAIN';
+            case 'device': return device || '';
+            default: return match;
+        }
+    });
+
+const renderSequence = (template, seq) =>
+    template.replace(/\{seq(?::(\d+))?\}/, (match, width) => String(seq).padStart(Number(width) || 1, '0'));
+
+// Sequence number of a receipt number made from template, or null when it was not
+const parseSequence = (template, receiptNumber) => {
+    const match = template.match(/\{seq(?::(\d+))?\}/);
+    const before = template.slice(0, match.index);
+    const after = template.slice(match.index + match[0].length);
+    if (!receiptNumber.startsWith(before) || !receiptNumber.endsWith(after)) {
+        return null;
+    }
+    const digits = receiptNumber.slice(before.length, receiptNumber.length - after.length);
+    return /^\d+$/.test(digits) && digits.length >= (Number(match[1]) || 1) ? Number(digits) : null;
+};
+
+// The series a template numbers: the template with its sequence blanked out
+const seriesOf = (template) => template.replace(/\{seq(?::\d+)?\}/, '#');
+
+// Take `count` numbers from a series inside `session`; returns the first. The counter
+// is created outside the transaction first: two first sales racing to insert it
+// inside their transactions would make one of them fail.
+const takeNumbers = async (managerId, series, count, session) => {
+    await ReceiptSequence.updateOne(
+        { managerId, series },
+        { $setOnInsert: { last: 0 } },
+        { upsert: true }
+    ).catch(error => {
+        if (error.code !== 11000) {
+            throw error;
+        }
+    });
+
+    const sequence = await ReceiptSequence.findOneAndUpdate(
+        { managerId, series },
+        { $inc: { last: count } },
+        { new: true, session }
+    );
+    return sequence.last - count + 1;
+};
+
+// Next receipt number for a sale made now (or at `date`) at a location. Call inside
+// the checkout transaction so an aborted sale does not use up a number.
+const nextReceiptNumber = async (managerId, { date, locationId } = {}, session) => {
+    const numbering = await numberingFor(managerId, session);
+    const location = locationId && numbering.format.includes('{location')
+        ? await Location.findById(locationId).select('code').session(session)
+        : null;
+
+    const template = renderTemplate(numbering.format, {
+        prefix: numbering.prefix,
+        date: date || new Date(),
+        location: location?.code
+    });
+    const seq = await takeNumbers(managerId, seriesOf(template), 1, session);
+    return renderSequence(template, seq);
+};
+
+// A device's counter, created with the next free device code (D01, D02...) the first
+// time the device asks for a block
+const deviceSequence = async (managerId, deviceId) => {
+    const existing = await ReceiptSequence.findOne({ managerId, deviceId });
+    if (existing) {
+        return existing;
+    }
+
+    const number = await takeNumbers(managerId, 'devices', 1);
+    try {
+        return await ReceiptSequence.create({
+            managerId,
+            series: `device:${deviceId}`,
+            deviceId,
+            deviceCode: `D${String(number).padStart(2, '0')}`
+        });
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+        // Another request set the device up first
+        return ReceiptSequence.findOne({ managerId, deviceId });
+    }
+};
+
+// Reserve the next `size` numbers of a device's own series for it to use offline
+const reserveBlock = async (user, { deviceId, size = 100 } = {}) => {
+    if (!deviceId || typeof deviceId !== 'string') {
+        throw createHttpError(400, 'deviceId is required');
+    }
+    const count = parseInt(size);
+    if (!count || count < 1 || count > MAX_BLOCK_SIZE) {
+        throw createHttpError(400, `size must be between 1 and ${MAX_BLOCK_SIZE}`);
+    }
+
+    const managerId = await resolveManagerId(user);
+    const numbering = await numberingFor(managerId);
+    const device = await deviceSequence(managerId, deviceId);
+    const template = renderTemplate(numbering.offlineFormat, {
+        prefix: numbering.prefix,
+        device: device.deviceCode
+    });
+
+    return mongoose.connection.transaction(async (session) => {
+        const start = await takeNumbers(managerId, device.series, count, session);
+        const [block] = await ReceiptBlock.create([{
+            managerId,
+            deviceId,
+            deviceCode: device.deviceCode,
+            series: device.series,
+            template,
+            start,
+            end: start + count - 1,
+            reservedBy: user.id
+        }], { session });
+        return block;
+    });
+};
+
+// Accept a receipt number an offline sale brings with it when it comes from one of
+// the device's blocks and no other sale has it yet. Returns false otherwise, and the
+// sale is given a store number instead.
+const claimBlockNumber = async (managerId, deviceId, receiptNumber, session) => {
+    const blocks = await ReceiptBlock.find({ managerId, deviceId }).session(session);
+
+    for (const block of blocks) {
+        const seq = parseSequence(block.template, receiptNumber);
+        const usable = seq !== null && seq >= block.start && seq <= block.end
+            && (block.status === 'active' || seq < block.voidFrom);
+        if (!usable) {
+            continue;
+        }
+
+        if (await Sale.exists({ managerId, receiptNumber }).session(session)) {
+            return false;
+        }
+        await ReceiptBlock.updateOne({ _id: block._id }, { $inc: { usedCount: 1 } }, { session });
+        return true;
+    }
+
+    return false;
+};
+
+const findBlock = async (user, blockId) => {
+    if (!mongoose.Types.ObjectId.isValid(blockId)) {
+        throw createHttpError(400, 'Invalid block ID format');
+    }
+    const managerId = await resolveManagerId(user);
+    const block = await ReceiptBlock.findOne({ _id: blockId, managerId });
+    if (!block) {
+        throw createHttpError(404, 'Receipt block not found');
+    }
+    return block;
+};
+
+// Close a block a device no longer needs (reinstalled, retired). Numbers after
+// lastUsed are voided so audits can account for them; without lastUsed the block is
+// taken to have been used in order up to its synced sales.
+const releaseBlock = async (user, blockId, { lastUsed } = {}) => {
+    const block = await findBlock(user, blockId);
+    if (block.status === 'released') {
+        throw createHttpError(400, 'Receipt block is already released');
+    }
+
+    const last = lastUsed !== undefined ? parseInt(lastUsed) : block.start + block.usedCount - 1;
+    if (isNaN(last) || last < block.start - 1 || last > block.end) {
+        throw createHttpError(400, `lastUsed must be between ${block.start - 1} and ${block.end}`);
+    }
+
+    block.status = 'released';
+    block.voidFrom = last + 1;
+    block.releasedAt = new Date();
+    await block.save();
+    return block;
+};
+
+module.exports = {
+    DEFAULT_NUMBERING,
+    MAX_BLOCK_SIZE,
+    normalizeNumbering,
+    numberingFor,
+    renderTemplate,
+    renderSequence,
+    nextReceiptNumber,
+    reserveBlock,
+    claimBlockNumber,
+    findBlock,
+    releaseBlock
+};
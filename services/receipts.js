@@ -0,0 +1,625 @@
+const mongoose = require('mongoose');
+const bwipjs = require('bwip-js');
+const PDFDocument = require('pdfkit');
+const Sale = require('../models/Sale');
+const User = require('../models/User');
+const Location = require('../models/Location');
+const { createHttpError } = require('../utils/httpError');
+const { escapeHtml } = require('../utils/html');
+const { saleScope } = require('./returns');
+const { providerName, sendMessage, normalizePhone, isEmail } = require('./messaging');
+
+const TEMPLATES = ['basic', 'detailed', 'minimal'];
+const DELIVERY_CHANNELS = ['email', 'sms', 'whatsapp'];
+const FORMATS = {
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+    escpos: { contentType: 'application/octet-stream', extension: 'bin' }
+};
+
+// Characters per line on 58mm and 80mm paper with the printer's standard font
+const PAPER_COLUMNS = { 58: 32, 80: 48 };
+const PAPER_POINTS = { 58: 164.4, 80: 226.8 };
+
+const PAYMENT_LABELS = {
+    cash: 'Cash',
+    card: 'Card',
+    mobile: 'Mobile money',
+    other: 'Other',
+    loyalty: 'Loyalty points',
+    split: 'Split'
+};
+
+const formatMoney = (amount) => (Number(amount) || 0)
+    .toLocaleString('en', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatQuantity = (quantity) => String(Math.round(quantity * 1000) / 1000);
+
+const formatDate = (date, timeZone) => {
+    const options = { dateStyle: 'medium', timeStyle: 'short' };
+    try {
+        return new Intl.DateTimeFormat('en-GB', { ...options, timeZone }).format(date);
+    } catch (error) {
+        // Unknown time zone in the manager's preferences
+        return new Intl.DateTimeFormat('en-GB', { ...options, timeZone: 'UTC' }).format(date);
+    }
+};
+
+const addressLines = (address) => {
+    if (!address) {
+        return [];
+    }
+    const street = address.street?.trim();
+    const area = [address.city, address.state, address.zipCode].map(part => part?.trim()).filter(Boolean).join(', ');
+    return [street, area, address.country?.trim()].filter(Boolean);
+};
+
+// The business details a manager's receipts and invoices carry, as served by
+// GET /api/auth/manager/business-info. Returns null when there is no such manager.
+const getBusinessInfo = async (managerId) => {
+    const manager = await User.findById(managerId).select('businessName businessType phone address taxId');
+    if (!manager) {
+        return null;
+    }
+    return {
+        businessName: manager.businessName,
+        businessType: manager.businessType,
+        phone: manager.phone,
+        address: manager.address,
+        taxId: manager.taxId
+    };
+};
+
+// What the QR code on a receipt holds: RECEIPT_QR_URL with {managerId} and
+// {receiptNumber} filled in when set, otherwise the receipt's key facts as text
+const qrContent = (receipt) => {
+    if (process.env.RECEIPT_QR_URL) {
+        return process.env.RECEIPT_QR_URL
+            .replace('{managerId}', encodeURIComponent(receipt.managerId))
+            .replace('{receiptNumber}', encodeURIComponent(receipt.receiptNumber));
+    }
+    return [
+        receipt.business.name,
+        `Receipt ${receipt.receiptNumber}`,
+        receipt.saleDate.toISOString(),
+        `Total ${receipt.currency} ${receipt.total.toFixed(2)}`,
+        receipt.business.taxId ? `Tax ID ${receipt.business.taxId}` : null
+    ].filter(Boolean).join('\n');
+};
+
+// Everything a receipt shows, independent of how it is rendered. The sale should
+// have cashierId populated (firstName lastName username).
+const buildReceipt = async (sale) => {
+    const managerId = sale.managerId?._id || sale.managerId;
+    const [business, manager, location] = await Promise.all([
+        getBusinessInfo(managerId),
+        User.findById(managerId).select('currency preferences'),
+        sale.locationId ? Location.findById(sale.locationId).select('name code') : null
+    ]);
+
+    const taxable = Math.round((sale.subtotal - (sale.discount || 0)) * 100) / 100;
+    const cashier = sale.cashierId && sale.cashierId.firstName !== undefined
+        ? `${sale.cashierId.firstName || ''} ${sale.cashierId.lastName || ''}`.trim() || sale.cashierId.username
+        : null;
+
+    const receipt = {
+        managerId: String(managerId),
+        receiptNumber: sale.receiptNumber,
+        saleDate: sale.saleDate || sale.createdAt,
+        template: manager?.preferences?.receiptTemplate || 'basic',
+        currency: manager?.preferences?.currency || manager?.currency || 'NGN',
+        timeZone: manager?.preferences?.timezone || 'Africa/Lagos',
+        business: {
+            name: business?.businessName || 'My Business',
+            type: business?.businessType,
+            phone: business?.phone,
+            address: addressLines(business?.address),
+            taxId: business?.taxId
+        },
+        location: location ? location.name : null,
+        cashier,
+        customer: sale.customerName || null,
+        lines: sale.items.map(line => ({
+            name: line.name,
+            quantity: line.quantity,
+            unit: line.unit,
+            price: line.price,
+            subtotal: line.subtotal,
+            barcode: line.barcode,
+            attributes: line.attributes instanceof Map ? Object.fromEntries(line.attributes) : line.attributes || null,
+            originalPrice: line.originalPrice,
+            overrideReason: line.priceOverride?.reasonCode,
+            lots: (line.lots || []).filter(lot => lot.lotNumber).map(lot => ({
+                lotNumber: lot.lotNumber,
+                expiryDate: lot.expiryDate
+            })),
+            returnedQuantity: line.returnedQuantity || 0
+        })),
+        subtotal: sale.subtotal,
+        discount: sale.discount || 0,
+        // The rate is not kept on the sale, so it is worked back from the tax charged
+        tax: {
+            taxable,
+            rate: taxable > 0 ? Math.round((sale.tax / taxable) * 10000) / 100 : 0,
+            amount: sale.tax || 0
+        },
+        total: sale.total,
+        payments: (sale.payments || []).map(payment => ({
+            method: payment.method,
+            amount: payment.amount,
+            tendered: payment.tendered,
+            reference: payment.reference
+        })),
+        paymentMethod: sale.paymentMethod,
+        paidAmount: sale.paidAmount || 0,
+        change: sale.change || 0,
+        balanceDue: Math.max(0, Math.round((sale.total - (sale.paidAmount || 0)) * 100) / 100),
+        paymentStatus: sale.paymentStatus,
+        returnedAmount: sale.returnedAmount || 0,
+        refundedAmount: sale.refundedAmount || 0,
+        pointsEarned: sale.loyalty?.pointsEarned || 0,
+        notes: sale.notes
+    };
+    receipt.qr = qrContent(receipt);
+    return receipt;
+};
+
+// Break text into lines of at most `width` characters, on spaces where possible
+const wrap = (text, width) => {
+    const lines = [];
+    let current = '';
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+        while (word.length > width) {
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+            lines.push(word.slice(0, width));
+            word = word.slice(width);
+        }
+        if (!current) {
+            current = word;
+        } else if (current.length + 1 + word.length <= width) {
+            current += ` ${word}`;
+        } else {
+            lines.push(current);
+            current = word;
+        }
+    });
+    if (current) {
+        lines.push(current);
+    }
+    return lines.length > 0 ? lines : [''];
+};
+
+// Left text and right text on one line, the left cut short if both do not fit
+const pair = (left, right, width) => {
+    const room = Math.max(0, width - right.length - 1);
+    const cut = left.length > room ? left.slice(0, room) : left;
+    return `${cut}${' '.repeat(Math.max(1, width - cut.length - right.length))}${right}`;
+};
+
+// A receipt as a list of rows for a paper `columns` characters wide. Rows are
+// { text, align, bold, large }, { left, right, bold, large } (a label and a value at
+// either edge), { rule: true } or { qr }; each renderer draws them its way. Large rows
+// print double width, so their text is wrapped to half the columns.
+const layoutReceipt = (receipt, template, columns) => {
+    const rows = [];
+    const detailed = template === 'detailed';
+    const minimal = template === 'minimal';
+    const text = (value, style = {}) => rows.push({ text: value, align: 'left', ...style });
+    const centered = (value, style = {}) => wrap(value, style.large ? Math.floor(columns / 2) : columns)
+        .forEach(line => text(line, { align: 'center', ...style }));
+    const pairRow = (left, right, style = {}) => rows.push({ left, right, ...style });
+    const amountRow = (label, amount, style = {}) => pairRow(label, formatMoney(amount), style);
+    const rule = () => rows.push({ rule: true });
+
+    centered(receipt.business.name, { bold: true, large: !minimal });
+    if (!minimal) {
+        receipt.business.address.forEach(line => centered(line));
+        if (receipt.business.phone) {
+            centered(`Tel: ${receipt.business.phone}`);
+        }
+        if (receipt.business.taxId) {
+            centered(`Tax ID: ${receipt.business.taxId}`);
+        }
+    }
+    rule();
+
+    pairRow('Receipt', receipt.receiptNumber, { bold: true });
+    pairRow('Date', formatDate(receipt.saleDate, receipt.timeZone));
+    if (detailed) {
+        if (receipt.location) {
+            pairRow('Store', receipt.location);
+        }
+        if (receipt.cashier) {
+            pairRow('Cashier', receipt.cashier);
+        }
+    }
+    if (!minimal && receipt.customer) {
+        pairRow('Customer', receipt.customer);
+    }
+    rule();
+
+    receipt.lines.forEach(line => {
+        const quantity = `${formatQuantity(line.quantity)}${line.unit ? ` ${line.unit}` : ''}`;
+        if (minimal) {
+            pairRow(`${quantity} x ${line.name}`, formatMoney(line.subtotal));
+            return;
+        }
+
+        wrap(line.name, columns).forEach(part => text(part));
+        amountRow(`  ${quantity} x ${formatMoney(line.price)}`, line.subtotal);
+        if (!detailed) {
+            return;
+        }
+        if (line.attributes) {
+            wrap(Object.entries(line.attributes).map(([key, value]) => `${key}: ${value}`).join(', '), columns - 2)
+                .forEach(part => text(`  ${part}`));
+        }
+        if (line.originalPrice !== undefined && line.originalPrice !== null && line.originalPrice !== line.price) {
+            text(`  Was ${formatMoney(line.originalPrice)}${line.overrideReason ? ` (${line.overrideReason.replace(/_/g, ' ')})` : ''}`);
+        }
+        line.lots.forEach(lot => {
+            text(`  Lot ${lot.lotNumber}${lot.expiryDate ? ` exp ${new Date(lot.expiryDate).toISOString().slice(0, 10)}` : ''}`);
+        });
+        if (line.barcode) {
+            text(`  ${line.barcode}`);
+        }
+        if (line.returnedQuantity > 0) {
+            text(`  Returned: ${formatQuantity(line.returnedQuantity)}`);
+        }
+    });
+    rule();
+
+    if (!minimal) {
+        amountRow('Subtotal', receipt.subtotal);
+        if (receipt.discount > 0) {
+            amountRow('Discount', -receipt.discount);
+        }
+        if (detailed && receipt.tax.amount > 0) {
+            amountRow('Taxable amount', receipt.tax.taxable);
+        }
+    }
+    if (receipt.tax.amount > 0) {
+        amountRow(`Tax (${receipt.tax.rate}%)`, receipt.tax.amount);
+    }
+    // Double size when it fits on half a line
+    const total = [`TOTAL ${receipt.currency}`, formatMoney(receipt.total)];
+    pairRow(...total, { bold: true, large: !minimal && total.join(' ').length <= Math.floor(columns / 2) });
+
+    if (!minimal) {
+        rule();
+        receipt.payments.forEach(payment => {
+            const label = PAYMENT_LABELS[payment.method] || payment.method;
+            amountRow(payment.reference && detailed ? `${label} (${payment.reference})` : label, payment.tendered || payment.amount);
+        });
+    } else {
+        pairRow('Paid', PAYMENT_LABELS[receipt.paymentMethod] || receipt.paymentMethod);
+    }
+    if (receipt.change > 0) {
+        amountRow('Change', receipt.change);
+    }
+    if (receipt.balanceDue > 0 && receipt.paymentStatus !== 'refunded') {
+        amountRow('Balance due', receipt.balanceDue, { bold: true });
+    }
+    if (detailed && receipt.refundedAmount > 0) {
+        amountRow('Refunded', receipt.refundedAmount);
+    }
+    if (detailed && receipt.pointsEarned > 0) {
+        pairRow('Points earned', String(receipt.pointsEarned));
+    }
+    if (detailed && receipt.notes) {
+        rule();
+        wrap(receipt.notes, columns).forEach(part => text(part));
+    }
+
+    if (!minimal) {
+        rule();
+        rows.push({ qr: receipt.qr });
+    }
+    centered('Thank you for your purchase!');
+    return rows;
+};
+
+// A row's text on a line `width` characters wide; centring is left to the renderer
+// except where `pad` asks for it to be done with spaces
+const rowText = (row, width, { pad = false } = {}) => {
+    if (row.left !== undefined) {
+        return pair(row.left, row.right, width);
+    }
+    if (pad && row.align === 'center') {
+        return `${' '.repeat(Math.max(0, Math.floor((width - row.text.length) / 2)))}${row.text}`;
+    }
+    return row.text;
+};
+
+const rowWidth = (row, columns) => (row.large ? Math.floor(columns / 2) : columns);
+
+// Plain text has no double size, so large rows are printed at normal size
+const renderText = (rows, columns) => `${rows
+    .filter(row => !row.qr)
+    .map(row => (row.rule ? '-'.repeat(columns) : rowText(row, columns, { pad: true })))
+    .join('\n')}\n`;
+
+const renderHtml = (receipt, rows, columns) => {
+    const body = rows.map(row => {
+        if (row.rule) {
+            return '<hr>';
+        }
+        if (row.qr) {
+            return `<div class="qr">${bwipjs.toSVG({ bcid: 'qrcode', text: row.qr, scale: 2 })}</div>`;
+        }
+        const classes = [row.align === 'center' ? 'center' : '', row.bold ? 'bold' : '', row.large ? 'large' : ''].filter(Boolean);
+        return `<div${classes.length ? ` class="${classes.join(' ')}"` : ''}>${escapeHtml(rowText(row, rowWidth(row, columns))) || '&nbsp;'}</div>`;
+    });
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        `<title>Receipt ${escapeHtml(receipt.receiptNumber)}</title>`,
+        '<style>',
+        `body { margin: 0; padding: 8px; font-family: "Courier New", Courier, monospace; font-size: 12px; }`,
+        `.receipt { width: ${columns}ch; margin: 0 auto; white-space: pre; }`,
+        '.center { text-align: center; }',
+        '.bold { font-weight: bold; }',
+        '.large { font-size: 200%; }',
+        'hr { border: 0; border-top: 1px dashed #000; margin: 4px 0; }',
+        '.qr { text-align: center; margin: 8px 0; }',
+        '.qr svg { width: 120px; height: 120px; }',
+        '@media print { body { padding: 0; } }',
+        '</style>',
+        '</head>',
+        '<body>',
+        '<div class="receipt">',
+        ...body,
+        '</div>',
+        '</body>',
+        '</html>'
+    ].join('\n');
+};
+
+// Receipt as a PDF Buffer the width of the paper roll and as long as it needs to be
+const renderPdf = async (rows, paper) => {
+    const columns = PAPER_COLUMNS[paper];
+    const margin = 8;
+    const pageWidth = PAPER_POINTS[paper];
+    const width = pageWidth - margin * 2;
+    // Courier characters are 0.6em wide
+    const fontSize = width / (columns * 0.6);
+    const lineHeight = fontSize * 1.25;
+    const qrSize = Math.min(width, 110);
+
+    const height = rows.reduce((sum, row) => {
+        if (row.qr) {
+            return sum + qrSize + lineHeight;
+        }
+        return sum + (row.large ? lineHeight * 2 : lineHeight);
+    }, margin * 2);
+
+    const doc = new PDFDocument({ size: [pageWidth, height], margin: 0 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    let y = margin;
+    for (const row of rows) {
+        if (row.rule) {
+            doc.moveTo(margin, y + lineHeight / 2).lineTo(pageWidth - margin, y + lineHeight / 2)
+                .dash(2, { space: 2 }).lineWidth(0.5).stroke().undash();
+            y += lineHeight;
+        } else if (row.qr) {
+            const image = await bwipjs.toBuffer({ bcid: 'qrcode', text: row.qr, scale: 4 });
+            doc.image(image, (pageWidth - qrSize) / 2, y + lineHeight / 2, { fit: [qrSize, qrSize] });
+            y += qrSize + lineHeight;
+        } else {
+            const size = row.large ? fontSize * 2 : fontSize;
+            doc.font(row.bold ? 'Courier-Bold' : 'Courier').fontSize(size)
+                .text(rowText(row, rowWidth(row, columns)), margin, y, { width, align: row.align || 'left', lineBreak: false });
+            y += row.large ? lineHeight * 2 : lineHeight;
+        }
+    }
+
+    doc.end();
+    return finished;
+};
+
+// ESC/POS commands
+const ESC = 0x1b;
+const GS = 0x1d;
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+// Thermal printers use a single-byte code page; accents are dropped and anything
+// else outside ASCII prints as ?
+const toPrinterText = (text) => Buffer.from(String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?'), 'ascii');
+
+// Model 2 QR code, module size 6, error correction M
+const escposQr = (data) => {
+    const bytes = Buffer.from(data, 'utf8');
+    const length = bytes.length + 3;
+    return Buffer.concat([
+        Buffer.from([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]),
+        Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, 0x06]),
+        Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]),
+        Buffer.from([GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30]),
+        bytes,
+        Buffer.from([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30])
+    ]);
+};
+
+// Receipt as an ESC/POS byte stream: initialise, print the rows, feed and cut
+const renderEscPos = (rows, columns) => {
+    const parts = [Buffer.from([ESC, 0x40, ESC, 0x74, 0x00])];
+
+    rows.forEach(row => {
+        if (row.rule) {
+            parts.push(Buffer.from([ESC, 0x61, ALIGN.left]), toPrinterText('-'.repeat(columns)), Buffer.from([0x0a]));
+        } else if (row.qr) {
+            parts.push(Buffer.from([ESC, 0x61, ALIGN.center]), escposQr(row.qr), Buffer.from([0x0a]));
+        } else {
+            parts.push(
+                Buffer.from([ESC, 0x61, ALIGN[row.align] || 0]),
+                Buffer.from([ESC, 0x45, row.bold ? 1 : 0]),
+                Buffer.from([GS, 0x21, row.large ? 0x11 : 0x00]),
+                toPrinterText(rowText(row, rowWidth(row, columns))),
+                Buffer.from([0x0a])
+            );
+        }
+    });
+
+    parts.push(
+        Buffer.from([ESC, 0x45, 0, GS, 0x21, 0x00, ESC, 0x61, ALIGN.left]),
+        Buffer.from([ESC, 0x64, 0x03]),
+        // Feed to the cutter and make a partial cut
+        Buffer.from([GS, 0x56, 0x42, 0x00])
+    );
+    return Buffer.concat(parts);
+};
+
+// Render a receipt. format is html, pdf, text or escpos; template basic, detailed
+// or minimal (the manager's preferences.receiptTemplate by default); paper 58 or 80 (mm).
+// Returns { body, contentType, filename }.
+const renderReceipt = async (receipt, { format = 'html', template, paper = 80 } = {}) => {
+    if (!FORMATS[format]) {
+        throw createHttpError(400, `format must be one of: json, ${Object.keys(FORMATS).join(', ')}`);
+    }
+    const chosenTemplate = template || receipt.template;
+    if (!TEMPLATES.includes(chosenTemplate)) {
+        throw createHttpError(400, `template must be one of: ${TEMPLATES.join(', ')}`);
+    }
+    const paperWidth = Number(paper);
+    if (!PAPER_COLUMNS[paperWidth]) {
+        throw createHttpError(400, 'paper must be 58 or 80');
+    }
+
+    const columns = PAPER_COLUMNS[paperWidth];
+    const rows = layoutReceipt(receipt, chosenTemplate, columns);
+
+    let body;
+    if (format === 'html') {
+        body = renderHtml(receipt, rows, columns);
+    } else if (format === 'pdf') {
+        body = await renderPdf(rows, paperWidth);
+    } else if (format === 'text') {
+        body = renderText(rows, columns);
+    } else {
+        body = renderEscPos(rows, columns);
+    }
+
+    return {
+        body,
+        contentType: FORMATS[format].contentType,
+        filename: `receipt-${receipt.receiptNumber.replace(/[^\w.-]/g, '_')}.${FORMATS[format].extension}`
+    };
+};
+
+// The message that carries a receipt on a channel: email gets the HTML receipt with
+// the PDF attached, WhatsApp the text receipt, SMS a one-line summary (with the
+// receipt link when RECEIPT_QR_URL is set)
+const receiptMessage = async (receipt, channel, template) => {
+    const title = `Receipt ${receipt.receiptNumber} from ${receipt.business.name}`;
+    if (channel === 'email') {
+        const [html, text, pdf] = await Promise.all(['html', 'text', 'pdf']
+            .map(format => renderReceipt(receipt, { format, template })));
+        return {
+            subject: title,
+            html: html.body,
+            text: text.body,
+            attachments: [{ filename: pdf.filename, content: pdf.body, contentType: pdf.contentType }]
+        };
+    }
+    if (channel === 'whatsapp') {
+        const text = await renderReceipt(receipt, { format: 'text', template, paper: 58 });
+        return { text: text.body };
+    }
+    const link = process.env.RECEIPT_QR_URL ? ` ${receipt.qr}` : '';
+    return { text: `${title}: total ${receipt.currency} ${formatMoney(receipt.total)}.${link || ' Thank you!'}` };
+};
+
+// Send a sale's receipt to its customer (or to `to`) and record the attempt on the
+// sale. Returns the delivery; its status is failed when the provider refused it.
+const sendReceipt = async (user, saleId, { channel, to, template } = {}) => {
+    if (!mongoose.Types.ObjectId.isValid(saleId)) {
+        throw createHttpError(400, 'Invalid sale ID format');
+    }
+    if (!DELIVERY_CHANNELS.includes(channel)) {
+        throw createHttpError(400, `channel must be one of: ${DELIVERY_CHANNELS.join(', ')}`);
+    }
+    if (template !== undefined && !TEMPLATES.includes(template)) {
+        throw createHttpError(400, `template must be one of: ${TEMPLATES.join(', ')}`);
+    }
+
+    const sale = await Sale.findOne({ _id: saleId, ...saleScope(user) })
+        .populate('cashierId', 'firstName lastName username');
+    if (!sale) {
+        throw createHttpError(404, 'Sale not found');
+    }
+
+    let recipient;
+    if (channel === 'email') {
+        recipient = String(to || sale.customerEmail || '').trim().toLowerCase();
+        if (!recipient) {
+            throw createHttpError(400, 'The sale has no customer email. Pass "to".', { code: 'NO_RECIPIENT' });
+        }
+        if (!isEmail(recipient)) {
+            throw createHttpError(400, `Invalid email address: ${recipient}`);
+        }
+    } else {
+        const phone = to || sale.customerPhone;
+        if (!phone) {
+            throw createHttpError(400, 'The sale has no customer phone. Pass "to".', { code: 'NO_RECIPIENT' });
+        }
+        recipient = normalizePhone(phone);
+        if (!recipient) {
+            throw createHttpError(400, `Invalid phone number: ${phone}`);
+        }
+    }
+
+    const receipt = await buildReceipt(sale);
+    const message = await receiptMessage(receipt, channel, template || receipt.template);
+
+    const delivery = {
+        channel,
+        to: recipient,
+        provider: providerName(channel),
+        template: template || receipt.template,
+        sentBy: user.id,
+        sentAt: new Date()
+    };
+    try {
+        const result = await sendMessage(channel, { ...message, to: recipient });
+        delivery.providerMessageId = result.id;
+        delivery.status = result.status;
+    } catch (error) {
+        // Set-up problems (unknown or unconfigured provider) are not delivery attempts
+        if (error.status) {
+            throw error;
+        }
+        delivery.status = 'failed';
+        delivery.error = error.message;
+    }
+
+    await Sale.updateOne(
+        { _id: sale._id },
+        { $push: { receiptDeliveries: delivery }, $set: { lastSynced: new Date() } }
+    );
+    return delivery;
+};
+
+module.exports = {
+    TEMPLATES,
+    FORMATS,
+    getBusinessInfo,
+    buildReceipt,
+    renderReceipt,
+    sendReceipt
+};
@@ -0,0 +1,469 @@
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale');
+const Customer = require('../models/Customer');
+const CustomerLedger = require('../models/CustomerLedger');
+const User = require('../models/User');
+const { createHttpError } = require('../utils/httpError');
+const { roundMoney, PRICE_TOLERANCE } = require('./pricing');
+const { normalizePayments, totalTendered, allocateTender, ensurePaymentHistory } = require('./payments');
+const { priceLoyaltyTenders, recordRedemption, accrueSalePoints } = require('./loyalty');
+const { recordCustomerSpend } = require('./customerStats');
+
+const AGING_BUCKETS = [
+    { key: '0-30', maxDays: 30 },
+    { key: '31-60', maxDays: 60 },
+    { key: '61-90', maxDays: 90 },
+    { key: '90+', maxDays: Infinity }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What is still owed on a sale once returns and refunds are netted out
+const saleOutstanding = (sale) =>
+    roundMoney(Math.max(0, sale.total - (sale.returnedAmount || 0) - (sale.paidAmount - (sale.refundedAmount || 0))));
+
+// Customers belong to the manager's shop; cashiers work on their manager's customers
+const resolveManagerId = async (user, session) => {
+    if (user.role === 'manager') {
+        return user.id;
+    }
+    if (user.role === 'cashier') {
+        const cashier = await User.findById(user.id).select('managerId').session(session);
+        if (!cashier || !cashier.managerId) {
+            throw createHttpError(400, 'Cashier must be associated with a manager');
+        }
+        return cashier.managerId.toString();
+    }
+    throw createHttpError(403, 'Access denied');
+};
+
+// Move a customer's balance and write the matching ledger entry. entry.amount is
+// signed: positive when the customer owes more, negative when they owe less.
+const postLedgerEntry = async (customerId, entry, session) => {
+    const customer = await Customer.findOneAndUpdate(
+        { _id: customerId },
+        { $inc: { 'creditAccount.balance': entry.amount }, $set: { lastSynced: new Date() } },
+        { new: true, session }
+    );
+
+    if (!customer) {
+        throw createHttpError(404, 'Customer not found');
+    }
+
+    const [ledgerEntry] = await CustomerLedger.create([{
+        ...entry,
+        amount: roundMoney(entry.amount),
+        customerId: customer._id,
+        managerId: customer.managerId,
+        balanceAfter: roundMoney(customer.creditAccount.balance),
+        entryDate: new Date()
+    }], { session });
+
+    return { customer, ledgerEntry };
+};
+
+// Charge the unpaid part of a new sale to the customer's account, refusing it when
+// that would go over the limit (with allowOverLimit, for offline sales, it is
+// charged anyway and noted in sale.syncConflicts). Customers without a credit
+// account keep the earlier behaviour: the sale is left part-paid and nothing goes
+// on a ledger.
+const chargeSaleToAccount = async (sale, user, session, { allowOverLimit = false } = {}) => {
+    const amount = saleOutstanding(sale);
+    if (!sale.customerId || amount <= 0) {
+        return null;
+    }
+
+    const customer = await Customer.findOne({
+        _id: sale.customerId,
+        managerId: sale.managerId,
+        isActive: true
+    }).session(session);
+
+    if (!customer) {
+        throw createHttpError(404, 'Customer not found');
+    }
+
+    if (!customer.creditAccount?.enabled) {
+        return null;
+    }
+
+    const available = roundMoney(customer.creditAccount.creditLimit - customer.creditAccount.balance);
+    if (amount - available > PRICE_TOLERANCE) {
+        const message = `Credit limit exceeded for ${customer.name}. Available credit: ${Math.max(0, available).toFixed(2)}`;
+        const details = {
+            creditLimit: customer.creditAccount.creditLimit,
+            balance: customer.creditAccount.balance,
+            availableCredit: Math.max(0, available),
+            outstanding: amount
+        };
+        if (!allowOverLimit) {
+            throw createHttpError(400, message, { code: 'CREDIT_LIMIT_EXCEEDED', ...details });
+        }
+        sale.syncConflicts.push({ code: 'CREDIT_LIMIT_EXCEEDED', message, details });
+    }
+
+    sale.onAccount = true;
+    await sale.save({ session });
+
+    const { ledgerEntry } = await postLedgerEntry(customer._id, {
+        type: 'charge',
+        amount,
+        saleId: sale._id,
+        reference: sale.receiptNumber,
+        description: `Sale ${sale.receiptNumber}`,
+        userId: user.id,
+        deviceId: sale.deviceId
+    }, session);
+
+    return ledgerEntry;
+};
+
+// Credit the account for goods returned against an unpaid on-account sale
+const creditReturnToAccount = async (sale, saleReturn, user, session) => {
+    const amount = roundMoney(saleReturn.totalAmount - saleReturn.refundAmount - (saleReturn.loyaltyRefund?.value || 0));
+    if (!sale.onAccount || !sale.customerId || amount <= 0) {
+        return null;
+    }
+
+    const { ledgerEntry } = await postLedgerEntry(sale.customerId, {
+        type: 'return',
+        amount: -amount,
+        saleId: sale._id,
+        returnId: saleReturn._id,
+        reference: saleReturn.returnNumber,
+        description: `Return ${saleReturn.returnNumber}`,
+        userId: user.id,
+        deviceId: saleReturn.deviceId
+    }, session);
+
+    return ledgerEntry;
+};
+
+// Find a sale the user may take payment on
+const findPayableSale = async (user, saleId, session) => {
+    if (!mongoose.Types.ObjectId.isValid(saleId)) {
+        throw createHttpError(400, 'Invalid sale ID format');
+    }
+
+    const sale = await Sale.findById(saleId).session(session);
+
+    if (!sale) {
+        throw createHttpError(404, 'Sale not found');
+    }
+
+    if (user.role === 'cashier' && (!sale.cashierId || sale.cashierId.toString() !== user.id)) {
+        throw createHttpError(403, 'You do not have permission to update this sale');
+    }
+
+    if (user.role === 'manager' && sale.managerId.toString() !== user.id) {
+        throw createHttpError(403, 'You do not have permission to update this sale');
+    }
+
+    if (['refunded', 'failed'].includes(sale.paymentStatus)) {
+        throw createHttpError(400, `Cannot take payment on a ${sale.paymentStatus} sale`);
+    }
+
+    return sale;
+};
+
+// Add payments to a sale and, for on-account sales, bring the customer balance down with them
+const recordSalePayments = async (sale, payments, user, session) => {
+    ensurePaymentHistory(sale);
+    sale.payments.push(...payments);
+    await sale.save({ session });
+
+    const amount = totalTendered(payments);
+    await recordCustomerSpend(sale.customerId, amount, session);
+
+    if (!sale.onAccount || !sale.customerId || amount <= 0) {
+        return null;
+    }
+
+    const { ledgerEntry } = await postLedgerEntry(sale.customerId, {
+        type: 'payment',
+        amount: -amount,
+        saleId: sale._id,
+        allocations: [{ saleId: sale._id, receiptNumber: sale.receiptNumber, amount }],
+        method: payments.length === 1 ? payments[0].method : 'other',
+        reference: (payments.map(payment => payment.reference).filter(Boolean).join(', ') || sale.receiptNumber).slice(0, 100),
+        description: `Payment on sale ${sale.receiptNumber}`,
+        userId: user.id,
+        deviceId: payments[0].deviceId
+    }, session);
+
+    return ledgerEntry;
+};
+
+// Take further payment on a partly paid sale
+const takeSalePayment = (user, saleId, tenders, deviceId) =>
+    mongoose.connection.transaction(async (session) => {
+        const sale = await findPayableSale(user, saleId, session);
+
+        if (sale.paymentStatus === 'completed') {
+            throw createHttpError(400, 'This sale is already fully paid');
+        }
+
+        await priceLoyaltyTenders(tenders, { customerId: sale.customerId, managerId: sale.managerId, user }, session);
+
+        const { payments, change } = allocateTender(tenders, saleOutstanding(sale), {
+            cashierId: user.id,
+            deviceId: deviceId || sale.deviceId
+        });
+        sale.change = change;
+
+        await recordSalePayments(sale, payments, user, session);
+        await recordRedemption(sale, payments, user, session);
+        await accrueSalePoints(sale, user, session);
+
+        return sale;
+    });
+
+// Settle whatever is left on a sale without taking a specific tender
+const markSaleCompleted = (user, saleId, deviceId) =>
+    mongoose.connection.transaction(async (session) => {
+        const sale = await findPayableSale(user, saleId, session);
+
+        if (sale.paymentStatus === 'completed') {
+            throw createHttpError(400, 'This sale is already marked as completed');
+        }
+
+        const outstanding = saleOutstanding(sale);
+        // A credit-account balance is money the customer owes; settling it here would
+        // book a phantom tender and inflate their spend, so it must be paid properly.
+        if (sale.onAccount && outstanding > 0) {
+            throw createHttpError(400, 'This sale is on account with an outstanding balance. Record the customer\'s payment instead of marking it as completed.', {
+                code: 'ON_ACCOUNT_BALANCE',
+                outstanding
+            });
+        }
+
+        const payments = outstanding > 0
+            ? [{
+                method: 'other',
+                amount: outstanding,
+                reference: 'Marked as completed',
+                paidAt: new Date(),
+                cashierId: user.id,
+                deviceId: deviceId || sale.deviceId
+            }]
+            : [];
+
+        sale.paymentStatus = 'completed';
+        sale.change = 0; // No change if marking as completed
+
+        await recordSalePayments(sale, payments, user, session);
+        await accrueSalePoints(sale, user, session);
+
+        return sale;
+    });
+
+// Open on-account sales for a customer, oldest first
+const findOpenSales = (customerId, managerId, session) =>
+    Sale.find({
+        customerId,
+        managerId,
+        onAccount: true,
+        paymentStatus: { $in: ['pending', 'partial'] }
+    })
+        .sort({ saleDate: 1, _id: 1 })
+        .session(session || null);
+
+// Spread a payment across open sales: explicit allocations first, anything left oldest-first
+const planAllocations = (openSales, amount, requested = []) => {
+    const remainingBySale = new Map(openSales.map(sale => [sale._id.toString(), saleOutstanding(sale)]));
+    const plan = new Map();
+    let left = amount;
+
+    for (const { saleId, amount: requestedAmount } of requested) {
+        const key = String(saleId);
+        const allocation = roundMoney(parseFloat(requestedAmount));
+
+        if (!remainingBySale.has(key)) {
+            throw createHttpError(400, `Sale ${key} is not an open sale on this account`, { saleId: key });
+        }
+        if (isNaN(allocation) || allocation <= 0) {
+            throw createHttpError(400, 'Each allocation needs a positive amount', { saleId: key });
+        }
+        if (allocation - remainingBySale.get(key) > PRICE_TOLERANCE) {
+            throw createHttpError(400, `Allocation exceeds the amount owed on sale ${key}`, {
+                saleId: key,
+                outstanding: remainingBySale.get(key)
+            });
+        }
+
+        plan.set(key, roundMoney((plan.get(key) || 0) + allocation));
+        remainingBySale.set(key, roundMoney(remainingBySale.get(key) - allocation));
+        left = roundMoney(left - allocation);
+    }
+
+    if (left < -PRICE_TOLERANCE) {
+        throw createHttpError(400, 'Allocations add up to more than the payment amount');
+    }
+
+    for (const sale of openSales) {
+        if (left <= 0) {
+            break;
+        }
+        const key = sale._id.toString();
+        const allocation = Math.min(left, remainingBySale.get(key));
+        if (allocation > 0) {
+            plan.set(key, roundMoney((plan.get(key) || 0) + allocation));
+            left = roundMoney(left - allocation);
+        }
+    }
+
+    if (left > PRICE_TOLERANCE) {
+        throw createHttpError(400, 'Payment is more than the customer owes', {
+            code: 'OVERPAYMENT',
+            outstanding: roundMoney(amount - left)
+        });
+    }
+
+    return plan;
+};
+
+// Receive money on a customer's account and allocate it across their open sales
+const receiveCustomerPayment = (user, customerId, payload) =>
+    mongoose.connection.transaction(async (session) => {
+        const { amount, method = 'cash', reference, allocations, description, deviceId } = payload;
+
+        if (!mongoose.Types.ObjectId.isValid(customerId)) {
+            throw createHttpError(400, 'Invalid customer ID format');
+        }
+
+        if (allocations !== undefined && !Array.isArray(allocations)) {
+            throw createHttpError(400, 'allocations must be an array');
+        }
+
+        const [tender] = normalizePayments({ paidAmount: amount, paymentMethod: method, paymentReference: reference });
+        if (!tender) {
+            throw createHttpError(400, 'Payment amount must be greater than 0');
+        }
+
+        const managerId = await resolveManagerId(user, session);
+        const customer = await Customer.findOne({ _id: customerId, managerId, isActive: true }).session(session);
+
+        if (!customer) {
+            throw createHttpError(404, 'Customer not found');
+        }
+
+        const openSales = await findOpenSales(customer._id, managerId, session);
+        const plan = planAllocations(openSales, tender.amount, allocations);
+
+        const paidAt = new Date();
+        const applied = [];
+        for (const sale of openSales) {
+            const allocation = plan.get(sale._id.toString());
+            if (!allocation) {
+                continue;
+            }
+
+            ensurePaymentHistory(sale);
+            sale.payments.push({
+                method: tender.method,
+                amount: allocation,
+                reference: tender.reference || 'Account payment',
+                paidAt,
+                cashierId: user.id,
+                deviceId: deviceId || 'mobile-app'
+            });
+            await sale.save({ session });
+            await accrueSalePoints(sale, user, session);
+
+            applied.push({ saleId: sale._id, receiptNumber: sale.receiptNumber, amount: allocation });
+        }
+
+        await recordCustomerSpend(customer._id, tender.amount, session);
+
+        const { customer: updatedCustomer, ledgerEntry } = await postLedgerEntry(customer._id, {
+            type: 'payment',
+            amount: -tender.amount,
+            allocations: applied,
+            method: tender.method,
+            reference: tender.reference,
+            description: description?.trim() || 'Account payment',
+            userId: user.id,
+            deviceId: deviceId || 'mobile-app'
+        }, session);
+
+        return { customer: updatedCustomer, payment: ledgerEntry };
+    });
+
+// Bucket open sales by days since the sale date
+const ageOpenSales = (openSales, asOf = new Date()) => {
+    const buckets = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+    const sales = [];
+
+    for (const sale of openSales) {
+        const outstanding = saleOutstanding(sale);
+        if (outstanding <= 0) {
+            continue;
+        }
+        const ageDays = Math.max(0, Math.floor((asOf - sale.saleDate) / DAY_MS));
+        const bucket = AGING_BUCKETS.find(b => ageDays <= b.maxDays);
+        buckets[bucket.key] = roundMoney(buckets[bucket.key] + outstanding);
+
+        sales.push({
+            saleId: sale._id,
+            receiptNumber: sale.receiptNumber,
+            saleDate: sale.saleDate,
+            total: sale.total,
+            outstanding,
+            ageDays,
+            bucket: bucket.key
+        });
+    }
+
+    return {
+        asOf,
+        buckets,
+        totalOutstanding: roundMoney(sales.reduce((sum, sale) => sum + sale.outstanding, 0)),
+        sales
+    };
+};
+
+// Customer statement: opening balance, every ledger entry in the period, closing balance and aging
+const buildStatement = async (customer, startDate, endDate) => {
+    const [openingBalance, entries, openSales] = await Promise.all([
+        CustomerLedger.balanceAt(customer._id, startDate),
+        CustomerLedger.findByCustomer(customer._id, startDate, endDate),
+        findOpenSales(customer._id, customer.managerId)
+    ]);
+
+    const charges = entries.filter(entry => entry.amount > 0).reduce((sum, entry) => sum + entry.amount, 0);
+    const credits = entries.filter(entry => entry.amount < 0).reduce((sum, entry) => sum - entry.amount, 0);
+
+    return {
+        customer: {
+            _id: customer._id,
+            name: customer.displayName,
+            phone: customer.phone,
+            email: customer.email,
+            creditLimit: customer.creditAccount.creditLimit,
+            paymentTermsDays: customer.creditAccount.paymentTermsDays
+        },
+        period: { startDate, endDate },
+        openingBalance,
+        entries,
+        totalCharges: roundMoney(charges),
+        totalCredits: roundMoney(credits),
+        closingBalance: entries.length > 0 ? entries[entries.length - 1].balanceAfter : openingBalance,
+        currentBalance: roundMoney(customer.creditAccount.balance),
+        aging: ageOpenSales(openSales)
+    };
+};
+
+module.exports = {
+    AGING_BUCKETS,
+    saleOutstanding,
+    resolveManagerId,
+    postLedgerEntry,
+    chargeSaleToAccount,
+    creditReturnToAccount,
+    takeSalePayment,
+    markSaleCompleted,
+    findOpenSales,
+    receiveCustomerPayment,
+    ageOpenSales,
+    buildStatement
+};
@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const Sale = require('../models/Sale');
+const Return = require('../models/Return');
+const { createHttpError } = require('../utils/httpError');
+const { roundMoney } = require('./pricing');
+const { saleOutstanding, creditReturnToAccount } = require('./receivables');
+const { loyaltyRefundFor, settleReturnPoints } = require('./loyalty');
+const { recordCustomerSpend } = require('./customerStats');
+const { adjustStock } = require('./stockLedger');
+const { lotsForReturn } = require('./lots');
+const { resolveLocationId } = require('./locations');
+const { publish } = require('./events');
+
+const REFUND_METHODS = ['cash', 'card', 'mobile', 'other'];
+
+// Sales a user may return against: managers see their whole shop, cashiers their own sales
+const saleScope = (user) => {
+    if (user.role === 'manager') {
+        return { managerId: user.id };
+    }
+    if (user.role === 'cashier') {
+        return { cashierId: user.id };
+    }
+    return { userId: user.id };
+};
+
+// Match requested return lines to sale lines, by saleItemId or else by productId
+const resolveReturnLines = (sale, requestedLines) => {
+    const pending = new Map();
+
+    for (const requested of requestedLines) {
+        const quantity = parseFloat(requested.quantity);
+        if (!quantity || quantity <= 0) {
+            throw createHttpError(400, 'Each return line needs a positive quantity');
+        }
+
+        let saleItem;
+        if (requested.saleItemId) {
+            saleItem = sale.items.id(requested.saleItemId);
+        } else if (requested.productId) {
+            saleItem = sale.items.find(line =>
+                line.item.toString() === String(requested.productId) &&
+                line.quantity - line.returnedQuantity - (pending.get(line._id.toString())?.quantity || 0) > 0
+            );
+        }
+
+        if (!saleItem) {
+            throw createHttpError(400, `Line ${requested.saleItemId || requested.productId} is not on this sale`);
+        }
+
+        // Only weighed lines were sold in fractions
+        if (!Number.isInteger(quantity) && Number.isInteger(saleItem.quantity)) {
+            throw createHttpError(400, `"${saleItem.name}" can only be returned in whole units`);
+        }
+
+        const key = saleItem._id.toString();
+        const line = pending.get(key) || { saleItem, quantity: 0, restock: requested.restock !== false };
+        line.quantity += quantity;
+
+        const returnable = saleItem.quantity - saleItem.returnedQuantity;
+        if (line.quantity > returnable) {
+            throw createHttpError(400, `Cannot return ${line.quantity} of "${saleItem.name}". Returnable: ${returnable}`, {
+                saleItemId: key,
+                returnable
+            });
+        }
+
+        pending.set(key, line);
+    }
+
+    return Array.from(pending.values());
+};
+
+// Record a return against a sale inside the given session: marks the sale lines as
+// returned, optionally puts stock back, and stores the Return document.
+const createReturn = async (user, saleId, payload, session) => {
+    const {
+        lines,
+        refundMethod,
+        refundReference,
+        reason,
+        deviceId,
+        locationId
+    } = payload;
+
+    if (!mongoose.Types.ObjectId.isValid(saleId)) {
+        throw createHttpError(400, 'Invalid sale ID format');
+    }
+
+    if (!lines || !Array.isArray(lines) || lines.length === 0) {
+        throw createHttpError(400, 'At least one return line is required');
+    }
+
+    if (refundMethod && !REFUND_METHODS.includes(refundMethod)) {
+        throw createHttpError(400, `Refund method must be one of: ${REFUND_METHODS.join(', ')}`);
+    }
+
+    const sale = await Sale.findOne({
+        _id: saleId,
+        ...saleScope(user),
+        paymentStatus: { $nin: ['refunded', 'failed'] }
+    }).session(session);
+
+    if (!sale) {
+        throw createHttpError(404, 'Sale not found or cannot be returned');
+    }
+
+    const returnLines = resolveReturnLines(sale, lines);
+
+    // Fixed up front so restock movements can point at the return
+    const returnId = new mongoose.Types.ObjectId();
+    const returnCount = await Return.countDocuments({ saleId: sale._id }).session(session);
+    const returnNumber = `${sale.receiptNumber}-R${returnCount + 1}`;
+
+    // Goods go back on the shelf where they are handed in: the requested location, the
+    // user's own, or else where they were sold
+    const returnLocationId = await resolveLocationId(
+        user,
+        sale.managerId,
+        locationId || (user.locationId ? null : sale.locationId),
+        session
+    );
+
+    // Spread sale-level tax and discount over lines so a line is refunded at what was actually paid for it
+    const ratio = sale.subtotal > 0 ? sale.total / sale.subtotal : 1;
+
+    const storedLines = [];
+    for (const { saleItem, quantity, restock } of returnLines) {
+        const factor = saleItem.unitFactor || 1;
+        // Goods go back into the lots they were sold from
+        const lots = lotsForReturn(saleItem.lots, saleItem.returnedQuantity * factor, quantity * factor);
+        saleItem.returnedQuantity += quantity;
+
+        storedLines.push({
+            saleItemId: saleItem._id,
+            item: saleItem.item,
+            name: saleItem.name,
+            quantity,
+            unit: saleItem.unit,
+            unitPrice: saleItem.price,
+            amount: roundMoney(saleItem.price * quantity * ratio),
+            restock
+        });
+
+        if (restock) {
+            // Returned in the unit it was sold in; stock comes back in the base unit
+            await adjustStock(saleItem.item, quantity * factor, 'refund', {
+                unit: { name: saleItem.unit, factor, isBase: factor === 1 },
+                lots: lots.length > 0 ? lots : undefined,
+                saleId: sale._id,
+                returnId,
+                locationId: returnLocationId,
+                reference: returnNumber,
+                userId: user.id,
+                deviceId
+            }, session);
+        }
+    }
+
+    const fullyReturned = sale.items.every(line => line.returnedQuantity >= line.quantity);
+
+    // The last return settles any rounding left over from earlier partial returns
+    let totalAmount = roundMoney(storedLines.reduce((sum, line) => sum + line.amount, 0));
+    if (fullyReturned) {
+        totalAmount = roundMoney(Math.max(0, sale.total - sale.returnedAmount));
+    }
+
+    // Only money actually received can be handed back. On a credit account sale the
+    // return clears what is still owed first and only the rest is refunded.
+    const owedOnAccount = sale.onAccount ? saleOutstanding(sale) : 0;
+    const refundAmount = roundMoney(Math.min(
+        Math.max(0, totalAmount - owedOnAccount),
+        Math.max(0, sale.paidAmount - sale.refundedAmount)
+    ));
+    // The part paid with loyalty points goes back as points rather than money
+    const loyaltyRefund = loyaltyRefundFor(sale, refundAmount, fullyReturned);
+
+    const saleReturn = new Return({
+        _id: returnId,
+        returnNumber,
+        saleId: sale._id,
+        receiptNumber: sale.receiptNumber,
+        lines: storedLines,
+        totalAmount,
+        refundAmount: roundMoney(refundAmount - loyaltyRefund.value),
+        loyaltyRefund,
+        refundMethod: refundMethod || (REFUND_METHODS.includes(sale.paymentMethod) ? sale.paymentMethod : 'cash'),
+        refundReference: refundReference?.trim(),
+        reason: reason?.trim(),
+        customerId: sale.customerId,
+        userId: user.id,
+        managerId: sale.managerId,
+        cashierId: user.role === 'cashier' ? user.id : null,
+        locationId: returnLocationId,
+        deviceId: deviceId || 'mobile-app',
+        returnDate: new Date()
+    });
+
+    await saleReturn.save({ session });
+
+    sale.returnedAmount = roundMoney(sale.returnedAmount + totalAmount);
+    sale.refundedAmount = roundMoney(sale.refundedAmount + refundAmount);
+    sale.returnStatus = fullyReturned ? 'full' : 'partial';
+    if (fullyReturned) {
+        sale.paymentStatus = 'refunded';
+    }
+
+    await sale.save({ session });
+
+    await recordCustomerSpend(sale.customerId, -refundAmount, session);
+    await creditReturnToAccount(sale, saleReturn, user, session);
+    await settleReturnPoints(sale, saleReturn, fullyReturned, user, session);
+
+    publish(sale.managerId, 'sale.refunded', {
+        saleId: sale._id.toString(),
+        returnId: saleReturn._id.toString(),
+        receiptNumber: sale.receiptNumber,
+        totalAmount: saleReturn.totalAmount,
+        refundAmount: saleReturn.refundAmount,
+        refundMethod: saleReturn.refundMethod,
+        returnStatus: sale.returnStatus,
+        locationId: saleReturn.locationId ? saleReturn.locationId.toString() : null
+    }, session);
+
+    return { sale, saleReturn };
+};
+
+// Every line that has not been returned yet
+const remainingLines = (sale, restock = true) =>
+    sale.items
+        .filter(line => line.quantity > line.returnedQuantity)
+        .map(line => ({
+            saleItemId: line._id,
+            quantity: line.quantity - line.returnedQuantity,
+            restock
+        }));
+
+// Process a return as a single transaction
+const processReturn = (user, saleId, payload) =>
+    mongoose.connection.transaction((session) => createReturn(user, saleId, payload, session));
+
+// Refund everything still outstanding on a completed sale, restocking all lines
+const refundSale = (user, saleId, payload) =>
+    mongoose.connection.transaction(async (session) => {
+        if (!mongoose.Types.ObjectId.isValid(saleId)) {
+            throw createHttpError(400, 'Invalid sale ID format');
+        }
+
+        const sale = await Sale.findOne({
+            _id: saleId,
+            ...saleScope(user),
+            paymentStatus: 'completed'
+        }).session(session);
+
+        if (!sale) {
+            throw createHttpError(404, 'Sale not found or cannot be refunded');
+        }
+
+        return createReturn(user, saleId, { ...payload, lines: remainingLines(sale) }, session);
+    });
+
+module.exports = {
+    REFUND_METHODS,
+    createReturn,
+    processReturn,
+    refundSale,
+    remainingLines,
+    saleScope
+};
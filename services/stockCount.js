@@ -0,0 +1,374 @@
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const StockCount = require('../models/StockCount');
+const { createHttpError } = require('../utils/httpError');
+const { roundMoney } = require('./pricing');
+const { resolveManagerId } = require('./receivables');
+const { adjustStock, setStock } = require('./stockLedger');
+const { resolveLocationId } = require('./locations');
+const { parseQuantity, roundQuantity } = require('./units');
+
+const generateCountNumber = () => {
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    return `SC-${timestamp}${random}`;
+};
+
+const findCount = async (id, managerId, session) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw createHttpError(400, 'Invalid stock count ID format');
+    }
+    const count = await StockCount.findOne({ _id: id, managerId }).session(session);
+    if (!count) {
+        throw createHttpError(404, 'Stock count not found');
+    }
+    return count;
+};
+
+const findOpenCount = async (id, managerId, session) => {
+    const count = await findCount(id, managerId, session);
+    if (count.status !== 'open') {
+        throw createHttpError(400, `Stock count is ${count.status}`);
+    }
+    return count;
+};
+
+// Open a count for every active item, or one category. Only one count may be open
+// per location at a time so two sessions never adjust the same stock.
+const openStockCount = async (user, payload = {}) => {
+    const { category, notes, deviceId, locationId } = payload;
+
+    const countLocationId = await resolveLocationId(user, user.id, locationId);
+    const existing = await StockCount.findOpen(user.id, countLocationId);
+    if (existing) {
+        throw createHttpError(400, `Stock count ${existing.countNumber} is still open. Close or cancel it first.`, {
+            stockCountId: existing._id.toString()
+        });
+    }
+
+    const query = { managerId: user.id, isActive: true };
+    if (category) {
+        query.category = category.trim();
+    }
+
+    const items = await Item.find(query).select('name sku barcode').sort({ name: 1 });
+    if (items.length === 0) {
+        throw createHttpError(400, category ? `No items found in category "${category}"` : 'No items to count');
+    }
+
+    const count = new StockCount({
+        countNumber: generateCountNumber(),
+        locationId: countLocationId,
+        category: category?.trim(),
+        lines: items.map(item => ({
+            item: item._id,
+            name: item.name,
+            sku: item.sku,
+            barcode: item.barcode
+        })),
+        notes: notes?.trim(),
+        openedBy: user.id,
+        managerId: user.id,
+        deviceId: deviceId || 'mobile-app'
+    });
+
+    await count.save();
+    return count;
+};
+
+// Record counted quantities. Lines are matched by itemId, barcode or SKU.
+// Quantities add to what was already counted unless replace is set, so several
+// people can count the same item in different places. Each entry keeps the stock
+// expected when it was counted, so sales made before the count closes are not
+// taken for shortages. Entries are pushed atomically so counters never overwrite
+// each other.
+const submitCounts = async (user, id, payload = {}) => {
+    const { lines, replace = false, deviceId } = payload;
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+        throw createHttpError(400, 'At least one counted line is required');
+    }
+
+    const managerId = await resolveManagerId(user);
+    const count = await findOpenCount(id, managerId);
+
+    if (user.role === 'cashier' && user.locationId && count.locationId &&
+        user.locationId.toString() !== count.locationId.toString()) {
+        throw createHttpError(403, 'This stock count is for another location');
+    }
+
+    // Entries for each count line, in the order submitted
+    const entriesByLine = new Map();
+    for (const { itemId, barcode, quantity } of lines) {
+        let line;
+        if (itemId) {
+            line = count.lines.find(countLine => countLine.item.toString() === String(itemId));
+        } else if (barcode) {
+            const code = String(barcode).trim();
+            line = count.lines.find(countLine => countLine.barcode === code || countLine.sku === code);
+        }
+
+        if (!line) {
+            throw createHttpError(400, `Item ${itemId || barcode} is not part of this stock count`, {
+                itemId,
+                barcode
+            });
+        }
+
+        if (!entriesByLine.has(line)) {
+            entriesByLine.set(line, []);
+        }
+        entriesByLine.get(line).push(quantity);
+    }
+
+    const items = await Item.find({ _id: { $in: [...entriesByLine.keys()].map(line => line.item) } })
+        .select('stock locationStock baseUnit');
+    const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+
+    // Weighed items are counted to three decimals, everything else in whole units
+    for (const [line, quantities] of entriesByLine) {
+        const item = itemsById.get(line.item.toString());
+        entriesByLine.set(line, quantities.map(quantity => {
+            const qty = parseQuantity(quantity, item || {});
+            if (isNaN(qty) || qty < 0) {
+                throw createHttpError(400, `Counted quantity for "${line.name}" must be a non-negative number`);
+            }
+            return qty;
+        }));
+    }
+
+    const update = { $set: { lastSynced: new Date() } };
+    const arrayFilters = [];
+    [...entriesByLine.entries()].forEach(([line, quantities], index) => {
+        const item = itemsById.get(line.item.toString());
+        const entries = quantities.map(qty => ({
+            quantity: qty,
+            expectedStock: item ? item.stockAt(count.locationId) : null,
+            countedBy: user.id,
+            deviceId: deviceId || 'mobile-app',
+            countedAt: new Date()
+        }));
+        const path = `lines.$[line${index}].entries`;
+        if (replace) {
+            update.$set[path] = entries;
+        } else {
+            update.$push = { ...update.$push, [path]: { $each: entries } };
+        }
+        arrayFilters.push({ [`line${index}._id`]: line._id });
+    });
+
+    const filter = { _id: count._id, status: 'open' };
+    const result = await StockCount.updateOne(filter, update, { arrayFilters });
+    if (result.matchedCount === 0) {
+        throw createHttpError(400, 'Stock count is no longer open');
+    }
+
+    // Each line's total and expected stock follow from its entries; recomputed in the
+    // database so submissions landing together all count
+    await StockCount.updateOne(filter, [{
+        $set: {
+            lines: {
+                $map: {
+                    input: '$lines',
+                    as: 'line',
+                    in: {
+                        $cond: [
+                            { $gt: [{ $size: '$$line.entries' }, 0] },
+                            {
+                                $mergeObjects: ['$$line', {
+                                    countedQuantity: { $sum: '$$line.entries.quantity' },
+                                    expectedStock: { $arrayElemAt: ['$$line.entries.expectedStock', -1] }
+                                }]
+                            },
+                            '$$line'
+                        ]
+                    }
+                }
+            }
+        }
+    }]);
+
+    return StockCount.findById(count._id);
+};
+
+// Line totals straight from the entries, in case a submission's totals are still
+// being written
+const lineCounted = (line) => (line.entries.length > 0
+    ? roundQuantity(line.entries.reduce((sum, entry) => sum + entry.quantity, 0))
+    : null);
+
+// Compare counted lines with the stock expected when they were counted (the latest
+// entry's snapshot). Uncounted lines count as zero against current stock only when
+// zeroUncounted is set; otherwise they are reported and left alone.
+const computeVariances = async (count, zeroUncounted, session) => {
+    const itemIds = count.lines.map(line => line.item);
+    const items = await Item.find({ _id: { $in: itemIds } }).select('stock locationStock cost managerId').session(session);
+    const itemsById = new Map(items.map(item => [item._id.toString(), item]));
+
+    return count.lines.map(line => {
+        const item = itemsById.get(line.item.toString());
+        const countedQuantity = lineCounted(line);
+        const counted = countedQuantity !== null ? countedQuantity : (zeroUncounted ? 0 : null);
+
+        if (!item || counted === null) {
+            return { line, item, counted: null };
+        }
+
+        const snapshot = countedQuantity !== null ? line.entries[line.entries.length - 1].expectedStock : null;
+        const expectedStock = snapshot ?? item.stockAt(count.locationId);
+        const variance = roundQuantity(counted - expectedStock);
+        return {
+            line,
+            item,
+            counted,
+            expectedStock,
+            variance,
+            // Uncounted lines zeroed on close are set outright rather than adjusted
+            setOutright: snapshot === null || snapshot === undefined,
+            unitCost: item.cost || 0,
+            varianceValue: roundMoney(variance * (item.cost || 0))
+        };
+    });
+};
+
+const summarize = (results) => {
+    const counted = results.filter(result => result.counted !== null);
+    const withVariance = counted.filter(result => result.variance !== 0);
+
+    return {
+        itemsCounted: counted.length,
+        itemsUncounted: results.length - counted.length,
+        itemsWithVariance: withVariance.length,
+        varianceQuantity: roundQuantity(withVariance.reduce((sum, result) => sum + result.variance, 0)),
+        varianceValue: roundMoney(withVariance.reduce((sum, result) => sum + result.varianceValue, 0)),
+        shortageValue: roundMoney(withVariance
+            .filter(result => result.varianceValue < 0)
+            .reduce((sum, result) => sum - result.varianceValue, 0)),
+        surplusValue: roundMoney(withVariance
+            .filter(result => result.varianceValue > 0)
+            .reduce((sum, result) => sum + result.varianceValue, 0))
+    };
+};
+
+// Close the count: work out variances against the stock expected when each line was
+// counted, value them at Item.cost and move stock by the variance, so sales and
+// receipts since the count are kept. All in one transaction.
+const closeStockCount = (user, id, payload = {}) =>
+    mongoose.connection.transaction(async (session) => {
+        const { zeroUncounted = false, deviceId } = payload;
+
+        const count = await findOpenCount(id, user.id, session);
+        const results = await computeVariances(count, zeroUncounted, session);
+
+        for (const result of results) {
+            if (result.counted === null) {
+                continue;
+            }
+
+            if (result.variance !== 0) {
+                const details = {
+                    locationId: count.locationId,
+                    reference: count.countNumber,
+                    reason: 'Stock count',
+                    userId: user.id,
+                    deviceId
+                };
+                const updated = result.setOutright
+                    ? await setStock(result.item, result.counted, 'count', details, session)
+                    : await adjustStock(result.item._id, result.variance, 'count', details, session);
+                if (!updated) {
+                    throw createHttpError(409, `Stock for "${result.line.name}" changed while closing the count, or is too low to apply its shortage. Try again.`);
+                }
+            }
+
+            Object.assign(result.line, {
+                countedQuantity: result.counted,
+                expectedStock: result.expectedStock,
+                variance: result.variance,
+                unitCost: result.unitCost,
+                varianceValue: result.varianceValue
+            });
+        }
+
+        count.summary = summarize(results);
+        count.zeroUncounted = zeroUncounted;
+        count.status = 'closed';
+        count.closedBy = user.id;
+        count.closedAt = new Date();
+
+        await count.save({ session });
+        return count;
+    });
+
+const cancelStockCount = async (user, id) => {
+    const count = await findOpenCount(id, user.id);
+
+    count.status = 'cancelled';
+    count.cancelledAt = new Date();
+    await count.save();
+    return count;
+};
+
+// Variance report for a count. Closed counts use the figures stored on close; open
+// counts are previewed against current stock without changing anything.
+const buildVarianceReport = async (user, id) => {
+    const count = await findCount(id, user.id);
+
+    let summary;
+    let lines;
+    if (count.status === 'open') {
+        const results = await computeVariances(count, false);
+        summary = summarize(results);
+        lines = results.map(result => ({
+            item: result.line.item,
+            name: result.line.name,
+            sku: result.line.sku,
+            countedQuantity: result.counted,
+            expectedStock: result.expectedStock ?? null,
+            variance: result.variance ?? null,
+            unitCost: result.unitCost ?? null,
+            varianceValue: result.varianceValue ?? null
+        }));
+    } else {
+        summary = count.summary;
+        lines = count.lines.map(line => ({
+            item: line.item,
+            name: line.name,
+            sku: line.sku,
+            countedQuantity: line.countedQuantity,
+            expectedStock: line.expectedStock,
+            variance: line.variance,
+            unitCost: line.unitCost,
+            varianceValue: line.varianceValue
+        }));
+    }
+
+    // Largest losses first
+    const variances = lines
+        .filter(line => line.variance !== null && line.variance !== 0)
+        .sort((a, b) => a.varianceValue - b.varianceValue);
+
+    return {
+        stockCountId: count._id,
+        countNumber: count.countNumber,
+        status: count.status,
+        locationId: count.locationId,
+        category: count.category || null,
+        openedAt: count.openedAt,
+        closedAt: count.closedAt || null,
+        preview: count.status === 'open',
+        summary,
+        variances,
+        uncounted: lines
+            .filter(line => line.countedQuantity === null)
+            .map(line => ({ item: line.item, name: line.name, sku: line.sku }))
+    };
+};
+
+module.exports = {
+    openStockCount,
+    submitCounts,
+    closeStockCount,
+    cancelStockCount,
+    buildVarianceReport
+};
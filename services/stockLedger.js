@@ -0,0 +1,148 @@
+const Item = require('../models/Item');
+const StockMovement = require('../models/StockMovement');
+const { takeFromLots, putIntoLots, refreshItemExpiry } = require('./lots');
+const { publishStockChange } = require('./events');
+
+// Write the movement for a stock change that has already been applied to the item,
+// and tell connected clients. `unit` (from resolveUnit) records the unit the change
+// was entered in.
+const recordMovement = async (item, quantity, type, details = {}, session) => {
+    const {
+        userId,
+        deviceId,
+        locationId,
+        saleId,
+        returnId,
+        purchaseOrderId,
+        transferId,
+        reference,
+        reason,
+        unit,
+        lots
+    } = details;
+
+    const locationStockAfter = locationId ? item.stockAt(locationId) : null;
+
+    const [movement] = await StockMovement.create([{
+        item: item._id,
+        type,
+        quantity,
+        stockBefore: item.stock - quantity,
+        stockAfter: item.stock,
+        unit: unit && !unit.isBase ? unit.name : null,
+        unitQuantity: unit && !unit.isBase ? quantity / unit.factor : null,
+        locationId: locationId || null,
+        locationStockBefore: locationId ? locationStockAfter - quantity : null,
+        locationStockAfter,
+        lots: lots || [],
+        reference,
+        reason: reason?.trim(),
+        saleId: saleId || null,
+        returnId: returnId || null,
+        purchaseOrderId: purchaseOrderId || null,
+        transferId: transferId || null,
+        userId,
+        managerId: item.managerId || null,
+        deviceId: deviceId || 'mobile-app'
+    }], { session });
+
+    publishStockChange(item, quantity, type, locationId, session);
+
+    return movement;
+};
+
+// Change an item's stock by a signed quantity and record the movement. The update is
+// atomic; `guard` adds conditions to the filter (e.g. enough stock on hand) and `set`
+// extra fields to write alongside. With a locationId the location's level moves with
+// the item total, and stock leaving a location must be there.
+// Lots follow the stock: outgoing stock comes out of the lots first expiring first
+// (or out of `lots: [{ lot, quantity }]`), and incoming stock goes into `lot` or
+// `lots` when given. Sales pass over expired lots and are refused when only expired
+// stock is left, unless takeExpired is set (see takeFromLots). The lots touched are
+// left on item.$locals.lots.
+// Returns the updated item, or null when the item did not match.
+const adjustStock = async (itemId, quantity, type, details = {}, session) => {
+    const { guard = {}, set = {}, lot, lots, takeExpired, ...movement } = details;
+    const { locationStock: levelStock, ...itemGuard } = guard;
+    const { locationId } = movement;
+
+    const filter = { _id: itemId, ...itemGuard };
+    const update = { $inc: { stock: quantity }, $set: { ...set, lastSynced: new Date() } };
+    const options = { new: true, session };
+
+    if (locationId) {
+        // First stock at this location: start its level at zero
+        await Item.updateOne(
+            { _id: itemId, 'locationStock.location': { $ne: locationId } },
+            { $push: { locationStock: { location: locationId, stock: 0 } } },
+            { session }
+        );
+
+        const levelGuard = { location: locationId };
+        if (levelStock !== undefined) {
+            levelGuard.stock = levelStock;
+        } else if (quantity < 0) {
+            levelGuard.stock = { $gte: -quantity };
+        }
+        filter.locationStock = { $elemMatch: levelGuard };
+
+        update.$inc['locationStock.$[level].stock'] = quantity;
+        options.arrayFilters = [{ 'level.location': locationId }];
+    }
+
+    const item = await Item.findOneAndUpdate(filter, update, options);
+
+    if (!item) {
+        return null;
+    }
+
+    let lotMoves = [];
+    if (quantity < 0) {
+        lotMoves = await takeFromLots(item._id, locationId, -quantity, lots, session, {
+            sellable: type === 'sale',
+            takeExpired,
+            stockAfter: item.stockAt(locationId)
+        });
+    } else if (quantity > 0 && (lot || lots)) {
+        lotMoves = await putIntoLots(item, locationId, lot ? [lot] : lots, quantity, movement, session);
+    }
+    if (lotMoves.length > 0) {
+        const expiryDate = await refreshItemExpiry(item._id, session);
+        if (expiryDate !== undefined) {
+            item.expiryDate = expiryDate;
+        }
+    }
+    item.$locals.lots = lotMoves;
+
+    if (quantity !== 0) {
+        await recordMovement(item, quantity, type, { ...movement, lots: lotMoves }, session);
+    }
+
+    return item;
+};
+
+// Set an item (or its level at a location) to an exact stock count. Guarded on the
+// level that was read so a sale landing in between is not silently overwritten;
+// returns null in that case.
+const setStock = (item, stock, type, details = {}, session) => {
+    const { locationId } = details;
+
+    if (locationId) {
+        const current = item.stockAt(locationId);
+        return adjustStock(item._id, stock - current, type, {
+            ...details,
+            guard: { ...details.guard, locationStock: current }
+        }, session);
+    }
+
+    return adjustStock(item._id, stock - item.stock, type, {
+        ...details,
+        guard: { ...details.guard, stock: item.stock }
+    }, session);
+};
+
+module.exports = {
+    recordMovement,
+    adjustStock,
+    setStock
+};
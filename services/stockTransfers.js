@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const StockTransfer = require('../models/StockTransfer');
+const { createHttpError } = require('../utils/httpError');
+const { resolveManagerId } = require('./receivables');
+const { resolveLocationId, findLocation } = require('./locations');
+const { adjustStock } = require('./stockLedger');
+const { parseQuantity } = require('./units');
+
+const generateTransferNumber = () => {
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.random().toString(36).substring(2, 6).toUpperCase();
+    return `TR-${timestamp}${random}`;
+};
+
+const findTransfer = async (id, managerId, session) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw createHttpError(400, 'Invalid transfer ID format');
+    }
+    const transfer = await StockTransfer.findOne({ _id: id, managerId }).session(session);
+    if (!transfer) {
+        throw createHttpError(404, 'Stock transfer not found');
+    }
+    return transfer;
+};
+
+// Lots a transfer line carries, for adjustStock. A short delivery fills them in order.
+const lotEntries = (line) => (
+    line.lots && line.lots.length > 0
+        ? line.lots.map(lot => ({ lot: lot.lot, quantity: lot.quantity }))
+        : undefined
+);
+
+// Dispatch stock from one location to another. Stock leaves the origin straight away
+// and the transfer stays in transit until the destination receives it.
+const createTransfer = (user, payload) =>
+    mongoose.connection.transaction(async (session) => {
+        const { fromLocationId, toLocationId, lines, notes, deviceId } = payload;
+
+        const managerId = await resolveManagerId(user, session);
+        const fromId = await resolveLocationId(user, managerId, fromLocationId, session);
+        if (!fromId) {
+            throw createHttpError(400, 'Set up locations before transferring stock');
+        }
+        if (!toLocationId) {
+            throw createHttpError(400, 'Destination location is required');
+        }
+        const destination = await findLocation(toLocationId, managerId, session);
+        if (destination._id.equals(fromId)) {
+            throw createHttpError(400, 'Cannot transfer stock to the same location');
+        }
+
+        if (!Array.isArray(lines) || lines.length === 0) {
+            throw createHttpError(400, 'At least one line is required');
+        }
+
+        const transfer = new StockTransfer({
+            transferNumber: generateTransferNumber(),
+            fromLocationId: fromId,
+            toLocationId: destination._id,
+            notes: notes?.trim(),
+            dispatchedBy: user.id,
+            managerId,
+            deviceId: deviceId || 'mobile-app'
+        });
+
+        for (const { itemId, quantity } of lines) {
+            if (!itemId || !mongoose.Types.ObjectId.isValid(itemId)) {
+                throw createHttpError(400, 'Each line must have a valid itemId and quantity');
+            }
+
+            const item = await Item.findOne({ _id: itemId, managerId, isActive: true }).session(session);
+            if (!item) {
+                throw createHttpError(404, `Item with ID ${itemId} not found`, { itemId });
+            }
+
+            const qty = parseQuantity(quantity, item);
+            if (!qty || qty <= 0) {
+                throw createHttpError(400, 'Each line must have a valid itemId and quantity');
+            }
+
+            const updated = await adjustStock(item._id, -qty, 'transfer', {
+                locationId: fromId,
+                transferId: transfer._id,
+                reference: transfer.transferNumber,
+                reason: 'Transfer out',
+                userId: user.id,
+                deviceId
+            }, session);
+
+            if (!updated) {
+                const available = item.stockAt(fromId);
+                throw createHttpError(400, `Insufficient stock for item "${item.name}" at this location. Available: ${available}, Requested: ${qty}`, {
+                    itemId: item._id.toString(),
+                    available,
+                    requested: qty
+                });
+            }
+
+            transfer.lines.push({
+                item: item._id,
+                name: item.name,
+                quantity: qty,
+                lots: updated.$locals.lots.map(lot => ({ ...lot, quantity: -lot.quantity }))
+            });
+        }
+
+        await transfer.save({ session });
+        return transfer;
+    });
+
+// Book a transfer in at the destination. Without lines everything dispatched is
+// received; a lower quantityReceived records a shortage, which stays out of stock.
+const receiveTransfer = (user, id, payload = {}) =>
+    mongoose.connection.transaction(async (session) => {
+        const { lines, deviceId } = payload;
+
+        const managerId = await resolveManagerId(user, session);
+        const transfer = await findTransfer(id, managerId, session);
+
+        if (transfer.status !== 'in_transit') {
+            throw createHttpError(400, `Stock transfer is ${transfer.status.replace('_', ' ')}`);
+        }
+        if (user.role === 'cashier' && user.locationId && !transfer.toLocationId.equals(user.locationId)) {
+            throw createHttpError(403, 'Only the receiving location can book this transfer in');
+        }
+
+        const received = new Map();
+        for (const { lineId, itemId, quantityReceived } of lines || []) {
+            const line = lineId
+                ? transfer.lines.id(lineId)
+                : transfer.lines.find(transferLine => transferLine.item.toString() === String(itemId));
+            if (!line) {
+                throw createHttpError(400, `Line ${lineId || itemId} is not on this transfer`);
+            }
+
+            const item = await Item.findById(line.item).select('baseUnit').session(session);
+            const qty = parseQuantity(quantityReceived, item || {});
+            if (isNaN(qty) || qty < 0 || qty > line.quantity) {
+                throw createHttpError(400, `Received quantity for "${line.name}" must be between 0 and ${line.quantity}`);
+            }
+            received.set(line._id.toString(), qty);
+        }
+
+        for (const line of transfer.lines) {
+            const key = line._id.toString();
+            const qty = received.has(key) ? received.get(key) : line.quantity;
+            line.quantityReceived = qty;
+
+            if (qty > 0) {
+                await adjustStock(line.item, qty, 'transfer', {
+                    lots: lotEntries(line),
+                    locationId: transfer.toLocationId,
+                    transferId: transfer._id,
+                    reference: transfer.transferNumber,
+                    reason: 'Transfer in',
+                    userId: user.id,
+                    deviceId
+                }, session);
+            }
+        }
+
+        transfer.status = 'received';
+        transfer.receivedBy = user.id;
+        transfer.receivedAt = new Date();
+
+        await transfer.save({ session });
+        return transfer;
+    });
+
+// Call back a transfer still in transit: its stock goes back to the origin
+const cancelTransfer = (user, id, payload = {}) =>
+    mongoose.connection.transaction(async (session) => {
+        const transfer = await findTransfer(id, user.id, session);
+
+        if (transfer.status !== 'in_transit') {
+            throw createHttpError(400, `Cannot cancel a transfer that is ${transfer.status.replace('_', ' ')}`);
+        }
+
+        for (const line of transfer.lines) {
+            await adjustStock(line.item, line.quantity, 'transfer', {
+                lots: lotEntries(line),
+                locationId: transfer.fromLocationId,
+                transferId: transfer._id,
+                reference: transfer.transferNumber,
+                reason: 'Transfer cancelled',
+                userId: user.id,
+                deviceId: payload.deviceId
+            }, session);
+        }
+
+        transfer.status = 'cancelled';
+        transfer.cancelledAt = new Date();
+
+        await transfer.save({ session });
+        return transfer;
+    });
+
+module.exports = {
+    createTransfer,
+    receiveTransfer,
+    cancelTransfer
+};
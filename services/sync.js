@@ -0,0 +1,447 @@
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const Customer = require('../models/Customer');
+const Sale = require('../models/Sale');
+const { createSale } = require('./checkout');
+const { recordMovement } = require('./stockLedger');
+const { resolveLocationId } = require('./locations');
+const { resolveManagerId } = require('./receivables');
+const { normalizeUnits } = require('./units');
+const { checkItemCodes } = require('./barcodes');
+const { publishItemUpdate } = require('./events');
+const { createHttpError } = require('../utils/httpError');
+
+const SYNC_ENTITIES = ['items', 'customers', 'sales'];
+const MAX_PUSH_RECORDS = 500;
+const DEFAULT_PULL_LIMIT = 200;
+const MAX_PULL_LIMIT = 1000;
+
+// lastSynced is stamped when a record is written, not when its transaction commits,
+// so a change can become visible after newer ones were sent. Once a stamp is older
+// than the longest a transaction may run (60 seconds in MongoDB) plus clock skew,
+// nothing more can appear before it: the cursor only moves up to that point. Newer
+// changes are still sent, and sent again by the next pull; clients apply records by
+// _id, so repeats are harmless.
+const SETTLE_MS = (parseInt(process.env.SYNC_SETTLE_SECONDS) || 120) * 1000;
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Where each entity's changes come from. Cashiers pull their own sales; everything
+// else is shared across the shop.
+const ENTITY_SOURCES = {
+    items: {
+        model: Item,
+        scope: (user, managerId) => ({ managerId }),
+        select: '-extractedData'
+    },
+    customers: {
+        model: Customer,
+        scope: (user, managerId) => ({ managerId })
+    },
+    sales: {
+        model: Sale,
+        scope: (user, managerId) => (user.role === 'cashier' ? { cashierId: user.id } : { managerId })
+    }
+};
+
+// The cursor is opaque to clients: per entity, the lastSynced and _id of the last
+// change they were sent
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    if (!cursor) {
+        return {};
+    }
+    try {
+        const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        Object.entries(position).forEach(([entity, mark]) => {
+            if (!ENTITY_SOURCES[entity] || isNaN(new Date(mark.t).getTime()) || !mongoose.Types.ObjectId.isValid(mark.id)) {
+                throw new Error('bad mark');
+            }
+        });
+        return position;
+    } catch (error) {
+        throw createHttpError(400, 'Invalid sync cursor. Start again without one.', { code: 'INVALID_CURSOR' });
+    }
+};
+
+const parseEntities = (entities) => {
+    if (!entities) {
+        return SYNC_ENTITIES;
+    }
+    const wanted = (Array.isArray(entities) ? entities : String(entities).split(','))
+        .map(entity => entity.trim())
+        .filter(Boolean);
+    const unknown = wanted.filter(entity => !SYNC_ENTITIES.includes(entity));
+    if (unknown.length > 0) {
+        throw createHttpError(400, `Unknown sync entities: ${unknown.join(', ')}. Use: ${SYNC_ENTITIES.join(', ')}`);
+    }
+    return wanted;
+};
+
+// Everything that changed since the cursor, oldest first, including soft-deleted
+// records (isActive: false) so devices can drop them. Call again with the returned
+// cursor while hasMore is true. Changes from the last couple of minutes may be sent
+// again on the next pull (see SETTLE_MS); apply them by _id.
+const pullChanges = async (user, { cursor, entities, limit } = {}) => {
+    const managerId = await resolveManagerId(user);
+    const position = decodeCursor(cursor);
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PULL_LIMIT, 1), MAX_PULL_LIMIT);
+    const serverTime = new Date();
+    const settled = new Date(serverTime.getTime() - SETTLE_MS);
+
+    const changes = {};
+    let hasMore = false;
+
+    for (const entity of parseEntities(entities)) {
+        const { model, scope, select } = ENTITY_SOURCES[entity];
+        const query = scope(user, managerId);
+
+        const mark = position[entity];
+        if (mark) {
+            const markTime = new Date(mark.t);
+            query.$or = [
+                { lastSynced: { $gt: markTime } },
+                { lastSynced: markTime, _id: { $gt: new mongoose.Types.ObjectId(mark.id) } }
+            ];
+        }
+
+        let find = model.find(query).sort({ lastSynced: 1, _id: 1 }).limit(pageSize + 1);
+        if (select) {
+            find = find.select(select);
+        }
+        const records = await find;
+
+        // Reaching unsettled changes means the settled ones are all sent: those go out
+        // too, but the cursor stays behind them
+        const unsettled = records.findIndex(record => record.lastSynced > settled);
+        if (unsettled === -1 && records.length > pageSize) {
+            hasMore = true;
+        }
+        records.length = Math.min(records.length, pageSize);
+
+        const lastSettled = unsettled === -1 ? records.length - 1 : Math.min(unsettled, records.length) - 1;
+        if (lastSettled >= 0) {
+            const last = records[lastSettled];
+            position[entity] = { t: last.lastSynced.toISOString(), id: last._id.toString() };
+        }
+        changes[entity] = records;
+    }
+
+    return {
+        changes,
+        cursor: encodeCursor(position),
+        hasMore,
+        serverTime
+    };
+};
+
+// Query for a record by its clientId, or by one of a device record merged into it
+const byClientId = (managerId, clientId) => ({
+    managerId,
+    $or: [{ clientId }, { mergedClientIds: clientId }]
+});
+
+// Keep the device's clientId on the record it was merged into
+const rememberMerge = (model, id, clientId) =>
+    model.updateOne({ _id: id }, { $addToSet: { mergedClientIds: clientId } });
+
+// Run one pushed record. Records the server cannot accept as sent are 'rejected' and
+// should not be retried unchanged; 'failed' ones hit a server problem and can be.
+const syncRecord = async (record, findExisting, apply) => {
+    const clientId = typeof record?.clientId === 'string' ? record.clientId.trim() : '';
+    if (!clientId) {
+        return {
+            clientId: record?.clientId ?? null,
+            status: 'rejected',
+            error: { message: 'clientId is required' }
+        };
+    }
+
+    try {
+        const existing = await findExisting(clientId);
+        if (existing) {
+            return { clientId, status: 'duplicate', id: existing._id };
+        }
+        return { clientId, ...(await apply(clientId)) };
+    } catch (error) {
+        // A retry that raced the first attempt: the record is already there
+        if (error.code === 11000) {
+            const existing = await findExisting(clientId);
+            if (existing) {
+                return { clientId, status: 'duplicate', id: existing._id };
+            }
+        }
+        if (error.status || error.code === 11000 || error.name === 'ValidationError') {
+            const { status, details = {} } = error;
+            return {
+                clientId,
+                status: 'rejected',
+                error: { message: error.code === 11000 ? 'A unique field (SKU or receipt number) is already in use' : error.message, status, ...details }
+            };
+        }
+        console.error('Sync record error:', error);
+        return { clientId, status: 'failed', error: { message: error.message } };
+    }
+};
+
+// An item added on a device. One that is already on the server under the same SKU or
+// barcode is 'merged': the device should use the server's item from then on.
+const pushItem = async (context, record, clientId) => {
+    const { user, managerId, locationId, deviceId } = context;
+    const { name, price, category } = record;
+
+    if (!name || price === undefined || price === null || isNaN(parseFloat(price)) || parseFloat(price) < 0 || !category) {
+        throw createHttpError(400, 'Name, price, and category are required');
+    }
+
+    if (record.sku) {
+        const bySku = await Item.findOne({ managerId, sku: String(record.sku).trim(), isActive: true }).select('_id name');
+        if (bySku) {
+            await rememberMerge(Item, bySku._id, clientId);
+            return { status: 'merged', id: bySku._id, conflicts: [{ code: 'SKU_EXISTS', message: `SKU ${record.sku} is "${bySku.name}"` }] };
+        }
+    }
+
+    const unitSetup = normalizeUnits(record);
+    let codes;
+    try {
+        codes = await checkItemCodes(managerId, { ...record, units: unitSetup.units });
+    } catch (error) {
+        if (error.details?.code === 'BARCODE_IN_USE') {
+            await rememberMerge(Item, error.details.itemId, clientId);
+            return { status: 'merged', id: error.details.itemId, conflicts: [{ code: 'BARCODE_EXISTS', message: error.message }] };
+        }
+        throw error;
+    }
+
+    const stock = Math.max(parseFloat(record.stock) || 0, 0);
+
+    const item = await mongoose.connection.transaction(async (session) => {
+        const [created] = await Item.create([{
+            name: String(name).trim(),
+            price: parseFloat(price),
+            cost: parseFloat(record.cost) || 0,
+            category: String(category).trim(),
+            brand: record.brand?.trim(),
+            size: record.size?.trim(),
+            sku: record.sku ? String(record.sku).trim() : undefined,
+            ...codes,
+            ...unitSetup,
+            stock,
+            locationStock: locationId ? [{ location: locationId, stock }] : [],
+            minStock: parseFloat(record.minStock) || 0,
+            clientId,
+            userId: user.id,
+            managerId,
+            cashierId: user.role === 'cashier' ? user.id : null,
+            deviceId
+        }], { session });
+
+        if (stock > 0) {
+            await recordMovement(created, stock, 'adjustment', {
+                locationId,
+                reason: 'Opening stock (offline)',
+                userId: user.id,
+                deviceId
+            }, session);
+        }
+        publishItemUpdate(created, 'created', session);
+        return created;
+    });
+
+    return { status: 'created', id: item._id };
+};
+
+// A customer added on a device. Same phone or email as a customer the shop already
+// has: 'merged' into that customer.
+const pushCustomer = async (context, record, clientId) => {
+    const { user, managerId, deviceId } = context;
+    const { name, phone, email } = record;
+
+    if (!name || !phone) {
+        throw createHttpError(400, 'Name and phone number are required');
+    }
+    if (email && !EMAIL.test(email)) {
+        throw createHttpError(400, 'Invalid email format');
+    }
+
+    const matches = [{ phone: String(phone).trim() }];
+    if (email) {
+        matches.push({ email: email.trim().toLowerCase() });
+    }
+    const existing = await Customer.findOne({ managerId, isActive: true, $or: matches }).select('_id name');
+    if (existing) {
+        await rememberMerge(Customer, existing._id, clientId);
+        return {
+            status: 'merged',
+            id: existing._id,
+            conflicts: [{ code: 'CUSTOMER_EXISTS', message: `Same phone or email as "${existing.name}"` }]
+        };
+    }
+
+    const customer = await Customer.create({
+        name: String(name).trim(),
+        phone: String(phone).trim(),
+        email: email ? email.trim().toLowerCase() : undefined,
+        address: record.address || {},
+        gender: record.gender || 'prefer_not_to_say',
+        customerType: record.customerType || 'individual',
+        businessName: record.customerType === 'business' ? record.businessName?.trim() : undefined,
+        notes: record.notes?.trim(),
+        tags: record.tags || [],
+        clientId,
+        userId: user.id,
+        managerId,
+        deviceId
+    });
+
+    return { status: 'created', id: customer._id };
+};
+
+// Server id of something the device knows by its clientId: from this push, or from
+// an earlier one
+const resolveReference = async (model, ids, managerId, clientId, label) => {
+    if (ids.has(clientId)) {
+        return ids.get(clientId);
+    }
+    const record = await model.findOne(byClientId(managerId, clientId)).select('_id');
+    if (!record) {
+        throw createHttpError(400, `${label} ${clientId} has not been synced`, { code: 'UNKNOWN_REFERENCE', clientId });
+    }
+    return record._id.toString();
+};
+
+// A sale rung up offline, run through the same checkout as online sales. It has
+// already happened, so it is recorded even when stock has run out, prices have
+// changed since, or checks that need the server failed (discount permission, price
+// override approval, loyalty points, credit limit); those come back as conflicts
+// for the shop to review.
+const pushSale = async (context, record, clientId, ids) => {
+    const { user, managerId, locationId, deviceId } = context;
+
+    if (!Array.isArray(record.items) || record.items.length === 0) {
+        throw createHttpError(400, 'At least one item is required');
+    }
+
+    const items = [];
+    for (const line of record.items) {
+        items.push({
+            ...line,
+            productId: line.productId || (line.itemClientId
+                ? await resolveReference(Item, ids.items, managerId, line.itemClientId, 'Item')
+                : undefined)
+        });
+    }
+
+    const customerId = record.customerId || (record.customerClientId
+        ? await resolveReference(Customer, ids.customers, managerId, record.customerClientId, 'Customer')
+        : undefined);
+
+    const conflicts = [];
+
+    const sale = await mongoose.connection.transaction((session) => createSale(user, {
+        ...record,
+        items,
+        customerId,
+        clientId,
+        // The push's location unless the sale names its own; createSale checks either
+        locationId: record.locationId || locationId,
+        pricingMode: record.pricingMode || 'accept',
+        deviceId
+    }, session, { offline: true }));
+
+    if (record.receiptNumber && record.receiptNumber !== sale.receiptNumber) {
+        conflicts.push({
+            code: 'RECEIPT_RENUMBERED',
+            message: `Receipt number ${record.receiptNumber} is not an unused number from this device's blocks; the sale is ${sale.receiptNumber}`
+        });
+    }
+    sale.items.forEach(line => {
+        if (line.stockShortage > 0) {
+            conflicts.push({
+                code: 'STOCK_SHORTAGE',
+                message: `"${line.name}" was short by ${line.stockShortage}`,
+                productId: line.item.toString(),
+                shortage: line.stockShortage
+            });
+        }
+    });
+    if (sale.pricingMismatch) {
+        conflicts.push({ code: 'PRICE_MISMATCH', message: 'Server prices were charged', diff: sale.pricingDiff });
+    }
+    sale.syncConflicts.forEach(({ code, message, details }) => {
+        conflicts.push({ code, message, ...details });
+    });
+
+    return { status: 'created', id: sale._id, receiptNumber: sale.receiptNumber, conflicts };
+};
+
+const countStatuses = (results) => results.reduce((counts, result) => {
+    counts[result.status] = (counts[result.status] || 0) + 1;
+    return counts;
+}, {});
+
+// Apply records created on a device while it was offline: items, then customers, then
+// sales, so sales can point at items and customers from the same push by clientId.
+// Every record carries a clientId, which makes retrying the whole push safe.
+const pushChanges = async (user, { items = [], customers = [], sales = [], deviceId, locationId } = {}) => {
+    if (![items, customers, sales].every(Array.isArray)) {
+        throw createHttpError(400, 'items, customers and sales must be arrays');
+    }
+    if (items.length + customers.length + sales.length > MAX_PUSH_RECORDS) {
+        throw createHttpError(400, `A push is limited to ${MAX_PUSH_RECORDS} records; split it up`);
+    }
+
+    const managerId = await resolveManagerId(user);
+    const context = {
+        user,
+        managerId,
+        locationId: await resolveLocationId(user, managerId, locationId),
+        deviceId: deviceId || 'mobile-app'
+    };
+
+    const ids = { items: new Map(), customers: new Map() };
+    const remember = (map) => (result) => {
+        if (result.id) {
+            map.set(result.clientId, result.id.toString());
+        }
+        return result;
+    };
+
+    const results = { items: [], customers: [], sales: [] };
+
+    for (const record of items) {
+        results.items.push(remember(ids.items)(await syncRecord(record,
+            (clientId) => Item.findOne(byClientId(managerId, clientId)).select('_id'),
+            (clientId) => pushItem(context, record, clientId))));
+    }
+
+    for (const record of customers) {
+        results.customers.push(remember(ids.customers)(await syncRecord(record,
+            (clientId) => Customer.findOne(byClientId(managerId, clientId)).select('_id'),
+            (clientId) => pushCustomer(context, record, clientId))));
+    }
+
+    for (const record of sales) {
+        results.sales.push(await syncRecord(record,
+            (clientId) => Sale.findOne({ managerId, clientId }).select('_id'),
+            (clientId) => pushSale(context, record, clientId, ids)));
+    }
+
+    return {
+        results,
+        summary: {
+            items: countStatuses(results.items),
+            customers: countStatuses(results.customers),
+            sales: countStatuses(results.sales)
+        }
+    };
+};
+
+module.exports = {
+    SYNC_ENTITIES,
+    MAX_PUSH_RECORDS,
+    pullChanges,
+    pushChanges
+};
@@ -0,0 +1,122 @@
+const { createHttpError } = require('../utils/httpError');
+const { roundMoney } = require('./pricing');
+
+const UNIT_NAME = /^[a-z][a-z0-9 _-]{0,29}$/;
+
+// Base units measured by weight, as grams per unit. Stock of these items is kept to
+// three decimals; everything else is counted in whole units.
+const GRAMS_PER_UNIT = { g: 1, gram: 1, grams: 1, kg: 1000, kilogram: 1000, kilograms: 1000 };
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+// The unit a quantity is given in: the item's base unit when no unit is named,
+// otherwise one of its defined units. Returns { name, factor, price, isBase } where
+// price is for one whole unit. With forSale, units that are not sellable are rejected.
+const resolveUnit = (item, unitName, { forSale = false } = {}) => {
+    const baseUnit = item.baseUnit || 'piece';
+    const name = normalizeName(unitName);
+
+    if (!name || name === baseUnit) {
+        return { name: baseUnit, factor: 1, price: item.price, isBase: true };
+    }
+
+    const unit = (item.units || []).find(candidate => candidate.name === name);
+    if (!unit) {
+        const known = [baseUnit, ...(item.units || []).map(candidate => candidate.name)];
+        throw createHttpError(400, `"${item.name}" has no unit "${unitName}". Units: ${known.join(', ')}`, {
+            itemId: item._id?.toString(),
+            unit: unitName
+        });
+    }
+
+    if (forSale && unit.sellable === false) {
+        throw createHttpError(400, `"${item.name}" is not sold by the ${unit.name}`, {
+            itemId: item._id?.toString(),
+            unit: unit.name
+        });
+    }
+
+    return {
+        name: unit.name,
+        factor: unit.factor,
+        price: unit.price !== undefined && unit.price !== null ? unit.price : roundMoney(item.price * unit.factor),
+        isBase: false
+    };
+};
+
+// A quantity entered for an item: to three decimals when its base unit is a weight,
+// a whole number otherwise. NaN when it is not a number.
+const parseQuantity = (value, item) => (GRAMS_PER_UNIT[item.baseUnit]
+    ? roundQuantity(parseFloat(value))
+    : parseInt(value));
+
+// Quantity in the base unit for a quantity given in `unit`
+const toBaseQuantity = (quantity, unit) => quantity * (unit ? unit.factor : 1);
+
+// Check a unit setup from a create or update request and return it cleaned up.
+// Unit names must be unique and differ from the base unit, factors are whole numbers
+// above 1, and the purchase unit, if any, must be one of the item's units.
+const normalizeUnits = ({ baseUnit, units, purchaseUnit }) => {
+    const base = normalizeName(baseUnit) || 'piece';
+    if (!UNIT_NAME.test(base)) {
+        throw createHttpError(400, `Invalid base unit "${baseUnit}"`);
+    }
+
+    if (units !== undefined && !Array.isArray(units)) {
+        throw createHttpError(400, 'units must be an array');
+    }
+
+    const seen = new Set([base]);
+    const cleaned = (units || []).map(unit => {
+        const name = normalizeName(unit?.name);
+        if (!UNIT_NAME.test(name)) {
+            throw createHttpError(400, `Invalid unit name "${unit?.name || ''}"`);
+        }
+        if (seen.has(name)) {
+            throw createHttpError(400, `Unit "${name}" is defined more than once`);
+        }
+        seen.add(name);
+
+        const factor = Number(unit.factor);
+        if (!Number.isInteger(factor) || factor <= 1) {
+            throw createHttpError(400, `Unit "${name}" needs a whole-number factor greater than 1 (base units per ${name})`);
+        }
+
+        const entry = { name, factor, sellable: unit.sellable !== false };
+
+        if (unit.price !== undefined && unit.price !== null && unit.price !== '') {
+            const price = parseFloat(unit.price);
+            if (isNaN(price) || price < 0) {
+                throw createHttpError(400, `Invalid price for unit "${name}"`);
+            }
+            entry.price = price;
+        }
+        if (unit.barcode) {
+            entry.barcode = String(unit.barcode).trim();
+        }
+
+        return entry;
+    });
+
+    const purchase = normalizeName(purchaseUnit);
+    if (purchase && !seen.has(purchase)) {
+        throw createHttpError(400, `Purchase unit "${purchaseUnit}" is not one of the item's units`);
+    }
+
+    return {
+        baseUnit: base,
+        units: cleaned,
+        purchaseUnit: purchase || null
+    };
+};
+
+module.exports = {
+    GRAMS_PER_UNIT,
+    roundQuantity,
+    resolveUnit,
+    parseQuantity,
+    toBaseQuantity,
+    normalizeUnits
+};
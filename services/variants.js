@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const { createHttpError } = require('../utils/httpError');
+const { resolveManagerId } = require('./receivables');
+const { resolveLocationId } = require('./locations');
+const { recordMovement } = require('./stockLedger');
+const { checkItemCodes } = require('./barcodes');
+const { parseQuantity } = require('./units');
+
+// Plain object from a Map or object of attribute values
+const attributesOf = (item) => {
+    if (!item.attributes) {
+        return {};
+    }
+    return item.attributes instanceof Map ? Object.fromEntries(item.attributes) : { ...item.attributes };
+};
+
+// "T-shirt - Red / M", with values in the parent's attribute order
+const variantName = (parent, attributes) =>
+    `${parent.name} - ${parent.variantAttributes.map(name => attributes[name]).join(' / ')}`;
+
+// Same attribute values regardless of key order or case
+const attributesKey = (attributes, names) =>
+    names.map(name => String(attributes[name] || '').trim().toLowerCase()).join('|');
+
+// Check a variant's attributes against the parent: every attribute needs a value and
+// nothing else is allowed. Returns the cleaned-up values.
+const normalizeAttributes = (parent, attributes) => {
+    if (!attributes || typeof attributes !== 'object') {
+        throw createHttpError(400, 'Each variant needs attributes');
+    }
+
+    const values = {};
+    for (const [key, value] of Object.entries(attributes)) {
+        const name = key.trim().toLowerCase();
+        if (!parent.variantAttributes.includes(name)) {
+            throw createHttpError(400, `Unknown attribute "${key}". Allowed: ${parent.variantAttributes.join(', ')}`);
+        }
+        values[name] = String(value).trim();
+    }
+
+    const missing = parent.variantAttributes.filter(name => !values[name]);
+    if (missing.length > 0) {
+        throw createHttpError(400, `Variant is missing a value for: ${missing.join(', ')}`);
+    }
+
+    return values;
+};
+
+// Add variants under an item. A plain item becomes a parent the first time; it must
+// have no stock of its own by then, since parents are not sold.
+const createVariants = (user, parentId, payload) =>
+    mongoose.connection.transaction(async (session) => {
+        const { variantAttributes, variants, locationId, deviceId } = payload;
+
+        if (!mongoose.Types.ObjectId.isValid(parentId)) {
+            throw createHttpError(400, 'Invalid item ID format');
+        }
+        if (!Array.isArray(variants) || variants.length === 0) {
+            throw createHttpError(400, 'At least one variant is required');
+        }
+
+        const managerId = await resolveManagerId(user, session);
+        const parent = await Item.findOne({ _id: parentId, managerId, isActive: true }).session(session);
+        if (!parent) {
+            throw createHttpError(404, 'Item not found');
+        }
+        if (parent.parentId) {
+            throw createHttpError(400, 'A variant cannot have variants of its own');
+        }
+
+        if (!parent.isParent) {
+            if (parent.stock > 0) {
+                throw createHttpError(400, `"${parent.name}" still has ${parent.stock} in stock. Move it to a variant before adding variants.`);
+            }
+            if (!Array.isArray(variantAttributes) || variantAttributes.length === 0) {
+                throw createHttpError(400, 'variantAttributes is required, e.g. ["size", "colour"]');
+            }
+            parent.isParent = true;
+            parent.variantAttributes = [...new Set(variantAttributes.map(name => String(name).trim().toLowerCase()))];
+            await parent.save({ session });
+        }
+
+        const siblings = await Item.find({ parentId: parent._id, isActive: true }).select('attributes').session(session);
+        const taken = new Set(siblings.map(sibling => attributesKey(attributesOf(sibling), parent.variantAttributes)));
+
+        const stockLocationId = await resolveLocationId(user, managerId, locationId, session);
+
+        const created = [];
+        for (const variant of variants) {
+            const attributes = normalizeAttributes(parent, variant.attributes);
+            const key = attributesKey(attributes, parent.variantAttributes);
+            if (taken.has(key)) {
+                throw createHttpError(400, `Variant ${variantName(parent, attributes)} already exists`);
+            }
+            taken.add(key);
+
+            if (variant.sku) {
+                const existing = await Item.findOne({ sku: variant.sku.trim(), managerId, isActive: true }).session(session);
+                if (existing) {
+                    throw createHttpError(400, `Item with SKU ${variant.sku} already exists`);
+                }
+            }
+
+            const codes = await checkItemCodes(managerId, { barcode: variant.barcode, plu: variant.plu }, null, session);
+
+            // Variants are sold in the parent's base unit, so weighed stock may be fractional
+            const openingStock = variant.stock ? parseQuantity(variant.stock, parent) : 0;
+            if (isNaN(openingStock) || openingStock < 0) {
+                throw createHttpError(400, `Stock for variant ${variantName(parent, attributes)} must be a non-negative number`);
+            }
+            const [item] = await Item.create([{
+                name: variant.name?.trim() || variantName(parent, attributes),
+                price: variant.price !== undefined ? parseFloat(variant.price) : parent.price,
+                cost: variant.cost !== undefined ? parseFloat(variant.cost) : parent.cost,
+                category: parent.category,
+                brand: parent.brand,
+                size: attributes.size || parent.size,
+                baseUnit: parent.baseUnit,
+                barcode: codes.barcode,
+                plu: codes.plu,
+                sku: variant.sku?.trim(),
+                stock: openingStock,
+                locationStock: stockLocationId ? [{ location: stockLocationId, stock: openingStock }] : [],
+                minStock: variant.minStock !== undefined ? parseInt(variant.minStock) : parent.minStock,
+                image: variant.image || parent.image,
+                parentId: parent._id,
+                attributes,
+                userId: user.id,
+                managerId,
+                cashierId: user.role === 'cashier' ? user.id : null,
+                deviceId: deviceId || 'manual-entry'
+            }], { session });
+
+            if (openingStock > 0) {
+                await recordMovement(item, openingStock, 'adjustment', {
+                    locationId: stockLocationId,
+                    reason: 'Opening stock',
+                    userId: user.id,
+                    deviceId
+                }, session);
+            }
+
+            created.push(item);
+        }
+
+        return { parent, variants: created };
+    });
+
+// Group a flat list of items into products: parents carry their variants and
+// variants found without their parent are placed under it. Plain items pass through.
+const groupVariants = async (items) => {
+    const plain = items.map(item => (item.toJSON ? item.toJSON() : { ...item }));
+
+    const parentIds = new Set();
+    plain.forEach(item => {
+        if (item.isParent) {
+            parentIds.add(item._id.toString());
+        } else if (item.parentId) {
+            parentIds.add(item.parentId.toString());
+        }
+    });
+
+    if (parentIds.size === 0) {
+        return plain;
+    }
+
+    const ids = [...parentIds];
+    const [parents, variants] = await Promise.all([
+        Item.find({ _id: { $in: ids }, isActive: true }).lean(),
+        Item.find({ parentId: { $in: ids }, isActive: true }).sort({ name: 1 }).lean()
+    ]);
+
+    const products = new Map(parents.map(parent => [parent._id.toString(), { ...parent, variants: [], totalStock: 0 }]));
+    variants.forEach(variant => {
+        const product = products.get(variant.parentId.toString());
+        if (product) {
+            product.variants.push(variant);
+            product.totalStock += variant.stock;
+        }
+    });
+
+    // Keep the order of the original list, one entry per product
+    const seen = new Set();
+    const grouped = [];
+    plain.forEach(item => {
+        const productId = item.isParent ? item._id.toString() : item.parentId?.toString();
+        if (productId && products.has(productId)) {
+            if (!seen.has(productId)) {
+                seen.add(productId);
+                grouped.push(products.get(productId));
+            }
+        } else if (!productId) {
+            grouped.push(item);
+        }
+    });
+
+    return grouped;
+};
+
+module.exports = {
+    attributesOf,
+    createVariants,
+    groupVariants
+};
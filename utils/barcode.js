@@ -0,0 +1,112 @@
+// Barcode helpers: GS1 check digits (EAN-8, UPC-A, EAN-13, GTIN-14) and the
+// variable-measure EAN-13 codes printed by deli and produce scales. All pure.
+
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+// Scales print EAN-13: 2-digit prefix, item code (PLU), value, check digit
+const DEFAULT_SCALE_LAYOUT = {
+    weightPrefixes: ['21', '22', '23', '24', '25'],
+    pricePrefixes: ['26', '27', '28', '29'],
+    pluLength: 5
+};
+
+// Scanners sometimes add spaces or dashes; keep what is printed under the bars
+const normalizeBarcode = (code) => String(code || '').trim().replace(/[\s-]/g, '');
+
+const isNumeric = (code) => /^\d+$/.test(code);
+
+const isGtinLength = (code) => isNumeric(code) && GTIN_LENGTHS.includes(code.length);
+
+// GS1 mod-10 check digit for the digits before it. From the right, digits are
+// weighted 3, 1, 3, 1...
+const gtinCheckDigit = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        const digit = Number(digits[digits.length - 1 - i]);
+        sum += i % 2 === 0 ? digit * 3 : digit;
+    }
+    return (10 - (sum % 10)) % 10;
+};
+
+const hasValidCheckDigit = (code) =>
+    isGtinLength(code) && gtinCheckDigit(code.slice(0, -1)) === Number(code[code.length - 1]);
+
+// Add the check digit to a GTIN body, e.g. 12 digits into an EAN-13
+const withCheckDigit = (digits) => `${digits}${gtinCheckDigit(digits)}`;
+
+// The same product can be scanned as UPC-A (12 digits) or as EAN-13 with a leading
+// zero, and GTIN-14 pads with zeros. Returns every form to search for.
+const barcodeVariants = (code) => {
+    const variants = new Set([code]);
+    if (!isGtinLength(code)) {
+        return [...variants];
+    }
+    const gtin14 = code.padStart(14, '0');
+    variants.add(gtin14);
+    if (gtin14.startsWith('0')) {
+        variants.add(gtin14.slice(1));
+    }
+    if (gtin14.startsWith('00')) {
+        variants.add(gtin14.slice(2));
+    }
+    return [...variants];
+};
+
+// Explain what is wrong with a barcode an item is saved with, or null when it is fine.
+// Only numeric codes of a GTIN length are checked; internal codes may be anything.
+const barcodeError = (code) => {
+    if (!code) {
+        return 'Barcode cannot be empty';
+    }
+    if (code.length > 50) {
+        return `Barcode ${code} is too long`;
+    }
+    if (isGtinLength(code) && !hasValidCheckDigit(code)) {
+        return `Barcode ${code} has an invalid check digit`;
+    }
+    return null;
+};
+
+// Read a variable-measure scale barcode. Returns null when the code is not one;
+// otherwise { type: 'weight', plu, grams } or { type: 'price', plu, amount } where
+// amount is in major currency units (the label carries minor units).
+const parseScaleBarcode = (code, layout = {}) => {
+    const { weightPrefixes, pricePrefixes, pluLength } = { ...DEFAULT_SCALE_LAYOUT, ...layout };
+
+    if (code.length !== 13 || !hasValidCheckDigit(code)) {
+        return null;
+    }
+
+    const prefix = code.slice(0, 2);
+    const isWeight = weightPrefixes.includes(prefix);
+    if (!isWeight && !pricePrefixes.includes(prefix)) {
+        return null;
+    }
+
+    const plu = code.slice(2, 2 + pluLength);
+    const value = Number(code.slice(2 + pluLength, 12));
+
+    return isWeight
+        ? { type: 'weight', prefix, plu, grams: value }
+        : { type: 'price', prefix, plu, amount: value / 100 };
+};
+
+// Short name for the symbology a code would print as
+const barcodeFormat = (code) => {
+    if (!isNumeric(code)) {
+        return 'code128';
+    }
+    return { 8: 'ean8', 12: 'upca', 13: 'ean13', 14: 'gtin14' }[code.length] || 'code128';
+};
+
+module.exports = {
+    DEFAULT_SCALE_LAYOUT,
+    normalizeBarcode,
+    gtinCheckDigit,
+    hasValidCheckDigit,
+    withCheckDigit,
+    barcodeVariants,
+    barcodeError,
+    parseScaleBarcode,
+    barcodeFormat
+};
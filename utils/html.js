@@ -0,0 +1,10 @@
+// Escape text for HTML element content and double-quoted attributes
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+module.exports = {
+    escapeHtml
+};
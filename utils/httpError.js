@@ -0,0 +1,27 @@
+// Errors thrown from services carry an HTTP status (and optional response fields)
+// so route handlers can turn them into the usual { success, message } payload.
+const createHttpError = (status, message, details = {}) => {
+    const error = new Error(message);
+    error.status = status;
+    error.details = details;
+    return error;
+};
+
+// Send an error created by createHttpError; returns false for anything else
+const sendHttpError = (res, error) => {
+    if (!error || !error.status) {
+        return false;
+    }
+
+    res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...error.details
+    });
+    return true;
+};
+
+module.exports = {
+    createHttpError,
+    sendHttpError
+};